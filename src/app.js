@@ -7,6 +7,12 @@ import mongoose from 'mongoose';
 import { config } from './config/config.js';
 import questionRoutes from './routes/questionRoutes.js';
 import translationRoutes from './routes/translationRoutes.js';
+import scheduleRoutes from './routes/scheduleRoutes.js';
+import translationMemoryRoutes from './routes/translationMemoryRoutes.js';
+import glossaryRoutes from './routes/glossaryRoutes.js';
+import usageRoutes from './routes/usageRoutes.js';
+import healthRoutes from './routes/healthRoutes.js';
+import mcpRoutes from './routes/mcpRoutes.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -45,7 +51,17 @@ createRequiredDirs();
 
 // Routes
 app.use('/api/questions', questionRoutes);
+app.use('/api/translate/schedules', scheduleRoutes);
+app.use('/api/translate/memory', translationMemoryRoutes);
+app.use('/api/translate/glossaries', glossaryRoutes);
 app.use('/api/translate', translationRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/health', healthRoutes);
+
+// MCP streamable HTTP endpoint
+if (config.mcp.httpEnabled) {
+  app.use(config.mcp.httpPath, mcpRoutes);
+}
 
 // Error handling
 app.use((err, req, res, next) => {
@@ -18,17 +18,49 @@ const resolveProjectPath = (relativePath) => {
   return relativePath;
 };
 
+// JSON from an environment variable, `fallback` when unset or malformed
+const parseJsonEnv = (name, fallback) => {
+  if (!process.env[name]) return fallback;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`⚠️ ${name} is not valid JSON, ignoring it:`, error.message);
+    return fallback;
+  }
+};
+
+// "provider:model,provider,..." -> [{ provider, model }]; model is null when not given
+const parseProviderChain = (value) => (value || "")
+  .split(",")
+  .map((entry) => entry.trim())
+  .filter(Boolean)
+  .map((entry) => {
+    const [provider, ...model] = entry.split(":");
+    return { provider: provider.trim(), model: model.join(":").trim() || null };
+  });
+
+// Settings of an OpenAI-compatible local server (Ollama, llama.cpp, vLLM)
+const localProvider = (prefix, name, baseUrl, model) => ({
+  baseUrl: process.env[`${prefix}_BASE_URL`] || baseUrl,
+  model: process.env[`${prefix}_MODEL`] || model,
+  apiKey: process.env[`${prefix}_API_KEY`],
+  enabled: !!process.env[`${prefix}_MODEL`] || !!process.env[`${prefix}_BASE_URL`] ||
+    process.env.DEFAULT_LLM_PROVIDER === name,
+});
+
 export const config = {
   server: {
     port: process.env.PORT || 3000,
     environment: process.env.NODE_ENV || "development",
     uploadDir: resolveProjectPath("./uploads"),
     reportDir: resolveProjectPath("./reports"),
+    backupDir: resolveProjectPath("./extracted-questions"),
   },
 
   // LLM Configuration
   llm: {
-    defaultProvider: process.env.DEFAULT_LLM_PROVIDER || "anthropic", // can be "anthropic" or "openai"
+    // anthropic | openai | ollama | llamacpp | vllm | fixture
+    defaultProvider: process.env.DEFAULT_LLM_PROVIDER || "anthropic",
     anthropic: {
       apiKey: process.env.ANTHROPIC_API_KEY,
       model: process.env.ANTHROPIC_MODEL || "claude-3-sonnet-20240229",
@@ -38,8 +70,59 @@ export const config = {
     openai: {
       apiKey: process.env.OPENAI_API_KEY,
       model: process.env.OPENAI_MODEL || "gpt-3.5-turbo",
+      jsonSchema: process.env.OPENAI_JSON_SCHEMA === "true", // structured outputs, needs gpt-4o or newer
       enabled: !!process.env.OPENAI_API_KEY,
     },
+    // OpenAI-compatible local servers, enabled by setting their model or base URL (or making
+    // them the default provider). No API key is needed unless the server asks for one.
+    ollama: localProvider("OLLAMA", "ollama", "http://localhost:11434/v1", "llama3.1"),
+    llamacpp: localProvider("LLAMACPP", "llamacpp", "http://localhost:8080/v1", "default"),
+    vllm: localProvider("VLLM", "vllm", "http://localhost:8000/v1", ""),
+    // Replays recorded responses, for tests and air-gapped use. With LLM_FIXTURE_RECORD set to
+    // another provider, prompts without a recording are sent there and recorded.
+    fixture: {
+      filePath: resolveProjectPath(process.env.LLM_FIXTURE_FILE || "./data/llm-fixtures.json"),
+      recordFrom: process.env.LLM_FIXTURE_RECORD || null,
+      enabled: !!process.env.LLM_FIXTURE_FILE || process.env.DEFAULT_LLM_PROVIDER === "fixture",
+    },
+    // Providers tried in order when one fails with a retryable error (timeout, 429, 5xx, 529),
+    // e.g. "anthropic,anthropic:claude-3-5-haiku-20241022,ollama:llama3.1". Entries without a
+    // model use the provider's model. Default: the default provider, then the other ones.
+    fallbackChain: parseProviderChain(process.env.LLM_FALLBACK_CHAIN),
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.LLM_BREAKER_FAILURES || "3", 10), // failures in a row that open the circuit
+      cooldownMs: parseInt(process.env.LLM_BREAKER_COOLDOWN_MS || "30000", 10), // before a trial request or probe
+      probeIntervalMs: parseInt(process.env.LLM_HEALTH_PROBE_MS || "15000", 10), // 0 disables health probes
+    },
+    // How long a provider's health (credits, key, model) is trusted before preflight checks it
+    // again; entries that failed with one of these errors are skipped meanwhile
+    preflight: {
+      ttlMs: parseInt(process.env.LLM_PREFLIGHT_TTL_MS || "300000", 10),
+    },
+    // USD per million input/output tokens, by "provider:model" or model. Local servers and
+    // fixtures cost nothing unless listed here. LLM_PRICING (JSON) adds or overrides entries.
+    pricing: {
+      "claude-3-sonnet-20240229": { input: 3, output: 15 },
+      "claude-3-5-sonnet-20241022": { input: 3, output: 15 },
+      "claude-3-5-haiku-20241022": { input: 0.8, output: 4 },
+      "claude-3-haiku-20240307": { input: 0.25, output: 1.25 },
+      "claude-3-opus-20240229": { input: 15, output: 75 },
+      "gpt-3.5-turbo": { input: 0.5, output: 1.5 },
+      "gpt-4o": { input: 2.5, output: 10 },
+      "gpt-4o-mini": { input: 0.15, output: 0.6 },
+      ...parseJsonEnv("LLM_PRICING", {}),
+    },
+    // Shared budgets per provider, applied to each model separately (0 disables a limit)
+    rateLimits: {
+      anthropic: {
+        requestsPerMinute: parseInt(process.env.ANTHROPIC_RPM || "50", 10),
+        tokensPerMinute: parseInt(process.env.ANTHROPIC_TPM || "40000", 10),
+      },
+      openai: {
+        requestsPerMinute: parseInt(process.env.OPENAI_RPM || "500", 10),
+        tokensPerMinute: parseInt(process.env.OPENAI_TPM || "60000", 10),
+      },
+    },
   },
 
   // File Configuration
@@ -62,6 +145,7 @@ export const config = {
   // Document Processing Configuration
   processing: {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE || "10000000", 10), // 10MB
+    extractionMode: process.env.EXTRACTION_MODE || "llm", // parser | llm | hybrid
     allowedFileTypes: [
       "application/pdf",
       "application/msword",
@@ -88,6 +172,80 @@ export const config = {
     uri: process.env.MONGO_URI || "mongodb://localhost:27017/mcp_llm",
   },
 
+  // Translation Queue Configuration
+  queue: {
+    store: process.env.QUEUE_STORE || "file", // memory | file | mongo
+    filePath: resolveProjectPath(process.env.QUEUE_FILE || "./data/translation-queue.json"),
+    maxConcurrent: parseInt(process.env.QUEUE_MAX_CONCURRENT || "1", 10), // jobs processed in parallel
+  },
+
+  // Scheduled translation jobs (cron specs from TRANSLATION_SCHEDULES and the API)
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== "false",
+    store: process.env.SCHEDULE_STORE || process.env.QUEUE_STORE || "file", // memory | file | mongo
+    filePath: resolveProjectPath(process.env.SCHEDULE_FILE || "./data/translation-schedules.json"),
+    historyLimit: parseInt(process.env.SCHEDULE_HISTORY_LIMIT || "50", 10), // runs kept per schedule
+    schedules: parseJsonEnv("TRANSLATION_SCHEDULES", []),
+  },
+
+  // Translation memory: earlier translations reused before calling the LLM
+  translationMemory: {
+    enabled: process.env.TM_ENABLED !== "false",
+    store: process.env.TM_STORE || process.env.QUEUE_STORE || "file", // memory | file | mongo
+    filePath: resolveProjectPath(process.env.TM_FILE || "./data/translation-memory.json"),
+    fuzzyThreshold: parseFloat(process.env.TM_FUZZY_THRESHOLD || "0.85"), // minimum similarity for fuzzy matches
+  },
+
+  // Per-subject glossaries enforced in question translations
+  glossary: {
+    store: process.env.GLOSSARY_STORE || process.env.QUEUE_STORE || "file", // memory | file | mongo
+    filePath: resolveProjectPath(process.env.GLOSSARY_FILE || "./data/glossaries.json"),
+  },
+
+  // Quality checks on translated questions (back-translation, structure, language)
+  qa: {
+    enabled: process.env.QA_ENABLED === "true", // jobs can still ask for it with { qa: true }
+    minScore: parseFloat(process.env.QA_MIN_SCORE || "0.5"), // minimum back-translation similarity
+  },
+
+  // Cache of LLM answers keyed by provider, model, parameters and prompt
+  llmCache: {
+    enabled: process.env.LLM_CACHE_ENABLED !== "false",
+    store: process.env.LLM_CACHE_STORE || process.env.QUEUE_STORE || "file", // memory | file | mongo
+    dir: resolveProjectPath(process.env.LLM_CACHE_DIR || "./data/llm-cache"), // one file per answer
+    ttlMs: parseInt(process.env.LLM_CACHE_TTL_MS || "604800000", 10), // 7 days, 0 keeps answers until evicted
+    maxEntries: parseInt(process.env.LLM_CACHE_MAX_ENTRIES || "10000", 10), // 0 disables the limit
+    maxBytes: parseInt(process.env.LLM_CACHE_MAX_MB || "100", 10) * 1024 * 1024, // 0 disables the limit
+  },
+
+  // Token usage and cost of LLM calls, per day, operation, tenant, quiz and model (GET /api/usage)
+  usage: {
+    store: process.env.USAGE_STORE || process.env.QUEUE_STORE || "file", // memory | file | mongo
+    filePath: resolveProjectPath(process.env.USAGE_FILE || "./data/llm-usage.json"),
+    tenantHeader: process.env.USAGE_TENANT_HEADER || "X-Tenant-Id", // optional, tags the calls of a request's jobs
+  },
+
+  // Webhook callbacks for finished queue jobs
+  webhooks: {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "5", 10),
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || "10000", 10),
+    retryDelayMs: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS || "2000", 10), // doubles after each attempt
+    allowPrivateHosts: process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === "true", // off unless enabled, e.g. for a receiver on localhost
+  },
+
+  // MCP Server Configuration
+  mcp: {
+    serverName: process.env.MCP_SERVER_NAME || "quizefactor-mcp",
+    serverVersion: process.env.MCP_SERVER_VERSION || "1.0.0",
+    httpEnabled: process.env.MCP_HTTP_ENABLED === "true", // off unless enabled
+    httpPath: process.env.MCP_HTTP_PATH || "/mcp",
+    // Queue of the stdio server, kept apart from the API server's queue
+    queue: {
+      store: process.env.MCP_QUEUE_STORE || "file", // memory | file
+      filePath: resolveProjectPath(process.env.MCP_QUEUE_FILE || "./data/mcp-translation-queue.json"),
+    },
+  },
+
   // QuizFactor Configuration
   api: {
     quizFactor: {
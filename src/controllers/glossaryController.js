@@ -0,0 +1,122 @@
+import glossaryService from '../services/glossaryService.js';
+import { formatControllerError } from '../utils/errorHandler.js';
+
+const notFound = (res, message = "Glossary not found") => res.status(404).json({
+  success: false,
+  error: "Not Found",
+  message
+});
+
+// Validation errors come back as error.status 400
+const sendGlossaryError = (res, error, context) => {
+  if (error.status === 400) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid glossary",
+      message: error.message
+    });
+  }
+
+  console.error(`Error in ${context}:`, error);
+  const formattedError = formatControllerError(error, context);
+  res.status(formattedError.status || 500).json({
+    success: false,
+    error: formattedError.error,
+    message: formattedError.message
+  });
+};
+
+export const listGlossaries = async (req, res) => {
+  try {
+    await glossaryService.ready;
+    const glossaries = glossaryService.listGlossaries();
+
+    res.status(200).json({
+      success: true,
+      message: `${glossaries.length} glossar${glossaries.length === 1 ? 'y' : 'ies'}`,
+      data: { glossaries }
+    });
+  } catch (error) {
+    sendGlossaryError(res, error, "List Glossaries");
+  }
+};
+
+export const getGlossary = async (req, res) => {
+  try {
+    await glossaryService.ready;
+    const glossary = glossaryService.getGlossary(req.params.subject);
+    if (!glossary) return notFound(res);
+
+    res.status(200).json({
+      success: true,
+      message: "Glossary retrieved successfully",
+      data: glossary
+    });
+  } catch (error) {
+    sendGlossaryError(res, error, "Get Glossary");
+  }
+};
+
+// Create or replace the glossary of a subject: { name?, terms: [...] }
+export const putGlossary = async (req, res) => {
+  try {
+    await glossaryService.ready;
+    const { glossary, created } = glossaryService.putGlossary(req.params.subject, req.body);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: `Glossary ${created ? 'created' : 'replaced'} with ${glossary.terms.length} term(s)`,
+      data: glossary
+    });
+  } catch (error) {
+    sendGlossaryError(res, error, "Save Glossary");
+  }
+};
+
+export const deleteGlossary = async (req, res) => {
+  try {
+    await glossaryService.ready;
+    if (!glossaryService.deleteGlossary(req.params.subject)) return notFound(res);
+
+    res.status(200).json({
+      success: true,
+      message: "Glossary deleted successfully",
+      data: { subject: req.params.subject }
+    });
+  } catch (error) {
+    sendGlossaryError(res, error, "Delete Glossary");
+  }
+};
+
+// Add a term, or replace the term with the same text
+export const addGlossaryTerm = async (req, res) => {
+  try {
+    await glossaryService.ready;
+    const term = glossaryService.addTerm(req.params.subject, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: `Term "${term.term}" saved`,
+      data: term
+    });
+  } catch (error) {
+    sendGlossaryError(res, error, "Add Glossary Term");
+  }
+};
+
+export const removeGlossaryTerm = async (req, res) => {
+  try {
+    await glossaryService.ready;
+    const removed = glossaryService.removeTerm(req.params.subject, req.params.termId);
+    if (removed === null) return notFound(res);
+    if (!removed) return notFound(res, "Term not found");
+
+    res.status(200).json({
+      success: true,
+      message: "Term removed successfully",
+      data: { subject: req.params.subject, termId: req.params.termId }
+    });
+  } catch (error) {
+    sendGlossaryError(res, error, "Remove Glossary Term");
+  }
+};
@@ -0,0 +1,34 @@
+import llmService from '../services/llmService.js';
+import { formatControllerError } from '../utils/errorHandler.js';
+
+// Circuit state and cached health (credits, API key, model) of every LLM provider of the
+// fallback chain. ?refresh=true pings every provider first instead of using the cache.
+// Answers 503 when no provider can be used.
+export const getHealth = async (req, res) => {
+  try {
+    const providers = req.query.refresh === 'true'
+      ? await llmService.checkHealth()
+      : llmService.getChainStatus();
+
+    const usable = providers.filter(provider => provider.usable);
+    const status = usable.length === 0 ? 'down' : (providers[0].usable ? 'ok' : 'degraded');
+
+    res.status(status === 'down' ? 503 : 200).json({
+      success: status !== 'down',
+      message: `${usable.length} of ${providers.length} LLM provider(s) usable`,
+      data: {
+        status,
+        activeProvider: llmService.getActiveProvider(),
+        providers
+      }
+    });
+  } catch (error) {
+    console.error("Error in Get Health:", error);
+    const formattedError = formatControllerError(error, "Get Health");
+    res.status(formattedError.status || 500).json({
+      success: false,
+      error: formattedError.error,
+      message: formattedError.message
+    });
+  }
+};
@@ -1,10 +1,13 @@
 import Question from '../models/Question.js';
-import documentProcessor from '../services/documentProcessor.js';
+import documentProcessor, { EXTRACTION_MODES } from '../services/documentProcessor.js';
+import llmService from '../services/llmService.js';
+import spreadsheetImporter from '../services/spreadsheetImporter.js';
 import quizFactorApiService from '../services/quizFactorApiService.js';
-import { TranslationService } from '../services/translationService.js';
 import path from 'path';
 import { config } from '../config/config.js';
-import fs from 'fs';
+import { normalizeQuestions } from '../utils/questionSchema.js';
+import { formatLlmError } from '../utils/errorHandler.js';
+import { validateTenant } from '../utils/usageValidator.js';
 
 const formatControllerError = (error, context) => {
   return {
@@ -46,25 +49,59 @@ export const uploadDocument = async (req, res) => {
 
     const fileType = path.extname(req.file.originalname).toLowerCase();
     let questions = [];
+    let rejectedRows = [];
+    let extractionStats = null;
 
+    let extractionMode;
     try {
-      // Extract questions from document using LLM
-      console.log('📝 Processing document...');
+      extractionMode = documentProcessor.resolveExtractionMode(req.body.mode || req.query.mode);
+    } catch (modeError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid extraction mode',
+        message: modeError.message,
+        validModes: EXTRACTION_MODES,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Optional tenant the LLM usage of the extraction is recorded for
+    const tenantValidation = validateTenant(req.get(config.usage.tenantHeader));
+    if (!tenantValidation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: tenantValidation.error,
+        message: tenantValidation.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      // Extract questions from document with the parser, the LLM or both
+      console.log(`📝 Processing document (mode: ${extractionMode})...`);
       switch (fileType) {
         case '.pdf':
-          questions = await documentProcessor.processPDF(req.file.path);
-          break;
         case '.doc':
         case '.docx':
-          questions = await documentProcessor.processDOC(req.file.path);
-          break;
         case '.epub':
-          questions = await documentProcessor.processEPUB(req.file.path);
-          break;
         case '.txt':
-          const textContent = await fs.promises.readFile(req.file.path, 'utf8');
-          const translationService = new TranslationService();
-          questions = await translationService.extractQuestions(textContent);
+          const extraction = await llmService.track(
+            null,
+            () => documentProcessor.processFile(req.file.path, req.file.originalname, extractionMode),
+            { tenantId: tenantValidation.tenantId }
+          );
+          questions = extraction.questions;
+          extractionStats = extraction.stats;
+          break;
+        case '.xlsx':
+        case '.csv':
+          // Column-mapped import, no LLM call needed
+          const importResult = await spreadsheetImporter.importFile(req.file.path, req.file.originalname, {
+            columnMap: spreadsheetImporter.parseColumnMap(req.body.columnMap),
+            languageCode: req.body.sourceLanguage || 'en'
+          });
+          questions = importResult.questions;
+          rejectedRows = importResult.rejected;
           break;
         default:
           return res.status(400).json({ 
@@ -75,10 +112,17 @@ export const uploadDocument = async (req, res) => {
           });
       }
 
-      if (!questions || questions.length === 0) {
+      // Every extraction path is checked against the canonical schema before QuizFactor sees it
+      const { questions: validQuestions, rejected: rejectedQuestions } = normalizeQuestions(questions);
+      questions = validQuestions;
+
+      if (questions.length === 0) {
         return res.status(422).json({
           error: 'No questions extracted',
           message: 'The document was processed but no questions were found',
+          ...(rejectedRows.length > 0 && { rejectedRows }),
+          ...(rejectedQuestions.length > 0 && { rejectedQuestions }),
+          ...(extractionStats && { extraction: extractionStats }),
           timestamp: new Date().toISOString()
         });
       }
@@ -154,18 +198,21 @@ export const uploadDocument = async (req, res) => {
         // );
 
         console.log('✅ Process completed successfully');
-        // res.status(200).json({
-        //   success: true,
-        //   message: 'Document processed and quiz created successfully',
-        //   timestamp: new Date().toISOString(),
-        //   data: {
-        //     questionsExtracted: questions.length,
-        //     questions: questions,
-        //     category: quizFactorResponse.category,
-        //     course: quizFactorResponse.course,
-        //     quiz: quizFactorResponse.quiz
-        //   }
-        // });
+        res.status(200).json({
+          success: true,
+          message: 'Document processed and quiz created successfully',
+          timestamp: new Date().toISOString(),
+          data: {
+            questionsExtracted: questions.length,
+            questions: questions,
+            ...(rejectedRows.length > 0 && { rejectedRows }),
+            ...(rejectedQuestions.length > 0 && { rejectedQuestions }),
+            ...(extractionStats && { extraction: extractionStats }),
+            category: quizFactorResponse.category,
+            course: quizFactorResponse.course,
+            quiz: quizFactorResponse.quiz
+          }
+        });
 
       } catch (apiError) {
         const formattedError = formatControllerError(apiError, 'QuizFactor Integration');
@@ -191,19 +238,23 @@ export const uploadDocument = async (req, res) => {
           },
           data: {
             questionsExtracted: questions.length,
-            questions: questions
+            questions: questions,
+            ...(rejectedRows.length > 0 && { rejectedRows }),
+            ...(rejectedQuestions.length > 0 && { rejectedQuestions }),
+            ...(extractionStats && { extraction: extractionStats })
           }
         });
       }
       
     } catch (processingError) {
-      // Handle credit balance error
-      if (processingError.message.includes('credit balance is too low')) {
-        return res.status(402).json({
+      // LLM provider errors: credits (402), API key (401), model (424), all providers down (503)
+      const llmError = formatLlmError(processingError);
+      if (llmError) {
+        return res.status(llmError.status).json({
           success: false,
-          error: 'Payment Required',
-          message: processingError.message,
-          code: 'INSUFFICIENT_CREDITS',
+          error: llmError.error,
+          message: llmError.message,
+          code: llmError.code,
           timestamp: new Date().toISOString()
         });
       }
@@ -0,0 +1,154 @@
+import translationScheduler from '../services/translationScheduler.js';
+import { config } from '../config/config.js';
+import { formatControllerError } from '../utils/errorHandler.js';
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  error: "Not Found",
+  message: "Schedule not found"
+});
+
+// Validation (400) and read-only config schedules (409) come back as error.status
+const sendScheduleError = (res, error, context) => {
+  if (error.status === 400 || error.status === 409) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.status === 400 ? "Invalid schedule" : "Read-only Schedule",
+      message: error.message
+    });
+  }
+
+  console.error(`Error in ${context}:`, error);
+  const formattedError = formatControllerError(error, context);
+  res.status(formattedError.status || 500).json({
+    success: false,
+    error: formattedError.error,
+    message: formattedError.message
+  });
+};
+
+export const listSchedules = async (req, res) => {
+  try {
+    await translationScheduler.ready;
+    const schedules = translationScheduler.listSchedules();
+
+    res.status(200).json({
+      success: true,
+      message: `${schedules.length} schedule(s)`,
+      data: { schedules }
+    });
+  } catch (error) {
+    sendScheduleError(res, error, "List Schedules");
+  }
+};
+
+export const getSchedule = async (req, res) => {
+  try {
+    await translationScheduler.ready;
+    const schedule = translationScheduler.getSchedule(req.params.scheduleId);
+    if (!schedule) return notFound(res);
+
+    res.status(200).json({
+      success: true,
+      message: "Schedule retrieved successfully",
+      data: schedule
+    });
+  } catch (error) {
+    sendScheduleError(res, error, "Get Schedule");
+  }
+};
+
+export const createSchedule = async (req, res) => {
+  try {
+    await translationScheduler.ready;
+    // The tenant header of the request applies to every run (config.usage.tenantHeader)
+    const tenantId = req.get(config.usage.tenantHeader);
+    const schedule = translationScheduler.createSchedule({ ...req.body, ...(tenantId !== undefined && { tenantId }) });
+
+    res.status(201).json({
+      success: true,
+      message: schedule.nextRunAt
+        ? `Schedule created, next run at ${schedule.nextRunAt.toISOString()}`
+        : "Schedule created (disabled)",
+      data: schedule
+    });
+  } catch (error) {
+    sendScheduleError(res, error, "Create Schedule");
+  }
+};
+
+export const updateSchedule = async (req, res) => {
+  try {
+    await translationScheduler.ready;
+    const schedule = translationScheduler.updateSchedule(req.params.scheduleId, req.body);
+    if (!schedule) return notFound(res);
+
+    res.status(200).json({
+      success: true,
+      message: "Schedule updated successfully",
+      data: schedule
+    });
+  } catch (error) {
+    sendScheduleError(res, error, "Update Schedule");
+  }
+};
+
+export const deleteSchedule = async (req, res) => {
+  try {
+    await translationScheduler.ready;
+    if (!translationScheduler.deleteSchedule(req.params.scheduleId)) return notFound(res);
+
+    res.status(200).json({
+      success: true,
+      message: "Schedule deleted successfully",
+      data: { scheduleId: req.params.scheduleId }
+    });
+  } catch (error) {
+    sendScheduleError(res, error, "Delete Schedule");
+  }
+};
+
+// Trigger a schedule outside its cron times; the run is recorded with trigger 'manual'
+export const runSchedule = async (req, res) => {
+  try {
+    await translationScheduler.ready;
+    const run = await translationScheduler.runNow(req.params.scheduleId);
+    if (!run) return notFound(res);
+
+    if (run.status === 'failed') {
+      return res.status(502).json({
+        success: false,
+        error: "Schedule Run Failed",
+        message: run.error,
+        data: run
+      });
+    }
+
+    res.status(run.status === 'enqueued' ? 202 : 200).json({
+      success: true,
+      message: run.status === 'enqueued' ? "Translation job queued" : `Run skipped: ${run.reason}`,
+      data: {
+        ...run,
+        ...(run.queueId && { checkStatusUrl: `/api/translate/status/${run.queueId}` })
+      }
+    });
+  } catch (error) {
+    sendScheduleError(res, error, "Run Schedule");
+  }
+};
+
+export const getScheduleRuns = async (req, res) => {
+  try {
+    await translationScheduler.ready;
+    const runs = translationScheduler.getRuns(req.params.scheduleId);
+    if (!runs) return notFound(res);
+
+    res.status(200).json({
+      success: true,
+      message: `${runs.length} run(s)`,
+      data: { scheduleId: req.params.scheduleId, runs }
+    });
+  } catch (error) {
+    sendScheduleError(res, error, "Get Schedule Runs");
+  }
+};
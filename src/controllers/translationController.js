@@ -1,57 +1,70 @@
 import { v4 as uuidv4 } from 'uuid';
 import translationService from '../services/translationService.js';
-import translationQueue from '../services/translationQueue.js';
-import documentProcessor from '../services/documentProcessor.js';
+import translationQueue, { FINAL_STATES } from '../services/translationQueue.js';
+import documentProcessor, { EXTRACTION_MODES } from '../services/documentProcessor.js';
+import spreadsheetImporter from '../services/spreadsheetImporter.js';
 import quizFactorApiService from '../services/quizFactorApiService.js';
 import { formatControllerError } from '../utils/errorHandler.js';
+import { validateLanguages } from '../utils/languageValidator.js';
+import { validateCallback } from '../utils/callbackValidator.js';
+import { validateSubject } from '../utils/glossaryValidator.js';
+import { validateTenant } from '../utils/usageValidator.js';
+import { config } from '../config/config.js';
 import fs from 'fs/promises';
-import path from 'path';
-
-const VALID_LANGUAGE_CODES = new Set([
-  "en",
-  "es",
-  "fr",
-  "de",
-  "it",
-  "pt",
-  "ru",
-  "zh",
-  "ja",
-  "ko",
-]);
-
-const validateLanguages = (targetLanguages) => {
-  if (
-    !targetLanguages ||
-    !Array.isArray(targetLanguages) ||
-    targetLanguages.length === 0
-  ) {
-    return {
-      isValid: false,
-      error: "Invalid request",
-      message: "Please provide an array of target languages",
-    };
-  }
 
-  const invalidLanguages = targetLanguages.filter(
-    (lang) => !VALID_LANGUAGE_CODES.has(lang)
-  );
-  if (invalidLanguages.length > 0) {
-    return {
-      isValid: false,
-      error: "Invalid language codes",
-      message: `Invalid language codes: ${invalidLanguages.join(", ")}`,
-      validCodes: Array.from(VALID_LANGUAGE_CODES),
-    };
+// Validate the optional webhook fields of the body. Returns the callback (undefined without a
+// callbackUrl), or false after answering 400.
+const requireCallback = (req, res) => {
+  const validation = validateCallback(req.body.callbackUrl, req.body.callbackSecret);
+  if (!validation.isValid) {
+    res.status(400).json({
+      success: false,
+      error: validation.error,
+      message: validation.message,
+    });
+    return false;
   }
+  return validation.callback;
+};
 
-  return { isValid: true };
+// Optional tenant the LLM usage of the job is recorded for (config.usage.tenantHeader). Returns
+// the tenant ID (undefined without the header), or false after answering 400.
+const requireTenant = (req, res) => {
+  const validation = validateTenant(req.get(config.usage.tenantHeader));
+  if (!validation.isValid) {
+    res.status(400).json({
+      success: false,
+      error: validation.error,
+      message: validation.message,
+    });
+    return false;
+  }
+  return validation.tenantId;
 };
 
+// cascade=true (body or query string) also queues every course, quiz and question below the item
+const isCascade = (req) => req.body.cascade === true || req.query.cascade === 'true';
+
+// Optional glossary subject (category tag) of a questions job, determined from the questions when missing
+const validateOptionalSubject = (subject) =>
+  subject === undefined || subject === null || subject === '' ? { isValid: true } : validateSubject(subject);
+
+// Optional per-job switch for the translation quality checks, config.qa.enabled when missing
+const validateOptionalQa = (qa) => qa === undefined || typeof qa === 'boolean'
+  ? { isValid: true }
+  : { isValid: false, error: "Validation Error", message: "qa must be true or false" };
+
 export const translateCategory = async (req, res) => {
   try {
     const { categoryUuid } = req.params;
     const { priority = 'normal' } = req.body; // Allow priority to be set
+    const cascade = isCascade(req);
+
+    // Validate optional webhook callback
+    const callback = requireCallback(req, res);
+    if (callback === false) return;
+    const tenantId = requireTenant(req, res);
+    if (tenantId === false) return;
 
     // Validate category UUID
     if (!categoryUuid) {
@@ -79,8 +92,10 @@ export const translateCategory = async (req, res) => {
     // Add to translation queue
     const queueId = translationQueue.addToQueue('category', {
       categoryUuid,
-      targetLanguages
-    }, priority);
+      targetLanguages,
+      ...(cascade && { cascade }),
+      ...(tenantId && { tenantId })
+    }, priority, callback);
 
     // Get queue status for response
     const queueStatus = translationQueue.getStatus(queueId);
@@ -97,6 +112,8 @@ export const translateCategory = async (req, res) => {
         estimatedStartTime: queueStatus.estimatedStartTime,
         categoryUuid,
         targetLanguages,
+        cascade,
+        ...(callback && { callbackUrl: callback.url }),
         checkStatusUrl: `/api/translation/status/${queueId}`
       },
     });
@@ -116,6 +133,13 @@ export const translateCourse = async (req, res) => {
   try {
     const { courseUuid } = req.params;
     const { priority = 'normal' } = req.body;
+    const cascade = isCascade(req);
+
+    // Validate optional webhook callback
+    const callback = requireCallback(req, res);
+    if (callback === false) return;
+    const tenantId = requireTenant(req, res);
+    if (tenantId === false) return;
 
     // Validate course UUID
     if (!courseUuid) {
@@ -143,8 +167,10 @@ export const translateCourse = async (req, res) => {
     // Add to translation queue
     const queueId = translationQueue.addToQueue('course', {
       courseUuid,
-      targetLanguages
-    }, priority);
+      targetLanguages,
+      ...(cascade && { cascade }),
+      ...(tenantId && { tenantId })
+    }, priority, callback);
 
     // Get queue status for response
     const queueStatus = translationQueue.getStatus(queueId);
@@ -161,6 +187,8 @@ export const translateCourse = async (req, res) => {
         estimatedStartTime: queueStatus.estimatedStartTime,
         courseUuid,
         targetLanguages,
+        cascade,
+        ...(callback && { callbackUrl: callback.url }),
         checkStatusUrl: `/api/translation/status/${queueId}`
       },
     });
@@ -179,6 +207,13 @@ export const translateQuiz = async (req, res) => {
   try {
     const { quizUuid } = req.params;
     const { priority = 'normal' } = req.body;
+    const cascade = isCascade(req);
+
+    // Validate optional webhook callback
+    const callback = requireCallback(req, res);
+    if (callback === false) return;
+    const tenantId = requireTenant(req, res);
+    if (tenantId === false) return;
 
     // Validate quiz UUID
     if (!quizUuid) {
@@ -206,8 +241,10 @@ export const translateQuiz = async (req, res) => {
     // Add to translation queue
     const queueId = translationQueue.addToQueue('quiz', {
       quizUuid,
-      targetLanguages
-    }, priority);
+      targetLanguages,
+      ...(cascade && { cascade }),
+      ...(tenantId && { tenantId })
+    }, priority, callback);
 
     // Get queue status for response
     const queueStatus = translationQueue.getStatus(queueId);
@@ -224,6 +261,8 @@ export const translateQuiz = async (req, res) => {
         estimatedStartTime: queueStatus.estimatedStartTime,
         quizUuid,
         targetLanguages,
+        cascade,
+        ...(callback && { callbackUrl: callback.url }),
         checkStatusUrl: `/api/translation/status/${queueId}`
       },
     });
@@ -241,7 +280,13 @@ export const translateQuiz = async (req, res) => {
 export const translateQuestions = async (req, res) => {
   try {
     const { quizUuid } = req.params;
-    const { targetLanguages, questions, priority = 'normal' } = req.body;
+    const { targetLanguages, questions, subject, qa, priority = 'normal' } = req.body;
+
+    // Validate optional webhook callback
+    const callback = requireCallback(req, res);
+    if (callback === false) return;
+    const tenantId = requireTenant(req, res);
+    if (tenantId === false) return;
 
     // Validate quiz UUID
     if (!quizUuid) {
@@ -268,12 +313,31 @@ export const translateQuestions = async (req, res) => {
       });
     }
 
+    const subjectValidation = validateOptionalSubject(subject);
+    if (!subjectValidation.isValid) {
+      return res.status(400).json({
+        success: false,
+        ...subjectValidation,
+      });
+    }
+
+    const qaValidation = validateOptionalQa(qa);
+    if (!qaValidation.isValid) {
+      return res.status(400).json({
+        success: false,
+        ...qaValidation,
+      });
+    }
+
     // Add to translation queue
     const queueId = translationQueue.addToQueue('questions', {
       quizUuid,
       targetLanguages,
-      questions
-    }, priority);
+      questions,
+      ...(subjectValidation.subject && { subject: subjectValidation.subject }),
+      ...(qa !== undefined && { qa }),
+      ...(tenantId && { tenantId })
+    }, priority, callback);
 
     // Get queue status for response
     const queueStatus = translationQueue.getStatus(queueId);
@@ -291,6 +355,7 @@ export const translateQuestions = async (req, res) => {
         quizUuid,
         targetLanguages,
         questionsCount: questions.length,
+        ...(callback && { callbackUrl: callback.url }),
         checkStatusUrl: `/api/translation/status/${queueId}`
       },
     });
@@ -313,6 +378,7 @@ export const extractQuestions = async (req, res) => {
     const { quizUuid } = req.params;
     const file = req.file;
     const sourceLanguage = req.body.sourceLanguage; // Optional: allow user to specify source language
+    const { priority = 'normal' } = req.body;
 
     if (!file) {
       return res.status(400).json({
@@ -322,74 +388,96 @@ export const extractQuestions = async (req, res) => {
       });
     }
 
-    // Send immediate response
+    // Validate optional webhook callback
+    const callback = requireCallback(req, res);
+    const tenantId = callback === false ? false : requireTenant(req, res);
+    if (tenantId === false) {
+      await fs.unlink(file.path).catch(unlinkError => {
+        console.error('Error deleting uploaded file:', unlinkError);
+      });
+      return;
+    }
+
+    let extractionMode;
+    try {
+      extractionMode = documentProcessor.resolveExtractionMode(req.body.mode || req.query.mode);
+    } catch (modeError) {
+      await fs.unlink(file.path).catch(unlinkError => {
+        console.error('Error deleting uploaded file:', unlinkError);
+      });
+      return res.status(400).json({
+        success: false,
+        error: "Validation Error",
+        message: modeError.message,
+        validModes: EXTRACTION_MODES
+      });
+    }
+
+    // Spreadsheets are imported up front (no LLM call) so rejected rows can be reported immediately
+    let importResult = null;
+    if (spreadsheetImporter.supports(file.originalname)) {
+      try {
+        importResult = await spreadsheetImporter.importFile(file.path, file.originalname, {
+          columnMap: spreadsheetImporter.parseColumnMap(req.body.columnMap),
+          languageCode: sourceLanguage || 'en'
+        });
+      } catch (importError) {
+        // Unreadable files, a bad columnMap or missing question/answer columns
+        return res.status(422).json({
+          success: false,
+          error: "Invalid spreadsheet",
+          message: importError.message
+        });
+      } finally {
+        await fs.unlink(file.path).catch(unlinkError => {
+          console.error('Error deleting uploaded file:', unlinkError);
+        });
+      }
+
+      if (importResult.questions.length === 0) {
+        return res.status(422).json({
+          success: false,
+          error: "No questions extracted",
+          message: "None of the spreadsheet rows could be imported",
+          data: { rejectedRows: importResult.rejected }
+        });
+      }
+    }
+
+    // Documents are extracted by the queue; the upload stays on disk until the job is done
+    const queueId = translationQueue.addToQueue('extraction', {
+      quizUuid,
+      sourceLanguage,
+      fileName: file.originalname,
+      ...(importResult
+        ? { questions: importResult.questions }
+        : { filePath: file.path, mode: extractionMode }),
+      ...(tenantId && { tenantId })
+    }, priority, callback);
+
+    const queueStatus = translationQueue.getStatus(queueId);
+
     res.status(202).json({
       success: true,
-      message: "File received. Processing questions extraction in the background.",
+      message: "File received. Question extraction has been queued.",
       data: {
+        queueId,
+        status: "queued",
+        queuePosition: queueStatus.queuePosition,
+        totalInQueue: queueStatus.totalInQueue,
+        estimatedStartTime: queueStatus.estimatedStartTime,
         quizUuid,
         sourceLanguage,
-        status: "processing"
+        ...(!importResult && { mode: extractionMode }),
+        ...(importResult && {
+          importedQuestions: importResult.questions.length,
+          rejectedRows: importResult.rejected
+        }),
+        ...(callback && { callbackUrl: callback.url }),
+        checkStatusUrl: `/api/translate/status/${queueId}`
       }
     });
 
-    // Process in background
-    (async () => {
-      try {
-        // Get file extension
-        const fileExt = path.extname(file.originalname).toLowerCase();
-
-        // Process file based on type
-        let fileContent;
-        try {
-          switch (fileExt) {
-            case '.pdf':
-              fileContent = await documentProcessor.processPDF(file.path);
-              break;
-            case '.docx':
-            case '.doc':
-              fileContent = await documentProcessor.processDOC(file.path);
-              break;
-            case '.epub':
-              fileContent = await documentProcessor.processEPUB(file.path);
-              break;
-            case '.txt':
-              // For text files, read content directly
-              fileContent = await fs.readFile(file.path, 'utf8');
-              break;
-            default:
-              console.error("Invalid file type received:", fileExt);
-              return;
-          }
-        } finally {
-          // Clean up uploaded file
-          try {
-            await fs.unlink(file.path);
-          } catch (unlinkError) {
-            console.error('Error deleting uploaded file:', unlinkError);
-          }
-        }
-
-        if (!fileContent) {
-          console.error("No content could be extracted from the document");
-          return;
-        }
-
-        // Use the translation service to extract questions only (no translation)
-        const extractedQuestions = await translationService.extractAndAddQuestions(fileContent, quizUuid);
-        
-        console.log("Questions extracted successfully:", {
-          quizUuid,
-          questionCount: extractedQuestions.questions?.length || 0, 
-          status: extractedQuestions.status,
-          message: extractedQuestions.message
-        });
-
-      } catch (error) {
-        console.error("Background processing error:", error);
-      }
-    })();
-
   } catch (error) {
     console.error("Error in extractQuestions:", error);
     const formattedError = formatControllerError(error, "Question Extraction");
@@ -404,7 +492,13 @@ export const extractQuestions = async (req, res) => {
 export const translateExtractedQuestions = async (req, res) => {
   try {
     const { quizUuid } = req.params;
-    const { questionUuids, targetLanguages, priority = 'normal' } = req.body;
+    const { questionUuids, targetLanguages, subject, qa, priority = 'normal' } = req.body;
+
+    // Validate optional webhook callback
+    const callback = requireCallback(req, res);
+    if (callback === false) return;
+    const tenantId = requireTenant(req, res);
+    if (tenantId === false) return;
 
     // Validate quiz UUID
     if (!quizUuid) {
@@ -415,6 +509,24 @@ export const translateExtractedQuestions = async (req, res) => {
       });
     }
 
+    const subjectValidation = validateOptionalSubject(subject);
+    if (!subjectValidation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: subjectValidation.error,
+        message: subjectValidation.message
+      });
+    }
+
+    const qaValidation = validateOptionalQa(qa);
+    if (!qaValidation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: qaValidation.error,
+        message: qaValidation.message
+      });
+    }
+
     // Get target languages from request or fetch available languages
     let languagesToTranslate = targetLanguages;
     if (!languagesToTranslate || !Array.isArray(languagesToTranslate) || languagesToTranslate.length === 0) {
@@ -472,8 +584,11 @@ export const translateExtractedQuestions = async (req, res) => {
     const queueId = translationQueue.addToQueue('questions', {
       quizUuid,
       targetLanguages: languagesToTranslate,
-      questions: questionsToTranslate
-    }, priority);
+      questions: questionsToTranslate,
+      ...(subjectValidation.subject && { subject: subjectValidation.subject }),
+      ...(qa !== undefined && { qa }),
+      ...(tenantId && { tenantId })
+    }, priority, callback);
 
     // Get queue status for response
     const queueStatus = translationQueue.getStatus(queueId);
@@ -492,6 +607,7 @@ export const translateExtractedQuestions = async (req, res) => {
         targetLanguages: languagesToTranslate,
         questionUuids: questionUuids || "all",
         questionsCount: questionsToTranslate.length,
+        ...(callback && { callbackUrl: callback.url }),
         checkStatusUrl: `/api/translation/status/${queueId}`
       }
     });
@@ -579,6 +695,69 @@ export const getTranslationStatus = async (req, res) => {
   }
 };
 
+// Stream status changes of one request of `queue` as Server-Sent Events. The first event is
+// the current status; the stream ends after the request completes, fails or is cancelled.
+export const createStatusStream = (queue) => async (req, res) => {
+  try {
+    const { queueId } = req.params;
+    const status = queue.getStatus(queueId);
+
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: "Translation request not found. It may have been completed and removed from records."
+      });
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive",
+      "X-Accel-Buffering": "no" // disable proxy buffering (nginx)
+    });
+
+    let eventId = 0;
+    const send = (event, data) => {
+      res.write(`id: ${++eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send("status", status);
+    if (FINAL_STATES.includes(status.status)) {
+      return res.end();
+    }
+
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+    const unsubscribe = queue.subscribe(queueId, ({ type, data, at }) => {
+      send(type, { ...data, at });
+      if (type === "state" && FINAL_STATES.includes(data.status)) {
+        close();
+        res.end();
+      }
+    });
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+
+    req.on("close", close);
+
+  } catch (error) {
+    console.error("Error streaming translation status:", error);
+    const formattedError = formatControllerError(error, "Stream Translation Status");
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(formattedError.status || 500).json({
+      success: false,
+      error: formattedError.error,
+      message: formattedError.message
+    });
+  }
+};
+
+export const streamTranslationStatus = createStatusStream(translationQueue);
+
 // Get overall queue status
 export const getQueueStatus = async (req, res) => {
   try {
@@ -625,15 +804,15 @@ export const cancelTranslation = async (req, res) => {
       });
     }
 
-    if (status.status === 'processing') {
+    if (status.status === 'cancelling') {
       return res.status(400).json({
         success: false,
         error: "Cannot Cancel",
-        message: "Translation is currently processing and cannot be cancelled"
+        message: "Translation is already being cancelled"
       });
     }
 
-    if (status.status === 'completed' || status.status === 'failed') {
+    if (status.status === 'completed' || status.status === 'failed' || status.status === 'cancelled') {
       return res.status(400).json({
         success: false,
         error: "Cannot Cancel",
@@ -641,6 +820,20 @@ export const cancelTranslation = async (req, res) => {
       });
     }
 
+    // Processing (or paused) jobs stop at their next question or language and keep their partial results
+    if (status.status === 'processing' || status.status === 'paused') {
+      translationQueue.cancelRequest(queueId);
+      return res.status(202).json({
+        success: true,
+        message: "Cancellation requested. The translation stops after the current question or language; translated pairs are kept.",
+        data: {
+          queueId,
+          status: 'cancelling',
+          checkStatusUrl: `/api/translate/status/${queueId}`
+        }
+      });
+    }
+
     // Remove from queue
     const cancelled = translationQueue.cancelRequest(queueId);
 
@@ -668,3 +861,159 @@ export const cancelTranslation = async (req, res) => {
     });
   }
 };
+
+// Pause a processing translation at its next question or language
+export const pauseTranslation = async (req, res) => {
+  try {
+    const { queueId } = req.params;
+
+    const status = translationQueue.getStatus(queueId);
+
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: "Translation request not found"
+      });
+    }
+
+    const paused = translationQueue.pauseRequest(queueId);
+
+    if (!paused) {
+      return res.status(400).json({
+        success: false,
+        error: "Cannot Pause",
+        message: `Only processing translations can be paused (this one is ${status.status})`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Translation paused. It stops after the current question or language and keeps its slot until resumed or cancelled.",
+      data: paused
+    });
+
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        error: "Cannot Pause",
+        message: error.message
+      });
+    }
+
+    console.error("Error pausing translation:", error);
+    const formattedError = formatControllerError(error, "Pause Translation");
+    res.status(formattedError.status || 500).json({
+      success: false,
+      error: formattedError.error,
+      message: formattedError.message
+    });
+  }
+};
+
+// Resume a paused translation
+export const resumeTranslation = async (req, res) => {
+  try {
+    const { queueId } = req.params;
+
+    const status = translationQueue.getStatus(queueId);
+
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: "Translation request not found"
+      });
+    }
+
+    const resumed = translationQueue.resumeRequest(queueId);
+
+    if (!resumed) {
+      return res.status(400).json({
+        success: false,
+        error: "Cannot Resume",
+        message: `Only paused translations can be resumed (this one is ${status.status})`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Translation resumed",
+      data: resumed
+    });
+
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        error: "Cannot Resume",
+        message: error.message
+      });
+    }
+
+    console.error("Error resuming translation:", error);
+    const formattedError = formatControllerError(error, "Resume Translation");
+    res.status(formattedError.status || 500).json({
+      success: false,
+      error: formattedError.error,
+      message: formattedError.message
+    });
+  }
+};
+
+// Retry a failed or cancelled translation request, redoing only the question/language pairs that were not checkpointed
+export const retryTranslation = async (req, res) => {
+  try {
+    const { queueId } = req.params;
+
+    const status = translationQueue.getStatus(queueId);
+
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: "Translation request not found"
+      });
+    }
+
+    if (status.status !== 'failed' && status.status !== 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        error: "Cannot Retry",
+        message: `Only failed or cancelled translations can be retried (this one is ${status.status})`
+      });
+    }
+
+    const retry = translationQueue.retryRequest(queueId);
+
+    res.status(202).json({
+      success: true,
+      message: retry.completedPairs > 0
+        ? `Translation re-queued. ${retry.completedPairs} pairs restored from checkpoint, ${retry.missingPairs} left to translate.`
+        : "Translation re-queued.",
+      data: {
+        ...retry,
+        status: 'queued',
+        checkStatusUrl: `/api/translate/status/${queueId}`
+      }
+    });
+
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        error: "Cannot Retry",
+        message: error.message
+      });
+    }
+
+    console.error("Error retrying translation:", error);
+    const formattedError = formatControllerError(error, "Retry Translation");
+    res.status(formattedError.status || 500).json({
+      success: false,
+      error: formattedError.error,
+      message: formattedError.message
+    });
+  }
+};
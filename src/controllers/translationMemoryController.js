@@ -0,0 +1,70 @@
+import translationMemory from '../services/translationMemory.js';
+import { formatControllerError } from '../utils/errorHandler.js';
+
+// Invalid TMX (400) and a disabled memory (409) come back as error.status
+const sendMemoryError = (res, error, context) => {
+  if (error.status === 400 || error.status === 409) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.status === 400 ? "Invalid TMX" : "Translation Memory Disabled",
+      message: error.message
+    });
+  }
+
+  console.error(`Error in ${context}:`, error);
+  const formattedError = formatControllerError(error, context);
+  res.status(formattedError.status || 500).json({
+    success: false,
+    error: formattedError.error,
+    message: formattedError.message
+  });
+};
+
+export const getMemoryStats = async (req, res) => {
+  try {
+    await translationMemory.ready;
+
+    res.status(200).json({
+      success: true,
+      message: "Translation memory statistics retrieved successfully",
+      data: translationMemory.getStats()
+    });
+  } catch (error) {
+    sendMemoryError(res, error, "Get Translation Memory Stats");
+  }
+};
+
+// TMX 1.4 download, optionally limited to ?sourceLanguage=en&targetLanguage=fr
+export const exportMemory = async (req, res) => {
+  try {
+    await translationMemory.ready;
+    const { sourceLanguage, targetLanguage } = req.query;
+    const tmx = translationMemory.exportTmx({ sourceLanguage, targetLanguage });
+    const fileName = ['translation-memory', sourceLanguage, targetLanguage].filter(Boolean).join('-');
+
+    res.setHeader('Content-Type', 'application/x-tmx+xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.tmx"`);
+    res.status(200).send(tmx);
+  } catch (error) {
+    sendMemoryError(res, error, "Export Translation Memory");
+  }
+};
+
+// Accepts the TMX document as the raw body (application/x-tmx+xml, application/xml,
+// text/xml or text/plain) or as { tmx, context } JSON. ?context= applies to units without one.
+export const importMemory = async (req, res) => {
+  try {
+    await translationMemory.ready;
+    const tmx = typeof req.body === 'string' ? req.body : req.body?.tmx;
+    const context = req.query.context || req.body?.context || '';
+    const result = translationMemory.importTmx(tmx, { context });
+
+    res.status(200).json({
+      success: true,
+      message: `Imported ${result.imported} translation unit(s)`,
+      data: { ...result, entries: translationMemory.getStats().entries }
+    });
+  } catch (error) {
+    sendMemoryError(res, error, "Import Translation Memory");
+  }
+};
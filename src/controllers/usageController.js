@@ -0,0 +1,34 @@
+import usageLedger from '../services/usageLedger.js';
+import { validateUsageQuery } from '../utils/usageValidator.js';
+import { formatControllerError } from '../utils/errorHandler.js';
+
+// Token usage and cost of LLM calls, filtered by ?from=&to=&quizUuid=&operation=&provider=&model=
+export const getUsage = async (req, res) => {
+  try {
+    const validation = validateUsageQuery(req.query);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error,
+        message: validation.message
+      });
+    }
+
+    await usageLedger.ready;
+    const usage = usageLedger.query(validation.filters);
+
+    res.status(200).json({
+      success: true,
+      message: `${usage.totals.calls} LLM call(s), ${usage.totals.cost} USD`,
+      data: { filters: validation.filters, ...usage }
+    });
+  } catch (error) {
+    console.error("Error in Get Usage:", error);
+    const formattedError = formatControllerError(error, "Get Usage");
+    res.status(formattedError.status || 500).json({
+      success: false,
+      error: formattedError.error,
+      message: formattedError.message
+    });
+  }
+};
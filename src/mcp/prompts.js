@@ -0,0 +1,69 @@
+import { z } from 'zod';
+import {
+  buildExtractMcqPrompt,
+  buildCategorisePrompt,
+  buildTranslatePrompt,
+  buildBatchTranslatePrompt
+} from '../services/promptTemplates.js';
+
+const userPrompt = (text) => ({
+  messages: [{
+    role: 'user',
+    content: { type: 'text', text }
+  }]
+});
+
+const parseJsonArgument = (value, name) => {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${name} must be valid JSON: ${error.message}`);
+  }
+};
+
+export const registerPrompts = (server) => {
+  server.registerPrompt('extract-mcq', {
+    title: 'Extract multiple-choice questions',
+    description: 'Extract questions from text into the option_1..option_N schema accepted by the add_questions tool.',
+    argsSchema: {
+      text: z.string().describe('Text containing the questions'),
+      language: z.string().optional().describe('Language the text is written in')
+    }
+  }, ({ text, language }) => userPrompt(buildExtractMcqPrompt(text, language)));
+
+  server.registerPrompt('categorise', {
+    title: 'Categorise questions',
+    description: 'Determine the academic category (name, description, tagName) for a set of questions.',
+    argsSchema: {
+      questions: z.string().describe('JSON array of questions')
+    }
+  }, ({ questions }) => userPrompt(buildCategorisePrompt(parseJsonArgument(questions, 'questions'))));
+
+  server.registerPrompt('translate-text', {
+    title: 'Translate text',
+    description: 'Translate a single piece of quiz content.',
+    argsSchema: {
+      text: z.string(),
+      targetLanguage: z.string().describe('ISO 639-1 code of the target language'),
+      context: z.string().optional().describe('What the text is, e.g. "This is a quiz answer option"')
+    }
+  }, ({ text, targetLanguage, context }) => userPrompt(buildTranslatePrompt(text, targetLanguage, context)));
+
+  server.registerPrompt('translate-batch', {
+    title: 'Translate batch',
+    description: 'Translate several keyed texts in one call; the answer is a JSON object with the same keys.',
+    argsSchema: {
+      texts: z.string().describe('JSON object of key -> text to translate (a JSON array is keyed 1, 2, ...)'),
+      targetLanguage: z.string().describe('ISO 639-1 code of the target language')
+    }
+  }, ({ texts, targetLanguage }) => {
+    const parsedTexts = parseJsonArgument(texts, 'texts');
+    if (!parsedTexts || typeof parsedTexts !== 'object') {
+      throw new Error('texts must be a JSON object or array');
+    }
+    const keyedTexts = Array.isArray(parsedTexts)
+      ? Object.fromEntries(parsedTexts.map((text, i) => [String(i + 1), text]))
+      : parsedTexts;
+    return userPrompt(buildBatchTranslatePrompt(keyedTexts, targetLanguage));
+  });
+};
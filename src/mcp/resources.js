@@ -0,0 +1,84 @@
+import { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/config.js';
+import translationService from '../services/translationService.js';
+import translationQueue from '../services/translationQueue.js';
+
+// Only files written by TranslationService.writeQuestionsToFile are exposed
+const BACKUP_FILE_PATTERN = /^questions_[\w-]+\.json$/;
+
+const jsonContent = (uri, data) => ({
+  contents: [{
+    uri: uri.href,
+    mimeType: 'application/json',
+    text: JSON.stringify(data, null, 2)
+  }]
+});
+
+const listBackupFiles = async () => {
+  try {
+    const files = await fs.readdir(config.server.backupDir);
+    return files.filter(file => BACKUP_FILE_PATTERN.test(file)).sort().reverse();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+};
+
+export const registerResources = (server) => {
+  server.registerResource('quiz', new ResourceTemplate('quiz://{uuid}', { list: undefined }), {
+    title: 'Quiz',
+    description: 'A QuizFactor quiz with its questions and available translations',
+    mimeType: 'application/json'
+  }, async (uri, { uuid }) => jsonContent(uri, await translationService.getQuizInfo(uuid)));
+
+  server.registerResource('job', new ResourceTemplate('job://{queueId}', {
+    list: async () => ({
+      resources: translationQueue.listJobs().map(job => ({
+        uri: `job://${job.id}`,
+        name: `${job.type} job ${job.id}`,
+        description: `Status: ${job.status}`,
+        mimeType: 'application/json'
+      }))
+    })
+  }), {
+    title: 'Queue job',
+    description: 'Status, progress and result of a translation queue request',
+    mimeType: 'application/json'
+  }, async (uri, { queueId }) => {
+    const status = translationQueue.getStatus(queueId);
+    if (!status) {
+      throw new Error(`Translation request not found: ${queueId}`);
+    }
+    return jsonContent(uri, status);
+  });
+
+  server.registerResource('backup', new ResourceTemplate('backup://{file}', {
+    list: async () => ({
+      resources: (await listBackupFiles()).map(file => ({
+        uri: `backup://${file}`,
+        name: file,
+        mimeType: 'application/json'
+      }))
+    })
+  }), {
+    title: 'Extraction backup',
+    description: 'JSON snapshot of questions written before extraction or translation results are sent to QuizFactor',
+    mimeType: 'application/json'
+  }, async (uri, { file }) => {
+    const fileName = decodeURIComponent(file);
+    if (!BACKUP_FILE_PATTERN.test(fileName)) {
+      throw new Error(`Invalid backup file name: ${fileName}`);
+    }
+
+    const content = await fs.readFile(path.join(config.server.backupDir, fileName), 'utf8');
+    return {
+      contents: [{
+        uri: uri.href,
+        mimeType: 'application/json',
+        text: content
+      }]
+    };
+  });
+};
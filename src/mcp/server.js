@@ -0,0 +1,20 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { config } from '../config/config.js';
+import { registerTools } from './tools.js';
+import { registerResources } from './resources.js';
+import { registerPrompts } from './prompts.js';
+
+// Build an MCP server exposing the extraction and translation pipeline.
+// A fresh instance is created per transport connection.
+export const createMcpServer = () => {
+  const server = new McpServer({
+    name: config.mcp.serverName,
+    version: config.mcp.serverVersion
+  });
+
+  registerTools(server);
+  registerResources(server);
+  registerPrompts(server);
+
+  return server;
+};
@@ -0,0 +1,32 @@
+import './stdioConsole.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { createMcpServer } from './server.js';
+import translationQueue from '../services/translationQueue.js';
+import { createQueueStore } from '../services/queueStore.js';
+import usageLedger from '../services/usageLedger.js';
+import { config } from '../config/config.js';
+
+async function main() {
+  const server = createMcpServer();
+  const transport = new StdioServerTransport();
+  await server.connect(transport);
+  console.error('🔌 MCP server listening on stdio');
+
+  // The API server restores and processes config.queue; sharing it would run its jobs twice
+  translationQueue.store = createQueueStore(config.mcp.queue);
+  await translationQueue.start();
+
+  const shutdown = async () => {
+    await translationQueue.stopProcessing();
+    await usageLedger.store.flush();
+    await server.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+  console.error('MCP server error:', error);
+  process.exit(1);
+});
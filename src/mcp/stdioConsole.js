@@ -0,0 +1,5 @@
+// The stdio transport owns stdout, so every console method that writes to
+// stdout is redirected to stderr before any service module is loaded.
+console.log = console.error;
+console.info = console.error;
+console.debug = console.error;
@@ -0,0 +1,346 @@
+import { z } from 'zod';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/config.js';
+import translationService from '../services/translationService.js';
+import translationQueue from '../services/translationQueue.js';
+import documentProcessor, { EXTRACTION_MODES } from '../services/documentProcessor.js';
+import spreadsheetImporter from '../services/spreadsheetImporter.js';
+import quizFactorApiService from '../services/quizFactorApiService.js';
+import { validateLanguages } from '../utils/languageValidator.js';
+
+const priorityField = z.enum(['normal', 'high']).default('normal')
+  .describe('Queue priority. High priority jobs jump to the front of the queue.');
+
+const cascadeField = z.boolean().default(false)
+  .describe('Also queue every course, quiz and question below this item. The job status aggregates them under `cascade`.');
+
+const targetLanguagesField = z.array(z.string()).optional()
+  .describe('ISO 639-1 language codes. Defaults to every language enabled in QuizFactor.');
+
+// Wrap a JSON payload in the MCP tool result format
+const toolResult = (data) => ({
+  content: [{ type: 'text', text: JSON.stringify(data, null, 2) }]
+});
+
+const toolError = (error) => ({
+  isError: true,
+  content: [{ type: 'text', text: error.message || String(error) }]
+});
+
+// Run a tool handler and convert thrown errors into MCP error results
+const handle = (fn) => async (args) => {
+  try {
+    return toolResult(await fn(args));
+  } catch (error) {
+    console.error('❌ MCP tool error:', error.message);
+    return toolError(error);
+  }
+};
+
+// Documents are only read from the upload directory, so a client cannot make the server
+// read any other file and send it to the LLM. filePath is relative to that directory.
+export const resolveUploadPath = async (filePath) => {
+  const uploadDir = await fs.realpath(config.files.upload.uploadDir);
+  const outside = (target) => {
+    const relative = path.relative(uploadDir, target);
+    return !relative || relative.startsWith('..') || path.isAbsolute(relative);
+  };
+
+  const resolved = path.resolve(uploadDir, filePath);
+  if (outside(resolved)) {
+    throw new Error('filePath must be a file in the upload directory');
+  }
+  // Symlinks must not lead out of it either
+  const real = await fs.realpath(resolved).catch(() => {
+    throw new Error(`File not found in the upload directory: ${filePath}`);
+  });
+  if (outside(real)) {
+    throw new Error('filePath must be a file in the upload directory');
+  }
+  return real;
+};
+
+const resolveTargetLanguages = async (targetLanguages) => {
+  if (targetLanguages && targetLanguages.length > 0) {
+    const validation = validateLanguages(targetLanguages);
+    if (!validation.isValid) {
+      throw new Error(validation.message);
+    }
+    return targetLanguages;
+  }
+
+  const languages = await translationService.getLanguages();
+  if (!languages || languages.length === 0) {
+    throw new Error('No target languages available for translation');
+  }
+  return languages.map(lang => lang.code);
+};
+
+const queuedResult = (queueId, extra = {}) => {
+  const queueStatus = translationQueue.getStatus(queueId);
+  return {
+    queueId,
+    status: 'queued',
+    queuePosition: queueStatus?.queuePosition,
+    totalInQueue: queueStatus?.totalInQueue,
+    estimatedStartTime: queueStatus?.estimatedStartTime,
+    ...extra
+  };
+};
+
+export const registerTools = (server) => {
+  server.registerTool('extract_questions', {
+    title: 'Extract questions',
+    description: 'Extract multiple-choice questions from raw text or a document on the server (PDF, DOC/DOCX, EPUB, TXT) and add them to an existing quiz without translating them. Spreadsheets (XLSX, CSV) are imported by column without an LLM call.',
+    inputSchema: {
+      quizUuid: z.string().describe('UUID of the QuizFactor quiz that receives the questions'),
+      text: z.string().optional().describe('Raw text containing the questions'),
+      filePath: z.string().optional().describe('Path of a document in the server upload directory, relative to it'),
+      columnMap: z.record(z.string()).optional()
+        .describe('Spreadsheet header overrides, e.g. { "question": "Stem", "correctAnswer": "Key" }'),
+      mode: z.enum(EXTRACTION_MODES).optional()
+        .describe('parser: local structured-text parser only; llm: LLM extraction; hybrid: parse locally and send only unparsed blocks to the LLM')
+    }
+  }, handle(async ({ quizUuid, text, filePath: requestedPath, columnMap, mode }) => {
+    if (!text && !requestedPath) {
+      throw new Error('Either text or filePath is required');
+    }
+    const filePath = requestedPath && await resolveUploadPath(requestedPath);
+
+    let content;
+    let rejectedRows;
+    let extractionStats;
+    if (filePath && spreadsheetImporter.supports(filePath)) {
+      const importResult = await spreadsheetImporter.importFile(filePath, filePath, { columnMap });
+      content = importResult.questions;
+      rejectedRows = importResult.rejected;
+    } else {
+      const extraction = filePath
+        ? await documentProcessor.processFile(filePath, filePath, mode)
+        : await documentProcessor.extractQuestionsFromText(text, mode);
+      content = extraction.questions;
+      extractionStats = extraction.stats;
+    }
+
+    if (!content || content.length === 0) {
+      throw new Error('No content could be extracted from the document');
+    }
+
+    const result = await translationService.extractAndAddQuestions(content, quizUuid);
+    return {
+      quizUuid: result.quizUuid,
+      status: result.status,
+      message: result.message,
+      questionCount: result.questions?.length || 0,
+      questionUuids: (result.questions || []).map(q => q.uuid),
+      ...(rejectedRows && { rejectedRows }),
+      ...(result.rejectedQuestions && { rejectedQuestions: result.rejectedQuestions }),
+      ...(extractionStats && { extraction: extractionStats })
+    };
+  }));
+
+  server.registerTool('add_questions', {
+    title: 'Add questions',
+    description: 'Add questions that were already extracted (for example with the extract-mcq prompt) to an existing quiz.',
+    inputSchema: {
+      quizUuid: z.string().describe('UUID of the QuizFactor quiz that receives the questions'),
+      questions: z.array(z.object({
+        questionText: z.string(),
+        options: z.record(z.string()).describe('Options keyed option_1, option_2, ...'),
+        correctAnswer: z.union([z.string(), z.array(z.string())]),
+        explanation: z.string().optional()
+      })).min(1)
+    }
+  }, handle(async ({ quizUuid, questions }) => {
+    const result = await translationService.extractAndAddQuestions(questions, quizUuid);
+    return {
+      quizUuid: result.quizUuid,
+      status: result.status,
+      message: result.message,
+      questionCount: result.questions?.length || 0,
+      questionUuids: (result.questions || []).map(q => q.uuid),
+      ...(result.rejectedQuestions && { rejectedQuestions: result.rejectedQuestions })
+    };
+  }));
+
+  server.registerTool('translate_category', {
+    title: 'Translate category',
+    description: 'Queue translation of a course category name and description, optionally cascading to its courses, quizzes and questions.',
+    inputSchema: {
+      categoryUuid: z.string(),
+      targetLanguages: targetLanguagesField,
+      cascade: cascadeField,
+      priority: priorityField
+    }
+  }, handle(async ({ categoryUuid, targetLanguages, cascade, priority }) => {
+    const languages = await resolveTargetLanguages(targetLanguages);
+    const queueId = translationQueue.addToQueue('category', {
+      categoryUuid,
+      targetLanguages: languages,
+      ...(cascade && { cascade })
+    }, priority);
+    return queuedResult(queueId, { categoryUuid, targetLanguages: languages, cascade });
+  }));
+
+  server.registerTool('translate_course', {
+    title: 'Translate course',
+    description: 'Queue translation of a course title and description, optionally cascading to its quizzes and questions.',
+    inputSchema: {
+      courseUuid: z.string(),
+      targetLanguages: targetLanguagesField,
+      cascade: cascadeField,
+      priority: priorityField
+    }
+  }, handle(async ({ courseUuid, targetLanguages, cascade, priority }) => {
+    const languages = await resolveTargetLanguages(targetLanguages);
+    const queueId = translationQueue.addToQueue('course', {
+      courseUuid,
+      targetLanguages: languages,
+      ...(cascade && { cascade })
+    }, priority);
+    return queuedResult(queueId, { courseUuid, targetLanguages: languages, cascade });
+  }));
+
+  server.registerTool('translate_quiz', {
+    title: 'Translate quiz',
+    description: 'Queue translation of a quiz title and description, and optionally of its questions.',
+    inputSchema: {
+      quizUuid: z.string(),
+      targetLanguages: targetLanguagesField,
+      includeQuestions: z.boolean().default(false)
+        .describe('Also queue translation of the quiz questions'),
+      questionUuids: z.array(z.string()).optional()
+        .describe('Restrict question translation to these question UUIDs'),
+      cascade: cascadeField,
+      priority: priorityField
+    }
+  }, handle(async ({ quizUuid, targetLanguages, includeQuestions, questionUuids, cascade, priority }) => {
+    const languages = await resolveTargetLanguages(targetLanguages);
+    const queueId = translationQueue.addToQueue('quiz', {
+      quizUuid,
+      targetLanguages: languages,
+      ...(cascade && { cascade })
+    }, priority);
+    const result = queuedResult(queueId, { quizUuid, targetLanguages: languages, cascade });
+
+    // With cascade the quiz job queues all of its questions itself
+    if (includeQuestions && !cascade) {
+      const quizResponse = await quizFactorApiService.verifyQuiz(quizUuid);
+      let questions = quizResponse.data?.questions || [];
+      if (questionUuids && questionUuids.length > 0) {
+        questions = questions.filter(q => questionUuids.includes(q.uuid));
+      }
+
+      if (questions.length === 0) {
+        result.questions = { message: 'No questions found to translate' };
+      } else {
+        const questionsQueueId = translationQueue.addToQueue('questions', {
+          quizUuid,
+          targetLanguages: languages,
+          questions
+        }, priority);
+        result.questions = queuedResult(questionsQueueId, { questionsCount: questions.length });
+      }
+    }
+
+    return result;
+  }));
+
+  server.registerTool('get_quiz_info', {
+    title: 'Get quiz info',
+    description: 'Fetch a quiz from QuizFactor with its questions and available translations.',
+    inputSchema: {
+      quizUuid: z.string()
+    },
+    annotations: { readOnlyHint: true }
+  }, handle(async ({ quizUuid }) => translationService.getQuizInfo(quizUuid)));
+
+  server.registerTool('get_translation_status', {
+    title: 'Get translation status',
+    description: 'Get the status and progress of a queued translation request.',
+    inputSchema: {
+      queueId: z.string()
+    },
+    annotations: { readOnlyHint: true }
+  }, handle(async ({ queueId }) => {
+    const status = translationQueue.getStatus(queueId);
+    if (!status) {
+      throw new Error(`Translation request not found: ${queueId}`);
+    }
+    return status;
+  }));
+
+  server.registerTool('get_queue_status', {
+    title: 'Get queue status',
+    description: 'List queued and processing translation requests with overall queue statistics.',
+    inputSchema: {},
+    annotations: { readOnlyHint: true }
+  }, handle(async () => translationQueue.getQueueStatus()));
+
+  server.registerTool('cancel_translation', {
+    title: 'Cancel translation',
+    description: 'Cancel a translation request. Queued requests are removed; processing requests stop after the current question or language and keep their translated pairs.',
+    inputSchema: {
+      queueId: z.string()
+    },
+    annotations: { destructiveHint: true }
+  }, handle(async ({ queueId }) => {
+    const status = translationQueue.getStatus(queueId);
+    if (!status) {
+      throw new Error(`Translation request not found: ${queueId}`);
+    }
+    if (!['queued', 'processing', 'paused'].includes(status.status)) {
+      throw new Error(`Translation is ${status.status} and cannot be cancelled`);
+    }
+    if (!translationQueue.cancelRequest(queueId)) {
+      throw new Error('Unable to cancel the translation request');
+    }
+    return { queueId, status: status.status === 'queued' ? 'cancelled' : 'cancelling' };
+  }));
+
+  server.registerTool('pause_translation', {
+    title: 'Pause translation',
+    description: 'Pause a processing translation request after its current question or language. It keeps its queue slot until resumed or cancelled.',
+    inputSchema: {
+      queueId: z.string()
+    }
+  }, handle(async ({ queueId }) => {
+    const paused = translationQueue.pauseRequest(queueId);
+    if (!paused) {
+      throw new Error(`Translation request is not processing: ${queueId}`);
+    }
+    return paused;
+  }));
+
+  server.registerTool('resume_translation', {
+    title: 'Resume translation',
+    description: 'Resume a paused translation request.',
+    inputSchema: {
+      queueId: z.string()
+    }
+  }, handle(async ({ queueId }) => {
+    const resumed = translationQueue.resumeRequest(queueId);
+    if (!resumed) {
+      throw new Error(`Translation request is not processing: ${queueId}`);
+    }
+    return resumed;
+  }));
+
+  server.registerTool('retry_translation', {
+    title: 'Retry translation',
+    description: 'Re-queue a failed or cancelled translation request. Question/language pairs that were already translated are restored from checkpoints, only the missing ones are translated again.',
+    inputSchema: {
+      queueId: z.string()
+    }
+  }, handle(async ({ queueId }) => {
+    const status = translationQueue.getStatus(queueId);
+    if (!status) {
+      throw new Error(`Translation request not found: ${queueId}`);
+    }
+    if (status.status !== 'failed' && status.status !== 'cancelled') {
+      throw new Error(`Only failed or cancelled translations can be retried (this one is ${status.status})`);
+    }
+    return { ...translationQueue.retryRequest(queueId), status: 'queued' };
+  }));
+};
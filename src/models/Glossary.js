@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// Persisted glossary of one subject (see services/glossaryStore.js)
+const glossarySchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  glossary: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+const Glossary = mongoose.model('Glossary', glossarySchema);
+
+export default Glossary;
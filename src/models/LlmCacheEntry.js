@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Cached LLM answer (see services/llmCacheStore.js)
+const llmCacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  entry: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, { minimize: false });
+
+const LlmCacheEntry = mongoose.model('LlmCacheEntry', llmCacheEntrySchema);
+
+export default LlmCacheEntry;
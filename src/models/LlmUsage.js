@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// LLM usage of one day, operation, quiz and model (see services/usageStore.js)
+const llmUsageSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  date: {
+    type: String,
+    required: true,
+    index: true
+  },
+  usage: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+const LlmUsage = mongoose.model('LlmUsage', llmUsageSchema);
+
+export default LlmUsage;
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// Persisted TranslationQueue item (see services/queueStore.js)
+const translationJobSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed', 'cancelled'],
+    required: true,
+    index: true
+  },
+  job: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+const TranslationJob = mongoose.model('TranslationJob', translationJobSchema);
+
+export default TranslationJob;
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Persisted TranslationMemory entry (see services/translationMemoryStore.js)
+const translationMemoryEntrySchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sourceLanguage: {
+    type: String,
+    required: true
+  },
+  targetLanguage: {
+    type: String,
+    required: true,
+    index: true
+  },
+  entry: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+const TranslationMemoryEntry = mongoose.model('TranslationMemoryEntry', translationMemoryEntrySchema);
+
+export default TranslationMemoryEntry;
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// Persisted TranslationScheduler entry (see services/scheduleStore.js)
+const translationScheduleSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  schedule: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+const TranslationSchedule = mongoose.model('TranslationSchedule', translationScheduleSchema);
+
+export default TranslationSchedule;
@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  listGlossaries,
+  getGlossary,
+  putGlossary,
+  deleteGlossary,
+  addGlossaryTerm,
+  removeGlossaryTerm
+} from '../controllers/glossaryController.js';
+
+const router = express.Router();
+
+// Glossaries per subject (category tag), "all" applies to every subject
+router.get('/', listGlossaries);
+router.get('/:subject', getGlossary);
+router.put('/:subject', putGlossary);
+router.delete('/:subject', deleteGlossary);
+
+// Single terms
+router.post('/:subject/terms', addGlossaryTerm);
+router.delete('/:subject/terms/:termId', removeGlossaryTerm);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+import { getHealth } from '../controllers/healthController.js';
+
+const router = express.Router();
+
+// Health of the LLM providers; ?refresh=true checks every provider now
+router.get('/', getHealth);
+
+export default router;
@@ -0,0 +1,46 @@
+import express from 'express';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { createMcpServer } from '../mcp/server.js';
+
+const router = express.Router();
+
+// Stateless streamable HTTP: every request gets its own server and transport
+router.post('/', async (req, res) => {
+  const server = createMcpServer();
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: undefined
+  });
+
+  res.on('close', () => {
+    transport.close();
+    server.close();
+  });
+
+  try {
+    await server.connect(transport);
+    await transport.handleRequest(req, res, req.body);
+  } catch (error) {
+    console.error('Error handling MCP request:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        jsonrpc: '2.0',
+        error: { code: -32603, message: 'Internal server error' },
+        id: null
+      });
+    }
+  }
+});
+
+// Sessions and server-initiated streams are not supported in stateless mode
+const methodNotAllowed = (req, res) => {
+  res.status(405).json({
+    jsonrpc: '2.0',
+    error: { code: -32000, message: 'Method not allowed.' },
+    id: null
+  });
+};
+
+router.get('/', methodNotAllowed);
+router.delete('/', methodNotAllowed);
+
+export default router;
@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  runSchedule,
+  getScheduleRuns
+} from '../controllers/scheduleController.js';
+
+const router = express.Router();
+
+// Recurring translation jobs (cron specs)
+router.get('/', listSchedules);
+router.post('/', createSchedule);
+router.get('/:scheduleId', getSchedule);
+router.patch('/:scheduleId', updateSchedule);
+router.delete('/:scheduleId', deleteSchedule);
+
+// Run history and manual trigger
+router.get('/:scheduleId/runs', getScheduleRuns);
+router.post('/:scheduleId/run', runSchedule);
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getMemoryStats,
+  exportMemory,
+  importMemory
+} from '../controllers/translationMemoryController.js';
+
+const router = express.Router();
+
+const tmxBody = express.text({
+  type: ['application/x-tmx+xml', 'application/xml', 'text/xml', 'text/plain'],
+  limit: '20mb'
+});
+
+// Translation memory statistics and TMX import/export
+router.get('/', getMemoryStats);
+router.get('/export', exportMemory);
+router.post('/import', tmxBody, importMemory);
+
+export default router;
@@ -9,8 +9,12 @@ import {
   translateExtractedQuestions,
   getQuizInfo,
   getTranslationStatus,
+  streamTranslationStatus,
   getQueueStatus,
-  cancelTranslation
+  cancelTranslation,
+  pauseTranslation,
+  resumeTranslation,
+  retryTranslation
 } from '../controllers/translationController.js';
 import { uploadAny } from '../middleware/upload.js';
 
@@ -35,7 +39,11 @@ router.post('/quiz/:quizUuid/translate-extracted', translateExtractedQuestions);
 
 // Queue management routes
 router.get('/status/:queueId', getTranslationStatus);
+router.get('/status/:queueId/stream', streamTranslationStatus);
 router.get('/queue-status', getQueueStatus);
 router.delete('/cancel/:queueId', cancelTranslation);
+router.post('/pause/:queueId', pauseTranslation);
+router.post('/resume/:queueId', resumeTranslation);
+router.post('/retry/:queueId', retryTranslation);
 
 export default router; 
\ No newline at end of file
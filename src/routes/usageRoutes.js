@@ -0,0 +1,9 @@
+import express from 'express';
+import { getUsage } from '../controllers/usageController.js';
+
+const router = express.Router();
+
+// LLM token usage and cost per day, operation, quiz and model
+router.get('/', getUsage);
+
+export default router;
@@ -1,6 +1,11 @@
 import mongoose from 'mongoose';
 import app from './app.js';
 import { config } from './config/config.js';
+import translationQueue from './services/translationQueue.js';
+import translationScheduler from './services/translationScheduler.js';
+import translationMemory from './services/translationMemory.js';
+import glossaryService from './services/glossaryService.js';
+import usageLedger from './services/usageLedger.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -24,6 +29,14 @@ async function initialize() {
     // await mongoose.connect('mongodb://localhost:27017/qiuzellm');
     // console.log('Connected to MongoDB');
 
+    // Restore persisted jobs before anything is queued, then process them
+    await translationQueue.start();
+
+    // Enqueue recurring translations from their cron specs
+    if (config.scheduler.enabled) {
+      translationScheduler.start();
+    }
+
     // Start server
     const PORT = config.server.port;
     app.listen(PORT, () => {
@@ -36,6 +49,19 @@ async function initialize() {
   }
 }
 
+// Flush the persisted queue before PM2 restarts or stops the process
+async function shutdown(signal) {
+  console.log(`${signal} received, shutting down`);
+  await translationScheduler.stop();
+  await translationQueue.stopProcessing();
+  await translationMemory.flush();
+  await glossaryService.flush();
+  await usageLedger.store.flush();
+  process.exit(0);
+}
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 initialize().catch(error => {
   console.error('Initialization error:', error);
   process.exit(1);
@@ -0,0 +1,74 @@
+// Circuit breaker for one provider/model of the LLM fallback chain (see llmService.js)
+//   closed     requests go through; `failureThreshold` failures in a row open the circuit
+//   open       requests are refused for `cooldownMs`
+//   half-open  after the cooldown one trial request (or health probe) goes through: success
+//              closes the circuit, failure opens it again
+export class CircuitBreaker {
+  constructor(name, { failureThreshold = 3, cooldownMs = 30000 } = {}, now = Date.now) {
+    this.name = name;
+    this.failureThreshold = Math.max(1, failureThreshold);
+    this.cooldownMs = cooldownMs;
+    this.now = now;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.stats = { successes: 0, failures: 0, opened: 0 };
+  }
+
+  // True when a request may go through now. Once the cooldown is over only the first caller
+  // gets through, as the trial request.
+  allowRequest() {
+    if (this.state === 'open' && this.retryInMs() === 0) {
+      this.state = 'half-open';
+    }
+    if (this.state === 'closed') return true;
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.stats.successes++;
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.stats.failures++;
+    this.trialInFlight = false;
+    this.lastError = error?.message || null;
+    if (this.state !== 'closed' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') this.stats.opened++;
+      this.state = 'open';
+      this.openedAt = this.now();
+    }
+  }
+
+  // End a trial without a verdict (e.g. the request was rate limited)
+  release() {
+    this.trialInFlight = false;
+  }
+
+  // Milliseconds until an open circuit lets a trial through, 0 otherwise
+  retryInMs() {
+    return this.state === 'open' ? Math.max(0, this.openedAt + this.cooldownMs - this.now()) : 0;
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.failures,
+      retryInMs: this.retryInMs(),
+      lastError: this.lastError,
+      ...this.stats
+    };
+  }
+}
@@ -6,23 +6,167 @@ import EPub from 'epub';
 import fs from 'fs/promises';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
-import translationService from './translationService.js';
+import extractionService from './extractionService.js';
+import llmService, { summarizeLlmCalls } from './llmService.js';
+import { isProviderError } from './providerHealth.js';
+import { config } from '../config/config.js';
+import { toCanonicalQuestion } from '../utils/questionSchema.js';
+
+// parser: local structured-text parser only, no LLM call
+// llm:    send the whole document to the LLM
+// hybrid: parse well-formatted blocks locally, send only the rest to the LLM
+export const EXTRACTION_MODES = ['parser', 'llm', 'hybrid'];
 
 class DocumentProcessor {
-  async processPDF(filePath) {
+  resolveExtractionMode(mode) {
+    const extractionMode = (mode || config.processing.extractionMode).toLowerCase();
+    if (!EXTRACTION_MODES.includes(extractionMode)) {
+      const error = new Error(`Invalid extraction mode "${mode}". Expected one of: ${EXTRACTION_MODES.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    return extractionMode;
+  }
+
+  // Dispatch a file to the matching text extractor based on its extension,
+  // then extract questions from the text with the requested mode.
+  async processFile(filePath, fileName = filePath, mode, options = {}) {
+    const extractionMode = this.resolveExtractionMode(mode);
+    const text = await this.extractText(filePath, fileName);
+    return this.extractQuestionsFromText(text, extractionMode, options);
+  }
+
+  async extractText(filePath, fileName = filePath) {
+    const fileExt = path.extname(fileName).toLowerCase();
+
+    switch (fileExt) {
+      case '.pdf':
+        return this.extractPDFText(filePath);
+      case '.docx':
+      case '.doc':
+        return this.extractDOCText(filePath);
+      case '.epub':
+        return this.extractEPUBText(filePath);
+      case '.txt':
+        return fs.readFile(filePath, 'utf8');
+      default:
+        throw new Error(`Unsupported file type: ${fileExt || 'unknown'}`);
+    }
+  }
+
+  // Returns { questions, stats } with questions in the canonical schema (utils/questionSchema.js);
+  // stats.llm lists the providers and models that answered.
+  // options are passed to extractionService (e.g. onChunk for per-chunk progress)
+  async extractQuestionsFromText(text, mode, options = {}) {
+    const extractionMode = this.resolveExtractionMode(mode);
+    console.log(`🧩 Extracting questions (mode: ${extractionMode})`);
+    const llmCalls = [];
+
+    if (extractionMode === 'llm') {
+      const questions = await llmService.track(llmCalls, () => extractionService.extractQuestions(text, options));
+      return {
+        questions,
+        stats: { mode: extractionMode, extractedByLlm: questions.length, llm: summarizeLlmCalls(llmCalls) }
+      };
+    }
+
+    const { questions: parsedQuestions, failedBlocks } = this.parseBlocks(text);
+    const stats = {
+      mode: extractionMode,
+      parsedLocally: parsedQuestions.length,
+      unparsedBlocks: failedBlocks.length,
+      sentToLlm: 0,
+      extractedByLlm: 0
+    };
+
+    if (extractionMode === 'parser') {
+      console.log(`✅ Parsed ${parsedQuestions.length} questions locally (${failedBlocks.length} blocks skipped)`);
+      return { questions: parsedQuestions, stats };
+    }
+
+    // Hybrid: headers and other prose are dropped, only question-like blocks go to the LLM
+    const llmBlocks = failedBlocks.filter(block => this.looksLikeQuestion(block));
+    let llmQuestions = [];
+    if (llmBlocks.length > 0) {
+      console.log(`🤖 Sending ${llmBlocks.length} unparsed blocks to the LLM`);
+      try {
+        llmQuestions = await llmService.track(llmCalls, () => extractionService.extractQuestions(llmBlocks.join('\n\n'), options));
+      } catch (error) {
+        // Keep what the parser found rather than failing the whole document
+        if (parsedQuestions.length === 0) throw error;
+        console.warn(`⚠️ LLM extraction failed for unparsed blocks: ${error.message}`);
+        stats.llmError = error.message;
+      }
+    }
+
+    stats.sentToLlm = llmBlocks.length;
+    stats.extractedByLlm = llmQuestions.length;
+    stats.llm = summarizeLlmCalls(llmCalls);
+    console.log(`✅ Hybrid extraction: ${parsedQuestions.length} parsed locally, ${llmQuestions.length} from LLM`);
+
+    return { questions: [...parsedQuestions, ...llmQuestions], stats };
+  }
+
+  // Parse every block strictly; blocks without a question, two options and a marked answer fail
+  parseBlocks(text) {
+    const questions = [];
+    const failedBlocks = [];
+
+    for (const block of this.splitIntoBlocks(text)) {
+      const questionData = this.parseQuestionContent(block, { strict: true });
+      if (questionData) {
+        questions.push(this.toExtractedQuestion(questionData));
+      } else {
+        failedBlocks.push(block);
+      }
+    }
+
+    return { questions, failedBlocks };
+  }
+
+  splitIntoBlocks(text) {
+    const cleanedText = text.replace(/\r\n/g, '\n')  // Normalize line endings
+      .replace(/\n{3,}/g, '\n\n') // Normalize multiple line breaks
+      .trim();
+
+    return cleanedText.split(/(?=^(?:Question\s*\d*\s*[:.)]|Q\d+[:.)]|\d+[.)]\s))/im)
+      .map(block => block.trim())
+      .filter(Boolean);
+  }
+
+  toExtractedQuestion(questionData) {
+    return toCanonicalQuestion({
+      ...questionData,
+      difficulty: this.assessDifficulty(questionData),
+      points: this.calculatePoints(questionData),
+      metadata: {
+        source: "document_parser",
+        extractionMethod: "parser"
+      }
+    });
+  }
+
+  async processPDF(filePath, mode = 'llm') {
     try {
-      console.log("Processing PDF file:", filePath);
-      const dataBuffer = await fs.readFile(filePath);
-      const data = await pdfParse(dataBuffer);
-      console.log("PDF text length:", data.text.length);
-      console.log("First 200 characters:", data.text.substring(0, 200));
-      return translationService.extractQuestionsWithLLM(data.text);
+      const text = await this.extractPDFText(filePath);
+      const { questions } = await this.extractQuestionsFromText(text, mode);
+      return questions;
     } catch (error) {
       console.error("PDF processing error:", error);
-      throw new Error(`Failed to process PDF: ${error.message}`);
+      // Credit, key and model errors keep their status and code for the controller
+      throw isProviderError(error) ? error : new Error(`Failed to process PDF: ${error.message}`);
     }
   }
 
+  async extractPDFText(filePath) {
+    console.log("Processing PDF file:", filePath);
+    const dataBuffer = await fs.readFile(filePath);
+    const data = await pdfParse(dataBuffer);
+    console.log("PDF text length:", data.text.length);
+    console.log("First 200 characters:", data.text.substring(0, 200));
+    return data.text;
+  }
+
   // Custom renderer to preserve formatting
   renderPage(pageData) {
     let render_options = {
@@ -44,22 +188,39 @@ class DocumentProcessor {
       });
   }
 
-  async processDOC(filePath) {
+  async processDOC(filePath, mode = 'llm') {
     try {
-      console.log("Processing DOC file:", filePath);
-      const result = await mammoth.extractRawText({ path: filePath });
-      console.log("DOC text length:", result.value.length);
-      console.log("First 200 characters:", result.value.substring(0, 200));
-      return translationService.extractQuestionsWithLLM(result.value);
+      const text = await this.extractDOCText(filePath);
+      const { questions } = await this.extractQuestionsFromText(text, mode);
+      return questions;
     } catch (error) {
       console.error("DOC processing error:", error);
-      throw new Error(`Failed to process DOC: ${error.message}`);
+      throw isProviderError(error) ? error : new Error(`Failed to process DOC: ${error.message}`);
+    }
+  }
+
+  async extractDOCText(filePath) {
+    console.log("Processing DOC file:", filePath);
+    const result = await mammoth.extractRawText({ path: filePath });
+    console.log("DOC text length:", result.value.length);
+    console.log("First 200 characters:", result.value.substring(0, 200));
+    return result.value;
+  }
+
+  async processEPUB(filePath, mode = 'llm') {
+    try {
+      const text = await this.extractEPUBText(filePath);
+      const { questions } = await this.extractQuestionsFromText(text, mode);
+      return questions;
+    } catch (error) {
+      throw isProviderError(error) ? error : new Error(`Failed to process EPUB: ${error.message}`);
     }
   }
 
-  async processEPUB(filePath) {
+  extractEPUBText(filePath) {
     return new Promise((resolve, reject) => {
       const epub = new EPub(filePath);
+      epub.on('error', reject);
       epub.on('end', async () => {
         try {
           let content = '';
@@ -67,9 +228,9 @@ class DocumentProcessor {
             const chapter = await this.getEpubChapter(epub, epub.flow[i].id);
             content += chapter + '\n';
           }
-          resolve(translationService.extractQuestionsWithLLM(content));
+          resolve(content);
         } catch (error) {
-          reject(new Error(`Failed to process EPUB: ${error.message}`));
+          reject(error);
         }
       });
       epub.parse();
@@ -89,16 +250,8 @@ class DocumentProcessor {
     console.log("Starting question extraction");
     const questions = [];
     
-    // Clean up text first
-    text = text.replace(/\r\n/g, '\n')  // Normalize line endings
-             .replace(/\n{3,}/g, '\n\n') // Normalize multiple line breaks
-             .trim();
-    
-    console.log("Cleaned text length:", text.length);
-    
     // Split text into question blocks
-    const questionBlocks = text.split(/(?=(?:Question\s*\d+:|Q\d+:|\n\d+\.))/i)
-      .filter(block => block.trim().length > 0);
+    const questionBlocks = this.splitIntoBlocks(text);
     
     console.log("Found question blocks:", questionBlocks.length);
 
@@ -152,7 +305,9 @@ class DocumentProcessor {
     return matches.length >= 2; // Require at least 2 indicators
   }
 
-  parseQuestionContent(section) {
+  // In strict mode a block only parses with a question, at least two options and an
+  // explicitly marked answer, so nothing is guessed (used by the parser and hybrid modes)
+  parseQuestionContent(section, { strict = false } = {}) {
     console.log("Parsing question content");
     
     // Split into lines and clean up
@@ -166,11 +321,13 @@ class DocumentProcessor {
     let options = [];
     let explanation = '';
     let currentOption = null;
+    let inExplanation = false;
 
     // More flexible patterns
-    const questionPattern = /^(?:Question\s*\d+:|Q\d+:|[\d]+\.)\s*(.+)/i;
-    const optionPattern = /^(?:[A-E][\.\)]|\([A-E]\)|\b(?:option|choice)\s+[A-E])\s*(.+)/i;
-    const answerPattern = /^(?:Answer|Correct Answer|Solution)[\s:\.\)]+([A-E](?:\s*,\s*[A-E])*)/i;
+    const questionPattern = /^(?:Question\s*\d*\s*[:.)]|Q\d+[:.)]|[\d]+[.)])\s*(.+)/i;
+    const optionPattern = /^(?:\(?([A-E])[\.\)]|\b(?:option|choice)\s+([A-E])[:.)]?)\s*(.+)/i;
+    const answerPattern = /^(?:Answer|Correct Answer|Solution)[\s:\.\)\(]+([A-E](?:\s*,\s*[A-E])*)\b/i;
+    const optionsHeadingPattern = /^(?:options|choices)\s*:?$/i;
 
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i];
@@ -186,14 +343,15 @@ class DocumentProcessor {
       // Try to match option
       const optionMatch = line.match(optionPattern);
       if (optionMatch) {
-        const optionLetter = line.match(/[A-E]/)[0];
-        const optionText = optionMatch[1].trim();
+        const optionLetter = (optionMatch[1] || optionMatch[2]).toUpperCase();
+        const optionText = optionMatch[3].trim();
         options.push({
           text: optionText,
           isCorrect: false,
           letter: optionLetter
         });
         currentOption = options[options.length - 1];
+        inExplanation = false;
         continue;
       }
 
@@ -211,33 +369,50 @@ class DocumentProcessor {
             option.isCorrect = true;
           }
         });
+        currentOption = null;
         continue;
       }
 
       // Check for explanation
       if (line.toLowerCase().startsWith('explanation:')) {
         explanation = line.substring('explanation:'.length).trim();
+        currentOption = null;
+        inExplanation = true;
+        continue;
+      }
+
+      if (optionsHeadingPattern.test(line)) {
         continue;
       }
 
-      // If we're in the middle of an option, append to it
-      if (currentOption && !optionPattern.test(line) && !answerPattern.test(line)) {
+      if (inExplanation) {
+        explanation += ' ' + line;
+      } else if (currentOption) {
+        // If we're in the middle of an option, append to it
         currentOption.text += ' ' + line;
+      } else if (questionText && options.length === 0) {
+        // Question text spanning several lines
+        questionText += ' ' + line;
       }
     }
 
     // Clean up the options
     options = options.map(opt => ({
       text: opt.text.replace(/\(correct\)/i, '').trim(),
-      isCorrect: opt.isCorrect
+      isCorrect: opt.isCorrect || /\(correct\)/i.test(opt.text)
     }));
 
     // Ensure we have the minimum required data
-    if (!questionText || options.length === 0) {
+    if (!questionText || options.length < (strict ? 2 : 1)) {
       console.log("Missing required data - Question:", !!questionText, "Options:", options.length);
       return null;
     }
 
+    if (strict && !options.some(opt => opt.isCorrect)) {
+      console.log("No correct answer marked");
+      return null;
+    }
+
     // If no correct answer was marked, default to first option
     if (!options.some(opt => opt.isCorrect)) {
       options[0].isCorrect = true;
@@ -342,4 +517,4 @@ class DocumentProcessor {
   }
 }
 
-export default new DocumentProcessor(); 
\ No newline at end of file
+export default new DocumentProcessor(); 
@@ -0,0 +1,295 @@
+import llmService from './llmService.js';
+import { isProviderError } from './providerHealth.js';
+import { buildExtractMcqPrompt, buildCategorisePrompt } from './promptTemplates.js';
+import { normalizeQuestions } from '../utils/questionSchema.js';
+
+// Single LLM extraction pipeline. Every method returns questions in the canonical
+// schema from utils/questionSchema.js; invalid questions are dropped with a warning.
+class ExtractionService {
+  // LLM extraction with a regex fallback when the provider is out of quota
+  async extractQuestions(text, options = {}) {
+    try {
+      return await this.extractWithLLM(text, options);
+    } catch (error) {
+      if (error.message.includes('quota') || error.message.includes('rate limit')) {
+        console.log("Falling back to regex extraction due to API limits");
+        const questions = this.extractWithRegex(text, options);
+
+        if (questions.length === 0) {
+          throw new Error("No questions could be extracted using fallback method");
+        }
+
+        console.log(`Extracted ${questions.length} questions using fallback method`);
+        return questions;
+      }
+      throw error;
+    }
+  }
+
+  // options.onChunk({ index, total, extracted, error? }) is called after every chunk
+  async extractWithLLM(text, options = {}) {
+    try {
+      console.log("Extracting questions using LLM");
+      console.log("Text length:", text.length);
+
+      // Split text into smaller chunks (4000 characters per chunk)
+      const chunks = this.splitIntoChunks(text, 4000);
+      let allQuestions = [];
+
+      console.log(`Split text into ${chunks.length} chunks`);
+
+      // Fails fast with the provider's credit, key or model error; the health is cached,
+      // so this only sends a request when no recent call has checked the provider
+      await llmService.preflight();
+
+      // Process each chunk
+      let providerFailure = null;
+      for (let i = 0; i < chunks.length; i++) {
+        try {
+          console.log(`Processing chunk ${i + 1}/${chunks.length} (length: ${chunks[i].length})`);
+
+          const prompt = buildExtractMcqPrompt(chunks[i], options.language);
+
+          // Unparseable answers are not cached, so a rerun asks again
+          const response = await llmService.processPrompt(prompt, {
+            maxTokens: 4000,
+            temperature: 0,
+            operation: 'extract',
+            cacheable: answer => this.isParseable(answer)
+          });
+
+          try {
+            const questions = this.parseResponse(response);
+            console.log(`Parsed ${questions.length} questions from chunk ${i + 1}`);
+            allQuestions = allQuestions.concat(questions);
+            options.onChunk?.({ index: i, total: chunks.length, extracted: questions.length });
+          } catch (parseError) {
+            console.error("Error parsing LLM response:", parseError);
+            console.error("Response text:", response);
+            options.onChunk?.({ index: i, total: chunks.length, extracted: 0, error: `Unparseable response: ${parseError.message}` });
+          }
+        } catch (error) {
+          console.error(`Error processing chunk ${i + 1}:`, error);
+          if (isProviderError(error)) providerFailure = error;
+          options.onChunk?.({ index: i, total: chunks.length, extracted: 0, error: error.message });
+        }
+      }
+
+      const questions = this.normalize(allQuestions, 'llm_extraction', options);
+      console.log("Total questions extracted:", questions.length);
+
+      if (questions.length === 0) {
+        // e.g. the credits ran out after the preflight
+        if (providerFailure) throw providerFailure;
+        throw new Error("No questions could be extracted from any chunks");
+      }
+
+      return questions;
+    } catch (error) {
+      console.error("Question extraction error:", error);
+      throw error;
+    }
+  }
+
+  isParseable(response) {
+    try {
+      this.parseResponse(response);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Pull the JSON array out of an LLM response, tolerating code fences and trailing commas
+  parseResponse(response) {
+    let responseText = response.trim().replace(/```json\s*|\s*```/g, '');
+
+    const startBracket = responseText.indexOf('[');
+    const endBracket = responseText.lastIndexOf(']');
+    if (startBracket !== -1 && endBracket > startBracket) {
+      responseText = responseText.substring(startBracket, endBracket + 1);
+    }
+
+    let questions;
+    try {
+      questions = JSON.parse(responseText);
+    } catch (parseError) {
+      console.warn("Initial JSON parse failed, removing trailing commas:", parseError.message);
+      questions = JSON.parse(responseText.replace(/,(\s*[}\]])/g, '$1'));
+    }
+
+    if (!Array.isArray(questions)) {
+      throw new Error("LLM response is not a JSON array");
+    }
+    return questions;
+  }
+
+  extractWithRegex(text, options = {}) {
+    console.log("Falling back to regex-based extraction");
+    const questions = [];
+
+    // Match question blocks
+    const questionRegex = /Question\s+\d+:\s*(.*?)(?=Question\s+\d+:|$)/gs;
+    const matches = text.matchAll(questionRegex);
+
+    for (const match of matches) {
+      try {
+        const questionBlock = match[1].trim();
+
+        // Extract question text
+        const questionText = questionBlock.split('\n')[0].trim();
+
+        // Extract options
+        const questionOptions = {};
+        const optionMatches = questionBlock.matchAll(/\s+([A-Za-z0-9]+)\s*(?:\.|:)?\s*(.*?)(?=\s+[A-Za-z0-9]+\s*(?:\.|:)|Answer|$)/gs);
+        let optionIndex = 1;
+
+        for (const optionMatch of optionMatches) {
+          const optionText = optionMatch[2].trim();
+          if (optionText && !optionText.toLowerCase().includes('answer')) {
+            questionOptions[`option_${optionIndex}`] = optionText;
+            optionIndex++;
+          }
+        }
+
+        // Extract answer
+        const answerMatch = questionBlock.match(/Answer\s*\(([A-Z,]+)\)/i);
+        let correctAnswer = '';
+        if (answerMatch) {
+          const answerLetter = answerMatch[1].split(',')[0]; // Take first answer for multi-select
+          const answerIndex = answerLetter.charCodeAt(0) - 64; // Convert A->1, B->2, etc.
+          correctAnswer = `option_${answerIndex}`;
+        }
+
+        if (questionText && Object.keys(questionOptions).length > 0 && correctAnswer) {
+          questions.push({
+            questionText: questionText,
+            options: questionOptions,
+            correctAnswer: [correctAnswer],
+            explanation: "Extracted using fallback method due to API quota limits.",
+            metadata: {
+              source: "regex_extraction",
+              extractionMethod: "fallback"
+            }
+          });
+        }
+      } catch (error) {
+        console.error("Error processing question block:", error);
+      }
+    }
+
+    return this.normalize(questions, 'regex_extraction', options);
+  }
+
+  normalize(rawQuestions, source, options = {}) {
+    const { questions, rejected } = normalizeQuestions(
+      rawQuestions.map(question => ({
+        ...question,
+        metadata: { source, ...(question.metadata || {}) }
+      })),
+      { languageCode: options.languageCode }
+    );
+
+    if (rejected.length > 0) {
+      console.warn(`⚠️ Dropped ${rejected.length} extracted questions that failed validation:`, rejected);
+    }
+    return questions;
+  }
+
+  splitIntoChunks(text, maxChunkSize = 8000) {
+    let chunks = [];
+    let currentChunk = "";
+    let currentSize = 0;
+
+    // Split text into potential question blocks
+    const blocks = text.split(/(?=Question\s+\d+[\.:\)]|Q\d+[\.:\)]|\n\d+\.\s+)/i)
+      .filter(block => block.trim().length > 0);  // Remove empty blocks
+
+    console.log(`Found ${blocks.length} potential question blocks`);
+
+    for (const block of blocks) {
+      const blockSize = block.length;
+
+      // If a single block is larger than maxChunkSize, split it further
+      if (blockSize > maxChunkSize) {
+        chunks.push(...this.splitBySize(block, maxChunkSize));
+      }
+      // If adding this block would exceed maxChunkSize, start a new chunk
+      else if (currentSize + blockSize > maxChunkSize) {
+        if (currentChunk) {
+          chunks.push(currentChunk);
+        }
+        currentChunk = block;
+        currentSize = blockSize;
+      }
+      // Otherwise, add to current chunk
+      else {
+        if (currentChunk && !currentChunk.endsWith('\n')) {
+          currentChunk += '\n';
+        }
+        currentChunk += block;
+        currentSize += blockSize;
+      }
+    }
+
+    if (currentChunk) {
+      chunks.push(currentChunk);
+    }
+
+    // If no chunks were created, fall back to size-based splitting
+    if (chunks.length === 0) {
+      console.log("No question markers found, falling back to size-based splitting");
+      chunks = this.splitBySize(text, maxChunkSize);
+    }
+
+    console.log(`Created ${chunks.length} chunks`);
+    return chunks;
+  }
+
+  // Split at sentence boundaries close to maxChunkSize
+  splitBySize(text, maxChunkSize) {
+    const chunks = [];
+    let i = 0;
+    while (i < text.length) {
+      let end = i + maxChunkSize;
+      if (end < text.length) {
+        const nextPeriod = text.indexOf('.', end - 100);
+        if (nextPeriod !== -1 && nextPeriod < end + 100) {
+          end = nextPeriod + 1;
+        }
+      }
+      chunks.push(text.slice(i, end));
+      i = end;
+    }
+    return chunks;
+  }
+
+  async determineCategory(questions) {
+    const prompt = buildCategorisePrompt(questions);
+
+    try {
+      const response = await llmService.processPrompt(prompt, {
+        maxTokens: 1000,
+        temperature: 0,
+        operation: 'categorise'
+      });
+
+      const categoryInfo = JSON.parse(response);
+      console.log('Category determined:', categoryInfo);
+      return categoryInfo;
+    } catch (error) {
+      console.error('Error determining category:', error);
+      // Return a default category if determination fails
+      return {
+        name: "General Knowledge",
+        description: "General academic questions and concepts",
+        type: "academic",
+        tagName: "general",
+        confidence: "low",
+        reasoning: "Default category due to error in determination"
+      };
+    }
+  }
+}
+
+export default new ExtractionService();
@@ -0,0 +1,167 @@
+import { v4 as uuidv4 } from 'uuid';
+import { createGlossaryStore } from './glossaryStore.js';
+import {
+  GLOBAL_SUBJECT,
+  validateSubject,
+  validateGlossary,
+  validateGlossaryTerm
+} from '../utils/glossaryValidator.js';
+
+const glossaryError = (validation) => {
+  const error = new Error(validation.message);
+  error.status = 400;
+  return error;
+};
+
+// Glossaries per subject, the category tag determineCategory assigns to a set of
+// questions ("math", "chemistry", "medicine", ...). The "all" glossary applies to every
+// subject. TranslationService injects the matching terms into its prompts and flags
+// translations that do not use them.
+export class GlossaryService {
+  constructor(store = createGlossaryStore()) {
+    this.store = store;
+    this.glossaries = new Map(); // subject -> glossary
+
+    this.ready = this.restore();
+  }
+
+  async restore() {
+    try {
+      const glossaries = await this.store.load();
+      glossaries.forEach(glossary => this.glossaries.set(glossary.subject, glossary));
+      if (glossaries.length > 0) {
+        console.log(`📖 Loaded ${glossaries.length} glossar${glossaries.length === 1 ? 'y' : 'ies'}`);
+      }
+    } catch (error) {
+      console.error(`⚠️ Could not load glossaries:`, error.message);
+    }
+  }
+
+  // Persistence failures are logged, the glossary stays in effect until restart
+  persist(glossary) {
+    this.store.save(JSON.parse(JSON.stringify(glossary)))
+      .catch(error => console.error(`⚠️ Could not persist glossary ${glossary.subject}:`, error.message));
+  }
+
+  unpersist(subject) {
+    this.store.remove(subject)
+      .catch(error => console.error(`⚠️ Could not remove persisted glossary ${subject}:`, error.message));
+  }
+
+  subjectOf(subject) {
+    const validation = validateSubject(subject);
+    if (!validation.isValid) {
+      throw glossaryError(validation);
+    }
+    return validation.subject;
+  }
+
+  listGlossaries() {
+    return Array.from(this.glossaries.values()).map(({ terms, ...glossary }) => ({
+      ...glossary,
+      termCount: terms.length
+    }));
+  }
+
+  getGlossary(subject) {
+    return this.glossaries.get(this.subjectOf(subject)) || null;
+  }
+
+  // Replace the glossary of a subject. Terms keep their id when they already existed.
+  putGlossary(subject, spec) {
+    const key = this.subjectOf(subject);
+    const validation = validateGlossary(spec);
+    if (!validation.isValid) {
+      throw glossaryError(validation);
+    }
+
+    const existing = this.glossaries.get(key);
+    const existingIds = new Map((existing?.terms || []).map(term => [term.term.toLowerCase(), term.id]));
+    const now = new Date();
+    const glossary = {
+      id: key,
+      subject: key,
+      name: validation.glossary.name || existing?.name || key,
+      terms: validation.glossary.terms.map(term => ({
+        id: existingIds.get(term.term.toLowerCase()) || uuidv4(),
+        ...term
+      })),
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    this.glossaries.set(key, glossary);
+    this.persist(glossary);
+    console.log(`📖 Saved glossary "${key}" with ${glossary.terms.length} term(s)`);
+    return { glossary, created: !existing };
+  }
+
+  deleteGlossary(subject) {
+    const key = this.subjectOf(subject);
+    if (!this.glossaries.delete(key)) return false;
+
+    this.unpersist(key);
+    console.log(`🗑️  Deleted glossary "${key}"`);
+    return true;
+  }
+
+  // Add a term to a subject's glossary (created when missing), or replace the term
+  // with the same text
+  addTerm(subject, spec) {
+    const key = this.subjectOf(subject);
+    const validation = validateGlossaryTerm(spec);
+    if (!validation.isValid) {
+      throw glossaryError(validation);
+    }
+
+    const now = new Date();
+    const glossary = this.glossaries.get(key)
+      || { id: key, subject: key, name: key, terms: [], createdAt: now };
+    const index = glossary.terms.findIndex(term => term.term.toLowerCase() === validation.term.term.toLowerCase());
+    const term = { id: index >= 0 ? glossary.terms[index].id : uuidv4(), ...validation.term };
+
+    if (index >= 0) glossary.terms[index] = term;
+    else glossary.terms.push(term);
+    glossary.updatedAt = now;
+
+    this.glossaries.set(key, glossary);
+    this.persist(glossary);
+    return term;
+  }
+
+  // null when the glossary does not exist, false when the term does not
+  removeTerm(subject, termId) {
+    const glossary = this.glossaries.get(this.subjectOf(subject));
+    if (!glossary) return null;
+
+    const index = glossary.terms.findIndex(term => term.id === termId);
+    if (index < 0) return false;
+
+    glossary.terms.splice(index, 1);
+    glossary.updatedAt = new Date();
+    this.persist(glossary);
+    return true;
+  }
+
+  // Whether a job has to know its subject (otherwise only the "all" glossary applies)
+  hasSubjectGlossaries() {
+    return Array.from(this.glossaries.keys()).some(subject => subject !== GLOBAL_SUBJECT);
+  }
+
+  // Terms of the "all" glossary and of `subject`; the subject's own version of a term wins
+  termsFor(subject) {
+    const terms = new Map();
+    [GLOBAL_SUBJECT, subject].forEach(key => {
+      (this.glossaries.get(key)?.terms || []).forEach(term => terms.set(term.term.toLowerCase(), term));
+    });
+    return Array.from(terms.values());
+  }
+
+  async flush() {
+    await this.store.flush();
+  }
+}
+
+const glossaryService = new GlossaryService();
+
+export default glossaryService;
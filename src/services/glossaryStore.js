@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+import { config } from '../config/config.js';
+import Glossary from '../models/Glossary.js';
+import { MemoryQueueStore, FileQueueStore } from './queueStore.js';
+
+// Persistence backends for GlossaryService. Same interface as the queue stores
+// (load, save, remove, flush); the memory and file stores are shared with the queue.
+
+// glossaries collection, connects on first use
+export class MongoGlossaryStore {
+  constructor(uri) {
+    this.uri = uri;
+  }
+
+  async connect() {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(this.uri);
+      console.log('Connected to MongoDB (glossary store)');
+    }
+  }
+
+  async load() {
+    await this.connect();
+    const documents = await Glossary.find().lean();
+    return documents.map(document => document.glossary);
+  }
+
+  async save(glossary) {
+    await this.connect();
+    await Glossary.updateOne(
+      { id: glossary.id },
+      { id: glossary.id, glossary, updatedAt: new Date() },
+      { upsert: true }
+    );
+  }
+
+  async remove(id) {
+    await this.connect();
+    await Glossary.deleteOne({ id });
+  }
+
+  async flush() {}
+}
+
+export const createGlossaryStore = (glossaryConfig = config.glossary) => {
+  switch (glossaryConfig.store) {
+    case 'memory':
+      return new MemoryQueueStore();
+    case 'file':
+      return new FileQueueStore(glossaryConfig.filePath);
+    case 'mongo':
+    case 'mongodb':
+      return new MongoGlossaryStore(config.mongo.uri);
+    default:
+      throw new Error(`Unknown glossary store "${glossaryConfig.store}" (expected memory, file or mongo)`);
+  }
+};
@@ -0,0 +1,50 @@
+// error.cancelled marks a cooperative stop, not a failure
+const cancelledError = () => {
+  const error = new Error('Job was cancelled');
+  error.cancelled = true;
+  return error;
+};
+
+// Cooperative cancel and pause for a processing queue job. The queue owns one control per
+// running job; TranslationService calls check() between questions and between languages,
+// so a job stops at the next safe point and keeps everything it already checkpointed.
+export class JobControl {
+  constructor() {
+    this.state = 'running'; // running | paused | cancelling
+    this.waiters = [];
+  }
+
+  pause() {
+    if (this.state !== 'running') return false;
+    this.state = 'paused';
+    return true;
+  }
+
+  resume() {
+    if (this.state !== 'paused') return false;
+    this.state = 'running';
+    this.release();
+    return true;
+  }
+
+  cancel() {
+    if (this.state === 'cancelling') return false;
+    this.state = 'cancelling';
+    this.release();
+    return true;
+  }
+
+  release() {
+    this.waiters.splice(0).forEach(resolve => resolve());
+  }
+
+  // Waits while the job is paused, throws once it is cancelled
+  async check() {
+    while (this.state === 'paused') {
+      await new Promise(resolve => this.waiters.push(resolve));
+    }
+    if (this.state === 'cancelling') {
+      throw cancelledError();
+    }
+  }
+}
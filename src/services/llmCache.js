@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import { config } from '../config/config.js';
+import { createLlmCacheStore } from './llmCacheStore.js';
+
+// Cache key of a call: the same provider, model, parameters and prompt give the same key
+export const llmCacheKey = ({ provider, model, prompt, maxTokens, temperature, json, schema }) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({
+    provider,
+    model,
+    maxTokens,
+    temperature,
+    json: Boolean(json),
+    schema: schema || null,
+    prompt
+  }))
+  .digest('hex');
+
+// Content-addressed cache of LLM answers, used by LLMService. Answers older than ttlMs are
+// misses; past maxEntries or maxBytes the least recently used answers are evicted. Only the
+// index (key, size, age) is kept in memory, answers are read from the store on a hit.
+export class LLMCache {
+  constructor(store = createLlmCacheStore(), options = {}) {
+    this.store = store;
+    this.enabled = options.enabled ?? config.llmCache.enabled;
+    this.ttlMs = options.ttlMs ?? config.llmCache.ttlMs;
+    this.maxEntries = options.maxEntries ?? config.llmCache.maxEntries;
+    this.maxBytes = options.maxBytes ?? config.llmCache.maxBytes;
+    this.now = options.now || Date.now;
+    this.index = new Map(); // key -> { size, createdAt }, least recently used first
+    this.bytes = 0;
+    this.stats = { hits: 0, misses: 0, expired: 0, bypassed: 0, writes: 0, evictions: 0 };
+
+    this.ready = this.enabled ? this.restore() : Promise.resolve();
+  }
+
+  async restore() {
+    try {
+      const entries = await this.store.list();
+      entries
+        .map(entry => ({ ...entry, createdAt: new Date(entry.createdAt).getTime() }))
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .forEach(({ key, size, createdAt }) => this.track(key, size, createdAt));
+      if (entries.length > 0) {
+        console.log(`🗄️ Indexed ${entries.length} cached LLM answers`);
+      }
+      await this.evict();
+    } catch (error) {
+      console.error(`⚠️ Could not load the LLM cache index:`, error.message);
+    }
+  }
+
+  track(key, size, createdAt) {
+    this.untrack(key);
+    this.index.set(key, { size, createdAt });
+    this.bytes += size;
+  }
+
+  untrack(key) {
+    const known = this.index.get(key);
+    if (!known) return;
+    this.bytes -= known.size;
+    this.index.delete(key);
+  }
+
+  // First cached answer for a list of call parameters (e.g. one per entry of the fallback
+  // chain): { index, response } or null. Counts one hit or miss.
+  async lookup(candidates) {
+    if (!this.enabled) return null;
+    await this.ready;
+
+    for (const [index, params] of candidates.entries()) {
+      const key = llmCacheKey(params);
+      const known = this.index.get(key);
+      if (!known) continue;
+
+      if (this.ttlMs > 0 && this.now() - known.createdAt > this.ttlMs) {
+        this.stats.expired++;
+        await this.remove(key);
+        continue;
+      }
+
+      let entry;
+      try {
+        entry = await this.store.get(key);
+      } catch (error) {
+        // The call goes to the provider instead, as with any miss
+        console.error(`⚠️ Could not read cached LLM answer:`, error.message);
+        break;
+      }
+      if (!entry) {
+        this.untrack(key);
+        continue;
+      }
+
+      // Most recently used answers are evicted last
+      this.index.delete(key);
+      this.index.set(key, known);
+      this.stats.hits++;
+      return { index, response: entry.response };
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  async set(params, response) {
+    if (!this.enabled || typeof response !== 'string') return;
+    await this.ready;
+
+    const key = llmCacheKey(params);
+    const entry = {
+      key,
+      provider: params.provider,
+      model: params.model,
+      response,
+      createdAt: new Date(this.now()).toISOString()
+    };
+    try {
+      await this.store.set(key, entry);
+      this.track(key, Buffer.byteLength(JSON.stringify(entry)), this.now());
+      this.stats.writes++;
+      await this.evict();
+    } catch (error) {
+      console.error(`⚠️ Could not cache LLM answer:`, error.message);
+    }
+  }
+
+  // A call that skipped the cache (processPrompt's cache: false or 'refresh')
+  recordBypass() {
+    this.stats.bypassed++;
+  }
+
+  async remove(key) {
+    this.untrack(key);
+    await this.store.delete(key)
+      .catch(error => console.error(`⚠️ Could not delete cached LLM answer ${key}:`, error.message));
+  }
+
+  // Drop the least recently used answers until both limits are met (0 disables a limit)
+  async evict() {
+    for (const key of this.index.keys()) {
+      const withinEntries = this.maxEntries <= 0 || this.index.size <= this.maxEntries;
+      const withinBytes = this.maxBytes <= 0 || this.bytes <= this.maxBytes;
+      if (withinEntries && withinBytes) break;
+      this.stats.evictions++;
+      await this.remove(key);
+    }
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      entries: this.index.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries || null,
+      maxBytes: this.maxBytes || null,
+      ttlMs: this.ttlMs || null,
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 100) / 100 : null
+    };
+  }
+}
+
+const llmCache = new LLMCache();
+
+export default llmCache;
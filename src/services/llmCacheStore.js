@@ -0,0 +1,143 @@
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import { config } from '../config/config.js';
+import LlmCacheEntry from '../models/LlmCacheEntry.js';
+
+// Persistence backends for LLMCache. Answers are only read on a hit, so unlike the queue
+// stores nothing is loaded up front except the index. Every store exposes:
+//   list()            -> [{ key, size, createdAt }] of every cached answer
+//   get(key)          -> { key, provider, model, response, createdAt } or null
+//   set(key, entry)   -> store an answer
+//   delete(key)       -> drop an answer
+
+// Keeps nothing across restarts
+export class MemoryCacheStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async list() {
+    return Array.from(this.entries.values()).map(({ key, size, createdAt }) => ({ key, size, createdAt }));
+  }
+
+  async get(key) {
+    return this.entries.get(key)?.entry || null;
+  }
+
+  async set(key, entry) {
+    this.entries.set(key, { key, size: Buffer.byteLength(JSON.stringify(entry)), createdAt: entry.createdAt, entry });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+// One JSON file per answer, named after the key and sharded by its first two characters
+export class FileCacheStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  filePath(key) {
+    return path.join(this.dir, key.slice(0, 2), `${key}.json`);
+  }
+
+  async list() {
+    let shards;
+    try {
+      shards = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const shard of shards) {
+      const files = await fs.readdir(path.join(this.dir, shard)).catch(() => []);
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        const stat = await fs.stat(path.join(this.dir, shard, file)).catch(() => null);
+        if (stat) entries.push({ key: file.slice(0, -5), size: stat.size, createdAt: stat.mtime.toISOString() });
+      }
+    }
+    return entries;
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`⚠️ Could not read cached LLM answer ${key}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    const filePath = this.filePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(entry));
+    await fs.rename(tempPath, filePath);
+  }
+
+  async delete(key) {
+    await fs.rm(this.filePath(key), { force: true });
+  }
+}
+
+// llmcacheentries collection, connects on first use
+export class MongoCacheStore {
+  constructor(uri) {
+    this.uri = uri;
+  }
+
+  async connect() {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(this.uri);
+      console.log('Connected to MongoDB (LLM cache store)');
+    }
+  }
+
+  async list() {
+    await this.connect();
+    const documents = await LlmCacheEntry.find({}, { key: 1, size: 1, createdAt: 1 }).lean();
+    return documents.map(({ key, size, createdAt }) => ({ key, size, createdAt }));
+  }
+
+  async get(key) {
+    await this.connect();
+    const document = await LlmCacheEntry.findOne({ key }).lean();
+    return document?.entry || null;
+  }
+
+  async set(key, entry) {
+    await this.connect();
+    await LlmCacheEntry.updateOne(
+      { key },
+      { key, size: Buffer.byteLength(JSON.stringify(entry)), createdAt: new Date(entry.createdAt), entry },
+      { upsert: true }
+    );
+  }
+
+  async delete(key) {
+    await this.connect();
+    await LlmCacheEntry.deleteOne({ key });
+  }
+}
+
+export const createLlmCacheStore = (cacheConfig = config.llmCache) => {
+  switch (cacheConfig.store) {
+    case 'memory':
+      return new MemoryCacheStore();
+    case 'file':
+      return new FileCacheStore(cacheConfig.dir);
+    case 'mongo':
+    case 'mongodb':
+      return new MongoCacheStore(config.mongo.uri);
+    default:
+      throw new Error(`Unknown LLM cache store "${cacheConfig.store}" (expected memory, file or mongo)`);
+  }
+};
@@ -0,0 +1,274 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import Anthropic from '@anthropic-ai/sdk';
+import OpenAI from 'openai';
+import { config } from '../config/config.js';
+import { estimateTokens } from './rateLimiter.js';
+
+// LLM providers used by LLMService. Every provider exposes the same interface:
+//   name, model        -> registry name and the model prompts are sent to
+//   isAvailable()      -> configured and usable
+//   chat(messages, { model, maxTokens, temperature, json, schema })
+//                      -> { text, usage: { inputTokens, outputTokens } | null }
+//                         model overrides `model`, json asks for a JSON object, schema (a
+//                         JSON schema) for its shape
+//   countTokens(text)  -> tokens in `text`, estimated when the provider cannot count them
+//   listModels()       -> ids of the models the provider serves
+// messages are [{ role: 'user' | 'assistant', content }].
+
+const userText = (messages) => messages.map(message => message.content).join('\n\n');
+
+// Anthropic Messages API
+export class AnthropicProvider {
+  constructor({ name = 'anthropic', apiKey, model, enabled = Boolean(apiKey) } = {}) {
+    this.name = name;
+    this.model = model;
+    this.enabled = enabled;
+    this.client = enabled ? new Anthropic({ apiKey }) : null;
+  }
+
+  isAvailable() {
+    return this.enabled;
+  }
+
+  // There is no JSON mode: the answer is prefilled with "{" so the model continues an object
+  async chat(messages, { model, maxTokens = 4000, temperature = 0, json = false } = {}) {
+    const prefill = json ? '{' : '';
+    const response = await this.client.messages.create({
+      model: model || this.model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: prefill ? [...messages, { role: 'assistant', content: prefill }] : messages
+    });
+
+    return {
+      text: prefill + response.content[0].text,
+      usage: response.usage
+        ? { inputTokens: response.usage.input_tokens, outputTokens: response.usage.output_tokens }
+        : null
+    };
+  }
+
+  async countTokens(text) {
+    try {
+      const response = await this.client.post('/v1/messages/count_tokens', {
+        body: { model: this.model, messages: [{ role: 'user', content: text }] }
+      });
+      return response.input_tokens;
+    } catch (error) {
+      return estimateTokens(text);
+    }
+  }
+
+  async listModels() {
+    const response = await this.client.get('/v1/models');
+    return response.data.map(model => model.id);
+  }
+}
+
+// OpenAI and OpenAI-compatible servers (Ollama, llama.cpp, vLLM). jsonSchema: the server
+// accepts response_format json_schema, otherwise JSON mode only asks for any JSON object.
+// tokenizePath: endpoint below the server root that counts tokens (llama.cpp, vLLM).
+export class OpenAICompatibleProvider {
+  constructor({ name = 'openai', apiKey, model, baseUrl, jsonSchema = false, tokenizePath = null, enabled = Boolean(apiKey) } = {}) {
+    this.name = name;
+    this.model = model;
+    this.baseUrl = baseUrl || null;
+    this.jsonSchema = jsonSchema;
+    this.tokenizePath = tokenizePath;
+    this.enabled = enabled && Boolean(model);
+    // Local servers do not check the key, but the SDK requires one
+    this.client = this.enabled
+      ? new OpenAI({ apiKey: apiKey || 'not-needed', ...(this.baseUrl && { baseURL: this.baseUrl }) })
+      : null;
+  }
+
+  isAvailable() {
+    return this.enabled;
+  }
+
+  responseFormat(schema) {
+    return schema && this.jsonSchema
+      ? { type: 'json_schema', json_schema: { name: 'response', schema } }
+      : { type: 'json_object' };
+  }
+
+  async chat(messages, { model, maxTokens = 4000, temperature = 0, json = false, schema = null } = {}) {
+    const response = await this.client.chat.completions.create({
+      model: model || this.model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...(json && { response_format: this.responseFormat(schema) })
+    });
+
+    return {
+      text: response.choices[0].message.content,
+      usage: response.usage
+        ? { inputTokens: response.usage.prompt_tokens, outputTokens: response.usage.completion_tokens }
+        : null
+    };
+  }
+
+  async countTokens(text) {
+    if (!this.tokenizePath) return estimateTokens(text);
+    try {
+      // llama.cpp reads `content`, vLLM `model` and `prompt`
+      const root = this.baseUrl.replace(/\/v1\/?$/, '');
+      const response = await axios.post(`${root}${this.tokenizePath}`, { model: this.model, prompt: text, content: text }, { timeout: 10000 });
+      return response.data.count ?? response.data.tokens.length;
+    } catch (error) {
+      return estimateTokens(text);
+    }
+  }
+
+  async listModels() {
+    const page = await this.client.models.list();
+    return page.data.map(model => model.id);
+  }
+}
+
+// Recordings are keyed by the messages and JSON mode, so the same prompt always replays the
+// same answer
+export const fixtureKey = (messages, json = false) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ messages, json: Boolean(json) }))
+  .digest('hex');
+
+// Replays recorded answers instead of calling a model: deterministic and offline. The
+// fixture file holds { responses: { key: { prompt, response } }, rules: [{ match, response }] };
+// a rule answers every prompt that contains `match`. With `recordFrom` (another provider),
+// prompts without a recording are sent there and their answers added to the file.
+export class FixtureProvider {
+  constructor({ name = 'fixture', filePath = null, responses = {}, rules = [], recordFrom = null, enabled = true } = {}) {
+    this.name = name;
+    this.model = 'fixture';
+    this.filePath = filePath;
+    this.recordings = new Map(Object.entries(responses));
+    this.rules = rules;
+    this.recordFrom = recordFrom;
+    this.enabled = enabled;
+    this.loaded = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  isAvailable() {
+    return this.enabled;
+  }
+
+  async load() {
+    if (!this.filePath) return;
+    try {
+      const fixtures = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      Object.entries(fixtures.responses || {}).forEach(([key, recording]) => {
+        if (!this.recordings.has(key)) this.recordings.set(key, recording);
+      });
+      this.rules = [...this.rules, ...(fixtures.rules || [])];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`⚠️ Could not read LLM fixtures ${this.filePath}:`, error.message);
+      }
+    }
+  }
+
+  async chat(messages, options = {}) {
+    this.loaded = this.loaded || this.load();
+    await this.loaded;
+
+    const prompt = userText(messages);
+    const key = fixtureKey(messages, options.json);
+    const recording = this.recordings.get(key);
+    const rule = !recording && this.rules.find(candidate => prompt.includes(candidate.match));
+    if (recording || rule) {
+      const text = recording ? recording.response : typeof rule.response === 'function' ? rule.response(prompt) : rule.response;
+      return { text, usage: { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) } };
+    }
+
+    if (this.recordFrom?.isAvailable()) {
+      const result = await this.recordFrom.chat(messages, options);
+      this.recordings.set(key, { prompt: prompt.slice(0, 200), response: result.text });
+      await this.save();
+      return result;
+    }
+
+    const error = new Error(`No recorded LLM response for this prompt (fixture ${key.slice(0, 12)})`);
+    error.code = 'FIXTURE_MISSING';
+    throw error;
+  }
+
+  save() {
+    if (!this.filePath) return Promise.resolve();
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        const rules = this.rules.filter(rule => typeof rule.response === 'string');
+        await fs.writeFile(tempPath, JSON.stringify({ responses: Object.fromEntries(this.recordings), rules }, null, 2));
+        await fs.rename(tempPath, this.filePath);
+      })
+      .catch(error => console.error(`⚠️ Could not write LLM fixtures ${this.filePath}:`, error.message));
+    return this.writeChain;
+  }
+
+  async countTokens(text) {
+    return estimateTokens(text);
+  }
+
+  async listModels() {
+    return [this.model];
+  }
+}
+
+// Providers by name, in fallback order
+export class ProviderRegistry {
+  constructor(defaultProvider) {
+    this.defaultProvider = defaultProvider;
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  available() {
+    return Array.from(this.providers.values()).filter(provider => provider.isAvailable());
+  }
+
+  // The named provider (the default one without a name) when it is available, otherwise
+  // the first available one; null when none is
+  resolve(name = this.defaultProvider) {
+    const preferred = this.get(name);
+    return preferred?.isAvailable() ? preferred : this.available()[0] || null;
+  }
+
+  list() {
+    return Array.from(this.providers.values()).map(provider => ({
+      name: provider.name,
+      model: provider.model,
+      available: provider.isAvailable(),
+      default: provider.name === this.defaultProvider
+    }));
+  }
+}
+
+export const createLLMProviders = (llmConfig = config.llm) => {
+  const registry = new ProviderRegistry(llmConfig.defaultProvider);
+  registry.register(new AnthropicProvider(llmConfig.anthropic));
+  registry.register(new OpenAICompatibleProvider({ name: 'openai', ...llmConfig.openai, baseUrl: null }));
+  registry.register(new OpenAICompatibleProvider({ name: 'ollama', ...llmConfig.ollama, jsonSchema: true }));
+  registry.register(new OpenAICompatibleProvider({ name: 'llamacpp', ...llmConfig.llamacpp, jsonSchema: true, tokenizePath: '/tokenize' }));
+  registry.register(new OpenAICompatibleProvider({ name: 'vllm', ...llmConfig.vllm, jsonSchema: true, tokenizePath: '/tokenize' }));
+  registry.register(new FixtureProvider({
+    name: 'fixture',
+    ...llmConfig.fixture,
+    recordFrom: llmConfig.fixture.recordFrom ? registry.get(llmConfig.fixture.recordFrom) : null
+  }));
+  return registry;
+};
@@ -1,120 +1,447 @@
-import Anthropic from "@anthropic-ai/sdk";
-import OpenAI from "openai";
+import { AsyncLocalStorage } from "async_hooks";
 import { config } from "../config/config.js";
+import rateLimiter, { estimateTokens, getRetryAfterMs } from "./rateLimiter.js";
+import { createLLMProviders } from "./llmProviders.js";
+import { CircuitBreaker } from "./circuitBreaker.js";
+import { ProviderHealth, isProviderError } from "./providerHealth.js";
+import usageLedger, { priceLlmCall, emptyUsage, addUsage } from "./usageLedger.js";
+import llmCache from "./llmCache.js";
 
-class LLMService {
-  constructor() {
-    // Initialize LLM clients based on configuration
-    if (config.llm.anthropic.enabled) {
-      this.anthropic = new Anthropic({
-        apiKey: config.llm.anthropic.apiKey,
-        apiVersion: "2023-06-01"
-      });
+const RETRYABLE_STATUSES = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+const NETWORK_ERROR_CODES = new Set(["ECONNREFUSED", "ECONNRESET", "ETIMEDOUT", "ENOTFOUND", "EAI_AGAIN", "EPIPE"]);
+const CONNECTION_ERRORS = new Set(["APIConnectionError", "APIConnectionTimeoutError"]);
+
+// Errors worth trying the next provider for: timeouts, rate limits, overload (529), server
+// and connection errors. Anything else (bad request, invalid key) would fail there too.
+export const isRetryableError = (error) =>
+  RETRYABLE_STATUSES.has(error?.status) ||
+  error?.status >= 500 ||
+  NETWORK_ERROR_CODES.has(error?.code) ||
+  NETWORK_ERROR_CODES.has(error?.cause?.code) ||
+  CONNECTION_ERRORS.has(error?.constructor?.name);
+
+// Calls recorded by LLMService.track -> [{ provider, model, calls, fallbackCalls, inputTokens,
+// outputTokens, cost, ... }], one entry per provider/model in order of first use
+export const summarizeLlmCalls = (calls) => {
+  const summary = new Map();
+  calls.forEach(call => {
+    const key = `${call.provider}:${call.model}`;
+    if (!summary.has(key)) {
+      summary.set(key, { provider: call.provider, model: call.model, fallbackCalls: 0, ...emptyUsage() });
+    }
+    const entry = addUsage(summary.get(key), call);
+    if (call.fallback) entry.fallbackCalls++;
+  });
+  return Array.from(summary.values());
+};
+
+export class LLMService {
+  // options: { chain: [{ provider, model }], circuitBreaker: { failureThreshold, cooldownMs,
+  // probeIntervalMs }, preflight: { ttlMs }, pricing, usage, cache, now }, defaults from config.llm. usage is the
+  // ledger every answered call is recorded in, cache the LLMCache answers are reused from
+  // (null for either turns it off).
+  constructor(providers = createLLMProviders(), options = {}) {
+    // Provider registry, see llmProviders.js
+    this.providers = providers;
+    this.pricing = options.pricing || config.llm.pricing;
+    this.usage = options.usage === undefined ? usageLedger : options.usage;
+    this.cache = options.cache === undefined ? llmCache : options.cache;
+    this.breakerOptions = options.circuitBreaker || config.llm.circuitBreaker;
+    this.preflightOptions = options.preflight || config.llm.preflight;
+    this.now = options.now || Date.now;
+    this.entries = new Map(); // "provider:model" -> { provider, model, key, breaker }
+    this.chain = this.buildChain(options.chain || config.llm.fallbackChain);
+    this.callLog = new AsyncLocalStorage();
+    this.probeTimer = null;
+
+    // The app boots without a provider (e.g. offline); calls fail until one is configured
+    if (providers.available().length === 0) {
+      console.warn("⚠️ No LLM provider is configured. Set ANTHROPIC_API_KEY or OPENAI_API_KEY, a local server (OLLAMA_MODEL, LLAMACPP_BASE_URL, VLLM_MODEL) or LLM_FIXTURE_FILE in the .env file.");
     }
 
-    if (config.llm.openai.enabled) {
-      this.openai = new OpenAI({
-        apiKey: config.llm.openai.apiKey
+    this.startHealthProbes(this.breakerOptions.probeIntervalMs);
+  }
+
+  // Chain entries in fallback order. Without a configured chain: the default provider, then
+  // every other registered one, each with its own model.
+  buildChain(chain = []) {
+    const names = this.providers.list().map(provider => provider.name);
+    const configured = chain.length > 0
+      ? chain
+      : [this.providers.defaultProvider, ...names.filter(name => name !== this.providers.defaultProvider)]
+        .map(provider => ({ provider }));
+
+    return configured
+      .filter(({ provider }) => {
+        if (this.providers.get(provider)) return true;
+        console.warn(`⚠️ Unknown LLM provider "${provider}" in the fallback chain, skipping it`);
+        return false;
+      })
+      .map(({ provider, model }) => this.entry(this.providers.get(provider), model));
+  }
+
+  // One entry (with its circuit breaker and health) per provider/model, shared by the chain
+  // and explicit requests
+  entry(provider, model) {
+    const key = `${provider.name}:${model || provider.model}`;
+    if (!this.entries.has(key)) {
+      this.entries.set(key, {
+        provider,
+        model: model || provider.model,
+        key,
+        breaker: new CircuitBreaker(key, this.breakerOptions, this.now),
+        health: new ProviderHealth({ key, provider: provider.name, model: model || provider.model }, this.preflightOptions, this.now)
       });
     }
+    return this.entries.get(key);
+  }
 
-    // Validate at least one provider is enabled
-    if (!config.llm.anthropic.enabled && !config.llm.openai.enabled) {
-      throw new Error("No LLM provider is configured. Please provide either ANTHROPIC_API_KEY or OPENAI_API_KEY in the .env file.");
+  // Available chain entries in the order they are tried; a requested provider goes first
+  candidates(name) {
+    let entries = this.chain;
+    const requested = name && this.providers.get(name);
+    if (requested) {
+      const preferred = entries.filter(entry => entry.provider === requested);
+      entries = [
+        ...(preferred.length > 0 ? preferred : [this.entry(requested)]),
+        ...entries.filter(entry => entry.provider !== requested)
+      ];
     }
+    return entries.filter(entry => entry.provider.isAvailable());
   }
 
+  // options: { provider, maxTokens, temperature, json, schema, operation, cache, cacheable };
+  // json asks for a JSON object answer, schema (a JSON schema) for its shape where the
+  // provider supports it. operation (see USAGE_OPERATIONS) is what the call is accounted for.
+  // An answer cached for any chain entry with the same parameters is returned without a
+  // call. cache: false skips the cache, 'refresh' ignores the cached answer and stores the
+  // new one; answers for which cacheable(text) is false are not stored.
+  // Entries of the fallback chain are tried in order until one answers; retryable failures
+  // count against the entry's circuit breaker and open circuits are skipped. Credit, key and
+  // model errors (see providerHealth.js) also move on to the next entry, and the entry is
+  // skipped until its health is checked again.
   async processPrompt(prompt, options = {}) {
-    const provider = options.provider || config.llm.defaultProvider;
-    const maxTokens = options.maxTokens || 4000;
-    const temperature = options.temperature || 0;
+    const entries = this.candidates(options.provider);
+    if (entries.length === 0) {
+      throw new Error("No LLM provider available");
+    }
 
-    try {
-      console.log(`🤖 Using LLM Provider: ${provider}`);
-      console.log(`📝 Model: ${provider === "anthropic" ? config.llm.anthropic.model : config.llm.openai.model}`);
-
-      if (provider === "anthropic" && config.llm.anthropic.enabled) {
-        return await this.processWithAnthropic(prompt, maxTokens, temperature);
-      } else if (provider === "openai" && config.llm.openai.enabled) {
-        return await this.processWithOpenAI(prompt, maxTokens, temperature);
-      } else {
-        // Try fallback if preferred provider is not available
-        if (config.llm.anthropic.enabled) {
-          console.warn("⚠️ Falling back to Anthropic");
-          return await this.processWithAnthropic(prompt, maxTokens, temperature);
-        } else if (config.llm.openai.enabled) {
-          console.warn("⚠️ Falling back to OpenAI");
-          return await this.processWithOpenAI(prompt, maxTokens, temperature);
-        } else {
-          throw new Error("No LLM provider available");
+    const cached = await this.cachedAnswer(entries, prompt, options);
+    if (cached) {
+      const entry = entries[cached.index];
+      console.log(`🗄️ Answer for ${entry.key} taken from the LLM cache`);
+      this.recordCall({
+        provider: entry.provider.name,
+        model: entry.model,
+        fallback: false,
+        operation: options.operation,
+        inputTokens: 0,
+        outputTokens: 0,
+        cached: true
+      });
+      return cached.response;
+    }
+
+    let lastError = null;
+    for (const [index, entry] of entries.entries()) {
+      const blocked = entry.health.blockingError();
+      if (blocked) {
+        console.warn(`🚫 ${entry.key} is skipped: ${blocked.message}`);
+        lastError = blocked;
+        continue;
+      }
+      if (!entry.breaker.allowRequest()) {
+        console.warn(`⚡ ${entry.key} circuit is open, skipping it`);
+        continue;
+      }
+      if (index > 0) {
+        console.warn(`⚠️ Falling back to ${entry.key}`);
+      }
+
+      try {
+        const { text, usage } = await this.callEntry(entry, prompt, options);
+        this.recordOutcome(entry);
+        if (this.cache && options.cache !== false && (!options.cacheable || options.cacheable(text))) {
+          await this.cache.set(this.cacheParams(entry, prompt, options), text);
         }
+        this.recordCall({
+          provider: entry.provider.name,
+          model: entry.model,
+          fallback: index > 0,
+          operation: options.operation,
+          ...usage
+        });
+        return text;
+      } catch (error) {
+        this.recordOutcome(entry, error);
+        if (!isRetryableError(error) && !isProviderError(error)) throw error;
+        lastError = error;
       }
-    } catch (error) {
-      console.error("❌ LLM processing error:", error);
-      throw error;
     }
+
+    throw lastError || this.unavailableError(entries);
+  }
+
+  // Parameters an answer is cached under, see llmCache.js
+  cacheParams(entry, prompt, options) {
+    return {
+      provider: entry.provider.name,
+      model: entry.model,
+      prompt,
+      maxTokens: options.maxTokens || 4000,
+      temperature: options.temperature || 0,
+      json: Boolean(options.json),
+      schema: options.schema || null
+    };
   }
 
-  async processWithAnthropic(prompt, maxTokens, temperature) {
+  async cachedAnswer(entries, prompt, options) {
+    if (!this.cache) return null;
+    if (options.cache === false || options.cache === "refresh") {
+      this.cache.recordBypass();
+      return null;
+    }
+    return this.cache.lookup(entries.map(entry => this.cacheParams(entry, prompt, options)));
+  }
+
+  async callEntry(entry, prompt, options) {
+    const maxTokens = options.maxTokens || 4000;
+
+    console.log(`🤖 Using LLM Provider: ${entry.provider.name}`);
+    console.log(`📝 Model: ${entry.model}`);
+
+    const limiter = rateLimiter.get(entry.provider.name, entry.model);
+    const reservation = await limiter.acquire(estimateTokens(prompt, maxTokens));
+
     try {
-      const response = await this.anthropic.messages.create({
-        model: config.llm.anthropic.model,
-        max_tokens: maxTokens,
-        temperature: temperature,
-        messages: [{ role: "user", content: prompt }]
+      const { text, usage } = await entry.provider.chat([{ role: "user", content: prompt }], {
+        model: entry.model,
+        maxTokens,
+        temperature: options.temperature || 0,
+        json: Boolean(options.json),
+        schema: options.schema || null
       });
 
-      console.log("✅ Successfully processed with Anthropic");
-      return response.content[0].text;
+      limiter.release(reservation, usage ? usage.inputTokens + usage.outputTokens : undefined);
+      console.log(`✅ Successfully processed with ${entry.key}`);
+      return {
+        text,
+        usage: usage || { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text), estimated: true }
+      };
     } catch (error) {
+      console.error(`❌ LLM processing error (${entry.key}):`, error);
+      const typed = entry.health.classify(error);
+      if (typed) {
+        throw typed;
+      }
       if (error.status === 429) {
-        throw new Error("Rate limit exceeded. Please try again later.");
+        throw this.rateLimitError(limiter, error);
       }
       throw error;
     }
   }
 
-  async processWithOpenAI(prompt, maxTokens, temperature) {
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: config.llm.openai.model,
-        messages: [{ role: "user", content: prompt }],
-        max_tokens: maxTokens,
-        temperature: temperature
+  // Retryable errors count against the circuit. A 429 only ends a trial (the rate limiter
+  // already pauses the provider); any other answer, even an error, shows the provider is up.
+  // The answer is also the entry's latest health, except for a 429.
+  recordOutcome(entry, error = null) {
+    if (error?.status === 429) {
+      entry.breaker.release();
+      return;
+    }
+
+    entry.health.record(error);
+    if (error && isRetryableError(error)) {
+      const wasOpen = entry.breaker.state !== "closed";
+      entry.breaker.recordFailure(error);
+      if (!wasOpen && entry.breaker.state === "open") {
+        console.warn(`⚡ ${entry.key} failed ${entry.breaker.failureThreshold} times in a row, opening its circuit for ${Math.round(entry.breaker.cooldownMs / 1000)}s`);
+      }
+    } else {
+      entry.breaker.recordSuccess();
+    }
+  }
+
+  // Every entry was skipped because its circuit is open
+  unavailableError(entries) {
+    const retryInMs = Math.min(...entries.map(entry => entry.breaker.retryInMs()));
+    const error = new Error(`All LLM providers are unavailable, retry in ${Math.ceil(retryInMs / 1000)}s`);
+    error.status = 503;
+    error.code = "LLM_UNAVAILABLE";
+    error.retryAfterMs = retryInMs;
+    return error;
+  }
+
+  // Run fn, adding every answered LLM call made inside it (however deep) to `calls` (may be
+  // null) as { provider, model, fallback, operation, tenantId, quizUuid, jobId, inputTokens,
+  // outputTokens, estimated, cached, cost }. Nested tracking records into every enclosing list.
+  // tags ({ operation, tenantId, quizUuid, jobId }) apply to those calls; an operation given here
+  // overrides the calls' own (e.g. translations made for a quality check count as qa).
+  track(calls, fn, tags = {}) {
+    return this.callLog.run({ calls, tags, parent: this.callLog.getStore() }, fn);
+  }
+
+  // Tags of the enclosing track scopes, inner ones first
+  scopeTags() {
+    const tags = {};
+    for (let scope = this.callLog.getStore(); scope; scope = scope.parent) {
+      Object.entries(scope.tags).forEach(([key, value]) => {
+        if (tags[key] === undefined && value !== undefined && value !== null) tags[key] = value;
       });
+    }
+    return tags;
+  }
 
-      console.log("✅ Successfully processed with OpenAI");
-      return response.choices[0].message.content;
+  recordCall(call) {
+    const tags = this.scopeTags();
+    const record = {
+      ...call,
+      operation: tags.operation || call.operation || "other",
+      tenantId: tags.tenantId || null,
+      quizUuid: tags.quizUuid || null,
+      jobId: tags.jobId || null,
+      estimated: Boolean(call.estimated),
+      cached: Boolean(call.cached),
+      at: new Date()
+    };
+    record.cost = record.cached ? 0 : priceLlmCall(record, this.pricing);
+
+    for (let scope = this.callLog.getStore(); scope; scope = scope.parent) {
+      scope.calls?.push(record);
+    }
+    this.usage?.record(record);
+  }
+
+  // Send a one-token prompt to every entry whose circuit is due for a trial, so a provider
+  // that recovered is used again without spending a real request on the trial
+  async probeHealth() {
+    const due = Array.from(this.entries.values())
+      .filter(entry => entry.breaker.state !== "closed" && entry.provider.isAvailable());
+
+    await Promise.all(due.map(async (entry) => {
+      if (!entry.breaker.allowRequest()) return;
+      await this.ping(entry);
+      console.log(`🩺 Health probe ${entry.key}: ${entry.breaker.state}`);
+    }));
+  }
+
+  // One-token request, recorded as the entry's circuit and health outcome
+  async ping(entry) {
+    try {
+      await entry.provider.chat([{ role: "user", content: "ping" }], { model: entry.model, maxTokens: 1 });
+      this.recordOutcome(entry);
     } catch (error) {
-      if (error.status === 429) {
-        throw new Error("Rate limit exceeded. Please try again later.");
+      this.recordOutcome(entry, entry.health.classify(error) || error);
+    }
+  }
+
+  // Check the providers a job would use before it starts. Entries are taken in fallback
+  // order; one whose health is unknown or older than the preflight TTL gets a ping, the
+  // others answer from their cached health. Returns the status of the first usable entry, or
+  // throws the credit, key or model error (see providerHealth.js) of the first entry when
+  // none can be used. Other failures are left to processPrompt's fallback.
+  async preflight(name) {
+    const entries = this.candidates(name);
+    if (entries.length === 0) {
+      throw new Error("No LLM provider available");
+    }
+
+    for (const entry of entries) {
+      if (entry.health.isStale() && entry.breaker.state === "closed") {
+        await this.ping(entry);
       }
-      throw error;
+      if (!entry.health.blockingError()) {
+        return this.entryStatus(entry);
+      }
+    }
+    throw entries[0].health.blockingError();
+  }
+
+  // Ping every available chain entry now, whatever its cached health (GET /api/health?refresh=true)
+  async checkHealth() {
+    await Promise.all(this.chain
+      .filter(entry => entry.provider.isAvailable())
+      .map(entry => this.ping(entry)));
+    return this.getChainStatus();
+  }
+
+  startHealthProbes(intervalMs) {
+    if (!intervalMs || this.probeTimer) return;
+    this.probeTimer = setInterval(() => {
+      this.probeHealth().catch(error => console.error("❌ LLM health probe failed:", error.message));
+    }, intervalMs);
+    this.probeTimer.unref?.();
+  }
+
+  stopHealthProbes() {
+    clearInterval(this.probeTimer);
+    this.probeTimer = null;
+  }
+
+  // The requested (or default) provider, falling back to the first available one
+  resolveProvider(name) {
+    const requested = name || this.providers.defaultProvider;
+    const provider = this.providers.resolve(requested);
+    if (!provider) {
+      throw new Error("No LLM provider available");
     }
+    if (provider.name !== requested) {
+      console.warn(`⚠️ Falling back to ${provider.name}`);
+    }
+    return provider;
+  }
+
+  // Pause every caller of this provider/model, then report the 429 upstream
+  rateLimitError(limiter, error) {
+    const cooldown = limiter.penalize(getRetryAfterMs(error));
+    console.warn(`⏳ ${limiter.name} is rate limited, pausing its requests for ${(cooldown / 1000).toFixed(1)}s`);
+
+    const rateLimitError = new Error("Rate limit exceeded. Please try again later.");
+    rateLimitError.status = 429;
+    return rateLimitError;
   }
 
   // Helper method to check if a provider is available
   isProviderAvailable(provider) {
-    if (provider === "anthropic") {
-      return config.llm.anthropic.enabled;
-    } else if (provider === "openai") {
-      return config.llm.openai.enabled;
-    }
-    return false;
+    return this.providers.get(provider)?.isAvailable() || false;
   }
 
-  // Get the current active provider
+  // Provider of the first chain entry that would be tried now
   getActiveProvider() {
-    const defaultProvider = config.llm.defaultProvider;
-    if (this.isProviderAvailable(defaultProvider)) {
-      return defaultProvider;
-    }
-    // Return first available provider as fallback
-    return config.llm.anthropic.enabled ? "anthropic" : 
-           config.llm.openai.enabled ? "openai" : null;
+    const entry = this.candidates().find(candidate => candidate.breaker.state !== "open" && !candidate.health.blockingError());
+    return entry?.provider.name || null;
+  }
+
+  // Registered providers with their model and availability
+  listProviders() {
+    return this.providers.list();
+  }
+
+  // Fallback chain in order, with the circuit state and health of every entry
+  getChainStatus() {
+    return this.chain.map(entry => this.entryStatus(entry));
+  }
+
+  entryStatus(entry) {
+    return {
+      provider: entry.provider.name,
+      model: entry.model,
+      available: entry.provider.isAvailable(),
+      usable: entry.provider.isAvailable() && entry.breaker.state !== "open" && !entry.health.blockingError(),
+      ...entry.breaker.getStatus(),
+      health: entry.health.getStatus()
+    };
+  }
+
+  async listModels(provider) {
+    return this.resolveProvider(provider).listModels();
+  }
+
+  async countTokens(text, provider) {
+    return this.resolveProvider(provider).countTokens(text);
   }
 }
 
 // Create and export a default instance
 const defaultInstance = new LLMService();
-export default defaultInstance; 
\ No newline at end of file
+export default defaultInstance;
@@ -0,0 +1,108 @@
+// Prompt templates shared by the extraction/translation services and the MCP prompts.
+// Keep the wording here in sync with the parsers that consume the LLM responses.
+import { hasProtectedTokens } from '../utils/protectedSpans.js';
+
+const languageInstruction = (language) => language
+  ? `\nThe text is written in ${language}. Keep the questions, options and explanations in ${language}.\n`
+  : '';
+
+// Used by ExtractionService.extractWithLLM (option_N schema)
+export const buildExtractMcqPrompt = (text, language) => `Extract multiple choice questions from the following text. Each question must have:
+1. A clear question text
+2. Multiple choice options labeled as option_1, option_2, etc.
+3. A single correct answer specified as "option_X"
+4. An explanation for the correct answer
+${languageInstruction(language)}
+Format each question as a JSON object with this exact structure:
+{
+  "questionText": "the complete question text",
+  "options": {
+    "option_1": "first option text",
+    "option_2": "second option text",
+    "option_3": "third option text",
+    "option_4": "fourth option text"
+  },
+  "correctAnswer": "option_X",
+  "explanation": "detailed explanation of why this is the correct answer"
+}
+
+Important:
+1. Extract ALL questions from this text
+2. Include all options exactly as they appear
+3. Make sure options are labeled as option_1, option_2, etc.
+4. Ensure correctAnswer matches one of the option keys
+5. Always include an explanation
+6. Make sure the JSON is properly formatted
+
+Text to process:
+${text}
+
+Return ONLY a valid JSON array of question objects, with no additional text.`;
+
+export const buildCategorisePrompt = (questions) => `Analyze these questions and determine the most appropriate academic category. The response should be a JSON object with the following structure:
+
+{
+  "name": "Category name (e.g., Mathematics, Physics, Chemistry)",
+  "description": "Brief description of the category",
+  "type": "academic",
+  "tagName": "lowercase tag (e.g., math, physics, chemistry)",
+  "confidence": "high/medium/low",
+  "reasoning": "Brief explanation of why this category was chosen"
+}
+
+Consider:
+1. Question content and terminology
+2. Types of problems and concepts
+3. Subject-specific keywords
+4. Mathematical formulas or scientific notation
+5. Topic hierarchy (e.g., "Algebra" should be categorized under "Mathematics")
+
+Questions to analyze:
+${typeof questions === 'string' ? questions : JSON.stringify(questions, null, 2)}
+
+Return only the JSON object, no other text.`;
+
+// Masked spans, see utils/protectedSpans.js
+const formatProtected = (texts) => !texts.some(hasProtectedTokens) ? '' : `
+
+Tokens like [[0]] stand for formulas, code, links or placeholders. Copy every token unchanged into the translation.`;
+
+// Fuzzy translation memory matches ({ source, target }) given to the LLM as terminology hints
+const formatReferences = (references) => references.length === 0 ? '' : `
+
+Earlier translations of similar texts, keep their terminology consistent:
+${references.map(reference => `- "${reference.source}" => "${reference.target}"`).join('\n')}`;
+
+// Glossary terms ({ term, target, doNotTranslate }) the translation has to use
+const formatGlossary = (glossary) => glossary.length === 0 ? '' : `
+
+Glossary, use these terms exactly:
+${glossary.map(entry => entry.doNotTranslate
+  ? `- "${entry.term}" => keep "${entry.term}" untranslated`
+  : `- "${entry.term}" => "${entry.target}"`).join('\n')}`;
+
+// Used by TranslationService.translateWithLLM. references: fuzzy translation memory
+// matches, glossary: glossary terms found in the text
+export const buildTranslatePrompt = (text, targetLanguage, context = "", { references = [], glossary = [] } = {}) => `Translate the following text to ${targetLanguage}. Return ONLY the translation, without any prefixes or explanations:
+
+Context: ${context}
+Text to translate: "${text}"${formatProtected([text])}${formatReferences(references)}${formatGlossary(glossary)}`;
+
+// JSON schema of a batch translation answer: one string per key, no other keys
+export const buildBatchTranslateSchema = (keys) => ({
+  type: 'object',
+  properties: Object.fromEntries(keys.map(key => [key, { type: 'string' }])),
+  required: keys,
+  additionalProperties: false
+});
+
+// Used by TranslationService.batchTranslateQuestions. texts maps keys such as
+// "q1.questionText", "q1.options.option_1" or "q1.explanation" to the text to translate;
+// the answer is parsed by utils/translationBatch.js
+export const buildBatchTranslatePrompt = (texts, targetLanguage, { references = [], glossary = [] } = {}) => `Translate every value of the following JSON object to ${targetLanguage}.
+Return ONLY a JSON object with the same keys, each mapped to the translation of its value. It must match this JSON schema:
+${JSON.stringify(buildBatchTranslateSchema(Object.keys(texts)))}
+Do NOT translate the keys. Do NOT add explanations, code fences or any other text.
+
+Texts to translate:
+${JSON.stringify(texts, null, 2)}${formatProtected(Object.values(texts))}${formatReferences(references)}${formatGlossary(glossary)}`;
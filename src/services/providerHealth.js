@@ -0,0 +1,101 @@
+// Provider errors retrying cannot fix, recognised by status or by the message the provider
+// sends. They are turned into errors with a fixed status and code that controllers return as
+// is; INSUFFICIENT_CREDITS is the code the upload endpoint has always answered 402 with.
+const PROVIDER_ERRORS = [
+  {
+    code: 'INSUFFICIENT_CREDITS',
+    status: 402,
+    health: 'insufficient_credits',
+    // Anthropic answers 400, OpenAI 429 with insufficient_quota
+    matches: (error, message) => error.status === 402 ||
+      /credit balance is too low|insufficient_quota|exceeded your current quota/i.test(message),
+    message: ({ key }) => `Your credit balance is too low for ${key}. Please check your API credits.`
+  },
+  {
+    code: 'LLM_INVALID_KEY',
+    status: 401,
+    health: 'invalid_key',
+    matches: (error, message) => error.status === 401 ||
+      /invalid x-api-key|invalid api key|incorrect api key|authentication_error/i.test(message),
+    message: ({ provider }) => `The API key for ${provider} was rejected. Please check your API credentials.`
+  },
+  {
+    code: 'LLM_MODEL_NOT_FOUND',
+    status: 424,
+    health: 'model_not_found',
+    matches: (error, message) => (error.status === 404 && /model/i.test(message)) ||
+      /model\b[^.]*\b(not found|does not exist)/i.test(message),
+    message: ({ provider, model }) => `Model ${model} was not found by ${provider}.`
+  }
+];
+
+export const PROVIDER_ERROR_CODES = PROVIDER_ERRORS.map(type => type.code);
+
+export const isProviderError = (error) => PROVIDER_ERROR_CODES.includes(error?.code);
+
+const createProviderError = (type, { key, provider, model }, cause = null) => {
+  const error = new Error(type.message({ key, provider, model }));
+  error.status = type.status;
+  error.code = type.code;
+  error.provider = provider;
+  error.model = model;
+  if (cause) error.cause = cause;
+  return error;
+};
+
+// Last known health of one provider/model of the LLM fallback chain (see llmService.js)
+//   unknown               nothing was asked yet
+//   ok                    the last request was answered
+//   error                 the last request failed with another error (the circuit breaker
+//                         decides whether the entry is skipped)
+//   insufficient_credits, invalid_key, model_not_found
+//                         the entry is skipped until the status is older than `ttlMs`
+export class ProviderHealth {
+  constructor({ key, provider, model }, { ttlMs = 300000 } = {}, now = Date.now) {
+    this.entry = { key, provider, model };
+    this.ttlMs = ttlMs;
+    this.now = now;
+    this.status = 'unknown';
+    this.code = null;
+    this.lastError = null;
+    this.checkedAt = null;
+  }
+
+  // Typed error for an error of this provider/model, null when it is not one of
+  // PROVIDER_ERRORS
+  classify(error) {
+    if (isProviderError(error)) return error;
+    const type = PROVIDER_ERRORS.find(candidate => candidate.matches(error || {}, error?.message || ''));
+    return type ? createProviderError(type, this.entry, error) : null;
+  }
+
+  record(error = null) {
+    const type = error && PROVIDER_ERRORS.find(candidate => candidate.code === error.code);
+    this.status = error ? (type?.health || 'error') : 'ok';
+    this.code = type?.code || null;
+    this.lastError = error?.message || null;
+    this.checkedAt = this.now();
+  }
+
+  // True when the status was never checked or is older than ttlMs
+  isStale() {
+    return this.checkedAt === null || this.now() - this.checkedAt > this.ttlMs;
+  }
+
+  // Typed error while a recent check found a provider error, null otherwise
+  blockingError() {
+    const type = PROVIDER_ERRORS.find(candidate => candidate.code === this.code);
+    if (!type || this.isStale()) return null;
+    return createProviderError(type, this.entry);
+  }
+
+  getStatus() {
+    return {
+      status: this.status,
+      code: this.code,
+      lastError: this.lastError,
+      checkedAt: this.checkedAt === null ? null : new Date(this.checkedAt).toISOString(),
+      stale: this.isStale()
+    };
+  }
+}
@@ -0,0 +1,133 @@
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import { config } from '../config/config.js';
+import TranslationJob from '../models/TranslationJob.js';
+
+// Persistence backends for TranslationQueue. Every store exposes the same interface:
+//   load()       -> array of job records (plain JSON, dates as ISO strings)
+//   save(job)    -> upsert a job record by id
+//   remove(id)   -> delete a job record
+//   flush()      -> wait for pending writes
+
+// Keeps nothing across restarts (previous behaviour)
+export class MemoryQueueStore {
+  async load() {
+    return [];
+  }
+
+  async save() {}
+
+  async remove() {}
+
+  async flush() {}
+}
+
+// Single JSON file, rewritten atomically after every change
+export class FileQueueStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.jobs = new Map();
+    this.writeChain = Promise.resolve();
+    this.writePending = false;
+  }
+
+  async load() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      const jobs = JSON.parse(content);
+      jobs.forEach(job => this.jobs.set(job.id, job));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`⚠️ Could not read queue file ${this.filePath}:`, error.message);
+      }
+    }
+    return Array.from(this.jobs.values());
+  }
+
+  async save(job) {
+    this.jobs.set(job.id, job);
+    return this.scheduleWrite();
+  }
+
+  async remove(id) {
+    if (this.jobs.delete(id)) {
+      return this.scheduleWrite();
+    }
+  }
+
+  async flush() {
+    return this.writeChain;
+  }
+
+  // Serialize writes so concurrent saves never interleave. Saves that arrive while a write
+  // is still waiting share it, since every write dumps the current state.
+  scheduleWrite() {
+    if (this.writePending) return this.writeChain;
+    this.writePending = true;
+    this.writeChain = this.writeChain
+      .then(() => {
+        this.writePending = false;
+        return this.write();
+      })
+      .catch(error => console.error(`⚠️ Could not write queue file ${this.filePath}:`, error.message));
+    return this.writeChain;
+  }
+
+  async write() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(Array.from(this.jobs.values()), null, 2));
+    await fs.rename(tempPath, this.filePath);
+  }
+}
+
+// translationjobs collection, connects on first use
+export class MongoQueueStore {
+  constructor(uri) {
+    this.uri = uri;
+  }
+
+  async connect() {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(this.uri);
+      console.log('Connected to MongoDB (translation queue store)');
+    }
+  }
+
+  async load() {
+    await this.connect();
+    const documents = await TranslationJob.find().lean();
+    return documents.map(document => document.job);
+  }
+
+  async save(job) {
+    await this.connect();
+    await TranslationJob.updateOne(
+      { id: job.id },
+      { id: job.id, type: job.type, status: job.status, job, updatedAt: new Date() },
+      { upsert: true }
+    );
+  }
+
+  async remove(id) {
+    await this.connect();
+    await TranslationJob.deleteOne({ id });
+  }
+
+  async flush() {}
+}
+
+export const createQueueStore = (queueConfig = config.queue) => {
+  switch (queueConfig.store) {
+    case 'memory':
+      return new MemoryQueueStore();
+    case 'file':
+      return new FileQueueStore(queueConfig.filePath);
+    case 'mongo':
+    case 'mongodb':
+      return new MongoQueueStore(config.mongo.uri);
+    default:
+      throw new Error(`Unknown queue store "${queueConfig.store}" (expected memory, file or mongo)`);
+  }
+};
@@ -1,7 +1,8 @@
 import axios from 'axios';
 import { config } from '../config/config.js';
 import { v4 as uuidv4 } from 'uuid';
-import ragExtraction from './ragExtraction.js';
+import extractionService from './extractionService.js';
+import { assertValidQuestions, toQuizFactorQuestion } from '../utils/questionSchema.js';
 
 export class QuizFactorApiService {
   constructor() {
@@ -84,7 +85,7 @@ export class QuizFactorApiService {
 
   async determineCategoryFromContent(questions) {
     try {
-      const categoryInfo = await ragExtraction.determineCategory(questions);
+      const categoryInfo = await extractionService.determineCategory(questions);
       return categoryInfo;
     } catch (error) {
       const formattedError = this.logError(error, 'Category Determination');
@@ -208,6 +209,55 @@ export class QuizFactorApiService {
     }
   }
 
+  // Hierarchy lookups for cascade translations. Children are read from the parent payload
+  // (`courses` on a category, `quizzes` or `topics[].quizzes` on a course) and fall back
+  // to the list endpoints when the payload does not embed them.
+  async getCategoryCourses(categoryUuid) {
+    try {
+      const response = await this.client.get(`/api/ai/course-category/${categoryUuid}`);
+      const category = response.data?.data;
+      if (!category) {
+        throw new Error(`Category not found: ${categoryUuid}`);
+      }
+
+      let courses = category.courses;
+      if (!Array.isArray(courses)) {
+        const listResponse = await this.client.get(`/api/ai/courses?categoryUuid=${categoryUuid}`);
+        courses = listResponse.data?.data || [];
+      }
+      return courses.filter(course => course?.uuid);
+    } catch (error) {
+      this.logError(error, 'Get Category Courses');
+      throw new Error(`Failed to list courses of category ${categoryUuid}: ${error.message}`);
+    }
+  }
+
+  async getCourseQuizzes(courseUuid) {
+    try {
+      const response = await this.client.get(`/api/ai/course/${courseUuid}`);
+      const course = response.data?.data;
+      if (!course) {
+        throw new Error(`Course not found: ${courseUuid}`);
+      }
+
+      let quizzes = course.quizzes
+        || (Array.isArray(course.topics) ? course.topics.flatMap(topic => topic.quizzes || []) : null);
+      if (!Array.isArray(quizzes)) {
+        const listResponse = await this.client.get(`/api/ai/quizzes?courseUuid=${courseUuid}`);
+        quizzes = listResponse.data?.data || [];
+      }
+      return quizzes.filter(quiz => quiz?.uuid);
+    } catch (error) {
+      this.logError(error, 'Get Course Quizzes');
+      throw new Error(`Failed to list quizzes of course ${courseUuid}: ${error.message}`);
+    }
+  }
+
+  async getQuizQuestions(quizUuid) {
+    const quiz = await this.verifyQuiz(quizUuid);
+    return quiz.data?.questions || [];
+  }
+
   async createQuiz(courseUuid, topicUuid, metadata = {}) {
     try {
       if (!courseUuid) {
@@ -308,13 +358,17 @@ export class QuizFactorApiService {
     }
   }
 
+  // Accepts questions in any shape known to utils/questionSchema.js. They are validated
+  // before anything is created so an unusable batch does not leave an empty quiz behind.
   async createQuizWithQuestions(questions, metadata = {}) {
+    const { questions: validQuestions, rejected } = assertValidQuestions(questions);
+
     try {
       console.log('\n🚀 Starting Quiz Creation Flow');
       
       // Step 1: Determine category
       console.log('\n📊 Step 1: Determining Category');
-      const categoryInfo = await this.determineCategoryFromContent(questions);
+      const categoryInfo = await this.determineCategoryFromContent(validQuestions);
       console.log('Category determined:', categoryInfo);
       
       // Step 2: Create or get category
@@ -358,14 +412,18 @@ export class QuizFactorApiService {
 
       // Step 5: Add questions
       console.log('\n❓ Step 5: Adding Questions');
-      const questionsResponse = await this.addQuestionsToQuiz(quizResponse.uuid, questions, metadata);
+      const questionsResponse = await this.addQuestionsToQuiz({
+        quizUuid: quizResponse.uuid,
+        questions: validQuestions.map(toQuizFactorQuestion)
+      });
 
       console.log('\n✅ Quiz Creation Flow Completed Successfully!');
       return {
         category: categoryResponse,
         course: courseResponse,
         quiz: quizResponse,
-        questions: questionsResponse
+        questions: questionsResponse,
+        ...(rejected.length > 0 && { rejectedQuestions: rejected })
       };
     } catch (error) {
       const formattedError = this.logError(error, 'Quiz Creation Flow');
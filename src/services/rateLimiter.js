@@ -0,0 +1,174 @@
+import { config } from '../config/config.js';
+
+const MINUTE = 60 * 1000;
+const BASE_BACKOFF_MS = 5000;
+const MAX_BACKOFF_MS = 2 * MINUTE;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rough token count used to reserve budget before the provider reports real usage
+// (~4 characters per token for the prompt plus the whole completion allowance)
+export const estimateTokens = (prompt, maxTokens = 0) =>
+  Math.ceil(String(prompt || '').length / 4) + maxTokens;
+
+// Continuously refilled bucket holding one minute of budget
+export class TokenBucket {
+  constructor(perMinute, now = Date.now) {
+    this.capacity = perMinute;
+    this.available = perMinute;
+    this.refillPerMs = perMinute / MINUTE;
+    this.now = now;
+    this.updatedAt = now();
+  }
+
+  refill() {
+    const current = this.now();
+    this.available = Math.min(this.capacity, this.available + (current - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = current;
+  }
+
+  // Milliseconds until `amount` can be taken, 0 when it is available now.
+  // Requests larger than the bucket only wait for a full bucket.
+  waitTime(amount) {
+    this.refill();
+    const missing = Math.min(amount, this.capacity) - this.available;
+    return missing > 0 ? Math.ceil(missing / this.refillPerMs) : 0;
+  }
+
+  take(amount) {
+    this.refill();
+    this.available -= Math.min(amount, this.capacity);
+  }
+
+  // Give back (or charge) the difference once the real usage is known
+  adjust(amount) {
+    this.refill();
+    this.available = Math.min(this.capacity, this.available + amount);
+  }
+}
+
+// Requests-per-minute and tokens-per-minute budget for one provider/model.
+// Callers wait in arrival order; a 429 pauses every caller sharing the limiter.
+export class RateLimiter {
+  constructor(name, budget = {}, { now = Date.now, wait = sleep } = {}) {
+    this.name = name;
+    this.requestsPerMinute = budget.requestsPerMinute || 0;
+    this.tokensPerMinute = budget.tokensPerMinute || 0;
+    this.requests = this.requestsPerMinute > 0 ? new TokenBucket(this.requestsPerMinute, now) : null;
+    this.tokens = this.tokensPerMinute > 0 ? new TokenBucket(this.tokensPerMinute, now) : null;
+    this.now = now;
+    this.wait = wait;
+    this.cooldownUntil = 0;
+    this.consecutiveRateLimits = 0;
+    this.waiting = 0;
+    this.line = Promise.resolve();
+    this.stats = { requests: 0, tokens: 0, rateLimits: 0, waitedMs: 0 };
+  }
+
+  // Resolves with a reservation once a request slot and `tokens` of budget are free
+  acquire(tokens = 0) {
+    this.waiting++;
+    const turn = this.line.then(() => this.waitForBudget(tokens));
+    this.line = turn.catch(() => {});
+    return turn.finally(() => this.waiting--);
+  }
+
+  async waitForBudget(tokens) {
+    const startedAt = this.now();
+
+    for (;;) {
+      const delay = Math.max(
+        this.cooldownUntil - this.now(),
+        this.requests ? this.requests.waitTime(1) : 0,
+        this.tokens ? this.tokens.waitTime(tokens) : 0
+      );
+      if (delay <= 0) break;
+      await this.wait(delay);
+    }
+
+    this.requests?.take(1);
+    this.tokens?.take(tokens);
+    this.stats.requests++;
+    this.stats.tokens += tokens;
+    this.stats.waitedMs += this.now() - startedAt;
+    return { tokens };
+  }
+
+  // Successful call: swap the estimate for the reported usage and clear the backoff streak
+  release(reservation, usedTokens) {
+    this.consecutiveRateLimits = 0;
+    if (!reservation || !Number.isFinite(usedTokens)) return;
+    this.tokens?.adjust(reservation.tokens - usedTokens);
+    this.stats.tokens += usedTokens - reservation.tokens;
+  }
+
+  // Provider answered 429. Honours Retry-After, otherwise backs off exponentially.
+  // Returns the cooldown in milliseconds.
+  penalize(retryAfterMs) {
+    this.consecutiveRateLimits++;
+    this.stats.rateLimits++;
+
+    const cooldown = retryAfterMs > 0
+      ? retryAfterMs
+      : Math.min(BASE_BACKOFF_MS * 2 ** (this.consecutiveRateLimits - 1), MAX_BACKOFF_MS) + Math.random() * 1000;
+    this.cooldownUntil = Math.max(this.cooldownUntil, this.now() + cooldown);
+    return cooldown;
+  }
+
+  isCoolingDown() {
+    return this.cooldownUntil > this.now();
+  }
+
+  getStatus() {
+    this.requests?.refill();
+    this.tokens?.refill();
+    return {
+      name: this.name,
+      requestsPerMinute: this.requestsPerMinute || null,
+      tokensPerMinute: this.tokensPerMinute || null,
+      availableRequests: this.requests ? Math.floor(this.requests.available) : null,
+      availableTokens: this.tokens ? Math.floor(this.tokens.available) : null,
+      waiting: this.waiting,
+      coolingDownMs: Math.max(0, this.cooldownUntil - this.now()),
+      ...this.stats
+    };
+  }
+}
+
+// One limiter per provider and model, shared by every job in the process
+export class RateLimiterRegistry {
+  constructor(budgets = config.llm.rateLimits, options = {}) {
+    this.budgets = budgets;
+    this.options = options;
+    this.limiters = new Map();
+  }
+
+  get(provider, model) {
+    const key = `${provider}:${model}`;
+    if (!this.limiters.has(key)) {
+      this.limiters.set(key, new RateLimiter(key, this.budgets[provider], this.options));
+    }
+    return this.limiters.get(key);
+  }
+
+  getStatus() {
+    return Array.from(this.limiters.values()).map(limiter => limiter.getStatus());
+  }
+}
+
+// Retry-After from an SDK error (seconds or HTTP date), in milliseconds
+export const getRetryAfterMs = (error) => {
+  const headers = error?.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (!value) return 0;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+};
+
+const rateLimiter = new RateLimiterRegistry();
+
+export default rateLimiter;
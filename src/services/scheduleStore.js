@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+import { config } from '../config/config.js';
+import TranslationSchedule from '../models/TranslationSchedule.js';
+import { MemoryQueueStore, FileQueueStore } from './queueStore.js';
+
+// Persistence backends for TranslationScheduler. Same interface as the queue stores
+// (load, save, remove, flush); the memory and file stores are shared with the queue.
+
+// translationschedules collection, connects on first use
+export class MongoScheduleStore {
+  constructor(uri) {
+    this.uri = uri;
+  }
+
+  async connect() {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(this.uri);
+      console.log('Connected to MongoDB (translation schedule store)');
+    }
+  }
+
+  async load() {
+    await this.connect();
+    const documents = await TranslationSchedule.find().lean();
+    return documents.map(document => document.schedule);
+  }
+
+  async save(schedule) {
+    await this.connect();
+    await TranslationSchedule.updateOne(
+      { id: schedule.id },
+      { id: schedule.id, schedule, updatedAt: new Date() },
+      { upsert: true }
+    );
+  }
+
+  async remove(id) {
+    await this.connect();
+    await TranslationSchedule.deleteOne({ id });
+  }
+
+  async flush() {}
+}
+
+export const createScheduleStore = (schedulerConfig = config.scheduler) => {
+  switch (schedulerConfig.store) {
+    case 'memory':
+      return new MemoryQueueStore();
+    case 'file':
+      return new FileQueueStore(schedulerConfig.filePath);
+    case 'mongo':
+    case 'mongodb':
+      return new MongoScheduleStore(config.mongo.uri);
+    default:
+      throw new Error(`Unknown schedule store "${schedulerConfig.store}" (expected memory, file or mongo)`);
+  }
+};
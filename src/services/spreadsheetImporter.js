@@ -0,0 +1,214 @@
+import ExcelJS from 'exceljs';
+import path from 'path';
+
+const OPTION_LETTERS = ['A', 'B', 'C', 'D', 'E'];
+const VALID_DIFFICULTIES = new Set(['easy', 'medium', 'hard']);
+
+// Header aliases for each field, compared after normalizeHeader()
+const DEFAULT_COLUMN_ALIASES = {
+  question: ['question', 'questiontext', 'stem', 'prompt'],
+  optionA: ['optiona', 'a', 'option1', 'choicea', 'answera'],
+  optionB: ['optionb', 'b', 'option2', 'choiceb', 'answerb'],
+  optionC: ['optionc', 'c', 'option3', 'choicec', 'answerc'],
+  optionD: ['optiond', 'd', 'option4', 'choiced', 'answerd'],
+  optionE: ['optione', 'e', 'option5', 'choicee', 'answere'],
+  correctAnswer: ['correctanswer', 'answer', 'correct', 'key', 'answerkey'],
+  explanation: ['explanation', 'rationale', 'solution'],
+  difficulty: ['difficulty', 'level'],
+  tags: ['tags', 'tag', 'topic', 'topics']
+};
+
+const normalizeHeader = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+class SpreadsheetImporter {
+  supports(fileName) {
+    return ['.xlsx', '.csv'].includes(path.extname(fileName).toLowerCase());
+  }
+
+  // Column maps arrive as JSON strings in multipart form fields
+  parseColumnMap(value) {
+    if (!value) return {};
+    if (typeof value === 'object') return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Invalid columnMap: ${error.message}`);
+    }
+  }
+
+  // Import a spreadsheet of questions without any LLM call.
+  // columnMap can override header detection, e.g. { question: "Stem", correctAnswer: "Key" }
+  async importFile(filePath, fileName = filePath, options = {}) {
+    const { columnMap = {}, languageCode = 'en' } = options;
+    const rows = await this.readRows(filePath, fileName);
+
+    if (rows.length === 0) {
+      throw new Error('Spreadsheet is empty');
+    }
+
+    const [headerRow, ...dataRows] = rows;
+    const columns = this.mapColumns(headerRow.values, columnMap);
+
+    if (columns.question === undefined) {
+      throw new Error('Invalid spreadsheet: no question column found');
+    }
+    if (columns.correctAnswer === undefined) {
+      throw new Error('Invalid spreadsheet: no correct answer column found');
+    }
+
+    const questions = [];
+    const rejected = [];
+
+    for (const row of dataRows) {
+      const values = row.values;
+      if (values.every(value => !value)) continue; // Skip blank lines
+
+      try {
+        questions.push(this.rowToQuestion(values, columns, languageCode));
+      } catch (error) {
+        rejected.push({
+          row: row.number,
+          reason: error.message,
+          questionText: this.cell(values, columns.question) || null
+        });
+      }
+    }
+
+    console.log(`📊 Imported ${questions.length} questions from ${path.basename(fileName)} (${rejected.length} rows rejected)`);
+
+    return {
+      questions,
+      rejected,
+      totalRows: questions.length + rejected.length,
+      columns: Object.fromEntries(
+        Object.entries(columns).map(([field, index]) => [field, headerRow.values[index]])
+      )
+    };
+  }
+
+  async readRows(filePath, fileName) {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+
+    if (path.extname(fileName).toLowerCase() === '.csv') {
+      worksheet = await workbook.csv.readFile(filePath);
+    } else {
+      await workbook.xlsx.readFile(filePath);
+      worksheet = workbook.worksheets[0];
+    }
+
+    if (!worksheet) return [];
+
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      const values = [];
+      for (let i = 1; i <= worksheet.columnCount; i++) {
+        values.push(row.getCell(i).text.trim());
+      }
+      rows.push({ number: rowNumber, values });
+    });
+    return rows;
+  }
+
+  // Resolve each field to a column index, explicit columnMap entries take precedence
+  mapColumns(headers, columnMap) {
+    const normalizedHeaders = headers.map(normalizeHeader);
+    const columns = {};
+
+    for (const [field, aliases] of Object.entries(DEFAULT_COLUMN_ALIASES)) {
+      const candidates = columnMap[field] ? [normalizeHeader(columnMap[field])] : aliases;
+      const index = normalizedHeaders.findIndex(header => candidates.includes(header));
+      if (index !== -1) {
+        columns[field] = index;
+      }
+    }
+
+    return columns;
+  }
+
+  cell(values, index) {
+    return index === undefined ? '' : (values[index] || '').trim();
+  }
+
+  rowToQuestion(values, columns, languageCode) {
+    const questionText = this.cell(values, columns.question);
+    if (!questionText) {
+      throw new Error('Missing question text');
+    }
+
+    // Keep option letters so answers can reference them even if a middle option is blank
+    const options = {};
+    const letterToKey = {};
+    OPTION_LETTERS.forEach(letter => {
+      const text = this.cell(values, columns[`option${letter}`]);
+      if (text) {
+        const key = `option_${Object.keys(options).length + 1}`;
+        options[key] = text;
+        letterToKey[letter] = key;
+      }
+    });
+
+    if (Object.keys(options).length < 2) {
+      throw new Error('At least two options are required');
+    }
+
+    const correctAnswer = this.resolveCorrectAnswer(
+      this.cell(values, columns.correctAnswer),
+      options,
+      letterToKey
+    );
+
+    const difficulty = this.cell(values, columns.difficulty).toLowerCase() || 'medium';
+    if (!VALID_DIFFICULTIES.has(difficulty)) {
+      throw new Error(`Invalid difficulty "${difficulty}" (expected easy, medium or hard)`);
+    }
+
+    const tags = this.cell(values, columns.tags)
+      .split(/[,;|]/)
+      .map(tag => tag.trim())
+      .filter(Boolean);
+
+    // Canonical question schema (utils/questionSchema.js)
+    return {
+      questionText,
+      options,
+      correctAnswer,
+      explanation: this.cell(values, columns.explanation) || 'No explanation provided',
+      questionType: correctAnswer.length > 1 ? 'multi-choice' : 'single-choice',
+      difficulty,
+      points: 1,
+      languageCode,
+      ...(tags.length > 0 && { tags }),
+      metadata: { source: 'spreadsheet' }
+    };
+  }
+
+  // Accepts letters ("B", "A,C"), option numbers ("2", "option_2") or the option text itself
+  resolveCorrectAnswer(rawAnswer, options, letterToKey) {
+    if (!rawAnswer) {
+      throw new Error('Missing correct answer');
+    }
+
+    const optionKeys = Object.keys(options);
+    const exactMatch = optionKeys.find(key => options[key].toLowerCase() === rawAnswer.toLowerCase());
+    if (exactMatch) {
+      return [exactMatch];
+    }
+
+    const answers = rawAnswer.split(/[,;|]/).map(part => part.trim()).filter(Boolean);
+    const resolved = answers.map(answer => {
+      // Numbers and option_N refer to the option columns A..E
+      const label = answer.toUpperCase().replace(/^OPTION[\s_]*/, '').replace(/[.)]$/, '');
+      const letter = /^\d+$/.test(label) ? OPTION_LETTERS[Number(label) - 1] : label;
+      return letterToKey[letter] || null;
+    });
+
+    if (resolved.some(key => !key)) {
+      throw new Error(`Correct answer "${rawAnswer}" does not match any option`);
+    }
+
+    return [...new Set(resolved)];
+  }
+}
+
+export default new SpreadsheetImporter();
@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import { config } from '../config/config.js';
+import { createTranslationMemoryStore } from './translationMemoryStore.js';
+import { normalizeText, similarity } from '../utils/textSimilarity.js';
+import { buildTmx, parseTmx } from '../utils/tmx.js';
+
+const entryId = (sourceLanguage, targetLanguage, context, normalized) => crypto
+  .createHash('sha1')
+  .update([sourceLanguage, targetLanguage, context, normalized].join('\0'))
+  .digest('hex');
+
+// Earlier translations keyed by normalised source text, language pair and context
+// ('question', 'option', 'explanation', ...). Entries without a context are generic and
+// match every context. TranslationService looks texts up here before calling the LLM.
+export class TranslationMemory {
+  constructor(store = createTranslationMemoryStore(), options = {}) {
+    this.store = store;
+    this.enabled = options.enabled ?? config.translationMemory.enabled;
+    this.fuzzyThreshold = options.fuzzyThreshold ?? config.translationMemory.fuzzyThreshold;
+    this.entries = new Map(); // id -> entry
+    this.pairs = new Map(); // "en|fr" -> entries, scanned for fuzzy matches
+    this.hits = { exact: 0, fuzzy: 0, miss: 0 };
+
+    this.ready = this.enabled ? this.restore() : Promise.resolve();
+  }
+
+  async restore() {
+    try {
+      const entries = await this.store.load();
+      entries.forEach(entry => this.index(entry));
+      if (entries.length > 0) {
+        console.log(`🧠 Loaded ${entries.length} translation memory entries`);
+      }
+    } catch (error) {
+      console.error(`⚠️ Could not load translation memory:`, error.message);
+    }
+  }
+
+  index(entry) {
+    const existing = this.entries.get(entry.id);
+    if (existing) {
+      Object.assign(existing, entry);
+      return;
+    }
+
+    const pairKey = `${entry.sourceLanguage}|${entry.targetLanguage}`;
+    if (!this.pairs.has(pairKey)) this.pairs.set(pairKey, []);
+    this.pairs.get(pairKey).push(entry);
+    this.entries.set(entry.id, entry);
+  }
+
+  // Persistence failures are logged, the entry stays available in memory
+  persist(entry) {
+    this.store.save({ ...entry })
+      .catch(error => console.error(`⚠️ Could not persist translation memory entry:`, error.message));
+  }
+
+  // { exact: true, source, target } for the same text in the same (or a generic) context,
+  // otherwise the closest entry at or above the fuzzy threshold with its similarity, or null
+  lookup(text, sourceLanguage, targetLanguage, context = '') {
+    if (!this.enabled || typeof text !== 'string' || !text.trim()) return null;
+
+    const normalized = normalizeText(text);
+    const exact = this.entries.get(entryId(sourceLanguage, targetLanguage, context, normalized))
+      || this.entries.get(entryId(sourceLanguage, targetLanguage, '', normalized));
+    if (exact) {
+      this.hits.exact++;
+      return { exact: true, similarity: 1, source: exact.source, target: exact.target };
+    }
+
+    let best = null;
+    const minLength = normalized.length * this.fuzzyThreshold;
+    for (const entry of this.pairs.get(`${sourceLanguage}|${targetLanguage}`) || []) {
+      if (entry.context && entry.context !== context) continue;
+      // Texts whose lengths differ this much can never reach the threshold
+      const length = entry.normalized.length;
+      if (length < minLength || normalized.length < length * this.fuzzyThreshold) continue;
+
+      const score = similarity(normalized, entry.normalized);
+      if (score >= this.fuzzyThreshold && (!best || score > best.similarity)) {
+        best = { exact: false, similarity: score, source: entry.source, target: entry.target };
+      }
+    }
+
+    this.hits[best ? 'fuzzy' : 'miss']++;
+    return best;
+  }
+
+  add(source, target, sourceLanguage, targetLanguage, context = '', origin = 'llm') {
+    if (!this.enabled || typeof source !== 'string' || typeof target !== 'string' || !source.trim() || !target.trim()) {
+      return null;
+    }
+
+    const normalized = normalizeText(source);
+    const id = entryId(sourceLanguage, targetLanguage, context, normalized);
+    const existing = this.entries.get(id);
+    if (existing?.target === target) return existing;
+    // Already stored for every context
+    const generic = context && this.entries.get(entryId(sourceLanguage, targetLanguage, '', normalized));
+    if (generic?.target === target) return generic;
+
+    const now = new Date().toISOString();
+    const entry = {
+      id,
+      sourceLanguage,
+      targetLanguage,
+      context,
+      source,
+      normalized,
+      target,
+      origin,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+    this.index(entry);
+    this.persist(entry);
+    return entry;
+  }
+
+  // Entries, optionally only those of one language pair
+  list({ sourceLanguage, targetLanguage } = {}) {
+    return Array.from(this.entries.values()).filter(entry =>
+      (!sourceLanguage || entry.sourceLanguage === sourceLanguage) &&
+      (!targetLanguage || entry.targetLanguage === targetLanguage)
+    );
+  }
+
+  exportTmx(filter = {}) {
+    return buildTmx(this.list(filter));
+  }
+
+  // Adds every translation unit of a TMX document. Units without a context get
+  // options.context (generic when not given).
+  importTmx(xml, { context = '' } = {}) {
+    if (!this.enabled) {
+      const error = new Error('Translation memory is disabled (TM_ENABLED=false)');
+      error.status = 409;
+      throw error;
+    }
+
+    let imported = 0;
+    let skipped = 0;
+    for (const pair of parseTmx(xml)) {
+      const entry = this.add(pair.source, pair.target, pair.sourceLanguage, pair.targetLanguage, pair.context || context, 'import');
+      entry ? imported++ : skipped++;
+    }
+
+    console.log(`🧠 Imported ${imported} translation memory entries (${skipped} skipped)`);
+    return { imported, skipped };
+  }
+
+  getStats() {
+    const languagePairs = {};
+    for (const [pairKey, entries] of this.pairs) {
+      languagePairs[pairKey.replace('|', '-')] = entries.length;
+    }
+
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      fuzzyThreshold: this.fuzzyThreshold,
+      languagePairs,
+      hits: { ...this.hits }
+    };
+  }
+
+  async flush() {
+    await this.store.flush();
+  }
+}
+
+const translationMemory = new TranslationMemory();
+
+export default translationMemory;
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+import { config } from '../config/config.js';
+import TranslationMemoryEntry from '../models/TranslationMemoryEntry.js';
+import { MemoryQueueStore, FileQueueStore } from './queueStore.js';
+
+// Persistence backends for TranslationMemory. Same interface as the queue stores
+// (load, save, remove, flush); the memory and file stores are shared with the queue.
+
+// translationmemoryentries collection, connects on first use
+export class MongoTranslationMemoryStore {
+  constructor(uri) {
+    this.uri = uri;
+  }
+
+  async connect() {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(this.uri);
+      console.log('Connected to MongoDB (translation memory store)');
+    }
+  }
+
+  async load() {
+    await this.connect();
+    const documents = await TranslationMemoryEntry.find().lean();
+    return documents.map(document => document.entry);
+  }
+
+  async save(entry) {
+    await this.connect();
+    await TranslationMemoryEntry.updateOne(
+      { id: entry.id },
+      {
+        id: entry.id,
+        sourceLanguage: entry.sourceLanguage,
+        targetLanguage: entry.targetLanguage,
+        entry,
+        updatedAt: new Date()
+      },
+      { upsert: true }
+    );
+  }
+
+  async remove(id) {
+    await this.connect();
+    await TranslationMemoryEntry.deleteOne({ id });
+  }
+
+  async flush() {}
+}
+
+export const createTranslationMemoryStore = (memoryConfig = config.translationMemory) => {
+  switch (memoryConfig.store) {
+    case 'memory':
+      return new MemoryQueueStore();
+    case 'file':
+      return new FileQueueStore(memoryConfig.filePath);
+    case 'mongo':
+    case 'mongodb':
+      return new MongoTranslationMemoryStore(config.mongo.uri);
+    default:
+      throw new Error(`Unknown translation memory store "${memoryConfig.store}" (expected memory, file or mongo)`);
+  }
+};
@@ -1,33 +1,161 @@
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
 import { v4 as uuidv4 } from 'uuid';
 import { TranslationService } from './translationService.js';
+import documentProcessor from './documentProcessor.js';
+import quizFactorApiService from './quizFactorApiService.js';
+import { JobControl } from './jobControl.js';
+import { createQueueStore } from './queueStore.js';
+import rateLimiter from './rateLimiter.js';
+import llmService, { summarizeLlmCalls } from './llmService.js';
+import { summarizeUsage } from './usageLedger.js';
+import llmCache from './llmCache.js';
+import webhookService from './webhookService.js';
+import { config } from '../config/config.js';
 
-class TranslationQueue {
-  constructor() {
+const DATE_FIELDS = ['createdAt', 'estimatedStartTime', 'startedAt', 'completedAt', 'failedAt', 'cancelledAt', 'pausedAt', 'requeuedAt'];
+
+// Job states after which no more events are emitted
+export const FINAL_STATES = ['completed', 'failed', 'cancelled'];
+
+// Emits `job:<queueId>` events ({ type: 'state' | 'progress' | 'language', data, at }),
+// see subscribe()
+export class TranslationQueue extends EventEmitter {
+  constructor(store = createQueueStore(), options = {}) {
+    super();
+    this.setMaxListeners(0); // one listener per open status stream
     this.queue = [];
     this.processing = new Map(); // Currently processing requests
     this.completed = new Map(); // Completed requests (keep for 1 hour)
     this.failed = new Map(); // Failed requests (keep for 1 hour)
+    this.cancelled = new Map(); // Requests cancelled while processing, with partial results (keep for 1 hour)
+    this.controls = new Map(); // JobControl per processing request (pause/cancel)
     this.isProcessing = false;
-    this.maxConcurrent = 1; // Process one translation at a time to avoid rate limits
+    // LLM calls from parallel jobs share the per-provider budgets in rateLimiter.js
+    this.maxConcurrent = Math.max(1, options.maxConcurrent || config.queue.maxConcurrent || 1);
     this.currentlyProcessing = 0;
+    this.store = store;
+    this.persistTimers = new Map(); // Throttled checkpoint writes per job
     
     // Clean up completed/failed requests every hour
-    setInterval(() => this.cleanup(), 60 * 60 * 1000);
+    setInterval(() => this.cleanup(), 60 * 60 * 1000).unref();
     
-    // Start processing queue
-    this.startProcessing();
+    // Persisted jobs are only loaded by start(), so importing the queue touches no state
+    this.ready = null;
   }
 
-  // Add a translation request to the queue
-  addToQueue(type, data, priority = 'normal') {
+  // Rehydrate persisted jobs, then start processing the queue (server.js, MCP stdio server).
+  // Resolves once the jobs are restored.
+  start() {
+    if (!this.ready) {
+      this.ready = this.restore();
+      this.ready.then(() => this.startProcessing());
+    }
+    return this.ready;
+  }
+
+  // Load persisted jobs. Items that were processing when the process stopped are re-queued.
+  async restore() {
+    try {
+      const jobs = (await this.store.load()).map(job => this.reviveJob(job));
+      const requeued = [];
+
+      for (const job of jobs) {
+        switch (job.status) {
+          case 'completed':
+            this.completed.set(job.id, job);
+            this.resumeWebhook(job);
+            break;
+          case 'failed':
+            this.failed.set(job.id, job);
+            this.resumeWebhook(job);
+            break;
+          case 'cancelled':
+            this.cancelled.set(job.id, job);
+            this.resumeWebhook(job);
+            break;
+          case 'processing':
+            job.status = 'queued';
+            job.requeuedAt = new Date();
+            job.restarts = (job.restarts || 0) + 1;
+            delete job.startedAt;
+            delete job.pausedAt;
+            job.progress = {
+              ...job.progress,
+              current: 0,
+              percentage: 0,
+              message: 'Re-queued after restart'
+            };
+            requeued.push(job);
+            this.persist(job);
+            break;
+          default:
+            requeued.push(job);
+        }
+      }
+
+      // High priority first, then oldest first; anything queued before restore() finished stays behind
+      requeued.sort((a, b) =>
+        (a.priority === 'high' ? 0 : 1) - (b.priority === 'high' ? 0 : 1) || a.createdAt - b.createdAt
+      );
+      this.queue = [...requeued, ...this.queue];
+      this.updateEstimatedTimes();
+
+      if (jobs.length > 0) {
+        console.log(`♻️  Restored ${jobs.length} translation jobs (${requeued.length} queued)`);
+      }
+    } catch (error) {
+      console.error('⚠️ Could not restore translation queue:', error.message);
+    }
+  }
+
+  reviveJob(job) {
+    const revived = { ...job };
+    DATE_FIELDS.forEach(field => {
+      if (revived[field]) revived[field] = new Date(revived[field]);
+    });
+    return revived;
+  }
+
+  // Persistence failures are logged but never stop the queue
+  persist(job) {
+    this.store.save(JSON.parse(JSON.stringify(job)))
+      .catch(error => console.error(`⚠️ Could not persist job ${job.id}:`, error.message));
+  }
+
+  // Checkpoints arrive once per translated pair, so writes are batched
+  persistSoon(job, delay = 2000) {
+    if (this.persistTimers.has(job.id)) return;
+    this.persistTimers.set(job.id, setTimeout(() => {
+      this.persistTimers.delete(job.id);
+      if (this.processing.has(job.id)) this.persist(job);
+    }, delay));
+  }
+
+  clearPersistTimer(queueId) {
+    clearTimeout(this.persistTimers.get(queueId));
+    this.persistTimers.delete(queueId);
+  }
+
+  unpersist(queueId) {
+    this.store.remove(queueId)
+      .catch(error => console.error(`⚠️ Could not remove persisted job ${queueId}:`, error.message));
+  }
+
+  // Add a translation request to the queue. `callback` ({ url, signingKey? }) is notified
+  // when the job completes or fails.
+  addToQueue(type, data, priority = 'normal', callback) {
     const queueId = uuidv4();
     const queueItem = {
       id: queueId,
-      type, // 'category', 'course', 'quiz', 'questions'
+      type, // 'category', 'course', 'quiz', 'questions', 'extraction'
       data,
       priority,
       status: 'queued',
       createdAt: new Date(),
+      ...(callback && { webhook: { ...callback, deliveries: [] } }),
+      // Root of a cascade: registry of every job queued below it
+      ...(data.cascade && !data.rootId && { cascade: { jobs: {} } }),
       estimatedStartTime: this.estimateStartTime(),
       progress: {
         current: 0,
@@ -46,6 +174,9 @@ class TranslationQueue {
 
     // Update estimated start times for all queued items
     this.updateEstimatedTimes();
+    this.persist(queueItem);
+    this.trackCascade(queueItem, 'queued');
+    this.emitJobEvent(queueId, 'state', { status: 'queued', queuePosition: this.getQueuePosition(queueId) });
 
     console.log(`\n📥 QUEUED TRANSLATION REQUEST`);
     console.log(`🆔 Queue ID: ${queueId}`);
@@ -53,6 +184,7 @@ class TranslationQueue {
     console.log(`⚡ Priority: ${priority}`);
     console.log(`📊 Queue position: ${this.getQueuePosition(queueId)} of ${this.queue.length}`);
     console.log(`⏰ Estimated start: ${queueItem.estimatedStartTime.toLocaleTimeString()}`);
+    if (callback) console.log(`📮 Callback: ${callback.url}`);
     console.log(`📋 Total items in queue: ${this.queue.length}\n`);
 
     return queueId;
@@ -62,9 +194,10 @@ class TranslationQueue {
   getStatus(queueId) {
     // Check if currently processing
     if (this.processing.has(queueId)) {
+      const status = this.processingStatus(queueId);
       return {
-        status: 'processing',
-        ...this.processing.get(queueId)
+        ...this.withoutSecrets(this.withCascadeSummary(this.withCheckpointSummary(this.processing.get(queueId)), status)),
+        status
       };
     }
 
@@ -72,7 +205,7 @@ class TranslationQueue {
     if (this.completed.has(queueId)) {
       return {
         status: 'completed',
-        ...this.completed.get(queueId)
+        ...this.withoutSecrets(this.withCascadeSummary(this.completed.get(queueId), 'completed'))
       };
     }
 
@@ -80,7 +213,15 @@ class TranslationQueue {
     if (this.failed.has(queueId)) {
       return {
         status: 'failed',
-        ...this.failed.get(queueId)
+        ...this.withoutSecrets(this.withCascadeSummary(this.withCheckpointSummary(this.failed.get(queueId)), 'failed'))
+      };
+    }
+
+    // Check if cancelled while processing
+    if (this.cancelled.has(queueId)) {
+      return {
+        status: 'cancelled',
+        ...this.withoutSecrets(this.withCascadeSummary(this.withCheckpointSummary(this.cancelled.get(queueId)), 'cancelled'))
       };
     }
 
@@ -93,13 +234,74 @@ class TranslationQueue {
         totalInQueue: this.queue.length,
         estimatedStartTime: queueItem.estimatedStartTime,
         estimatedTotal: queueItem.progress.total,
-        message: queueItem.progress.message
+        message: queueItem.progress.message,
+        ...(queueItem.retries && { retries: queueItem.retries }),
+        ...(queueItem.data.rootId && { rootId: queueItem.data.rootId }),
+        ...(queueItem.cascade && { cascade: this.summarizeCascade(queueItem, 'queued') }),
+        ...(queueItem.webhook && { webhook: this.publicWebhook(queueItem.webhook) })
       };
     }
 
     return null; // Not found
   }
 
+  // processing, paused or cancelling
+  processingStatus(queueId) {
+    const state = this.controls.get(queueId)?.state;
+    return state === 'paused' || state === 'cancelling' ? state : 'processing';
+  }
+
+  // Replace the raw checkpoint map with pair counts
+  withCheckpointSummary(item) {
+    const { checkpoints, ...rest } = item;
+    if (!checkpoints) return rest;
+    return {
+      ...rest,
+      checkpoint: {
+        completedPairs: this.countCheckpoints(item),
+        totalPairs: this.estimateTotal(item.type, item.data)
+      }
+    };
+  }
+
+  // Listen to the events of one job; returns a function that removes the listener
+  subscribe(queueId, listener) {
+    const eventName = `job:${queueId}`;
+    this.on(eventName, listener);
+    return () => this.off(eventName, listener);
+  }
+
+  emitJobEvent(queueId, type, data) {
+    this.emit(`job:${queueId}`, { type, data, at: new Date() });
+  }
+
+  // Webhook signing keys are never returned by the status endpoints
+  withoutSecrets(item) {
+    return item.webhook ? { ...item, webhook: this.publicWebhook(item.webhook) } : item;
+  }
+
+  publicWebhook({ signingKey, ...webhook }) {
+    return { ...webhook, signed: !!signingKey };
+  }
+
+  countCheckpoints(item) {
+    return Object.values(item.checkpoints || {})
+      .reduce((count, languages) => count + Object.keys(languages).length, 0);
+  }
+
+  // Checkpoint handle passed to TranslationService.translateQuestions
+  createCheckpoint(item, onPair) {
+    item.checkpoints = item.checkpoints || {};
+    return {
+      get: (questionKey, languageCode) => item.checkpoints[questionKey]?.[languageCode],
+      set: (questionKey, languageCode, translation) => {
+        item.checkpoints[questionKey] = { ...item.checkpoints[questionKey], [languageCode]: translation };
+        onPair(this.countCheckpoints(item));
+        this.persistSoon(item);
+      }
+    };
+  }
+
   // Get current queue status
   getQueueStatus() {
     const queuedItems = this.queue.map(item => ({
@@ -114,6 +316,7 @@ class TranslationQueue {
     const processingItems = Array.from(this.processing.values()).map(item => ({
       id: item.id,
       type: item.type,
+      status: this.processingStatus(item.id),
       progress: item.progress,
       startedAt: item.startedAt
     }));
@@ -125,11 +328,38 @@ class TranslationQueue {
         queued: this.queue.length,
         processing: this.processing.size,
         completed: this.completed.size,
-        failed: this.failed.size
-      }
+        failed: this.failed.size,
+        cancelled: this.cancelled.size,
+        maxConcurrent: this.maxConcurrent
+      },
+      rateLimits: rateLimiter.getStatus(),
+      llmProviders: llmService.getChainStatus(),
+      llmCache: llmCache.getStats()
     };
   }
 
+  // List every known request (queued, processing, completed, failed and cancelled)
+  listJobs() {
+    const summarize = (item, status) => ({
+      id: item.id,
+      type: item.type,
+      status,
+      createdAt: item.createdAt,
+      startedAt: item.startedAt,
+      completedAt: item.completedAt,
+      failedAt: item.failedAt,
+      cancelledAt: item.cancelledAt
+    });
+
+    return [
+      ...this.queue.map(item => summarize(item, 'queued')),
+      ...Array.from(this.processing.values()).map(item => summarize(item, this.processingStatus(item.id))),
+      ...Array.from(this.completed.values()).map(item => summarize(item, 'completed')),
+      ...Array.from(this.failed.values()).map(item => summarize(item, 'failed')),
+      ...Array.from(this.cancelled.values()).map(item => summarize(item, 'cancelled'))
+    ];
+  }
+
   // Start processing the queue
   async startProcessing() {
     if (this.isProcessing) return;
@@ -139,7 +369,8 @@ class TranslationQueue {
 
     while (this.isProcessing) {
       try {
-        if (this.currentlyProcessing < this.maxConcurrent && this.queue.length > 0) {
+        // Fill every free slot; processItem claims its slot synchronously
+        while (this.currentlyProcessing < this.maxConcurrent && this.queue.length > 0) {
           const item = this.queue.shift();
           this.processItem(item);
         }
@@ -156,18 +387,27 @@ class TranslationQueue {
   // Process a single queue item
   async processItem(item) {
     this.currentlyProcessing++;
+    const control = new JobControl();
+    this.controls.set(item.id, control);
     
     // Move to processing
     item.status = 'processing';
     item.startedAt = new Date();
     item.progress.message = 'Starting translation...';
     this.processing.set(item.id, item);
+    this.persist(item);
+    this.trackCascade(item, 'processing');
+    this.emitJobEvent(item.id, 'state', { status: 'processing', startedAt: item.startedAt });
 
     console.log(`\n🔄 STARTING TRANSLATION`);
     console.log(`🆔 Queue ID: ${item.id}`);
     console.log(`📂 Type: ${item.type}`);
     console.log(`🕒 Started at: ${item.startedAt.toLocaleTimeString()}`);
 
+    // Provider, model, tokens and cost of every LLM call the job makes, see llmService.track.
+    // Failed and cancelled jobs report them too, the calls were paid for.
+    const llmCalls = [];
+
     try {
       let result;
       const translationService = new TranslationService();
@@ -183,60 +423,109 @@ class TranslationQueue {
             message
           };
           this.processing.set(item.id, processingItem);
+          this.emitJobEvent(item.id, 'progress', processingItem.progress);
         }
       };
 
-      switch (item.type) {
-        case 'category':
-          updateProgress(0, 2, 'Translating category...');
-          result = await translationService.translateCategory(
-            item.data.categoryUuid,
-            item.data.targetLanguages
-          );
-          break;
-
-        case 'course':
-          updateProgress(0, 2, 'Translating course...');
-          result = await translationService.translateCourse(
-            item.data.courseUuid,
-            item.data.targetLanguages
-          );
-          break;
-
-        case 'quiz':
-          updateProgress(0, 2, 'Translating quiz...');
-          result = await translationService.translateQuiz(
-            item.data.quizUuid,
-            item.data.targetLanguages
-          );
-          break;
-
-        case 'questions':
-          const totalOperations = item.data.questions.length * item.data.targetLanguages.length;
-          updateProgress(0, totalOperations, 'Translating questions...');
+      // Per-language completion, reported by TranslationService
+      const onLanguageComplete = (languageCode) => {
+        this.emitJobEvent(item.id, 'language', { languageCode, status: 'completed' });
+      };
+
+      await llmService.track(llmCalls, async () => {
+        switch (item.type) {
+          case 'category':
+            updateProgress(0, 2, 'Translating category...');
+            result = await translationService.translateCategory(
+              item.data.categoryUuid,
+              item.data.targetLanguages,
+              { onLanguageComplete, control }
+            );
+            break;
+
+          case 'course':
+            updateProgress(0, 2, 'Translating course...');
+            result = await translationService.translateCourse(
+              item.data.courseUuid,
+              item.data.targetLanguages,
+              { onLanguageComplete, control }
+            );
+            break;
+
+          case 'quiz':
+            updateProgress(0, 2, 'Translating quiz...');
+            result = await translationService.translateQuiz(
+              item.data.quizUuid,
+              item.data.targetLanguages,
+              { onLanguageComplete, control }
+            );
+            break;
+
+          case 'questions':
+            const totalOperations = item.data.questions.length * item.data.targetLanguages.length;
+            const checkpoint = this.createCheckpoint(item, completedPairs =>
+              updateProgress(completedPairs, totalOperations, `Translated ${completedPairs} of ${totalOperations} question/language pairs`)
+            );
+            const restoredPairs = this.countCheckpoints(item);
+            updateProgress(
+              restoredPairs,
+              totalOperations,
+              restoredPairs > 0 ? `Resuming: ${restoredPairs} pairs restored from checkpoint` : 'Translating questions...'
+            );
           
-          result = await translationService.translateQuestions(
-            item.data.quizUuid,
-            item.data.targetLanguages,
-            item.data.questions
-          );
-          break;
-
-        default:
-          throw new Error(`Unknown translation type: ${item.type}`);
+            result = await translationService.translateQuestions(
+              item.data.quizUuid,
+              item.data.targetLanguages,
+              item.data.questions,
+              { checkpoint, onLanguageComplete, control, subject: item.data.subject, qa: item.data.qa }
+            );
+            break;
+
+          case 'extraction':
+            result = await this.runExtraction(item, translationService, updateProgress);
+            break;
+
+          default:
+            throw new Error(`Unknown translation type: ${item.type}`);
+        }
+      }, { jobId: item.id, quizUuid: item.data.quizUuid, tenantId: item.data.tenantId });
+      if (result && typeof result === 'object') {
+        result.llm = summarizeLlmCalls(llmCalls);
+        result.usage = summarizeUsage(llmCalls);
+      }
+
+      // Cascade: queue the courses, quizzes or questions below this item
+      if (item.data.cascade) {
+        item.children = await this.enqueueChildren(item);
       }
 
       // Mark as completed
+      this.clearPersistTimer(item.id);
       this.processing.delete(item.id);
-      this.completed.set(item.id, {
+      const completedItem = {
         id: item.id,
         type: item.type,
         status: 'completed',
         result,
+        ...(item.children && { children: item.children }),
+        ...(item.cascade && { cascade: item.cascade }),
+        ...(item.data.rootId && { rootId: item.data.rootId }),
         startedAt: item.startedAt,
         completedAt: new Date(),
-        duration: Date.now() - item.startedAt.getTime()
+        duration: Date.now() - item.startedAt.getTime(),
+        ...(item.webhook && { webhook: item.webhook })
+      };
+      this.completed.set(item.id, completedItem);
+      this.persist(completedItem);
+      this.trackCascade(item, 'completed');
+      this.removeUpload(item);
+      this.emitJobEvent(item.id, 'state', {
+        status: 'completed',
+        completedAt: completedItem.completedAt,
+        duration: completedItem.duration,
+        result
       });
+      this.notifyCompleted(completedItem);
 
       console.log(`\n✅ TRANSLATION COMPLETED`);
       console.log(`🆔 Queue ID: ${item.id}`);
@@ -245,41 +534,322 @@ class TranslationQueue {
       console.log(`🎉 Success!\n`);
 
     } catch (error) {
+      if (error.cancelled) {
+        this.recordCancelled(item, llmCalls);
+        return;
+      }
+
       console.error(`\n❌ TRANSLATION FAILED`);
       console.error(`🆔 Queue ID: ${item.id}`);
       console.error(`📂 Type: ${item.type}`);
       console.error(`💥 Error: ${error.message}\n`);
 
-      // Mark as failed
+      // Mark as failed, keeping the request and its checkpoints so it can be retried
+      this.clearPersistTimer(item.id);
       this.processing.delete(item.id);
-      this.failed.set(item.id, {
+      const failedItem = {
         id: item.id,
         type: item.type,
         status: 'failed',
         error: error.message,
+        // e.g. INSUFFICIENT_CREDITS, see providerHealth.js
+        ...(error.code && { errorCode: error.code }),
+        priority: item.priority,
+        data: item.data,
+        ...(item.checkpoints && { checkpoints: item.checkpoints }),
+        ...(item.failedChunks && { failedChunks: item.failedChunks }),
+        ...(item.retries && { retries: item.retries }),
+        ...(item.cascade && { cascade: item.cascade }),
+        llm: summarizeLlmCalls(llmCalls),
+        usage: summarizeUsage(llmCalls),
+        createdAt: item.createdAt,
         startedAt: item.startedAt,
         failedAt: new Date(),
-        duration: Date.now() - item.startedAt.getTime()
+        duration: Date.now() - item.startedAt.getTime(),
+        ...(item.webhook && { webhook: item.webhook })
+      };
+      this.failed.set(item.id, failedItem);
+      this.persist(failedItem);
+      this.trackCascade(item, 'failed');
+      this.emitJobEvent(item.id, 'state', {
+        status: 'failed',
+        failedAt: failedItem.failedAt,
+        error: error.message,
+        ...(failedItem.errorCode && { errorCode: failedItem.errorCode })
       });
+      this.notify(failedItem, 'job.failed');
     } finally {
+      this.controls.delete(item.id);
       this.currentlyProcessing--;
       this.updateEstimatedTimes();
     }
   }
 
+  // Cascade: queue the next level of the QuizFactor hierarchy (category → courses →
+  // quizzes → questions) as jobs of the same root. Returns the queued children.
+  async enqueueChildren(item) {
+    const { targetLanguages, tenantId } = item.data;
+    const rootId = item.data.rootId || item.id;
+    const children = [];
+    const enqueue = (type, uuid, data) => {
+      const queueId = this.addToQueue(type, {
+        ...data,
+        targetLanguages,
+        ...(tenantId && { tenantId }),
+        rootId,
+        parentId: item.id
+      }, item.priority);
+      children.push({ queueId, type, uuid });
+    };
+
+    switch (item.type) {
+      case 'category':
+        (await quizFactorApiService.getCategoryCourses(item.data.categoryUuid))
+          .forEach(course => enqueue('course', course.uuid, { courseUuid: course.uuid, cascade: true }));
+        break;
+
+      case 'course':
+        (await quizFactorApiService.getCourseQuizzes(item.data.courseUuid))
+          .forEach(quiz => enqueue('quiz', quiz.uuid, { quizUuid: quiz.uuid, cascade: true }));
+        break;
+
+      case 'quiz': {
+        const questions = await quizFactorApiService.getQuizQuestions(item.data.quizUuid);
+        if (questions.length > 0) {
+          enqueue('questions', item.data.quizUuid, { quizUuid: item.data.quizUuid, questions });
+        }
+        break;
+      }
+    }
+
+    console.log(`🌳 Cascade: queued ${children.length} child job(s) below ${item.type} ${item.id}`);
+    return children;
+  }
+
+  // Record a state change of a cascade child on its root job
+  trackCascade(item, status) {
+    const rootId = item.data?.rootId;
+    if (!rootId) return;
+
+    const root = this.findJob(rootId);
+    if (!root?.cascade) return;
+
+    const { type, data } = item;
+    root.cascade.jobs[item.id] = {
+      type,
+      uuid: data.categoryUuid || data.courseUuid || data.quizUuid,
+      parentId: data.parentId,
+      status
+    };
+    this.persist(root);
+    if (root.status === 'completed') this.notifyCompleted(root);
+  }
+
+  findJob(queueId) {
+    return this.processing.get(queueId)
+      || this.completed.get(queueId)
+      || this.failed.get(queueId)
+      || this.cancelled.get(queueId)
+      || this.queue.find(item => item.id === queueId)
+      || null;
+  }
+
+  // Aggregated status of a cascade root: its own job plus every job queued below it
+  summarizeCascade(root, rootStatus) {
+    const jobs = Object.entries(root.cascade.jobs).map(([queueId, job]) => ({ queueId, ...job }));
+    const counts = { queued: 0, processing: 0, completed: 0, failed: 0, cancelled: 0 };
+    jobs.forEach(job => {
+      counts[counts[job.status] === undefined ? 'processing' : job.status]++;
+    });
+
+    const finished = counts.completed + counts.failed + counts.cancelled;
+    let status = 'running';
+    if (rootStatus === 'failed' || rootStatus === 'cancelled') {
+      status = rootStatus;
+    } else if (rootStatus === 'completed' && finished === jobs.length) {
+      status = counts.failed + counts.cancelled > 0 ? 'completed_with_errors' : 'completed';
+    }
+
+    return {
+      status,
+      total: jobs.length,
+      ...counts,
+      percentage: jobs.length > 0 ? Math.round((finished / jobs.length) * 100) : (status === 'running' ? 0 : 100),
+      jobs
+    };
+  }
+
+  withCascadeSummary(record, status) {
+    return record.cascade ? { ...record, cascade: this.summarizeCascade(record, status) } : record;
+  }
+
+  // The job stopped at a safe point after cancelRequest(). Its checkpoints are kept, so
+  // retryRequest() resumes it without translating finished pairs again.
+  recordCancelled(item, llmCalls = []) {
+    this.clearPersistTimer(item.id);
+    this.processing.delete(item.id);
+    const cancelledItem = {
+      id: item.id,
+      type: item.type,
+      status: 'cancelled',
+      priority: item.priority,
+      data: item.data,
+      ...(item.checkpoints && { checkpoints: item.checkpoints }),
+      partialResult: this.summarizePartialResult(item),
+      ...(item.retries && { retries: item.retries }),
+      ...(item.cascade && { cascade: item.cascade }),
+      llm: summarizeLlmCalls(llmCalls),
+      usage: summarizeUsage(llmCalls),
+      createdAt: item.createdAt,
+      startedAt: item.startedAt,
+      cancelledAt: new Date(),
+      duration: Date.now() - item.startedAt.getTime(),
+      ...(item.webhook && { webhook: item.webhook })
+    };
+    this.cancelled.set(item.id, cancelledItem);
+    this.persist(cancelledItem);
+    this.trackCascade(item, 'cancelled');
+    this.emitJobEvent(item.id, 'state', {
+      status: 'cancelled',
+      cancelledAt: cancelledItem.cancelledAt,
+      partialResult: cancelledItem.partialResult
+    });
+    this.notify(cancelledItem, 'job.cancelled');
+
+    console.log(`\n🛑 TRANSLATION CANCELLED`);
+    console.log(`🆔 Queue ID: ${item.id}`);
+    console.log(`📂 Type: ${item.type}`);
+    console.log(`♻️  Kept ${cancelledItem.partialResult.completedPairs} of ${cancelledItem.partialResult.totalPairs} translated pairs\n`);
+  }
+
+  // Finished question/language pairs per language, plus the last progress message
+  summarizePartialResult(item) {
+    const languages = {};
+    Object.values(item.checkpoints || {}).forEach(pairs => {
+      Object.keys(pairs).forEach(languageCode => {
+        languages[languageCode] = (languages[languageCode] || 0) + 1;
+      });
+    });
+
+    return {
+      completedPairs: this.countCheckpoints(item),
+      totalPairs: this.estimateTotal(item.type, item.data),
+      languages,
+      lastProgress: item.progress
+    };
+  }
+
+  // Extract questions from an uploaded document, or take rows already imported from a
+  // spreadsheet, and add them to the quiz. Progress is reported per LLM chunk.
+  async runExtraction(item, translationService, updateProgress) {
+    const { quizUuid, filePath, fileName, mode } = item.data;
+    let questions = item.data.questions;
+    let stats;
+    item.failedChunks = [];
+
+    if (!questions) {
+      updateProgress(0, 1, `Extracting questions from ${fileName} (${mode} mode)...`);
+      const extraction = await documentProcessor.processFile(filePath, fileName, mode, {
+        onChunk: ({ index, total, extracted, error }) => {
+          if (error) item.failedChunks.push({ chunk: index + 1, error });
+          updateProgress(index + 1, total, error
+            ? `Chunk ${index + 1} of ${total} failed: ${error}`
+            : `Extracted ${extracted} questions from chunk ${index + 1} of ${total}`);
+          this.persistSoon(item);
+        }
+      });
+      questions = extraction.questions;
+      stats = extraction.stats;
+    }
+
+    if (!questions || questions.length === 0) {
+      throw new Error("No questions could be extracted from the document");
+    }
+
+    updateProgress(item.progress.total, item.progress.total, `Adding ${questions.length} questions to quiz...`);
+    const added = await translationService.extractAndAddQuestions(questions, quizUuid);
+
+    return {
+      quizUuid: added.quizUuid || quizUuid,
+      ...(fileName && { fileName }),
+      ...(mode && { mode }),
+      ...(stats && { stats }),
+      questionCount: added.questionUuids.length,
+      addedQuestionUuids: added.questionUuids,
+      failedChunks: item.failedChunks,
+      ...(added.rejectedQuestions && { rejectedQuestions: added.rejectedQuestions })
+    };
+  }
+
+  // Uploaded documents are kept until the extraction job is done (or dropped) so it can be retried
+  removeUpload(item) {
+    if (item.type !== 'extraction' || !item.data?.filePath) return;
+    fs.unlink(item.data.filePath).catch(error => {
+      if (error.code !== 'ENOENT') console.error('Error deleting uploaded file:', error.message);
+    });
+  }
+
+  // POST the final state to the job's callback URL in the background. Every attempt is
+  // logged in webhook.deliveries; status goes sending -> delivered | failed.
+  notify(record, event) {
+    if (!record.webhook) return;
+
+    record.webhook.status = 'sending';
+    record.webhook.event = event;
+    this.persist(record);
+
+    const { webhook, data, checkpoints, id, ...details } = record;
+    const payload = { queueId: id, ...this.withCascadeSummary(details, record.status) };
+    webhookService.deliver(webhook, event, payload, attempt => {
+      webhook.deliveries.push(attempt);
+      this.persist(record);
+    })
+      .then(delivered => {
+        webhook.status = delivered ? 'delivered' : 'failed';
+        this.persist(record);
+      })
+      .catch(error => console.error(`⚠️ Webhook error for job ${id}:`, error.message));
+  }
+
+  // Send job.completed once, holding it on a cascade root until every job below it has
+  // finished so the payload carries the final cascade status
+  notifyCompleted(record) {
+    if (!record.webhook || record.webhook.status) return;
+    if (record.cascade && this.summarizeCascade(record, 'completed').status === 'running') return;
+    this.notify(record, 'job.completed');
+  }
+
+  // A restart interrupted the delivery, send it again
+  resumeWebhook(job) {
+    if (job.webhook?.status === 'sending') {
+      this.notify(job, job.webhook.event || (job.status === 'completed' ? 'job.completed' : 'job.failed'));
+    } else if (job.status === 'completed') {
+      this.notifyCompleted(job);
+    }
+  }
+
+  // Keep the URL, signing key and earlier attempts for a retried job
+  resetWebhook({ url, signingKey, deliveries = [] }) {
+    return { url, ...(signingKey && { signingKey }), deliveries: [...deliveries] };
+  }
+
   // Helper methods
   getQueuePosition(queueId) {
     return this.queue.findIndex(item => item.id === queueId) + 1;
   }
 
   estimateStartTime() {
-    // Rough estimate: 2 minutes per item in queue
-    const minutesDelay = this.queue.length * 2;
+    // Rough estimate: 2 minutes per item in queue, maxConcurrent items at a time
+    const minutesDelay = this.estimateDelayMinutes(this.queue.length);
     const startTime = new Date();
     startTime.setMinutes(startTime.getMinutes() + minutesDelay);
     return startTime;
   }
 
+  estimateDelayMinutes(itemsAhead) {
+    return Math.floor(itemsAhead / this.maxConcurrent) * 2;
+  }
+
   estimateTotal(type, data) {
     switch (type) {
       case 'category':
@@ -295,18 +865,34 @@ class TranslationQueue {
 
   updateEstimatedTimes() {
     this.queue.forEach((item, index) => {
-      const minutesDelay = index * 2; // 2 minutes per preceding item
+      const minutesDelay = this.estimateDelayMinutes(index);
       const startTime = new Date();
       startTime.setMinutes(startTime.getMinutes() + minutesDelay);
       item.estimatedStartTime = startTime;
     });
   }
 
-  // Cancel a queued request
+  // Cancel a request. Queued requests are dropped; processing ones stop at their next check
+  // (between questions or languages) and are kept as cancelled with their partial results.
   cancelRequest(queueId) {
+    const control = this.controls.get(queueId);
+    if (control) {
+      if (!control.cancel()) return false;
+
+      const item = this.processing.get(queueId);
+      item.progress = { ...item.progress, message: 'Cancelling after the current step...' };
+      this.emitJobEvent(queueId, 'state', { status: 'cancelling' });
+      console.log(`🛑 CANCELLING PROCESSING REQUEST ${queueId} (${item.type})`);
+      return true;
+    }
+
     const index = this.queue.findIndex(item => item.id === queueId);
     if (index !== -1) {
       const cancelledItem = this.queue.splice(index, 1)[0];
+      this.unpersist(queueId);
+      this.removeUpload(cancelledItem);
+      this.trackCascade(cancelledItem, 'cancelled');
+      this.emitJobEvent(queueId, 'state', { status: 'cancelled' });
       console.log(`❌ CANCELLED TRANSLATION REQUEST`);
       console.log(`🆔 Queue ID: ${queueId}`);
       console.log(`📂 Type: ${cancelledItem.type}`);
@@ -319,13 +905,116 @@ class TranslationQueue {
     return false;
   }
 
+  // Pause a processing request at its next check. It keeps its concurrency slot.
+  // Returns null when the request is not processing.
+  pauseRequest(queueId) {
+    const control = this.controls.get(queueId);
+    if (!control) return null;
+    if (!control.pause()) {
+      const error = new Error(`Translation is ${this.processingStatus(queueId)} and cannot be paused`);
+      error.status = 409;
+      throw error;
+    }
+
+    const item = this.processing.get(queueId);
+    item.pausedAt = new Date();
+    this.persist(item);
+    this.emitJobEvent(queueId, 'state', { status: 'paused', pausedAt: item.pausedAt });
+    console.log(`⏸️  PAUSED TRANSLATION REQUEST ${queueId} (${item.type})`);
+    return { queueId, status: 'paused', pausedAt: item.pausedAt };
+  }
+
+  resumeRequest(queueId) {
+    const control = this.controls.get(queueId);
+    if (!control) return null;
+    if (!control.resume()) {
+      const error = new Error(`Translation is ${this.processingStatus(queueId)} and cannot be resumed`);
+      error.status = 409;
+      throw error;
+    }
+
+    const item = this.processing.get(queueId);
+    const pausedFor = Date.now() - item.pausedAt.getTime();
+    delete item.pausedAt;
+    this.persist(item);
+    this.emitJobEvent(queueId, 'state', { status: 'processing', resumed: true });
+    console.log(`▶️  RESUMED TRANSLATION REQUEST ${queueId} after ${Math.round(pausedFor / 1000)}s`);
+    return { queueId, status: 'processing', pausedForMs: pausedFor };
+  }
+
+  // Re-queue a failed or cancelled request under the same queue ID. Checkpointed
+  // question×language pairs are kept, so only the missing ones are translated again.
+  retryRequest(queueId) {
+    const failedItem = this.failed.get(queueId) || this.cancelled.get(queueId);
+    if (!failedItem) {
+      return null;
+    }
+    if (!failedItem.data) {
+      const error = new Error('This request cannot be retried because its original data was not kept');
+      error.status = 409;
+      throw error;
+    }
+
+    this.failed.delete(queueId);
+    this.cancelled.delete(queueId);
+    const total = this.estimateTotal(failedItem.type, failedItem.data);
+    const completedPairs = this.countCheckpoints(failedItem);
+    const queueItem = {
+      id: queueId,
+      type: failedItem.type,
+      data: failedItem.data,
+      priority: failedItem.priority || 'normal',
+      status: 'queued',
+      createdAt: failedItem.createdAt || new Date(),
+      retries: (failedItem.retries || 0) + 1,
+      lastError: failedItem.error || 'Cancelled',
+      ...(failedItem.checkpoints && { checkpoints: failedItem.checkpoints }),
+      ...(failedItem.cascade && { cascade: failedItem.cascade }),
+      ...(failedItem.webhook && { webhook: this.resetWebhook(failedItem.webhook) }),
+      estimatedStartTime: this.estimateStartTime(),
+      progress: {
+        current: completedPairs,
+        total,
+        percentage: total > 0 ? Math.round((completedPairs / total) * 100) : 0,
+        message: completedPairs > 0
+          ? `Waiting in queue to retry (${completedPairs} of ${total} pairs already translated)`
+          : 'Waiting in queue to retry...'
+      }
+    };
+
+    if (queueItem.priority === 'high') {
+      this.queue.unshift(queueItem);
+    } else {
+      this.queue.push(queueItem);
+    }
+    this.updateEstimatedTimes();
+    this.persist(queueItem);
+    this.trackCascade(queueItem, 'queued');
+    this.emitJobEvent(queueId, 'state', { status: 'queued', queuePosition: this.getQueuePosition(queueId), retries: queueItem.retries });
+
+    console.log(`\n🔁 RETRYING TRANSLATION REQUEST`);
+    console.log(`🆔 Queue ID: ${queueId}`);
+    console.log(`📂 Type: ${queueItem.type}`);
+    console.log(`♻️  Checkpointed pairs: ${completedPairs} of ${total}`);
+    console.log(`🔢 Attempt: ${queueItem.retries + 1}\n`);
+
+    return {
+      queueId,
+      retries: queueItem.retries,
+      completedPairs,
+      missingPairs: Math.max(total - completedPairs, 0),
+      queuePosition: this.getQueuePosition(queueId)
+    };
+  }
+
   cleanup() {
     const oneHourAgo = Date.now() - (60 * 60 * 1000);
     
-    // Clean up completed requests older than 1 hour
+    // Clean up completed requests older than 1 hour, keeping cascade roots until their children finish
     for (const [id, item] of this.completed.entries()) {
-      if (item.completedAt.getTime() < oneHourAgo) {
+      if (item.completedAt.getTime() < oneHourAgo && this.withCascadeSummary(item, 'completed').cascade?.status !== 'running') {
         this.completed.delete(id);
+        this.unpersist(id);
       }
     }
 
@@ -333,16 +1022,29 @@ class TranslationQueue {
     for (const [id, item] of this.failed.entries()) {
       if (item.failedAt.getTime() < oneHourAgo) {
         this.failed.delete(id);
+        this.unpersist(id);
+        this.removeUpload(item);
+      }
+    }
+
+    // Clean up cancelled requests older than 1 hour
+    for (const [id, item] of this.cancelled.entries()) {
+      if (item.cancelledAt.getTime() < oneHourAgo) {
+        this.cancelled.delete(id);
+        this.unpersist(id);
+        this.removeUpload(item);
       }
     }
 
     console.log(`🧹 Cleaned up old translation records`);
   }
 
-  // Stop processing (for graceful shutdown)
+  // Stop processing (for graceful shutdown). Resolves once pending writes reach the store;
+  // jobs still processing are re-queued on the next start.
   stopProcessing() {
     this.isProcessing = false;
     console.log('⏹️  Translation queue processor stopped');
+    return this.store.flush();
   }
 }
 
@@ -0,0 +1,317 @@
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config/config.js';
+import translationQueue, { FINAL_STATES } from './translationQueue.js';
+import translationService from './translationService.js';
+import { createScheduleStore } from './scheduleStore.js';
+import { parseCron, nextRun } from '../utils/cronExpression.js';
+import { validateSchedule } from '../utils/scheduleValidator.js';
+
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'lastRunAt', 'nextRunAt'];
+
+const scheduleError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Enqueues category, course and quiz translations from cron specs. Schedules come from
+// TRANSLATION_SCHEDULES (read-only, source 'config') or the API (source 'api'); both keep
+// a history of the runs they produced, newest first.
+export class TranslationScheduler {
+  constructor(store = createScheduleStore(), options = {}) {
+    this.store = store;
+    this.queue = options.queue || translationQueue;
+    this.translationService = options.translationService || translationService;
+    this.configSchedules = options.schedules || config.scheduler.schedules;
+    this.historyLimit = options.historyLimit || config.scheduler.historyLimit;
+    this.now = options.now || (() => new Date());
+    this.schedules = new Map();
+    this.timer = null;
+    this.running = false;
+    this.restored = null;
+  }
+
+  // Stored schedules are loaded on first use, so importing the scheduler touches no state
+  get ready() {
+    if (!this.restored) {
+      this.restored = this.restore();
+    }
+    return this.restored;
+  }
+
+  // Load stored schedules and apply the config ones. Runs missed while the server was
+  // down are skipped; every schedule continues from its next matching time.
+  async restore() {
+    try {
+      const records = await this.store.load();
+      records.forEach(record => this.schedules.set(record.id, this.reviveSchedule(record)));
+    } catch (error) {
+      console.error(`⚠️ Could not load translation schedules:`, error.message);
+    }
+
+    const configIds = new Set();
+    for (const spec of this.configSchedules) {
+      const validation = validateSchedule(spec);
+      if (!spec.id || !validation.isValid) {
+        console.error(`⚠️ Ignoring schedule ${spec.id || spec.name || '(unnamed)'} from config: ${spec.id ? validation.message : 'id is required'}`);
+        continue;
+      }
+
+      // The config owns the definition, the store keeps the run history
+      const stored = this.schedules.get(spec.id);
+      configIds.add(spec.id);
+      this.schedules.set(spec.id, {
+        id: spec.id,
+        ...validation.schedule,
+        source: 'config',
+        createdAt: stored?.createdAt || this.now(),
+        updatedAt: this.now(),
+        ...(stored?.lastRunAt && { lastRunAt: stored.lastRunAt, runCount: stored.runCount }),
+        runs: stored?.runs || []
+      });
+    }
+
+    for (const schedule of this.schedules.values()) {
+      if (schedule.source === 'config' && !configIds.has(schedule.id)) {
+        this.schedules.delete(schedule.id);
+        this.unpersist(schedule.id);
+        continue;
+      }
+      schedule.nextRunAt = this.computeNextRun(schedule);
+      this.persist(schedule);
+    }
+
+    if (this.schedules.size > 0) {
+      console.log(`📅 Loaded ${this.schedules.size} translation schedule(s)`);
+    }
+  }
+
+  reviveSchedule(record) {
+    const revived = { ...record, runs: (record.runs || []).map(run => ({ ...run, at: new Date(run.at) })) };
+    DATE_FIELDS.forEach(field => {
+      if (revived[field]) revived[field] = new Date(revived[field]);
+    });
+    return revived;
+  }
+
+  // Persistence failures are logged but never stop the scheduler
+  persist(schedule) {
+    this.store.save(JSON.parse(JSON.stringify(schedule)))
+      .catch(error => console.error(`⚠️ Could not persist schedule ${schedule.id}:`, error.message));
+  }
+
+  unpersist(scheduleId) {
+    this.store.remove(scheduleId)
+      .catch(error => console.error(`⚠️ Could not remove persisted schedule ${scheduleId}:`, error.message));
+  }
+
+  computeNextRun(schedule, after = this.now()) {
+    return schedule.enabled ? nextRun(parseCron(schedule.cron), after) : null;
+  }
+
+  // Check for due schedules at the start of every minute
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.ready.then(() => this.scheduleTick());
+    console.log(`📅 Translation scheduler started`);
+  }
+
+  scheduleTick() {
+    if (!this.running) return;
+    const delay = 60000 - (Date.now() % 60000) + 100;
+    this.timer = setTimeout(async () => {
+      await this.tick().catch(error => console.error(`⚠️ Scheduler tick failed:`, error.message));
+      this.scheduleTick();
+    }, delay);
+    this.timer.unref();
+  }
+
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.store.flush();
+  }
+
+  // Run every enabled schedule whose next run time has passed
+  async tick(now = this.now()) {
+    const due = Array.from(this.schedules.values())
+      .filter(schedule => schedule.enabled && schedule.nextRunAt && schedule.nextRunAt <= now);
+
+    for (const schedule of due) {
+      schedule.nextRunAt = this.computeNextRun(schedule, now);
+      await this.run(schedule, 'cron');
+    }
+    return due.length;
+  }
+
+  // Enqueue one translation job for `schedule` and record the run. A run is skipped when
+  // skipIfActive is set and the job of the previous run (or its cascade) has not finished.
+  async run(schedule, trigger = 'manual') {
+    const run = { id: uuidv4(), trigger, at: this.now() };
+
+    try {
+      const active = schedule.skipIfActive ? this.activeRun(schedule) : null;
+      if (active) {
+        run.status = 'skipped';
+        run.reason = `Job ${active.queueId} from the previous run is still ${active.jobStatus}`;
+      } else {
+        const targetLanguages = schedule.targetLanguages || await this.enabledLanguages();
+        const queueId = this.queue.addToQueue(schedule.type, {
+          [`${schedule.type}Uuid`]: schedule.uuid,
+          targetLanguages,
+          ...(schedule.cascade && { cascade: true }),
+          ...(schedule.tenantId && { tenantId: schedule.tenantId })
+        }, schedule.priority, schedule.callback);
+        Object.assign(run, { status: 'enqueued', queueId, targetLanguages });
+      }
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+    }
+
+    schedule.lastRunAt = run.at;
+    schedule.runCount = (schedule.runCount || 0) + 1;
+    schedule.runs = [run, ...schedule.runs].slice(0, this.historyLimit);
+    this.persist(schedule);
+
+    const icon = { enqueued: '⏰', skipped: '⏭️ ', failed: '❌' }[run.status];
+    console.log(`${icon} Schedule "${schedule.name}" (${trigger}): ${run.queueId ? `queued ${run.queueId}` : run.reason || run.error}`);
+    return run;
+  }
+
+  activeRun(schedule) {
+    const last = schedule.runs.find(run => run.queueId);
+    const status = last && this.queue.getStatus(last.queueId);
+    if (!status) return null;
+    if (!FINAL_STATES.includes(status.status)) return { ...last, jobStatus: status.status };
+    if (status.cascade?.status === 'running') return { ...last, jobStatus: 'running its cascade' };
+    return null;
+  }
+
+  // Languages enabled in QuizFactor at run time, like the translate endpoints use
+  async enabledLanguages() {
+    const languages = await this.translationService.getLanguages();
+    if (!languages || languages.length === 0) {
+      throw new Error('No target languages available for translation');
+    }
+    return languages.map(language => language.code);
+  }
+
+  listSchedules() {
+    return Array.from(this.schedules.values()).map(schedule => this.publicSchedule(schedule));
+  }
+
+  getSchedule(scheduleId) {
+    const schedule = this.schedules.get(scheduleId);
+    return schedule ? this.publicSchedule(schedule) : null;
+  }
+
+  // Run history with the current state of every job that is still known to the queue
+  getRuns(scheduleId) {
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) return null;
+    return schedule.runs.map(run => ({
+      ...run,
+      ...(run.queueId && { jobStatus: this.queue.getStatus(run.queueId)?.status || 'expired' })
+    }));
+  }
+
+  createSchedule(spec) {
+    const validation = validateSchedule(spec);
+    if (!validation.isValid) {
+      throw scheduleError(validation.message, 400);
+    }
+
+    const schedule = {
+      id: uuidv4(),
+      ...validation.schedule,
+      source: 'api',
+      createdAt: this.now(),
+      updatedAt: this.now(),
+      runs: []
+    };
+    schedule.nextRunAt = this.computeNextRun(schedule);
+    this.schedules.set(schedule.id, schedule);
+    this.persist(schedule);
+
+    console.log(`📅 Created schedule "${schedule.name}" (${schedule.cron}), next run ${schedule.nextRunAt?.toLocaleString() || 'never'}`);
+    return this.publicSchedule(schedule);
+  }
+
+  // Partial update, fields that are not given keep their current value
+  updateSchedule(scheduleId, changes) {
+    const schedule = this.editableSchedule(scheduleId);
+    if (!schedule) return null;
+
+    const current = {
+      name: schedule.name,
+      cron: schedule.cron,
+      type: schedule.type,
+      uuid: schedule.uuid,
+      targetLanguages: schedule.targetLanguages,
+      cascade: schedule.cascade,
+      priority: schedule.priority,
+      enabled: schedule.enabled,
+      skipIfActive: schedule.skipIfActive,
+      callbackUrl: schedule.callback?.url,
+      tenantId: schedule.tenantId
+    };
+
+    const validation = validateSchedule({ ...current, ...changes });
+    if (!validation.isValid) {
+      throw scheduleError(validation.message, 400);
+    }
+
+    // Only the signing key of the secret is stored; it stays with its URL unless a new secret
+    // is given, a new callback URL does not inherit it
+    const signingKey = changes.callbackUrl === undefined && changes.callbackSecret === undefined
+      ? schedule.callback?.signingKey
+      : undefined;
+    delete schedule.callback;
+    delete schedule.tenantId;
+    Object.assign(schedule, validation.schedule, { updatedAt: this.now() });
+    if (signingKey && schedule.callback) schedule.callback.signingKey = signingKey;
+    schedule.nextRunAt = this.computeNextRun(schedule);
+    this.persist(schedule);
+    return this.publicSchedule(schedule);
+  }
+
+  deleteSchedule(scheduleId) {
+    const schedule = this.editableSchedule(scheduleId);
+    if (!schedule) return false;
+
+    this.schedules.delete(scheduleId);
+    this.unpersist(scheduleId);
+    console.log(`🗑️  Deleted schedule "${schedule.name}"`);
+    return true;
+  }
+
+  async runNow(scheduleId) {
+    const schedule = this.schedules.get(scheduleId);
+    return schedule ? this.run(schedule, 'manual') : null;
+  }
+
+  editableSchedule(scheduleId) {
+    const schedule = this.schedules.get(scheduleId);
+    if (schedule?.source === 'config') {
+      throw scheduleError('Schedule is defined in TRANSLATION_SCHEDULES and can only be changed there', 409);
+    }
+    return schedule || null;
+  }
+
+  // Without the callback signing key and the full history
+  publicSchedule(schedule) {
+    const { runs, callback, ...rest } = schedule;
+    return {
+      ...rest,
+      ...(callback && { callback: { url: callback.url, signed: Boolean(callback.signingKey) } }),
+      lastRun: runs[0] || null
+    };
+  }
+}
+
+const translationScheduler = new TranslationScheduler();
+
+export default translationScheduler;
@@ -5,13 +5,43 @@ import path from "path";
 import { QuizFactorApiService } from "./quizFactorApiService.js";
 import { config } from "../config/config.js";
 import llmService from './llmService.js';
-
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+import { isProviderError } from './providerHealth.js';
+import translationMemory from './translationMemory.js';
+import glossaryService from './glossaryService.js';
+import extractionService from './extractionService.js';
+import {
+  buildTranslatePrompt,
+  buildBatchTranslatePrompt,
+  buildBatchTranslateSchema
+} from './promptTemplates.js';
+import { assertValidQuestions, toQuizFactorQuestion } from '../utils/questionSchema.js';
+import { findGlossaryTerms, checkGlossary } from '../utils/glossaryTerms.js';
+import { maskProtectedSpans, restoreProtectedSpans, hasTranslatableText, keepsProtectedTokens } from '../utils/protectedSpans.js';
+import { checkStructure, findUntranslated } from '../utils/translationChecks.js';
+import { wordSimilarity } from '../utils/textSimilarity.js';
+import { parseBatchTranslation } from '../utils/translationBatch.js';
+
+// Numbers, measurements and single alphanumeric words ("42", "3.5cm", "DNA") are not translated
+const keepAsIs = (value) => /^-?\d+(\.\d+)?(%|cm|m)?$/.test(value) || /^[A-Za-z0-9]+$/.test(value);
+
+// Translation memory context -> LLM prompt context for each part of a question
+const MEMORY_CONTEXTS = {
+  question: "This is a quiz question",
+  option: "This is a quiz answer option",
+  explanation: "This is an explanation for the correct answer"
+};
 
 export class TranslationService {
   constructor(quizUuid) {
     this.quizUuid = quizUuid;
     this.quizFactorApiService = new QuizFactorApiService();
+    this.memory = translationMemory;
+    this.glossary = glossaryService;
+    this.subject = null; // category tag whose glossary applies, set per questions job
+    this.glossaryViolations = [];
+    this.qaEnabled = false; // quality checks on every translated question, set per questions job
+    this.qaResults = [];
+    this.prefetched = new Map(); // "questionKey|languageCode" -> translation from a multi-question call
     
     this.client = axios.create({
       baseURL: config.api.quizFactor.baseUrl,
@@ -32,22 +62,21 @@ export class TranslationService {
     };
   }
 
-  async translateWithLLM(text, targetLanguage, context = "", maxRetries = 3) {
+  // hints: { references, glossary } for consistent terminology, see buildTranslatePrompt
+  async translateWithLLM(text, targetLanguage, context = "", maxRetries = 3, hints = {}) {
+    await this.checkControl();
     let retries = 0;
     
     while (retries < maxRetries) {
       try {
-        // Check if we're in a rate limited state and wait if needed
-        await this.handleRateLimitBackoff();
-
-        const prompt = `Translate the following text to ${targetLanguage}. Return ONLY the translation, without any prefixes or explanations:
-
-Context: ${context}
-Text to translate: "${text}"`;
+        const prompt = buildTranslatePrompt(text, targetLanguage, context, hints);
 
         const translatedText = await llmService.processPrompt(prompt, {
           maxTokens: 1024,
-          temperature: 0
+          temperature: 0,
+          operation: 'translate',
+          // An answer that lost a protected span is not cached, so the next attempt asks again
+          cacheable: answer => keepsProtectedTokens(text, answer)
         });
 
         // Reset rate limit state on successful call
@@ -81,15 +110,92 @@ Text to translate: "${text}"`;
 
         if (this.isRateLimitError(error)) {
           retries++;
-          await this.handleRateLimitError(retries, maxRetries);
+          this.handleRateLimitError(retries, maxRetries);
           continue;
         }
-        throw new Error(`Failed to translate with LLM: ${error.message}`);
+        throw isProviderError(error) ? error : new Error(`Failed to translate with LLM: ${error.message}`);
       }
     }
     throw new Error(`Failed to translate after ${maxRetries} retries due to rate limiting`);
   }
 
+  // Translate one text, reusing an exact translation memory match instead of calling the LLM.
+  // New translations are added to the memory by translateWithCheckpoint once they passed the
+  // quality checks. Formulas, code, links and placeholders are masked for the LLM; a
+  // translation that loses one of them throws (error.missingSpans).
+  async translateWithMemory(text, sourceLanguage, targetLanguage, memoryContext) {
+    const masked = maskProtectedSpans(text);
+    if (masked.spans.length > 0 && !hasTranslatableText(masked.text)) {
+      return text;
+    }
+
+    const terms = this.glossary.termsFor(this.subject);
+    const match = this.memory.lookup(text, sourceLanguage, targetLanguage, memoryContext);
+    if (this.isReusable(match, text, terms, targetLanguage)) {
+      console.log(`       🧠 ${targetLanguage}: Reused from translation memory`);
+      return match.target;
+    }
+
+    return restoreProtectedSpans(await this.translateWithLLM(
+      masked.text,
+      targetLanguage,
+      MEMORY_CONTEXTS[memoryContext],
+      3,
+      {
+        references: match && !match.exact ? [match] : [],
+        glossary: findGlossaryTerms([text], terms, targetLanguage)
+      }
+    ), masked.spans);
+  }
+
+  // Exact memory matches that break the current glossary are translated again
+  isReusable(match, text, terms, targetLanguage) {
+    return Boolean(match?.exact) && checkGlossary(text, match.target, terms, targetLanguage).length === 0;
+  }
+
+  // The subject (category tag) whose glossary applies to a questions job: the one given
+  // with the job, otherwise determineCategory on a sample of the questions. Without
+  // subject glossaries only the "all" glossary applies and no LLM call is made.
+  async resolveSubject(questionsData, subject) {
+    if (subject) return subject;
+
+    await this.glossary.ready;
+    if (!this.glossary.hasSubjectGlossaries()) return null;
+
+    const sample = questionsData.slice(0, 10).map(question => {
+      const source = question.translations?.find(t => t.languageCode === 'en') || question.translations?.[0] || question;
+      return { questionText: source.questionText, options: source.options };
+    });
+    const category = await extractionService.determineCategory(sample);
+    return category?.tagName?.toLowerCase() || null;
+  }
+
+  // Record the glossary terms a translated question does not use, per field
+  recordGlossaryViolations(questionKey, sourceTranslation, translation) {
+    const terms = this.glossary.termsFor(this.subject);
+    if (terms.length === 0) return;
+
+    const fields = [
+      ['questionText', sourceTranslation.questionText, translation.questionText],
+      ...Object.entries(sourceTranslation.options || {}).map(([key, value]) =>
+        [`options.${key}`, value, translation.options?.[key]]
+      ),
+      ['explanation', sourceTranslation.explanation, translation.explanation]
+    ];
+
+    for (const [field, source, target] of fields) {
+      checkGlossary(source, target, terms, translation.languageCode).forEach(violation => {
+        this.glossaryViolations.push({ questionKey, languageCode: translation.languageCode, field, ...violation });
+        console.log(`     ⚠️  ${translation.languageCode}: "${violation.term}" in ${field} should be "${violation.expected}"`);
+      });
+    }
+  }
+
+  // Pause or stop here if the queue asked for it (see jobControl.js)
+  async checkControl() {
+    await this.control?.check();
+  }
+
   isRateLimitError(error) {
     return error.message.includes('Rate limit') || 
            error.message.includes('429') ||
@@ -97,7 +203,9 @@ Text to translate: "${text}"`;
            error.status === 429;
   }
 
-  async handleRateLimitError(retries, maxRetries) {
+  // The wait itself happens in the shared rate limiter (see llmService), which pauses every
+  // job using the same provider/model; this only tracks the state used for adaptive batching.
+  handleRateLimitError(retries, maxRetries) {
     this.rateLimitState.isRateLimited = true;
     this.rateLimitState.rateLimitCount++;
     this.rateLimitState.lastRateLimitTime = Date.now();
@@ -108,33 +216,7 @@ Text to translate: "${text}"`;
       this.rateLimitState.maxBackoffMultiplier
     );
 
-    // Exponential backoff with jitter
-    const baseDelay = 5000; // Start with 5 seconds
-    const jitter = Math.random() * 2000;
-    const delay = (baseDelay * Math.pow(2, retries) * this.rateLimitState.backoffMultiplier) + jitter;
-    
-    console.log(`         ⚠️  API busy (${this.rateLimitState.rateLimitCount} rate limits so far), taking a ${(delay/1000).toFixed(1)}s break before try ${retries} of ${maxRetries}...`);
-    await sleep(delay);
-  }
-
-  async handleRateLimitBackoff() {
-    if (this.rateLimitState.isRateLimited) {
-      const timeSinceLastRateLimit = Date.now() - this.rateLimitState.lastRateLimitTime;
-      const backoffTime = 10000 * this.rateLimitState.backoffMultiplier; // 10s base backoff
-      
-      if (timeSinceLastRateLimit < backoffTime) {
-        const remainingWait = backoffTime - timeSinceLastRateLimit;
-        const remainingMinutes = Math.floor(remainingWait / 60000);
-        const remainingSeconds = Math.floor((remainingWait % 60000) / 1000);
-        
-        if (remainingMinutes > 0) {
-          console.log(`         ⏳ Still cooling down from rate limits, ${remainingMinutes}m ${remainingSeconds}s more to wait...`);
-        } else {
-          console.log(`         ⏳ Still cooling down from rate limits, ${remainingSeconds}s more to wait...`);
-        }
-        await sleep(remainingWait);
-      }
-    }
+    console.log(`         ⚠️  API busy (${this.rateLimitState.rateLimitCount} rate limits so far), waiting for the shared cooldown before try ${retries} of ${maxRetries}...`);
   }
 
   resetRateLimitState() {
@@ -153,7 +235,10 @@ Text to translate: "${text}"`;
     }
   }
 
-  async translateCategory(categoryUuid, targetLanguages) {
+  async translateCategory(categoryUuid, targetLanguages, options = {}) {
+    this.onLanguageComplete = options.onLanguageComplete || null;
+    this.control = options.control || null;
+
     try {
       // Fetch category data
       const response = await this.client.get(
@@ -168,7 +253,7 @@ Text to translate: "${text}"`;
 
       // Translate category content for each language using LLM
       const translations = await Promise.all(
-        targetLanguages.map(async (lang) => ({
+        targetLanguages.map(async (lang) => this.languageCompleted(lang, {
           languageCode: lang,
           name: await this.translateWithLLM(
             category.name,
@@ -206,6 +291,7 @@ Text to translate: "${text}"`;
 
       return translations;
     } catch (error) {
+      if (error.cancelled || isProviderError(error)) throw error;
       if (error.response?.status === 404) {
         throw new Error(`Category not found: ${categoryUuid}`);
       }
@@ -213,7 +299,10 @@ Text to translate: "${text}"`;
     }
   }
 
-  async translateCourse(courseUuid, targetLanguages) {
+  async translateCourse(courseUuid, targetLanguages, options = {}) {
+    this.onLanguageComplete = options.onLanguageComplete || null;
+    this.control = options.control || null;
+
     try {
       // Fetch course data
       const response = await this.client.get(`/api/ai/course/${courseUuid}`);
@@ -254,13 +343,13 @@ Text to translate: "${text}"`;
 
           // For English or existing translations, preserve the UUID and use existing content
           if (existingTrans) {
-            return {
+            return this.languageCompleted(lang, {
               uuid: existingTrans.uuid,
               courseUuid: courseUuid,
               languageCode: lang,
               title: existingTrans.title,
               description: existingTrans.description
-            };
+            });
           }
 
           // For other languages, translate using LLM
@@ -275,12 +364,12 @@ Text to translate: "${text}"`;
             "This is a course description"
           );
 
-          return {
+          return this.languageCompleted(lang, {
             courseUuid: courseUuid,
             languageCode: lang,
             title: translatedTitle || sourceTitle, // Fallback to source if translation fails
             description: translatedDesc || sourceDesc // Fallback to source if translation fails
-          };
+          });
         })
       );
 
@@ -319,12 +408,16 @@ Text to translate: "${text}"`;
         timestamp: new Date().toISOString()
       };
     } catch (error) {
+      if (error.cancelled || isProviderError(error)) throw error;
       console.error("Course translation error:", error);
       throw new Error(`Failed to translate course: ${error.message}`);
     }
   }
 
-  async translateQuiz(quizUuid, targetLanguages) {
+  async translateQuiz(quizUuid, targetLanguages, options = {}) {
+    this.onLanguageComplete = options.onLanguageComplete || null;
+    this.control = options.control || null;
+
     try {
       // Fetch quiz data
       const quizResponse = await this.client.get(`/api/ai/quiz/${quizUuid}`);
@@ -346,15 +439,15 @@ Text to translate: "${text}"`;
           // If translation exists, preserve it
           const existingTrans = existingTranslations.get(lang);
           if (existingTrans) {
-            return {
+            return this.languageCompleted(lang, {
               languageCode: lang,
               title: existingTrans.title,
               description: existingTrans.description
-            };
+            });
           }
 
           // Otherwise translate using LLM
-          return {
+          return this.languageCompleted(lang, {
             languageCode: lang,
             title: await this.translateWithLLM(
               quiz.title,
@@ -366,7 +459,7 @@ Text to translate: "${text}"`;
               lang,
               "This is a quiz description"
             ),
-          };
+          });
         })
       );
 
@@ -401,6 +494,7 @@ Text to translate: "${text}"`;
         response: updateResponse.data
       };
     } catch (error) {
+      if (error.cancelled || isProviderError(error)) throw error;
       console.error("Quiz translation error:", error);
       throw new Error(`Failed to translate quiz: ${error.message}`);
     }
@@ -640,6 +734,7 @@ Text to translate: "${text}"`;
         }
       };
     } catch (error) {
+      if (error.cancelled || isProviderError(error)) throw error;
       console.error("Quiz questions translation error:", error);
       throw new Error(`Failed to translate quiz questions: ${error.message}`);
     }
@@ -766,9 +861,17 @@ Text to translate: "${text}"`;
     return question;
   }
 
-  async translateQuestions(quizUuid, targetLanguages, questionsData = []) {
+  // options.checkpoint ({ get(questionKey, languageCode), set(questionKey, languageCode, translation) })
+  // lets the queue keep finished question×language pairs so a retry only redoes the missing ones.
+  // options.subject picks the glossary, otherwise it is determined from the questions.
+  // options.qa turns the quality checks on or off for the job (default config.qa.enabled).
+  async translateQuestions(quizUuid, targetLanguages, questionsData = [], options = {}) {
     const startTime = Date.now();
     const totalOperations = questionsData.length * targetLanguages.length;
+    this.checkpoint = options.checkpoint || null;
+    this.onLanguageComplete = options.onLanguageComplete || null;
+    this.control = options.control || null;
+    this.languageProgress = { total: questionsData.length, done: new Map() };
     
     try {
       // Validate input data
@@ -782,9 +885,29 @@ Text to translate: "${text}"`;
       console.log(`⚡ That's ${totalOperations} translation tasks in total`);
       console.log(`🕒 Starting now at ${new Date().toLocaleTimeString()}`);
       console.log('🎯 Let\'s get started!\n');
+
+      this.subject = await this.resolveSubject(questionsData, options.subject);
+      this.glossaryViolations = [];
+      const glossaryTerms = this.glossary.termsFor(this.subject);
+      if (glossaryTerms.length > 0) {
+        console.log(`📖 Applying ${glossaryTerms.length} glossary term(s)${this.subject ? ` for "${this.subject}"` : ''}`);
+      }
+      this.qaEnabled = options.qa ?? config.qa.enabled;
+      this.qaResults = [];
+      if (this.qaEnabled) {
+        console.log(`🔎 Quality checks on, translations scoring below ${config.qa.minScore} are held back for review`);
+      }
       
       // Process questions in parallel with controlled concurrency
-      const translatedQuestions = await this.processQuestionsInBatches(questionsData, targetLanguages, startTime, totalOperations);
+      const allTranslatedQuestions = await this.processQuestionsInBatches(questionsData, targetLanguages, startTime, totalOperations);
+
+      // Translations flagged by the quality checks are not sent to QuizFactor
+      const review = this.qaResults.filter(result => result.qa.status === 'review');
+      const translatedQuestions = this.withoutFlaggedTranslations(allTranslatedQuestions, review);
+      if (review.length > 0) {
+        console.log(`🔎 ${review.length} translation(s) held back for review`);
+        await this.writeQuestionsToFile(review, quizUuid, 'review');
+      }
 
       // Write translated questions to file before sending to server
       await this.writeQuestionsToFile(translatedQuestions, quizUuid, 'translated');
@@ -929,6 +1052,9 @@ Text to translate: "${text}"`;
         console.log(`🚀 No rate limit issues - smooth sailing!`);
       }
       console.log(`🕒 Finished at ${new Date().toLocaleTimeString()}`);
+      if (this.glossaryViolations.length > 0) {
+        console.log(`⚠️  ${this.glossaryViolations.length} glossary violation(s) flagged for review`);
+      }
       console.log('🎊 All done! Your quiz is ready to go!\n');
 
       return {
@@ -951,14 +1077,44 @@ Text to translate: "${text}"`;
           totalTimeSeconds: totalTime,
           averageTimePerOperation: averageTimePerOperation,
           rateLimitEncounters: this.rateLimitState.rateLimitCount
-        }
+        },
+        ...(glossaryTerms.length > 0 && {
+          glossary: {
+            subject: this.subject,
+            terms: glossaryTerms.length,
+            violations: this.glossaryViolations
+          }
+        }),
+        ...(this.qaEnabled && {
+          qa: {
+            minScore: config.qa.minScore,
+            checked: this.qaResults.length,
+            passed: this.qaResults.length - review.length,
+            flagged: review.length,
+            review
+          }
+        })
       };
     } catch (error) {
+      if (error.cancelled || isProviderError(error)) throw error;
       console.error("Quiz questions translation error:", error);
       throw new Error(`Failed to translate quiz questions: ${error.message}`);
     }
   }
 
+  // Drop the flagged translations from the questions, and questions left without any
+  withoutFlaggedTranslations(questions, review) {
+    if (review.length === 0) return questions;
+
+    const flagged = new Set(review.map(result => result.translation));
+    return questions
+      .map(question => ({
+        ...question,
+        translations: question.translations.filter(translation => !flagged.has(translation))
+      }))
+      .filter(question => question.translations.length > 0);
+  }
+
   async processQuestionsInBatches(questionsData, targetLanguages, startTime, totalOperations, initialBatchSize = 3) {
     const translatedQuestions = [];
     let currentBatchSize = initialBatchSize;
@@ -972,6 +1128,8 @@ Text to translate: "${text}"`;
     
     // Process questions in batches to control load
     for (let i = 0; i < questionsData.length; i += currentBatchSize) {
+      // Between batches of questions
+      await this.checkControl();
       const batch = questionsData.slice(i, i + currentBatchSize);
       const batchNumber = Math.floor(i/currentBatchSize) + 1;
       const totalBatches = Math.ceil(questionsData.length/currentBatchSize);
@@ -1018,6 +1176,7 @@ Text to translate: "${text}"`;
          console.log("⚠️  Taking it slow due to rate limits - processing one at a time");
          // Process questions one by one when rate limited
          for (const questionData of batch) {
+           await this.checkControl();
            const questionIndex = questionsData.indexOf(questionData) + 1;
            console.log(`\n🔄 Working on question ${questionIndex} of ${questionsData.length}`);
            
@@ -1037,6 +1196,7 @@ Text to translate: "${text}"`;
          // Process questions in current batch in parallel
          try {
            console.log(`🚀 Processing ${batch.length} questions at the same time (fast mode)`);
+           await this.prefetchTranslations(batch, i, targetLanguages);
            const batchPromises = batch.map(async (questionData, index) => {
              const actualIndex = i + index;
              return await this.translateSingleQuestion(questionData, targetLanguages, actualIndex + 1, questionsData.length);
@@ -1053,6 +1213,7 @@ Text to translate: "${text}"`;
              console.log("⚠️  Hit a rate limit! Let's try again more slowly...");
              // If batch fails due to rate limiting, retry sequentially
              for (const questionData of batch) {
+               await this.checkControl();
                const questionIndex = questionsData.indexOf(questionData) + 1;
                console.log(`\n🔄 Retrying question ${questionIndex} of ${questionsData.length} (going slower now)`);
                
@@ -1066,6 +1227,8 @@ Text to translate: "${text}"`;
            } else {
              throw error;
            }
+         } finally {
+           this.prefetched.clear();
          }
        }
       
@@ -1093,6 +1256,41 @@ Text to translate: "${text}"`;
     return translatedQuestions;
   }
 
+  // Stable key for checkpoints, questions without a UUID fall back to their position (1-based)
+  questionKeyOf(questionData, questionIndex) {
+    return questionData.uuid || `#${questionIndex}`;
+  }
+
+  // Translate the questions of a batch that still miss a language with one call per language
+  // (see batchTranslateQuestions). translateWithCheckpoint picks the results up; questions of
+  // a call that fails are translated on their own as before.
+  async prefetchTranslations(batch, firstIndex, targetLanguages) {
+    const questions = batch.map((questionData, index) => {
+      const { translations } = this.standardizeQuestionOptions(questionData);
+      return {
+        questionKey: this.questionKeyOf(questionData, firstIndex + index + 1),
+        source: translations.find(t => t.languageCode === 'en') || translations[0],
+        existingLanguages: translations.map(t => t.languageCode)
+      };
+    });
+
+    await Promise.all(targetLanguages.map(async (targetLanguage) => {
+      const pending = questions.filter(({ questionKey, source, existingLanguages }) =>
+        source && !existingLanguages.includes(targetLanguage) && !this.checkpoint?.get(questionKey, targetLanguage)
+      );
+      if (pending.length < 2) return;
+
+      try {
+        const translations = await this.batchTranslateQuestions(pending.map(({ source }) => source), targetLanguage);
+        pending.forEach(({ questionKey }, index) => this.prefetched.set(`${questionKey}|${targetLanguage}`, translations[index]));
+        console.log(`   📦 ${targetLanguage}: ${pending.length} questions translated in one call`);
+      } catch (error) {
+        if (error.cancelled || isProviderError(error)) throw error;
+        console.log(`   ⚠️  ${targetLanguage}: Translating ${pending.length} questions together didn't work - ${error.message.substring(0, 50)}... (going one by one)`);
+      }
+    }));
+  }
+
   async translateSingleQuestion(questionData, targetLanguages, questionIndex = 0, totalQuestions = 0) {
     console.log(`   🔍 Getting question ${questionIndex} of ${totalQuestions} ready...`);
     
@@ -1113,6 +1311,8 @@ Text to translate: "${text}"`;
       standardizedQuestion.points = 1;
     }
 
+    const questionKey = this.questionKeyOf(questionData, questionIndex);
+
     const questionPreview = standardizedQuestion.translations[0]?.questionText?.substring(0, 60) || 'N/A';
     console.log(`   📝 Question preview: "${questionPreview}..."`);
 
@@ -1156,7 +1356,7 @@ Text to translate: "${text}"`;
         }
 
         console.log(`   🔄 ${lang}: Creating translation...`);
-        const translation = await this.translateToLanguage(sourceTranslation, lang);
+        const translation = await this.translateWithCheckpoint(sourceTranslation, lang, questionKey);
         newTranslations.push(translation);
         console.log(`   ✅ ${lang}: Done!`);
         
@@ -1186,7 +1386,7 @@ Text to translate: "${text}"`;
             return existingTrans;
           }
 
-          const translation = await this.translateToLanguage(sourceTranslation, lang);
+          const translation = await this.translateWithCheckpoint(sourceTranslation, lang, questionKey);
           return translation;
         });
 
@@ -1208,7 +1408,7 @@ Text to translate: "${text}"`;
                 continue;
               }
 
-              const translation = await this.translateToLanguage(sourceTranslation, lang);
+              const translation = await this.translateWithCheckpoint(sourceTranslation, lang, questionKey);
               newTranslations.push(translation);
               console.log(`   ✅ ${lang}: Success on retry!`);
               
@@ -1226,10 +1426,158 @@ Text to translate: "${text}"`;
     
     // Update question with all translations
     standardizedQuestion.translations = newTranslations;
+    this.questionLanguagesCompleted(targetLanguages);
     return standardizedQuestion;
   }
 
+  // Report a language to the queue once its translation is ready, returns the translation
+  languageCompleted(languageCode, translation) {
+    this.onLanguageComplete?.(languageCode);
+    return translation;
+  }
+
+  // A language of a questions job is complete once every question has it
+  questionLanguagesCompleted(targetLanguages) {
+    if (!this.languageProgress) return;
+
+    const { total, done } = this.languageProgress;
+    targetLanguages.forEach(languageCode => {
+      const count = (done.get(languageCode) || 0) + 1;
+      done.set(languageCode, count);
+      if (count === total) this.languageCompleted(languageCode);
+    });
+  }
+
+  // Reuse a checkpointed translation when available, otherwise translate and checkpoint the result.
+  // With quality checks on, the review is checkpointed with the translation so a retry does
+  // not repeat it.
+  async translateWithCheckpoint(sourceTranslation, targetLanguage, questionKey) {
+    let translation = this.checkpoint?.get(questionKey, targetLanguage);
+    const saved = Boolean(translation);
+    const prefetchKey = `${questionKey}|${targetLanguage}`;
+    if (saved) {
+      console.log(`   ♻️  ${targetLanguage}: Restored from checkpoint`);
+    } else if (this.prefetched.has(prefetchKey)) {
+      translation = this.prefetched.get(prefetchKey);
+      this.prefetched.delete(prefetchKey);
+    } else {
+      try {
+        translation = await this.translateToLanguage(sourceTranslation, targetLanguage);
+      } catch (error) {
+        if (error.missingSpans) {
+          error.message = `Question ${questionKey} (${targetLanguage}): ${error.message}`;
+        }
+        throw error;
+      }
+    }
+
+    if (this.qaEnabled && !translation.qa) {
+      translation = { ...translation, qa: await this.reviewTranslation(sourceTranslation, translation) };
+      this.checkpoint?.set(questionKey, targetLanguage, translation);
+    } else if (!saved) {
+      this.checkpoint?.set(questionKey, targetLanguage, translation);
+    }
+    // Translations flagged for review are kept out of the memory so they are not reused
+    if (!this.qaEnabled || translation.qa?.status === 'passed') {
+      this.rememberTranslation(sourceTranslation, translation);
+    }
+    this.recordGlossaryViolations(questionKey, sourceTranslation, translation);
+    return this.recordQa(questionKey, translation);
+  }
+
+  // Add the texts of a translated question to the translation memory. Texts kept as they are
+  // (numbers, codes, protected spans only) and texts already stored are skipped.
+  rememberTranslation(sourceTranslation, translation) {
+    const sourceLanguage = sourceTranslation.languageCode || 'en';
+    const texts = [
+      [sourceTranslation.questionText, translation.questionText, 'question'],
+      ...Object.entries(sourceTranslation.options || {}).map(([key, value]) => [value, translation.options?.[key], 'option']),
+      [sourceTranslation.explanation, translation.explanation, 'explanation']
+    ];
+    texts
+      .filter(([source, target]) => source !== target)
+      .forEach(([source, target, memoryContext]) =>
+        this.memory.add(source, target, sourceLanguage, translation.languageCode, memoryContext)
+      );
+  }
+
+  // Keep the review of a translation for the job result, returns the translation without it
+  recordQa(questionKey, { qa, ...translation }) {
+    if (this.qaEnabled && qa) {
+      this.qaResults.push({ questionKey, languageCode: translation.languageCode, translation, qa });
+      if (qa.status === 'review') {
+        console.log(`     🔎 ${translation.languageCode}: Flagged for review (${qa.issues.map(issue => issue.check).join(', ')})`);
+      }
+    }
+    return translation;
+  }
+
+  // Quality checks on one translated question: options kept in count and order, nothing left
+  // untranslated or in the wrong language, and the question text and explanation translated
+  // back to the source language close enough to the original (config.qa.minScore).
+  // Returns { status: 'passed' | 'review', score, backTranslations, issues }.
+  async reviewTranslation(sourceTranslation, translation) {
+    const sourceLanguage = sourceTranslation.languageCode || 'en';
+    const issues = [
+      ...checkStructure(sourceTranslation, translation),
+      ...findUntranslated(sourceTranslation, translation)
+    ];
+
+    const scores = [];
+    const backTranslations = {};
+    try {
+      // Language detection and back-translations are accounted as QA, not translation
+      await llmService.track(null, async () => {
+        if (!issues.some(issue => issue.check === 'untranslated' && issue.field === 'questionText')) {
+          const detected = await this.detectLanguageCode(translation.questionText);
+          if (detected && detected !== translation.languageCode.split('-')[0].toLowerCase()) {
+            issues.push({
+              check: 'wrong_language',
+              field: 'questionText',
+              message: `Detected ${detected} instead of ${translation.languageCode}`
+            });
+          }
+        }
+
+        for (const field of ['questionText', 'explanation']) {
+          const source = sourceTranslation[field];
+          const target = translation[field];
+          if (typeof source !== 'string' || typeof target !== 'string' || !target.trim()) continue;
+          if (!hasTranslatableText(maskProtectedSpans(source).text)) continue;
+
+          backTranslations[field] = await this.translateWithLLM(
+            target,
+            sourceLanguage,
+            "This is a back-translation of a translated quiz text, used to check that its meaning was kept"
+          );
+          const score = Math.round(wordSimilarity(source, backTranslations[field]) * 100) / 100;
+          scores.push(score);
+          if (score < config.qa.minScore) {
+            issues.push({
+              check: 'back_translation',
+              field,
+              message: `Back-translation similarity ${score} is below ${config.qa.minScore}: "${backTranslations[field]}"`
+            });
+          }
+        }
+      }, { operation: 'qa' });
+    } catch (error) {
+      if (error.cancelled || isProviderError(error)) throw error;
+      // Without a review the translation cannot count as checked
+      issues.push({ check: 'qa_error', message: `Quality check failed: ${error.message}` });
+    }
+
+    return {
+      status: issues.length > 0 ? 'review' : 'passed',
+      score: scores.length > 0 ? Math.min(...scores) : null,
+      backTranslations,
+      issues
+    };
+  }
+
   async translateToLanguage(sourceTranslation, targetLanguage, maxRetries = 2) {
+    // Between languages
+    await this.checkControl();
     let retries = 0;
     
     while (retries < maxRetries) {
@@ -1240,6 +1588,7 @@ Text to translate: "${text}"`;
         console.log(`     ✅ ${targetLanguage}: Fast method worked!`);
         return result;
       } catch (error) {
+        if (error.cancelled || isProviderError(error)) throw error;
         console.log(`     ⚠️  ${targetLanguage}: Fast method didn't work - ${error.message.substring(0, 50)}...`);
         console.log(`     🔄 ${targetLanguage}: Trying slower but more reliable method...`);
         
@@ -1272,73 +1621,155 @@ Text to translate: "${text}"`;
     throw new Error(`Couldn't translate to ${targetLanguage} after ${maxRetries} attempts`);
   }
 
+  // Translate the texts of one question in a single LLM call, see batchTranslateQuestions
   async batchTranslateTexts(sourceTranslation, targetLanguage) {
-    // Batch translate all text in one API call for efficiency
-    const allOptionValues = Object.values(sourceTranslation.options);
-    const optionsToTranslate = allOptionValues.filter(value => 
-      // Skip numeric/alphanumeric values
-      !/^-?\d+(\.\d+)?(%|cm|m)?$/.test(value) && !/^[A-Za-z0-9]+$/.test(value)
-    );
-    
-    const textsToTranslate = [
-      sourceTranslation.questionText,
-      ...optionsToTranslate,
-      sourceTranslation.explanation
-    ];
+    const [translation] = await this.batchTranslateQuestions([sourceTranslation], targetLanguage);
+    return translation;
+  }
 
-    console.log(`       📝 Translating ${textsToTranslate.length} pieces of text to ${targetLanguage} all at once`);
-    console.log(`       📊 That's the question + ${optionsToTranslate.length} of ${allOptionValues.length} answer options + explanation`);
+  // Translate the texts of several questions into one language with a single LLM call. Each
+  // text is sent under a key (q1.questionText, q1.options.option_1, q1.explanation, q2...) and
+  // the model answers with a JSON object of the same keys. Valid keys of a malformed answer
+  // are kept and only the texts that are missing, or lost a protected span, are translated
+  // one by one. Throws when the answer has none of the keys.
+  async batchTranslateQuestions(sourceTranslations, targetLanguage) {
+    const terms = this.glossary.termsFor(this.subject);
+    const texts = [];
+    sourceTranslations.forEach((sourceTranslation, question) => {
+      const sourceLanguage = sourceTranslation.languageCode || 'en';
+      const add = (field, text, memoryContext) =>
+        texts.push({ question, key: `q${question + 1}.${field}`, field, text, memoryContext, sourceLanguage });
+
+      add('questionText', sourceTranslation.questionText, 'question');
+      Object.entries(sourceTranslation.options || {})
+        .filter(([, value]) => !keepAsIs(value))
+        .forEach(([key, value]) => add(`options.${key}`, value, 'option'));
+      add('explanation', sourceTranslation.explanation, 'explanation');
+    });
 
-    const batchTranslatePrompt = `Translate the following texts to ${targetLanguage}. 
-IMPORTANT: Return EXACTLY ${textsToTranslate.length} translations separated by "###SEPARATOR###".
-Do NOT add explanations, prefixes, or additional text.
-Format: translation1###SEPARATOR###translation2###SEPARATOR###translation3
+    // Formulas, code, links and placeholders are masked; texts made only of them stay as they
+    // are, and so do texts with an exact translation memory match
+    let reusedCount = 0;
+    texts.forEach(entry => {
+      entry.masked = maskProtectedSpans(entry.text);
+      if (typeof entry.text !== 'string' || !entry.text.trim() ||
+          (entry.masked.spans.length > 0 && !hasTranslatableText(entry.masked.text))) {
+        entry.translation = entry.text;
+        return;
+      }
 
-Texts to translate:
-${textsToTranslate.map((text, i) => `[${i + 1}] ${text}`).join('\n\n')}`;
+      const match = this.memory.lookup(entry.text, entry.sourceLanguage, targetLanguage, entry.memoryContext);
+      if (this.isReusable(match, entry.text, terms, targetLanguage)) {
+        entry.translation = match.target;
+        reusedCount++;
+      } else if (match && !match.exact) {
+        entry.reference = match;
+      }
+    });
 
-    const batchResult = await this.translateWithLLM(
-      batchTranslatePrompt,
-      targetLanguage,
-      "Batch translation of quiz content"
-    );
+    console.log(`       📝 Translating ${texts.length} pieces of text from ${sourceTranslations.length} question(s) to ${targetLanguage} all at once`);
+    if (reusedCount > 0) {
+      console.log(`       🧠 ${reusedCount} of ${texts.length} reused from translation memory`);
+    }
 
-    console.log('Batch translation result:', batchResult);
+    const missing = texts.filter(entry => entry.translation === undefined);
+    if (missing.length > 0) {
+      const keys = missing.map(entry => entry.key);
+      const prompt = buildBatchTranslatePrompt(
+        Object.fromEntries(missing.map(entry => [entry.key, entry.masked.text])),
+        targetLanguage,
+        {
+          references: missing.filter(entry => entry.reference).map(entry => entry.reference),
+          glossary: findGlossaryTerms(missing.map(entry => entry.text), terms, targetLanguage)
+        }
+      );
+      // Room for translations about twice as long as the sources (~4 characters per token)
+      const sourceLength = missing.reduce((length, entry) => length + entry.masked.text.length, 0);
+      const response = await this.requestBatchTranslation(
+        prompt,
+        buildBatchTranslateSchema(keys),
+        Math.min(4000, Math.max(1024, Math.ceil(sourceLength / 2))),
+        // An answer without any of the keys is not cached, so a rerun asks again
+        answer => parseBatchTranslation(answer, keys).missing.length < keys.length
+      );
 
-    const translations = batchResult.split('###SEPARATOR###').map(t => t.trim());
-    
-    console.log(`Expected ${textsToTranslate.length} translations, got ${translations.length}`);
-    console.log('Translations:', translations);
-    
-    if (translations.length !== textsToTranslate.length) {
-      throw new Error(`Batch translation count mismatch: expected ${textsToTranslate.length}, got ${translations.length}`);
-    }
+      const { translations, missing: missingKeys, salvaged } = parseBatchTranslation(response, keys);
+      if (missingKeys.length === missing.length) {
+        throw new Error(`Batch translation returned none of the ${missing.length} expected keys`);
+      }
+      if (salvaged) {
+        console.log(`       ⚠️  ${targetLanguage}: Answer was not valid JSON, salvaged ${missing.length - missingKeys.length} of ${missing.length} translations`);
+      }
 
-    // Reconstruct the translation object
-    let translationIndex = 0;
-    const questionText = translations[translationIndex++];
-    
-    const options = {};
-    for (const [key, value] of Object.entries(sourceTranslation.options)) {
-      // Keep numeric/alphanumeric values as is
-      if (/^-?\d+(\.\d+)?(%|cm|m)?$/.test(value) || /^[A-Za-z0-9]+$/.test(value)) {
-        options[key] = value;
-      } else {
-        options[key] = translations[translationIndex++];
+      const retry = [];
+      missing.forEach(entry => {
+        if (!translations[entry.key]) {
+          retry.push(entry);
+          return;
+        }
+        try {
+          entry.translation = restoreProtectedSpans(translations[entry.key], entry.masked.spans);
+        } catch (error) {
+          if (!error.missingSpans) throw error;
+          retry.push(entry);
+        }
+      });
+
+      if (retry.length > 0) {
+        console.log(`       🔄 ${targetLanguage}: Redoing ${retry.length} of ${missing.length} texts one by one (${retry.map(entry => entry.key).join(', ')})`);
+        for (const entry of retry) {
+          entry.translation = await this.translateWithMemory(entry.text, entry.sourceLanguage, targetLanguage, entry.memoryContext);
+        }
       }
     }
-    
-    const explanation = translations[translationIndex++];
 
-    return {
-      languageCode: targetLanguage,
-      questionText,
-      options,
-      correctAnswer: Array.isArray(sourceTranslation.correctAnswer) 
-        ? sourceTranslation.correctAnswer 
-        : [sourceTranslation.correctAnswer], // Ensure correctAnswer is always an array
-      explanation
-    };
+    // Reconstruct the translation objects
+    return sourceTranslations.map((sourceTranslation, question) => {
+      const translated = new Map(texts.filter(entry => entry.question === question).map(entry => [entry.field, entry.translation]));
+      return {
+        languageCode: targetLanguage,
+        questionText: translated.get('questionText'),
+        options: Object.fromEntries(Object.entries(sourceTranslation.options || {}).map(([key, value]) =>
+          // Numeric/alphanumeric values are kept as is
+          [key, translated.has(`options.${key}`) ? translated.get(`options.${key}`) : value]
+        )),
+        correctAnswer: Array.isArray(sourceTranslation.correctAnswer)
+          ? sourceTranslation.correctAnswer
+          : [sourceTranslation.correctAnswer], // Ensure correctAnswer is always an array
+        explanation: translated.get('explanation')
+      };
+    });
+  }
+
+  // Send a batch prompt as it is (translateWithLLM would wrap it in the single text prompt) in
+  // JSON mode, with the same rate limit handling as translateWithLLM. cacheable: see
+  // llmService.processPrompt
+  async requestBatchTranslation(prompt, schema, maxTokens, cacheable = null, maxRetries = 3) {
+    await this.checkControl();
+    let retries = 0;
+
+    while (retries < maxRetries) {
+      try {
+        const response = await llmService.processPrompt(prompt, {
+          maxTokens,
+          temperature: 0,
+          json: true,
+          schema,
+          operation: 'translate',
+          cacheable
+        });
+        this.resetRateLimitState();
+        return response;
+      } catch (error) {
+        if (this.isRateLimitError(error)) {
+          retries++;
+          this.handleRateLimitError(retries, maxRetries);
+          continue;
+        }
+        throw isProviderError(error) ? error : new Error(`Failed to translate with LLM: ${error.message}`);
+      }
+    }
+    throw new Error(`Failed to translate after ${maxRetries} retries due to rate limiting`);
   }
 
   async individualTranslateTexts(sourceTranslation, targetLanguage) {
@@ -1352,10 +1783,12 @@ ${textsToTranslate.map((text, i) => `[${i + 1}] ${text}`).join('\n\n')}`;
     
     // Translate question text
     console.log(`       📝 Starting with the question...`);
-    const questionText = await this.translateWithLLM(
+    const sourceLanguage = sourceTranslation.languageCode || 'en';
+    const questionText = await this.translateWithMemory(
       sourceTranslation.questionText,
+      sourceLanguage,
       targetLanguage,
-      "This is a quiz question"
+      'question'
     );
 
     // Adaptive delay based on rate limiting state
@@ -1378,10 +1811,11 @@ ${textsToTranslate.map((text, i) => `[${i + 1}] ${text}`).join('\n\n')}`;
       } else {
         optionCount++;
         console.log(`       🔄 Working on answer option ${optionCount} of ${optionsToTranslate.length} (${key})...`);
-        options[key] = await this.translateWithLLM(
+        options[key] = await this.translateWithMemory(
           value,
+          sourceLanguage,
           targetLanguage,
-          "This is a quiz answer option"
+          'option'
         );
         console.log(`       ✅ Option ${key} done!`);
         
@@ -1394,10 +1828,11 @@ ${textsToTranslate.map((text, i) => `[${i + 1}] ${text}`).join('\n\n')}`;
 
     // Translate explanation
     console.log(`       🔄 Finally, translating the explanation...`);
-    const explanation = await this.translateWithLLM(
+    const explanation = await this.translateWithMemory(
       sourceTranslation.explanation,
+      sourceLanguage,
       targetLanguage,
-      "This is an explanation for the correct answer"
+      'explanation'
     );
     console.log(`       ✅ All done with ${targetLanguage}!`);
 
@@ -1412,370 +1847,43 @@ ${textsToTranslate.map((text, i) => `[${i + 1}] ${text}`).join('\n\n')}`;
     };
   }
 
-  async extractQuestionsWithRegex(text) {
-    console.log("Falling back to regex-based extraction");
-    const questions = [];
-    
-    // Match question blocks
-    const questionRegex = /Question\s+\d+:\s*(.*?)(?=Question\s+\d+:|$)/gs;
-    const matches = text.matchAll(questionRegex);
-    
-    for (const match of matches) {
-      try {
-        const questionBlock = match[1].trim();
-        
-        // Extract question text
-        const questionText = questionBlock.split('\n')[0].trim();
-        
-        // Extract options
-        const options = {};
-        const optionMatches = questionBlock.matchAll(/\s+([A-Za-z0-9]+)\s*(?:\.|:)?\s*(.*?)(?=\s+[A-Za-z0-9]+\s*(?:\.|:)|Answer|$)/gs);
-        let optionIndex = 1;
-        
-        for (const optionMatch of optionMatches) {
-          const optionText = optionMatch[2].trim();
-          if (optionText && !optionText.toLowerCase().includes('answer')) {
-            options[`option_${optionIndex}`] = optionText;
-            optionIndex++;
-          }
-        }
-        
-        // Extract answer
-        const answerMatch = questionBlock.match(/Answer\s*\(([A-Z,]+)\)/i);
-        let correctAnswer = '';
-        if (answerMatch) {
-          const answerLetter = answerMatch[1].split(',')[0]; // Take first answer for multi-select
-          const answerIndex = answerLetter.charCodeAt(0) - 64; // Convert A->1, B->2, etc.
-          correctAnswer = `option_${answerIndex}`;
-        }
-        
-        if (questionText && Object.keys(options).length > 0 && correctAnswer) {
-          questions.push({
-            questionText: questionText,
-            options: options,
-            correctAnswer: Array.isArray(correctAnswer) ? correctAnswer : [correctAnswer],
-            explanation: "Extracted using fallback method due to API quota limits.",
-            metadata: {
-              source: "regex_extraction",
-              extractionMethod: "fallback"
-            }
-          });
-        }
-      } catch (error) {
-        console.error("Error processing question block:", error);
-      }
-    }
-    
-    return questions;
-  }
-
-  async extractQuestions(text) {
-    try {
-      return await this.extractQuestionsWithLLM(text);
-    } catch (error) {
-      if (error.message.includes('quota') || error.message.includes('rate limit')) {
-        console.log("Falling back to regex extraction due to API limits");
-        const questions = await this.extractQuestionsWithRegex(text);
-        
-        if (questions.length === 0) {
-          throw new Error("No questions could be extracted using fallback method");
-        }
-        
-        console.log(`Extracted ${questions.length} questions using fallback method`);
-        // Return the questions without adding them to quiz here
-        // The calling method will handle the addition
-        return questions;
-      }
-      throw error;
-    }
-  }
-
-  async extractQuestionsWithLLM(text) {
-    try {
-      console.log("Extracting questions using LLM");
-      console.log("Text length:", text.length);
-
-    
-      
-      // Split text into smaller chunks (4000 characters per chunk)
-      const chunks = this.splitIntoChunks(text, 4000);
-      let allQuestions = [];
-      
-      console.log(`Split text into ${chunks.length} chunks`);
-      
-      // Initial quota check
-      try {
-        await llmService.processPrompt("test", { maxTokens: 100 });
-        console.log("API connection test successful");
-      } catch (quotaError) {
-        console.error("API Quota/Connection Test Error:", quotaError);
-        
-        if (quotaError.message.includes('credit balance is too low')) {
-          throw new Error("Your credit balance is too low. Please check your API credits.");
-        }
-        throw quotaError;
-      }
-
-      // Process each chunk
-      for (let i = 0; i < chunks.length; i++) {
-        try {
-          console.log(`Processing chunk ${i + 1}/${chunks.length} (length: ${chunks[i].length})`);
-          
-          const prompt = `Extract multiple choice questions from the following text. Each question must have:
-1. A clear question text
-2. Multiple choice options labeled as option_1, option_2, etc.
-3. A single correct answer specified as "option_X"
-4. An explanation for the correct answer
-
-Format each question as a JSON object with this exact structure:
-{
-  "questionText": "the complete question text",
-  "options": {
-    "option_1": "first option text",
-    "option_2": "second option text",
-    "option_3": "third option text",
-    "option_4": "fourth option text"
-  },
-  "correctAnswer": "option_X",
-  "explanation": "detailed explanation of why this is the correct answer"
-}
-
-Important:
-1. Extract ALL questions from this text
-2. Include all options exactly as they appear
-3. Make sure options are labeled as option_1, option_2, etc.
-4. Ensure correctAnswer matches one of the option keys
-5. Always include an explanation
-6. Make sure the JSON is properly formatted
-
-Text to process:
-${chunks[i]}
-
-Return ONLY a valid JSON array of question objects, with no additional text.`;
-
-          const response = await llmService.processPrompt(prompt, {
-            maxTokens: 4000,
-            temperature: 0
-          });
-
-          try {
-            // Clean up the response text
-            let responseText = response.trim();
-            if (!responseText.startsWith('[')) {
-              const startBracket = responseText.indexOf('[');
-              if (startBracket !== -1) {
-                responseText = responseText.substring(startBracket);
-              }
-            }
-            if (!responseText.endsWith(']')) {
-              const endBracket = responseText.lastIndexOf(']');
-              if (endBracket !== -1) {
-                responseText = responseText.substring(0, endBracket + 1);
-              }
-            }
-
-            const questions = JSON.parse(responseText);
-            if (Array.isArray(questions)) {
-              console.log(`Parsed ${questions.length} questions from chunk ${i + 1}`);
-              allQuestions = allQuestions.concat(questions);
-            }
-          } catch (parseError) {
-            console.error("Error parsing LLM response:", parseError);
-            console.error("Response text:", response);
-          }
-        } catch (error) {
-          console.error(`Error processing chunk ${i + 1}:`, error);
-        }
-      }
-
-      console.log("Total questions extracted:", allQuestions.length);
-      
-      if (allQuestions.length === 0) {
-        throw new Error("No questions could be extracted from any chunks");
-      }
-
-      console.log("All questions:", allQuestions);
-
-      return allQuestions;
-    } catch (error) {
-      console.error("Question extraction error:", error);
-      throw error;
-    }
-  }
-
-  splitIntoChunks(text, maxChunkSize = 8000) {
-    // First try to split by question markers
-    const questionMarkers = [
-      /Question\s+\d+[\.:\)]/i,
-      /Q\d+[\.:\)]/i,
-      /\d+\.\s+/,
-      /\n\s*\n/  // Double newline as fallback
-    ];
-
-    let chunks = [];
-    let currentChunk = "";
-    let currentSize = 0;
-    
-    // Split text into potential question blocks
-    const blocks = text.split(/(?=Question\s+\d+[\.:\)]|Q\d+[\.:\)]|\n\d+\.\s+)/i)
-      .filter(block => block.trim().length > 0);  // Remove empty blocks
-    
-    console.log(`Found ${blocks.length} potential question blocks`);
-    
-    for (const block of blocks) {
-      const blockSize = block.length;
-      
-      // If a single block is larger than maxChunkSize, split it further
-      if (blockSize > maxChunkSize) {
-        const subChunks = [];
-        let i = 0;
-        while (i < block.length) {
-          // Try to split at a sentence boundary
-          let end = i + maxChunkSize;
-          if (end < block.length) {
-            const nextPeriod = block.indexOf('.', end - 100);
-            if (nextPeriod !== -1 && nextPeriod < end + 100) {
-              end = nextPeriod + 1;
-            }
-          }
-          subChunks.push(block.slice(i, end));
-          i = end;
-        }
-        chunks.push(...subChunks);
-      }
-      // If adding this block would exceed maxChunkSize, start a new chunk
-      else if (currentSize + blockSize > maxChunkSize) {
-        if (currentChunk) {
-          chunks.push(currentChunk);
-        }
-        currentChunk = block;
-        currentSize = blockSize;
-      }
-      // Otherwise, add to current chunk
-      else {
-        if (currentChunk && !currentChunk.endsWith('\n')) {
-          currentChunk += '\n';
-        }
-        currentChunk += block;
-        currentSize += blockSize;
-      }
-    }
-    
-    if (currentChunk) {
-      chunks.push(currentChunk);
-    }
-
-    // If no chunks were created, fall back to size-based splitting
-    if (chunks.length === 0) {
-      console.log("No question markers found, falling back to size-based splitting");
-      let i = 0;
-      while (i < text.length) {
-        // Try to split at a sentence boundary
-        let end = i + maxChunkSize;
-        if (end < text.length) {
-          const nextPeriod = text.indexOf('.', end - 100);
-          if (nextPeriod !== -1 && nextPeriod < end + 100) {
-            end = nextPeriod + 1;
-          }
-        }
-        chunks.push(text.slice(i, end));
-        i = end;
-      }
-    }
-
-    console.log(`Created ${chunks.length} chunks`); 
-    chunks.forEach((chunk, i) => {
-      console.log(`Chunk ${i + 1} length: ${chunk.length}`);
-    });
-
-    return chunks;
-  }
-
   async extractAndAddQuestions(content, quizUuid = null) {
     try {
       console.log("Starting question extraction process");
-      
-      // Ensure content is a string
-      if (typeof content !== 'string') {
-        if (Array.isArray(content)) {
-          // If it's an array of questions, transform them directly
-          const questions = content.map(q => ({
-            uuid: uuidv4(),
-            questionType: Array.isArray(q.correctAnswer) ? "multi-choice" : "single-choice",
-            difficulty: "medium",
-            points: 1,
-            translations: [{
-              languageCode: "en",
-              questionText: q.content || q.questionText,
-              options: q.options,
-              correctAnswer: Array.isArray(q.correctAnswer) ? q.correctAnswer : [q.correctAnswer], // Keep array format or convert string to array
-              explanation: q.explanation || "No explanation provided"
-            }]
-          }));
-          
-          if (!questions || questions.length === 0) {
-            throw new Error("No questions could be extracted from the document");
-          }
-
-          console.log(`Using ${questions.length} pre-extracted questions`);
 
-          // Write questions to file before sending to server
-          await this.writeQuestionsToFile(questions, quizUuid || 'temp', 'pre-extracted');
-
-          // If no quiz UUID provided, create a new quiz
-          if (!quizUuid) {
-            quizUuid = await this.createQuiz(
-              "Generated Quiz",
-              "Quiz generated from text content"
-            );
-          }
-
-          // Add questions to the quiz without translation
-          const result = await this.addQuestionsToQuiz(quizUuid, questions);
+      // Raw text goes through the extraction service, arrays are questions that were
+      // already extracted (parser, spreadsheet, MCP clients) in any known shape
+      let extractedQuestions;
+      let source;
+      if (typeof content === 'string') {
+        // Clean up the content
+        content = content
+          .replace(/\r\n/g, "\n")
+          .replace(/\n\s+/g, "\n")
+          .trim();
 
-          return {
-            quizUuid: result.quizUuid,
-            questions: result.questions,
-            message: `Successfully added ${questions.length} questions`,
-            status: 'extracted'
-          };
-        } else {
-          throw new Error("Invalid content format");
-        }
+        // Extract questions using LLM with chunking
+        extractedQuestions = await extractionService.extractQuestions(content);
+        source = 'llm-extracted';
+      } else if (Array.isArray(content)) {
+        extractedQuestions = content;
+        source = 'pre-extracted';
+      } else {
+        throw new Error("Invalid content format");
       }
-      
-      // Clean up the content
-      content = content
-        .replace(/\r\n/g, "\n")
-        .replace(/\n\s+/g, "\n")
-        .trim();
-
-      // Extract questions using LLM with chunking
-      const extractedQuestions = await this.extractQuestions(content);
-      
+
       if (!extractedQuestions || extractedQuestions.length === 0) {
         throw new Error("No questions could be extracted from the document");
       }
 
-      console.log(`Extracted ${extractedQuestions.length} questions`);
+      // Validate against the canonical schema before anything is sent to QuizFactor
+      const { questions: validQuestions, rejected } = assertValidQuestions(extractedQuestions);
+      const questions = validQuestions.map(toQuizFactorQuestion);
 
-      // Transform extracted questions to the expected format
-      const questions = extractedQuestions.map(q => ({
-        uuid: uuidv4(),
-        questionType: "single-choice",
-        difficulty: "medium",
-        points: 1,
-        translations: [{
-          languageCode: "en",
-          questionText: q.questionText,
-          options: q.options,
-          correctAnswer: Array.isArray(q.correctAnswer) ? q.correctAnswer : [q.correctAnswer], // Ensure correctAnswer is always an array
-          explanation: q.explanation
-        }]
-      }));
+      console.log(`Extracted ${questions.length} questions (${rejected.length} rejected)`);
 
       // Write questions to file before sending to server
-      await this.writeQuestionsToFile(questions, quizUuid || 'temp', 'llm-extracted');
+      await this.writeQuestionsToFile(questions, quizUuid || 'temp', source);
 
       // If no quiz UUID provided, create a new quiz
       if (!quizUuid) {
@@ -1818,10 +1926,13 @@ Return ONLY a valid JSON array of question objects, with no additional text.`;
       return {
         quizUuid: result.quizUuid,
         questions: result.questions,
+        questionUuids: questions.map(question => question.uuid),
+        ...(rejected.length > 0 && { rejectedQuestions: rejected }),
         message: `Successfully extracted and added ${questions.length} questions`,
         status: 'extracted'
       };
     } catch (error) {
+      if (isProviderError(error)) throw error;
       console.error("Question extraction error:", error);
       throw new Error(`Failed to extract and add questions: ${error.message}`);
     }
@@ -2273,7 +2384,8 @@ Text: "${text}"`;
 
       const response = await llmService.processPrompt(prompt, {
         maxTokens: 128,
-        temperature: 0
+        temperature: 0,
+        operation: 'translate'
       });
 
       return [response.trim()];
@@ -2283,6 +2395,13 @@ Text: "${text}"`;
     }
   }
 
+  // ISO 639-1 code of a text, or null when the answer is not a plain code
+  async detectLanguageCode(text) {
+    const [response] = await this.detectLanguages(text);
+    const code = response.replace(/["'`.]/g, '').trim().toLowerCase();
+    return /^[a-z]{2}(?:[-_][a-z0-9]+)?$/.test(code) ? code.slice(0, 2) : null;
+  }
+
   async getLanguages() {
     try {
       const response = await this.client.get("/api/ai/languages");
@@ -2463,7 +2582,7 @@ Text: "${text}"`;
   async writeQuestionsToFile(questions, quizUuid, status = 'extracted') {
     try {
       // Create output directory if it doesn't exist
-      const outputDir = path.join(process.cwd(), 'extracted-questions');
+      const outputDir = config.server.backupDir;
       if (!fs.existsSync(outputDir)) {
         fs.mkdirSync(outputDir, { recursive: true });
       }
@@ -0,0 +1,136 @@
+import { config } from '../config/config.js';
+import { createUsageStore } from './usageStore.js';
+
+// What an LLM call was made for, passed as processPrompt's `operation`
+export const USAGE_OPERATIONS = ['extract', 'categorise', 'translate', 'qa', 'other'];
+
+// Local servers and recorded fixtures cost nothing unless the price table lists them
+const FREE_PROVIDERS = new Set(['ollama', 'llamacpp', 'vllm', 'fixture']);
+
+const roundCost = (cost) => Math.round(cost * 1e6) / 1e6;
+
+// Cost in USD of one call from the price table (USD per million tokens), null when the
+// model has no price
+export const priceLlmCall = ({ provider, model, inputTokens, outputTokens }, pricing = config.llm.pricing) => {
+  const price = pricing[`${provider}:${model}`] || pricing[model];
+  if (!price) return FREE_PROVIDERS.has(provider) ? 0 : null;
+  return roundCost((inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1e6);
+};
+
+export const emptyUsage = () => ({
+  calls: 0,
+  inputTokens: 0,
+  outputTokens: 0,
+  cost: 0,
+  unpricedCalls: 0, // calls to models without a price, not included in cost
+  estimatedCalls: 0, // calls whose provider did not report usage, tokens estimated
+  cachedCalls: 0 // answered from the LLM cache, no tokens used
+});
+
+// Add one recorded call, or totals from emptyUsage, to `totals`
+export const addUsage = (totals, usage) => {
+  totals.calls += usage.calls ?? 1;
+  totals.inputTokens += usage.inputTokens || 0;
+  totals.outputTokens += usage.outputTokens || 0;
+  totals.cost = roundCost(totals.cost + (usage.cost || 0));
+  totals.unpricedCalls += usage.unpricedCalls ?? (usage.cost === null ? 1 : 0);
+  totals.estimatedCalls += usage.estimatedCalls ?? (usage.estimated ? 1 : 0);
+  // Rows stored before the cache existed have no cachedCalls
+  totals.cachedCalls = (totals.cachedCalls || 0) + (usage.cachedCalls ?? (usage.cached ? 1 : 0));
+  return totals;
+};
+
+const groupUsage = (rows, keyOf) => rows.reduce((groups, row) => {
+  const key = keyOf(row);
+  groups[key] = addUsage(groups[key] || emptyUsage(), row);
+  return groups;
+}, {});
+
+// Calls recorded by LLMService.track -> totals with a breakdown per operation
+export const summarizeUsage = (calls) => ({
+  ...calls.reduce(addUsage, emptyUsage()),
+  byOperation: groupUsage(calls, call => call.operation)
+});
+
+// Token usage and cost of every LLM call, added up per day, operation, tenant, quiz, provider
+// and model so the ledger stays small however many calls are made
+export class UsageLedger {
+  constructor(store = createUsageStore()) {
+    this.store = store;
+    this.rows = new Map(); // "date|operation|tenantId|quizUuid|provider|model" -> row
+
+    this.ready = this.restore();
+  }
+
+  async restore() {
+    try {
+      const rows = await this.store.load();
+      rows.forEach(row => {
+        // Calls recorded while loading are added to the stored row
+        const recorded = this.rows.get(row.id);
+        this.rows.set(row.id, recorded ? addUsage({ ...row }, recorded) : row);
+        if (recorded) this.persist(this.rows.get(row.id));
+      });
+      if (rows.length > 0) {
+        console.log(`💰 Loaded ${rows.length} LLM usage records`);
+      }
+    } catch (error) {
+      console.error(`⚠️ Could not load LLM usage:`, error.message);
+    }
+  }
+
+  // Persistence failures are logged, the row stays available in memory
+  persist(row) {
+    this.store.save({ ...row })
+      .catch(error => console.error(`⚠️ Could not persist LLM usage:`, error.message));
+  }
+
+  // call: { provider, model, operation, tenantId, quizUuid, inputTokens, outputTokens, cost,
+  // estimated, cached, at }
+  record(call) {
+    const date = (call.at || new Date()).toISOString().slice(0, 10);
+    const tenantId = call.tenantId || null;
+    const quizUuid = call.quizUuid || null;
+    const id = [date, call.operation, tenantId || '', quizUuid || '', call.provider, call.model].join('|');
+    if (!this.rows.has(id)) {
+      this.rows.set(id, {
+        id,
+        date,
+        operation: call.operation,
+        tenantId,
+        quizUuid,
+        provider: call.provider,
+        model: call.model,
+        ...emptyUsage()
+      });
+    }
+    this.persist(addUsage(this.rows.get(id), call));
+  }
+
+  // filters: { from, to } (YYYY-MM-DD, inclusive), tenantId, quizUuid, operation, provider,
+  // model. Returns the totals, breakdowns per operation, model, tenant, quiz and day, and the
+  // matching rows. Rows stored before tenants were recorded have no tenantId.
+  query(filters = {}) {
+    const { from, to, tenantId, quizUuid, operation, provider, model } = filters;
+    const rows = Array.from(this.rows.values())
+      .filter(row => (!from || row.date >= from) && (!to || row.date <= to))
+      .filter(row => !tenantId || row.tenantId === tenantId)
+      .filter(row => (!quizUuid || row.quizUuid === quizUuid) && (!operation || row.operation === operation))
+      .filter(row => (!provider || row.provider === provider) && (!model || row.model === model))
+      .sort((a, b) => a.date.localeCompare(b.date) || a.id.localeCompare(b.id));
+
+    return {
+      totals: rows.reduce(addUsage, emptyUsage()),
+      byOperation: groupUsage(rows, row => row.operation),
+      byModel: groupUsage(rows, row => `${row.provider}:${row.model}`),
+      byTenant: groupUsage(rows.filter(row => row.tenantId), row => row.tenantId),
+      byQuiz: groupUsage(rows.filter(row => row.quizUuid), row => row.quizUuid),
+      byDate: groupUsage(rows, row => row.date),
+      rows: rows.map(row => ({ ...row }))
+    };
+  }
+}
+
+const usageLedger = new UsageLedger();
+
+export default usageLedger;
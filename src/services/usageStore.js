@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+import { config } from '../config/config.js';
+import LlmUsage from '../models/LlmUsage.js';
+import { MemoryQueueStore, FileQueueStore } from './queueStore.js';
+
+// Persistence backends for UsageLedger. Same interface as the queue stores
+// (load, save, remove, flush); the memory and file stores are shared with the queue.
+
+// llmusages collection, connects on first use
+export class MongoUsageStore {
+  constructor(uri) {
+    this.uri = uri;
+  }
+
+  async connect() {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(this.uri);
+      console.log('Connected to MongoDB (usage store)');
+    }
+  }
+
+  async load() {
+    await this.connect();
+    const documents = await LlmUsage.find().lean();
+    return documents.map(document => document.usage);
+  }
+
+  async save(usage) {
+    await this.connect();
+    await LlmUsage.updateOne(
+      { id: usage.id },
+      { id: usage.id, date: usage.date, usage, updatedAt: new Date() },
+      { upsert: true }
+    );
+  }
+
+  async remove(id) {
+    await this.connect();
+    await LlmUsage.deleteOne({ id });
+  }
+
+  async flush() {}
+}
+
+export const createUsageStore = (usageConfig = config.usage) => {
+  switch (usageConfig.store) {
+    case 'memory':
+      return new MemoryQueueStore();
+    case 'file':
+      return new FileQueueStore(usageConfig.filePath);
+    case 'mongo':
+    case 'mongodb':
+      return new MongoUsageStore(config.mongo.uri);
+    default:
+      throw new Error(`Unknown usage store "${usageConfig.store}" (expected memory, file or mongo)`);
+  }
+};
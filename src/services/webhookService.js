@@ -0,0 +1,108 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import { config } from '../config/config.js';
+import { isPrivateAddress } from '../utils/callbackValidator.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Statuses worth retrying; any other 4xx means the receiver rejected the payload
+const RETRYABLE_CLIENT_ERRORS = [408, 409, 425, 429];
+
+// HMAC-SHA256 over "<timestamp>.<body>" with the callback's signing key (see
+// deriveSigningKey), sent as "sha256=<hex>"
+export const signPayload = (signingKey, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', signingKey).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// POSTs queue events to client callback URLs
+export class WebhookService {
+  constructor(options = config.webhooks) {
+    this.maxAttempts = options.maxAttempts;
+    this.timeoutMs = options.timeoutMs;
+    this.retryDelayMs = options.retryDelayMs;
+    this.allowPrivateHosts = options.allowPrivateHosts;
+    this.wait = options.wait || sleep;
+    this.lookup = options.lookup || dns.lookup;
+  }
+
+  // Addresses the callback host resolves to now. A name that was public when the callback was
+  // registered may point at an internal address by the time the job finishes.
+  async resolveHost(url) {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    const addresses = await this.lookup(hostname, { all: true });
+    const blocked = !this.allowPrivateHosts && addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      throw Object.assign(new Error(`Callback host ${hostname} resolves to the private address ${blocked.address}`), { blocked: true });
+    }
+    return addresses;
+  }
+
+  // Delivers `payload`, retrying with exponential backoff. Every attempt is passed to
+  // onAttempt so the caller can keep a delivery log. Resolves to true once delivered.
+  async deliver(callback, event, payload, onAttempt = () => {}) {
+    const body = JSON.stringify({ event, ...payload });
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': `${config.mcp.serverName}-webhooks`,
+        'X-Webhook-Event': event,
+        'X-Webhook-Id': payload.queueId,
+        'X-Webhook-Timestamp': timestamp,
+        ...(callback.signingKey && { 'X-Webhook-Signature': signPayload(callback.signingKey, timestamp, body) })
+      };
+
+      const startedAt = Date.now();
+      let statusCode = null;
+      let error = null;
+      let blocked = false;
+
+      try {
+        // The request connects to the checked addresses, not to a second lookup
+        const addresses = await this.resolveHost(callback.url);
+        const response = await axios.post(callback.url, body, {
+          headers,
+          timeout: this.timeoutMs,
+          maxRedirects: 0,
+          validateStatus: () => true,
+          lookup: async () => addresses
+        });
+        statusCode = response.status;
+      } catch (requestError) {
+        error = requestError.message;
+        blocked = Boolean(requestError.blocked);
+      }
+
+      const delivered = statusCode >= 200 && statusCode < 300;
+      const retryable = !delivered && !blocked && (statusCode === null || statusCode >= 500 || RETRYABLE_CLIENT_ERRORS.includes(statusCode));
+
+      onAttempt({
+        event,
+        attempt,
+        status: delivered ? 'delivered' : 'failed',
+        statusCode,
+        ...(error && { error }),
+        durationMs: Date.now() - startedAt,
+        at: new Date()
+      });
+
+      if (delivered) {
+        console.log(`📬 Webhook ${event} delivered for ${payload.queueId} (attempt ${attempt})`);
+        return true;
+      }
+      if (!retryable || attempt === this.maxAttempts) break;
+
+      const delay = this.retryDelayMs * 2 ** (attempt - 1);
+      console.warn(`⚠️ Webhook ${event} for ${payload.queueId} failed (${statusCode || error}), retrying in ${delay / 1000}s`);
+      await this.wait(delay);
+    }
+
+    console.error(`❌ Webhook ${event} for ${payload.queueId} could not be delivered to ${callback.url}`);
+    return false;
+  }
+}
+
+const webhookService = new WebhookService();
+
+export default webhookService;
@@ -0,0 +1,75 @@
+import documentProcessor from '../services/documentProcessor.js';
+
+const sampleText = `Chemistry Practice Test
+
+Question 1: What is the chemical symbol for water?
+A) H2O
+B) CO2
+C) NaCl
+Answer: A
+Explanation: Water is two hydrogen atoms
+bonded to one oxygen atom.
+
+Q2: Which of the following are noble gases?
+a. Helium
+b. Nitrogen
+c. Argon
+Correct Answer: A, C
+
+3. Which gas do plants absorb?
+A) Oxygen
+B) Carbon dioxide (correct)
+
+Question 4: What is the boiling point of water at sea level?
+A) 90 degrees Celsius
+B) 100 degrees Celsius
+`;
+
+async function testParserMode() {
+  console.log("\n=== Starting Document Parser Test ===\n");
+
+  try {
+    const { questions, stats } = await documentProcessor.extractQuestionsFromText(sampleText, 'parser');
+    console.log("\nParsed Questions:", JSON.stringify(questions, null, 2));
+    console.log("Stats:", stats);
+
+    if (questions.length !== 3) {
+      throw new Error(`Expected 3 parsed questions, got ${questions.length}`);
+    }
+    // The header block and the question without a marked answer are not guessed
+    if (stats.unparsedBlocks !== 2 || stats.sentToLlm !== 0) {
+      throw new Error(`Unexpected stats: ${JSON.stringify(stats)}`);
+    }
+
+    const [water, gases, plants] = questions;
+    if (water.correctAnswer.join() !== 'option_1' || !water.explanation.includes('oxygen atom')) {
+      throw new Error("First question was not parsed correctly");
+    }
+    if (gases.correctAnswer.join() !== 'option_1,option_3') {
+      throw new Error(`Unexpected multi-answer: ${gases.correctAnswer}`);
+    }
+    if (plants.correctAnswer.join() !== 'option_2' || plants.options.option_2 !== 'Carbon dioxide') {
+      throw new Error("(correct) marker was not applied");
+    }
+
+    let invalidModeRejected = false;
+    try {
+      documentProcessor.resolveExtractionMode('regex');
+    } catch (error) {
+      invalidModeRejected = error.status === 400;
+    }
+    if (!invalidModeRejected) {
+      throw new Error("Invalid extraction mode was accepted");
+    }
+
+    console.log("\n=== Document Parser Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Document Parser Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the test
+testParserMode();
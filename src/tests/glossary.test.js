@@ -0,0 +1,193 @@
+import { TranslationService } from '../services/translationService.js';
+import { GlossaryService } from '../services/glossaryService.js';
+import { TranslationMemory } from '../services/translationMemory.js';
+import { MemoryQueueStore } from '../services/queueStore.js';
+import extractionService from '../services/extractionService.js';
+import llmService from '../services/llmService.js';
+import { findGlossaryTerms, checkGlossary } from '../utils/glossaryTerms.js';
+
+const chemistryTerms = [
+  { term: 'electron', translations: { de: 'Elektron', fr: 'électron' }, doNotTranslate: false, caseSensitive: false },
+  { term: 'pH', translations: {}, doNotTranslate: true, caseSensitive: true }
+];
+
+async function testTermMatching() {
+  console.log("\n=== Starting Glossary Term Matching Test ===\n");
+
+  try {
+    const found = findGlossaryTerms(['How many Electrons does helium have?'], chemistryTerms, 'de');
+    if (found.length !== 1 || found[0].target !== 'Elektron') {
+      throw new Error("Plural source term was not found");
+    }
+    if (findGlossaryTerms(['A photoelectronic effect'], chemistryTerms, 'de').length !== 0) {
+      throw new Error("Term matched inside another word");
+    }
+
+    // Inflected target terms are accepted, other words are not
+    if (checkGlossary('Two electrons', 'Zwei Elektronen', chemistryTerms, 'de').length !== 0) {
+      throw new Error("Inflected target term was flagged");
+    }
+    const violations = checkGlossary('The pH of two electrons', 'Der PH-Wert von zwei Teilchen', chemistryTerms, 'de');
+    console.log("Violations:", violations);
+    if (violations.map(violation => violation.term).join() !== 'electron,pH' || !violations[1].doNotTranslate) {
+      throw new Error("Missing and altered terms were not flagged");
+    }
+
+    // No rule for the language, nothing to check
+    if (checkGlossary('One electron', 'Un elettrone', chemistryTerms, 'it').length !== 0) {
+      throw new Error("Term without a translation for the language was checked");
+    }
+
+    console.log("\n=== Glossary Term Matching Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Glossary Term Matching Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  }
+}
+
+async function testGlossaryManagement() {
+  console.log("\n=== Starting Glossary Management Test ===\n");
+
+  try {
+    const glossaries = new GlossaryService(new MemoryQueueStore());
+    await glossaries.ready;
+
+    glossaries.addTerm('all', { term: 'quiz', translations: { de: 'Quiz' } });
+    if (glossaries.hasSubjectGlossaries()) {
+      throw new Error("The global glossary counted as a subject glossary");
+    }
+
+    const { glossary, created } = glossaries.putGlossary('Chemistry', { name: 'Chemistry', terms: chemistryTerms });
+    if (!created || glossary.subject !== 'chemistry' || !glossaries.hasSubjectGlossaries()) {
+      throw new Error("Subject glossary was not created under its lower-case tag");
+    }
+
+    // Replacing a term keeps its id
+    const electronId = glossary.terms[0].id;
+    const replaced = glossaries.addTerm('chemistry', { term: 'Electron', translations: { de: 'Elektron', fr: 'électron', es: 'electrón' } });
+    if (replaced.id !== electronId || glossaries.getGlossary('chemistry').terms.length !== 2) {
+      throw new Error("Existing term was not replaced");
+    }
+
+    const terms = glossaries.termsFor('chemistry').map(term => term.term);
+    if (terms.join() !== 'quiz,Electron,pH' || glossaries.termsFor('math').length !== 1) {
+      throw new Error(`Unexpected terms for chemistry: ${terms.join()}`);
+    }
+
+    for (const invalid of [
+      () => glossaries.putGlossary('chemistry', { terms: [{ term: 'ion' }] }),
+      () => glossaries.putGlossary('chemistry', { terms: [{ term: 'ion', translations: { xx: 'Ion' } }] }),
+      () => glossaries.putGlossary('chemistry', { terms: [{ term: 'ion', doNotTranslate: true }, { term: 'Ion', doNotTranslate: true }] }),
+      () => glossaries.addTerm('not a tag!', { term: 'ion', doNotTranslate: true })
+    ]) {
+      let rejected = false;
+      try {
+        invalid();
+      } catch (error) {
+        rejected = error.status === 400;
+      }
+      if (!rejected) throw new Error("Invalid glossary was accepted");
+    }
+
+    if (glossaries.removeTerm('chemistry', electronId) !== true || glossaries.removeTerm('biology', electronId) !== null) {
+      throw new Error("Term removal did not report the result");
+    }
+
+    console.log("\n=== Glossary Management Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Glossary Management Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  }
+}
+
+async function testGlossaryInTranslation() {
+  console.log("\n=== Starting Glossary Translation Test ===\n");
+
+  const originalPrompt = llmService.processPrompt;
+  const originalCategory = extractionService.determineCategory;
+
+  try {
+    const service = new TranslationService();
+    service.memory = new TranslationMemory(new MemoryQueueStore(), { enabled: true });
+    service.glossary = new GlossaryService(new MemoryQueueStore());
+    await service.glossary.ready;
+    service.glossary.putGlossary('chemistry', { terms: chemistryTerms });
+
+    let categoryCalls = 0;
+    extractionService.determineCategory = async () => {
+      categoryCalls++;
+      return { name: 'Chemistry', tagName: 'Chemistry' };
+    };
+
+    const question = {
+      languageCode: 'en',
+      questionText: 'How many electrons does a neutral carbon atom have?',
+      options: { A: 'Only four', B: 'Exactly six' },
+      correctAnswer: 'B',
+      explanation: 'Carbon has six electrons.'
+    };
+
+    service.subject = await service.resolveSubject([{ translations: [question] }]);
+    if (service.subject !== 'chemistry' || categoryCalls !== 1) {
+      throw new Error("Subject was not determined from the questions");
+    }
+    if (await service.resolveSubject([{ translations: [question] }], 'math') !== 'math' || categoryCalls !== 1) {
+      throw new Error("Given subject was not used as is");
+    }
+
+    // The LLM ignores the glossary in the explanation
+    const prompts = [];
+    llmService.processPrompt = async (prompt) => {
+      prompts.push(prompt);
+      return JSON.stringify({
+        'q1.questionText': 'Wie viele Elektronen hat ein neutrales Kohlenstoffatom?',
+        'q1.options.A': 'Nur vier',
+        'q1.options.B': 'Genau sechs',
+        'q1.explanation': 'Kohlenstoff hat sechs Teilchen.'
+      });
+    };
+
+    const translation = await service.translateWithCheckpoint(question, 'de', 'question-1');
+    console.log("Violations:", service.glossaryViolations);
+    if (!prompts[0].includes('"electron" => "Elektron"')) {
+      throw new Error("Glossary was not injected into the prompt");
+    }
+    if (translation.explanation !== 'Kohlenstoff hat sechs Teilchen.' ||
+        service.glossaryViolations.length !== 1 ||
+        service.glossaryViolations[0].field !== 'explanation' ||
+        service.glossaryViolations[0].questionKey !== 'question-1') {
+      throw new Error("Glossary violation was not flagged on the explanation");
+    }
+
+    // A remembered translation that breaks the glossary is translated again
+    llmService.processPrompt = async (prompt) => {
+      prompts.push(prompt);
+      return JSON.stringify({ 'q1.explanation': 'Kohlenstoff hat sechs Elektronen.' });
+    };
+    await service.batchTranslateTexts(question, 'de');
+    if (prompts.length !== 2 || !prompts[1].includes('"required":["q1.explanation"]')) {
+      throw new Error("Memory match violating the glossary was reused");
+    }
+
+    console.log("\n=== Glossary Translation Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Glossary Translation Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  } finally {
+    llmService.processPrompt = originalPrompt;
+    extractionService.determineCategory = originalCategory;
+  }
+}
+
+// Run the tests
+(async () => {
+  await testTermMatching();
+  await testGlossaryManagement();
+  await testGlossaryInTranslation();
+})();
@@ -0,0 +1,219 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { LLMService } from '../services/llmService.js';
+import { ProviderRegistry } from '../services/llmProviders.js';
+import { LLMCache, llmCacheKey } from '../services/llmCache.js';
+import { MemoryCacheStore, FileCacheStore } from '../services/llmCacheStore.js';
+import { summarizeUsage } from '../services/usageLedger.js';
+
+// Provider answering from a handler, counting its calls
+const stubProvider = (name, handler) => ({
+  name,
+  model: `${name}-model`,
+  calls: 0,
+  isAvailable: () => true,
+  async chat(messages) {
+    this.calls++;
+    return { text: handler(messages[0].content, this.calls), usage: { inputTokens: 100, outputTokens: 20 } };
+  }
+});
+
+const createService = (providers, cache) => {
+  const registry = new ProviderRegistry(providers[0].name);
+  providers.forEach(provider => registry.register(provider));
+  return new LLMService(registry, {
+    chain: [],
+    circuitBreaker: { failureThreshold: 1, cooldownMs: 60000, probeIntervalMs: 0 },
+    pricing: { 'primary-model': { input: 3, output: 15 } },
+    usage: null,
+    cache
+  });
+};
+
+async function testCachedCalls() {
+  console.log("\n=== Starting LLM Cache Test ===\n");
+
+  try {
+    const cache = new LLMCache(new MemoryCacheStore(), { enabled: true, ttlMs: 0, maxEntries: 0, maxBytes: 0 });
+    const primary = stubProvider('primary', (prompt, n) => `answer ${n}`);
+    const service = createService([primary], cache);
+
+    const calls = [];
+    await service.track(calls, async () => {
+      await service.processPrompt('Translate "Hello"', { operation: 'translate' });
+      // Same prompt and parameters: no call
+      if (await service.processPrompt('Translate "Hello"', { operation: 'translate' }) !== 'answer 1') {
+        throw new Error("Cached answer was not returned");
+      }
+    });
+    // Other parameters are another key
+    await service.processPrompt('Translate "Hello"', { operation: 'translate', maxTokens: 100 });
+    if (primary.calls !== 2) {
+      throw new Error(`Expected 2 provider calls, got ${primary.calls}`);
+    }
+
+    const usage = summarizeUsage(calls);
+    console.log("Usage:", JSON.stringify(usage));
+    if (usage.calls !== 2 || usage.cachedCalls !== 1 || usage.inputTokens !== 100 || usage.cost !== 0.0006) {
+      throw new Error("Cached call was not accounted as free");
+    }
+
+    // Bypass and refresh
+    await service.processPrompt('Translate "Hello"', { operation: 'translate', cache: false });
+    await service.processPrompt('Translate "Hello"', { operation: 'translate', cache: 'refresh' });
+    if (await service.processPrompt('Translate "Hello"', { operation: 'translate' }) !== 'answer 4' || primary.calls !== 4) {
+      throw new Error("Refreshed answer was not stored");
+    }
+
+    // Answers rejected by cacheable are not stored
+    await service.processPrompt('Extract', { cacheable: answer => answer.startsWith('[') });
+    await service.processPrompt('Extract', { cacheable: answer => answer.startsWith('[') });
+    if (primary.calls !== 6) {
+      throw new Error("Unusable answer was cached");
+    }
+
+    const stats = cache.getStats();
+    console.log("Stats:", JSON.stringify(stats));
+    if (stats.hits !== 2 || stats.bypassed !== 2 || stats.misses !== 4 || stats.hitRate !== 0.33) {
+      throw new Error("Hits, misses and bypasses were not counted");
+    }
+
+    console.log("\n=== LLM Cache Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== LLM Cache Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  }
+}
+
+async function testCacheAcrossChain() {
+  console.log("\n=== Starting LLM Cache Fallback Chain Test ===\n");
+
+  try {
+    const cache = new LLMCache(new MemoryCacheStore(), { enabled: true, ttlMs: 0, maxEntries: 0, maxBytes: 0 });
+    let primaryDown = true;
+    const primary = stubProvider('primary', () => {
+      if (primaryDown) throw Object.assign(new Error('Overloaded'), { status: 529 });
+      return 'from primary';
+    });
+    const secondary = stubProvider('secondary', () => 'from secondary');
+    const service = createService([primary, secondary], cache);
+
+    await service.processPrompt('Categorise this question');
+    // The answer cached for the second entry is found without calling either provider
+    primaryDown = false;
+    const answer = await service.processPrompt('Categorise this question');
+    if (answer !== 'from secondary' || secondary.calls !== 1 || primary.calls !== 1) {
+      throw new Error("Answer cached for a fallback entry was not reused");
+    }
+
+    console.log("\n=== LLM Cache Fallback Chain Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== LLM Cache Fallback Chain Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  }
+}
+
+async function testExpiryAndEviction() {
+  console.log("\n=== Starting LLM Cache Limits Test ===\n");
+
+  const dir = path.join(os.tmpdir(), `llm-cache-${process.pid}`);
+  const params = (prompt) => ({ provider: 'primary', model: 'primary-model', prompt, maxTokens: 4000, temperature: 0 });
+
+  try {
+    const clock = { now: 0 };
+    const cache = new LLMCache(new FileCacheStore(dir), {
+      enabled: true,
+      ttlMs: 1000,
+      maxEntries: 2,
+      maxBytes: 0,
+      now: () => clock.now
+    });
+    await cache.ready;
+
+    await cache.set(params('a'), 'A');
+    await cache.set(params('b'), 'B');
+    await cache.lookup([params('a')]); // b is now the least recently used
+    await cache.set(params('c'), 'C');
+    if (await cache.lookup([params('b')]) || (await cache.lookup([params('a')]))?.response !== 'A') {
+      throw new Error("Least recently used answer was not evicted");
+    }
+
+    clock.now = 5000;
+    if (await cache.lookup([params('c')])) {
+      throw new Error("Expired answer was returned");
+    }
+
+    // Answers survive a restart; the byte limit evicts the oldest
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await cache.set(params('d'), 'D');
+    const reloaded = new LLMCache(new FileCacheStore(dir), {
+      enabled: true,
+      ttlMs: 0,
+      maxEntries: 0,
+      maxBytes: cache.index.get(llmCacheKey(params('d'))).size + 10
+    });
+    await reloaded.ready;
+    console.log("Reloaded:", JSON.stringify(reloaded.getStats()));
+    if (reloaded.getStats().entries !== 1 || (await reloaded.lookup([params('d')]))?.response !== 'D') {
+      throw new Error("Cache was not reloaded within its byte limit");
+    }
+
+    const stats = cache.getStats();
+    if (stats.expired !== 1 || stats.evictions !== 1) {
+      throw new Error("Expiries and evictions were not counted");
+    }
+
+    console.log("\n=== LLM Cache Limits Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== LLM Cache Limits Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testUnreadableStore() {
+  console.log("\n=== Starting LLM Cache Read Failure Test ===\n");
+
+  try {
+    const store = new MemoryCacheStore();
+    const cache = new LLMCache(store, { enabled: true, ttlMs: 0, maxEntries: 0, maxBytes: 0 });
+    const primary = stubProvider('primary', (prompt, n) => `answer ${n}`);
+    const service = createService([primary], cache);
+
+    await service.processPrompt('Translate "Hello"');
+    store.get = async () => { throw new Error('Store unavailable'); };
+    // The indexed answer cannot be read, so the provider answers instead
+    const answer = await service.processPrompt('Translate "Hello"');
+    const stats = cache.getStats();
+    console.log("Stats:", JSON.stringify(stats));
+    if (answer !== 'answer 2' || primary.calls !== 2) {
+      throw new Error("Failed cache read was not answered by the provider");
+    }
+    if (stats.hits !== 0 || stats.misses !== 2) {
+      throw new Error("Failed cache read was not counted as a miss");
+    }
+
+    console.log("\n=== LLM Cache Read Failure Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== LLM Cache Read Failure Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+(async () => {
+  await testCachedCalls();
+  await testCacheAcrossChain();
+  await testExpiryAndEviction();
+  await testUnreadableStore();
+})();
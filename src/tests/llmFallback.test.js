@@ -0,0 +1,150 @@
+import { LLMService, summarizeLlmCalls, isRetryableError } from '../services/llmService.js';
+import { ProviderRegistry } from '../services/llmProviders.js';
+import { CircuitBreaker } from '../services/circuitBreaker.js';
+
+const failure = (status) => Object.assign(new Error(`Request failed with status ${status}`), { status });
+
+// Provider answering with `handler(model)`; handler may throw
+const fakeProvider = (name, handler) => ({
+  name,
+  model: `${name}-model`,
+  calls: [],
+  isAvailable: () => true,
+  async chat(messages, { model }) {
+    this.calls.push(model);
+    return { text: handler(model), usage: null };
+  }
+});
+
+const createService = (providers, { chain = [], clock = { now: 0 } } = {}) => {
+  const registry = new ProviderRegistry(providers[0].name);
+  providers.forEach(provider => registry.register(provider));
+  return new LLMService(registry, {
+    chain,
+    circuitBreaker: { failureThreshold: 2, cooldownMs: 1000, probeIntervalMs: 0 },
+    now: () => clock.now,
+    usage: null,
+    cache: null
+  });
+};
+
+async function testFallback() {
+  console.log("\n=== Starting LLM Fallback Chain Test ===\n");
+
+  try {
+    if (!isRetryableError(failure(529)) || !isRetryableError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })) ||
+        isRetryableError(failure(400))) {
+      throw new Error("Retryable errors were not told apart");
+    }
+
+    // Overloaded primary: the backup answers and is recorded
+    let primaryError = failure(529);
+    const primary = fakeProvider('primary', () => { if (primaryError) throw primaryError; return 'primary answer'; });
+    const backup = fakeProvider('backup', () => 'backup answer');
+    const service = createService([primary, backup]);
+
+    const calls = [];
+    const answer = await service.track(calls, () => service.processPrompt('Translate'));
+    const [summary] = summarizeLlmCalls(calls);
+    if (answer !== 'backup answer' || summary.provider !== 'backup' || summary.model !== 'backup-model' || summary.fallbackCalls !== 1) {
+      throw new Error("Retryable failure did not fall back to the next provider");
+    }
+
+    // A bad request would fail everywhere and is not retried
+    primaryError = failure(400);
+    let status = null;
+    try {
+      await service.processPrompt('Translate');
+    } catch (error) {
+      status = error.status;
+    }
+    if (status !== 400 || backup.calls.length !== 1) {
+      throw new Error("Non-retryable error fell back to the next provider");
+    }
+
+    // Entries of the chain can name the same provider with different models
+    const models = fakeProvider('local', model => { if (model === 'large') throw failure(503); return model; });
+    const chained = createService([models], { chain: [{ provider: 'local', model: 'large' }, { provider: 'local', model: 'small' }] });
+    if (await chained.processPrompt('Translate') !== 'small' || models.calls.join() !== 'large,small') {
+      throw new Error("Fallback chain did not try the next model");
+    }
+
+    console.log("\n=== LLM Fallback Chain Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== LLM Fallback Chain Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  }
+}
+
+async function testCircuitBreaker() {
+  console.log("\n=== Starting Circuit Breaker Test ===\n");
+
+  try {
+    const clock = { now: 0 };
+    const breaker = new CircuitBreaker('test', { failureThreshold: 2, cooldownMs: 1000 }, () => clock.now);
+    breaker.recordFailure(failure(503));
+    breaker.recordFailure(failure(503));
+    const refused = breaker.allowRequest();
+    clock.now = 1000;
+    const trial = breaker.allowRequest();
+    const second = breaker.allowRequest();
+    if (refused || !trial || second || breaker.state !== 'half-open') {
+      throw new Error("Open circuit did not let exactly one trial through after the cooldown");
+    }
+
+    // Two timeouts open the primary's circuit; later calls go straight to the backup
+    let primaryDown = true;
+    const primary = fakeProvider('primary', () => { if (primaryDown) throw failure(504); return 'primary answer'; });
+    const backup = fakeProvider('backup', () => 'backup answer');
+    clock.now = 0;
+    const service = createService([primary, backup], { clock });
+
+    await service.processPrompt('one');
+    await service.processPrompt('two');
+    await service.processPrompt('three');
+    const [primaryStatus] = service.getChainStatus();
+    if (primary.calls.length !== 2 || primaryStatus.state !== 'open' || service.getActiveProvider() !== 'backup') {
+      throw new Error("Circuit did not open after repeated failures");
+    }
+
+    // The health probe closes it again once the provider recovers
+    primaryDown = false;
+    await service.probeHealth();
+    if (primary.calls.length !== 2 || service.getChainStatus()[0].state !== 'open') {
+      throw new Error("Circuit was probed before the cooldown");
+    }
+    clock.now = 1000;
+    await service.probeHealth();
+    if (await service.processPrompt('four') !== 'primary answer' || service.getChainStatus()[0].state !== 'closed') {
+      throw new Error("Recovered provider was not used again");
+    }
+
+    // Every circuit open: fail fast with a retry hint
+    primaryDown = true;
+    clock.now = 0;
+    const single = createService([primary], { clock });
+    const errors = [];
+    for (let i = 0; i < 3; i++) {
+      await single.processPrompt('five').catch(error => errors.push(error));
+    }
+    const [, , fast] = errors;
+    if (errors.length !== 3 || fast.code !== 'LLM_UNAVAILABLE' || fast.status !== 503 || fast.retryAfterMs !== 1000) {
+      throw new Error("Open circuits did not fail fast");
+    }
+
+    console.log("\n=== Circuit Breaker Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Circuit Breaker Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+(async () => {
+  await testFallback();
+  await testCircuitBreaker();
+})();
@@ -0,0 +1,180 @@
+import { LLMService } from '../services/llmService.js';
+import { ProviderRegistry } from '../services/llmProviders.js';
+import { ProviderHealth } from '../services/providerHealth.js';
+import { formatLlmError } from '../utils/errorHandler.js';
+
+const apiError = (status, message) => Object.assign(new Error(message), { status });
+
+// Provider failing with `failure()` while it returns an error, counting its calls
+const stubProvider = (name, failure = () => null) => ({
+  name,
+  model: `${name}-model`,
+  calls: 0,
+  isAvailable: () => true,
+  async chat() {
+    this.calls++;
+    const error = failure();
+    if (error) throw error;
+    return { text: `${name} answer`, usage: { inputTokens: 10, outputTokens: 2 } };
+  }
+});
+
+const createService = (providers, clock) => {
+  const registry = new ProviderRegistry(providers[0].name);
+  providers.forEach(provider => registry.register(provider));
+  return new LLMService(registry, {
+    chain: [],
+    circuitBreaker: { failureThreshold: 3, cooldownMs: 1000, probeIntervalMs: 0 },
+    preflight: { ttlMs: 60000 },
+    now: () => clock.now,
+    usage: null,
+    cache: null
+  });
+};
+
+async function testErrorSignatures() {
+  console.log("\n=== Starting Provider Error Signature Test ===\n");
+
+  try {
+    const health = new ProviderHealth({ key: 'anthropic:claude-test', provider: 'anthropic', model: 'claude-test' });
+    const cases = [
+      [apiError(400, '400 {"type":"error","error":{"type":"invalid_request_error","message":"Your credit balance is too low to access the Anthropic API."}}'), 'INSUFFICIENT_CREDITS', 402],
+      [apiError(429, '429 You exceeded your current quota, please check your plan and billing details.'), 'INSUFFICIENT_CREDITS', 402],
+      [apiError(401, '401 {"type":"error","error":{"type":"authentication_error","message":"invalid x-api-key"}}'), 'LLM_INVALID_KEY', 401],
+      [apiError(404, '404 {"type":"error","error":{"type":"not_found_error","message":"model: claude-test"}}'), 'LLM_MODEL_NOT_FOUND', 424],
+      [apiError(404, "model 'llama9' not found, try pulling it first"), 'LLM_MODEL_NOT_FOUND', 424]
+    ];
+    cases.forEach(([error, code, status]) => {
+      const typed = health.classify(error);
+      if (typed?.code !== code || typed.status !== status || typed.cause !== error) {
+        throw new Error(`"${error.message}" was not classified as ${code}`);
+      }
+    });
+    if (health.classify(apiError(429, 'Rate limit exceeded')) || health.classify(apiError(529, 'Overloaded'))) {
+      throw new Error("A retryable error was classified as a provider error");
+    }
+
+    const formatted = formatLlmError(health.classify(cases[0][0]));
+    console.log("Formatted:", JSON.stringify(formatted));
+    if (formatted.status !== 402 || formatted.error !== 'Payment Required' || formatLlmError(new Error('Invalid input'))) {
+      throw new Error("Provider errors were not mapped to their response");
+    }
+
+    console.log("\n=== Provider Error Signature Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Provider Error Signature Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  }
+}
+
+async function testProviderErrorsFallBack() {
+  console.log("\n=== Starting Provider Health Fallback Test ===\n");
+
+  try {
+    const clock = { now: 0 };
+    let outOfCredits = true;
+    const primary = stubProvider('primary', () => outOfCredits ? apiError(400, 'Your credit balance is too low') : null);
+    const secondary = stubProvider('secondary');
+    const service = createService([primary, secondary], clock);
+
+    // The credit error moves on to the next provider, then the primary is skipped
+    if (await service.processPrompt('one') !== 'secondary answer' || await service.processPrompt('two') !== 'secondary answer') {
+      throw new Error("Call did not fall back from a provider without credits");
+    }
+    const [primaryStatus] = service.getChainStatus();
+    console.log("Primary:", JSON.stringify(primaryStatus));
+    if (primary.calls !== 1 || primaryStatus.health.status !== 'insufficient_credits' || primaryStatus.usable ||
+        service.getActiveProvider() !== 'secondary') {
+      throw new Error("Provider without credits was not skipped");
+    }
+
+    // Once the health is stale the primary is asked again
+    outOfCredits = false;
+    clock.now = 61000;
+    if (await service.processPrompt('three') !== 'primary answer' || service.getChainStatus()[0].health.status !== 'ok') {
+      throw new Error("Provider was not asked again after its health went stale");
+    }
+
+    // Typed errors reach the caller when no provider is left
+    const alone = createService([stubProvider('lonely', () => apiError(401, 'invalid x-api-key'))], clock);
+    let code = null;
+    let status = null;
+    try {
+      await alone.processPrompt('four');
+    } catch (error) {
+      ({ code, status } = error);
+    }
+    if (code !== 'LLM_INVALID_KEY' || status !== 401) {
+      throw new Error(`Expected LLM_INVALID_KEY, got ${code}`);
+    }
+
+    console.log("\n=== Provider Health Fallback Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Provider Health Fallback Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  }
+}
+
+async function testPreflight() {
+  console.log("\n=== Starting Provider Preflight Test ===\n");
+
+  try {
+    const clock = { now: 0 };
+    let modelMissing = false;
+    const primary = stubProvider('primary', () => modelMissing ? apiError(404, 'model primary-model not found') : null);
+    const service = createService([primary], clock);
+
+    // The health is cached: one ping, then none while it is fresh or after a real call
+    await service.preflight();
+    await service.preflight();
+    await service.processPrompt('one');
+    clock.now = 30000;
+    await service.preflight();
+    if (primary.calls !== 2) {
+      throw new Error(`Expected 2 requests, got ${primary.calls}`);
+    }
+
+    modelMissing = true;
+    clock.now = 200000;
+    let code = null;
+    try {
+      await service.preflight();
+    } catch (error) {
+      code = error.code;
+    }
+    // Known bad: failed without another request
+    try {
+      await service.preflight();
+    } catch (error) {
+      code = code === error.code ? code : null;
+    }
+    if (code !== 'LLM_MODEL_NOT_FOUND' || primary.calls !== 3) {
+      throw new Error("Preflight did not fail with the cached model error");
+    }
+
+    // A refresh pings every provider whatever the cache says
+    modelMissing = false;
+    const [status] = await service.checkHealth();
+    if (primary.calls !== 4 || status.health.status !== 'ok' || !status.usable) {
+      throw new Error("Health was not refreshed");
+    }
+
+    console.log("\n=== Provider Preflight Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Provider Preflight Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+(async () => {
+  await testErrorSignatures();
+  await testProviderErrorsFallBack();
+  await testPreflight();
+})();
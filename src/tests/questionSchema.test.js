@@ -0,0 +1,68 @@
+import { normalizeQuestions, toQuizFactorQuestion, assertValidQuestions } from '../utils/questionSchema.js';
+
+// The same question in every legacy shape the extraction paths used to produce
+const legacyQuestions = [
+  // RAGExtraction: content / options[] / answer letter
+  { content: "What is 2 + 3?", options: [{ text: "4", isCorrect: false }, { text: "5", isCorrect: false }], answer: "B" },
+  // LLM extraction: option_N keys / correctAnswer string
+  { questionText: "What is 2 + 3?", options: { option_1: "4", option_2: "5" }, correctAnswer: "option_2" },
+  // QuizFactor payload
+  {
+    uuid: "5f1b7c7e-0000-4000-8000-000000000000",
+    questionType: "single-choice",
+    difficulty: "easy",
+    points: 1,
+    translations: [{ languageCode: "en", questionText: "What is 2 + 3?", options: { option_1: "4", option_2: "5" }, correctAnswer: ["option_2"] }]
+  }
+];
+
+function testQuestionSchema() {
+  console.log("\n=== Starting Question Schema Test ===\n");
+
+  try {
+    const { questions, rejected } = normalizeQuestions(legacyQuestions);
+    console.log("\nNormalized Questions:", JSON.stringify(questions, null, 2));
+
+    if (questions.length !== 3 || rejected.length !== 0) {
+      throw new Error(`Expected 3 valid questions, got ${questions.length} (${rejected.length} rejected)`);
+    }
+    questions.forEach((question, index) => {
+      if (question.correctAnswer.join() !== "option_2" || question.options.option_2 !== "5") {
+        throw new Error(`Legacy shape ${index} was not converted correctly`);
+      }
+    });
+
+    const payload = toQuizFactorQuestion(questions[2]);
+    if (payload.uuid !== legacyQuestions[2].uuid || payload.translations[0].questionText !== "What is 2 + 3?") {
+      throw new Error("QuizFactor payload does not round-trip");
+    }
+
+    const invalid = normalizeQuestions([
+      { questionText: "Only one option?", options: { option_1: "yes" }, correctAnswer: "option_1" },
+      { questionText: "Unknown answer?", options: { option_1: "yes", option_2: "no" }, correctAnswer: "E" }
+    ]);
+    if (invalid.questions.length !== 0 || invalid.rejected.length !== 2) {
+      throw new Error("Invalid questions were accepted");
+    }
+
+    let emptyBatchRejected = false;
+    try {
+      assertValidQuestions(invalid.rejected);
+    } catch (error) {
+      emptyBatchRejected = error.status === 422;
+    }
+    if (!emptyBatchRejected) {
+      throw new Error("A batch without valid questions was accepted");
+    }
+
+    console.log("\n=== Question Schema Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Question Schema Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the test
+testQuestionSchema();
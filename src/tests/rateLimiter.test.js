@@ -0,0 +1,123 @@
+import { RateLimiter, RateLimiterRegistry, estimateTokens } from '../services/rateLimiter.js';
+import { TranslationQueue } from '../services/translationQueue.js';
+import { MemoryQueueStore } from '../services/queueStore.js';
+
+// Manual clock: waiting advances time instead of sleeping
+const createClock = () => {
+  const clock = { time: 0, waits: [] };
+  clock.now = () => clock.time;
+  clock.wait = async (ms) => {
+    clock.waits.push(ms);
+    clock.time += ms;
+  };
+  return clock;
+};
+
+async function testTokenBuckets() {
+  console.log("\n=== Starting Rate Limiter Test ===\n");
+
+  try {
+    const clock = createClock();
+    const registry = new RateLimiterRegistry(
+      { anthropic: { requestsPerMinute: 2, tokensPerMinute: 1000 } },
+      { now: clock.now, wait: clock.wait }
+    );
+
+    const limiter = registry.get('anthropic', 'model-a');
+    if (registry.get('anthropic', 'model-a') !== limiter || registry.get('anthropic', 'model-b') === limiter) {
+      throw new Error("Limiters are not keyed by provider and model");
+    }
+
+    // Two requests fit the budget, the third waits for a request slot to refill (30s at 2 RPM)
+    await Promise.all([limiter.acquire(100), limiter.acquire(100), limiter.acquire(100)]);
+    console.log("Waits:", clock.waits);
+    if (clock.waits.length !== 1 || clock.waits[0] !== 30000) {
+      throw new Error(`Expected one 30s wait for the request budget, got ${clock.waits.join()}`);
+    }
+
+    // Token budget: 700 used, a 600 token reservation has to wait
+    clock.time += 60000;
+    clock.waits = [];
+    const reservation = await limiter.acquire(700);
+    limiter.release(reservation, 200); // provider reported less than reserved
+    await limiter.acquire(600);
+    if (clock.waits.length !== 0) {
+      throw new Error("Unused reserved tokens were not returned to the bucket");
+    }
+    await limiter.acquire(600);
+    if (clock.waits.length !== 1) {
+      throw new Error("Token budget was not enforced");
+    }
+
+    // A 429 pauses everyone sharing the limiter
+    clock.waits = [];
+    limiter.penalize(10000);
+    await limiter.acquire(1);
+    if (clock.waits[0] < 10000 || limiter.getStatus().rateLimits !== 1) {
+      throw new Error("Cooldown after a 429 was not applied");
+    }
+
+    // No budget configured means no waiting
+    const unlimited = new RateLimiter('openai:test', {}, { now: clock.now, wait: clock.wait });
+    clock.waits = [];
+    await Promise.all(Array.from({ length: 20 }, () => unlimited.acquire(estimateTokens('x'.repeat(400), 1000))));
+    if (clock.waits.length !== 0) {
+      throw new Error("Limiter without budgets should not wait");
+    }
+
+    console.log("\n=== Rate Limiter Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Rate Limiter Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  }
+}
+
+async function testConcurrentQueue() {
+  console.log("\n=== Starting Concurrent Queue Test ===\n");
+
+  const queue = new TranslationQueue(new MemoryQueueStore(), { maxConcurrent: 2 });
+
+  try {
+    await queue.start();
+
+    let running = 0;
+    let maxRunning = 0;
+    queue.processItem = async function (item) {
+      this.currentlyProcessing++;
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      running--;
+      this.currentlyProcessing--;
+      this.completed.set(item.id, { ...item, status: 'completed', completedAt: new Date() });
+    };
+
+    ['a', 'b', 'c'].forEach(quizUuid => queue.addToQueue('quiz', { quizUuid, targetLanguages: ['fr'] }));
+    await new Promise(resolve => setTimeout(resolve, 1200));
+
+    console.log("Max jobs in parallel:", maxRunning);
+    if (maxRunning !== 2) {
+      throw new Error(`Expected 2 jobs in parallel, got ${maxRunning}`);
+    }
+    if (queue.queue.length !== 1) {
+      throw new Error("Third job should wait for a free slot");
+    }
+
+    console.log("\n=== Concurrent Queue Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Concurrent Queue Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  } finally {
+    await queue.stopProcessing();
+  }
+}
+
+// Run the tests
+(async () => {
+  await testTokenBuckets();
+  await testConcurrentQueue();
+})();
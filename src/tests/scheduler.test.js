@@ -0,0 +1,159 @@
+import { TranslationScheduler } from '../services/translationScheduler.js';
+import { MemoryQueueStore } from '../services/queueStore.js';
+import { parseCron, nextRun } from '../utils/cronExpression.js';
+import { deriveSigningKey } from '../utils/callbackValidator.js';
+
+// Records enqueued jobs; their status is set by the test
+const createFakeQueue = () => {
+  const queue = { jobs: [], statuses: new Map() };
+  queue.addToQueue = (type, data, priority, callback) => {
+    const queueId = `job-${queue.jobs.length + 1}`;
+    queue.jobs.push({ queueId, type, data, priority, callback });
+    queue.statuses.set(queueId, 'queued');
+    return queueId;
+  };
+  queue.getStatus = (queueId) => queue.statuses.has(queueId) ? { status: queue.statuses.get(queueId) } : null;
+  return queue;
+};
+
+async function testCronExpressions() {
+  console.log("\n=== Starting Cron Expression Test ===\n");
+
+  try {
+    const nightly = parseCron('0 2 * * *');
+    const next = nextRun(nightly, new Date(2026, 0, 15, 14, 30));
+    if (next.getTime() !== new Date(2026, 0, 16, 2, 0).getTime()) {
+      throw new Error(`Expected the next 02:00, got ${next}`);
+    }
+
+    // Weekdays every 15 minutes between 9 and 10
+    const weekdays = parseCron('*/15 9 * * mon-fri');
+    const monday = nextRun(weekdays, new Date(2026, 0, 17, 12, 0)); // Saturday
+    if (monday.getDay() !== 1 || monday.getHours() !== 9 || monday.getMinutes() !== 0) {
+      throw new Error(`Expected Monday 09:00, got ${monday}`);
+    }
+    if (nextRun(weekdays, monday).getMinutes() !== 15) {
+      throw new Error("Step values were not applied");
+    }
+
+    const leapDay = nextRun(parseCron('0 0 29 feb *'), new Date(2026, 0, 1));
+    if (leapDay.getFullYear() !== 2028) {
+      throw new Error(`Expected Feb 29 2028, got ${leapDay}`);
+    }
+
+    for (const expression of ['0 2 * *', '60 * * * *', '0 2 * * 8', 'every night']) {
+      let rejected = false;
+      try {
+        parseCron(expression);
+      } catch (error) {
+        rejected = error.status === 400;
+      }
+      if (!rejected) throw new Error(`"${expression}" was accepted`);
+    }
+
+    console.log("\n=== Cron Expression Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Cron Expression Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  }
+}
+
+async function testScheduledRuns() {
+  console.log("\n=== Starting Scheduler Test ===\n");
+
+  try {
+    let now = new Date(2026, 0, 15, 1, 59);
+    const queue = createFakeQueue();
+    const scheduler = new TranslationScheduler(new MemoryQueueStore(), {
+      queue,
+      translationService: { getLanguages: async () => [{ code: 'fr' }, { code: 'de' }] },
+      schedules: [{ id: 'nightly-category', cron: '0 2 * * *', type: 'category', uuid: 'category-1' }],
+      now: () => now
+    });
+    await scheduler.ready;
+
+    // Nothing is due before 02:00
+    if (await scheduler.tick() !== 0) {
+      throw new Error("Schedule ran before its time");
+    }
+
+    now = new Date(2026, 0, 15, 2, 0, 5);
+    await scheduler.tick();
+    console.log("Enqueued:", queue.jobs);
+    if (queue.jobs.length !== 1 || queue.jobs[0].data.categoryUuid !== 'category-1' || queue.jobs[0].data.targetLanguages.join() !== 'fr,de') {
+      throw new Error("Nightly run did not enqueue the category with the enabled languages");
+    }
+
+    // The job from last night is still running, so the next night is skipped
+    now = new Date(2026, 0, 16, 2, 0, 5);
+    await scheduler.tick();
+    const runs = scheduler.getRuns('nightly-category');
+    console.log("Runs:", runs.map(run => `${run.status}${run.jobStatus ? ` (${run.jobStatus})` : ''}`));
+    if (queue.jobs.length !== 1 || runs[0].status !== 'skipped' || runs[1].jobStatus !== 'queued') {
+      throw new Error("Run was not skipped while the previous job was active");
+    }
+
+    // Config schedules are read-only, API ones can be changed and run by hand
+    let readOnly = false;
+    try {
+      scheduler.updateSchedule('nightly-category', { enabled: false });
+    } catch (error) {
+      readOnly = error.status === 409;
+    }
+    if (!readOnly) throw new Error("Config schedule was editable");
+
+    const created = scheduler.createSchedule({
+      name: 'Quiz refresh',
+      cron: '30 3 * * 1',
+      type: 'quiz',
+      uuid: 'quiz-1',
+      targetLanguages: ['es'],
+      callbackUrl: 'https://example.com/hook',
+      callbackSecret: 'secret',
+      tenantId: 'acme'
+    });
+    if (created.callback.signingKey || !created.callback.signed) {
+      throw new Error("Callback signing key leaked into the schedule");
+    }
+    if (JSON.stringify(scheduler.schedules.get(created.id)).includes('"secret"')) {
+      throw new Error("Callback secret was stored with the schedule");
+    }
+    const updated = scheduler.updateSchedule(created.id, { cron: '0 4 * * *' });
+    if (updated.nextRunAt.getTime() !== new Date(2026, 0, 16, 4, 0).getTime() || updated.targetLanguages.join() !== 'es') {
+      throw new Error("Update did not keep the other fields or recompute the next run");
+    }
+
+    const manual = await scheduler.runNow(created.id);
+    if (manual.status !== 'enqueued' || queue.jobs[1].callback.signingKey !== deriveSigningKey('secret') || queue.jobs[1].data.quizUuid !== 'quiz-1' ||
+        queue.jobs[1].data.tenantId !== 'acme') {
+      throw new Error("Manual run did not enqueue the quiz with its callback and tenant");
+    }
+
+    let invalid = false;
+    try {
+      scheduler.createSchedule({ cron: '0 2 * * *', type: 'questions', uuid: 'quiz-1' });
+    } catch (error) {
+      invalid = error.status === 400;
+    }
+    if (!invalid) throw new Error("Unsupported job type was accepted");
+
+    if (!scheduler.deleteSchedule(created.id) || scheduler.getSchedule(created.id)) {
+      throw new Error("Schedule was not deleted");
+    }
+
+    console.log("\n=== Scheduler Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Scheduler Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+(async () => {
+  await testCronExpressions();
+  await testScheduledRuns();
+})();
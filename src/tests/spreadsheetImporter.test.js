@@ -0,0 +1,54 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import spreadsheetImporter from '../services/spreadsheetImporter.js';
+
+const sampleCsv = `Question,Option A,Option B,Option C,Option D,Correct Answer,Explanation,Difficulty,Tags
+"What is 2 + 3?",4,5,6,,B,2 + 3 = 5,easy,"math, arithmetic"
+"Which of the following are prime numbers?",2,4,5,9,"A,C",,medium,math
+"Question without options",,,,,A,,,
+"Question with unknown answer",yes,no,,,Z,,,
+`;
+
+async function testSpreadsheetImport() {
+  console.log("\n=== Starting Spreadsheet Importer Test ===\n");
+
+  const filePath = path.join(os.tmpdir(), `questions-${Date.now()}.csv`);
+
+  try {
+    await fs.writeFile(filePath, sampleCsv, 'utf8');
+
+    const result = await spreadsheetImporter.importFile(filePath);
+    console.log("\nImport Result:", JSON.stringify(result, null, 2));
+
+    if (result.questions.length !== 2) {
+      throw new Error(`Expected 2 imported questions, got ${result.questions.length}`);
+    }
+    if (result.rejected.length !== 2) {
+      throw new Error(`Expected 2 rejected rows, got ${result.rejected.length}`);
+    }
+
+    const [single, multi] = result.questions;
+    if (single.correctAnswer.join() !== 'option_2') {
+      throw new Error(`Unexpected correct answer: ${single.correctAnswer}`);
+    }
+    if (multi.questionType !== 'multi-choice' || multi.correctAnswer.join() !== 'option_1,option_3') {
+      throw new Error("Multi-answer row was not imported as multi-choice");
+    }
+    if (result.rejected[0].row !== 4 || result.rejected[1].row !== 5) {
+      throw new Error("Rejected rows do not report their spreadsheet row numbers");
+    }
+
+    console.log("\n=== Spreadsheet Importer Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Spreadsheet Importer Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  } finally {
+    await fs.unlink(filePath).catch(() => {});
+  }
+}
+
+// Run the test
+testSpreadsheetImport();
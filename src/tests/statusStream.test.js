@@ -0,0 +1,83 @@
+import http from 'http';
+import express from 'express';
+import { TranslationQueue } from '../services/translationQueue.js';
+import { MemoryQueueStore } from '../services/queueStore.js';
+import { createStatusStream } from '../controllers/translationController.js';
+
+// Keeps jobs queued, the test drives the events itself
+class IdleTranslationQueue extends TranslationQueue {
+  startProcessing() {}
+}
+
+// Collect the SSE events of one request until the server closes the stream
+const readStream = (url, onOpen) => new Promise((resolve, reject) => {
+  http.get(url, res => {
+    const events = [];
+    let buffer = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => {
+      buffer += chunk;
+      const messages = buffer.split('\n\n');
+      buffer = messages.pop();
+      messages.filter(message => message.includes('event: ')).forEach(message => {
+        const event = message.match(/^event: (.*)$/m)[1];
+        const data = JSON.parse(message.match(/^data: (.*)$/m)[1]);
+        events.push({ event, data });
+        if (events.length === 1) onOpen();
+      });
+    });
+    res.on('end', () => resolve({ headers: res.headers, events }));
+  }).on('error', reject);
+});
+
+async function testStatusStream() {
+  console.log("\n=== Starting Status Stream Test ===\n");
+
+  const translationQueue = new IdleTranslationQueue(new MemoryQueueStore());
+  await translationQueue.start();
+  const app = express();
+  app.get('/api/translate/status/:queueId/stream', createStatusStream(translationQueue));
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/translate/status`;
+
+  try {
+    const queueId = translationQueue.addToQueue('quiz', { quizUuid: 'quiz-1', targetLanguages: ['fr'] });
+
+    const { headers, events } = await readStream(`${baseUrl}/${queueId}/stream`, () => {
+      translationQueue.emitJobEvent(queueId, 'progress', { current: 1, total: 2, percentage: 50, message: 'Translating quiz...' });
+      translationQueue.emitJobEvent(queueId, 'language', { languageCode: 'fr', status: 'completed' });
+      translationQueue.cancelRequest(queueId);
+    });
+
+    console.log("Events:", events.map(({ event, data }) => `${event}:${data.status || data.languageCode || data.percentage}`));
+    if (!headers['content-type'].startsWith('text/event-stream')) {
+      throw new Error(`Unexpected content type ${headers['content-type']}`);
+    }
+    const names = events.map(({ event }) => event).join();
+    if (names !== 'status,progress,language,state' || events[3].data.status !== 'cancelled') {
+      throw new Error(`Unexpected events: ${names}`);
+    }
+    if (translationQueue.listenerCount(`job:${queueId}`) !== 0) {
+      throw new Error("Stream listener was not removed");
+    }
+
+    const notFound = await new Promise(resolve => http.get(`${baseUrl}/missing/stream`, resolve));
+    notFound.resume();
+    if (notFound.statusCode !== 404) {
+      throw new Error(`Expected 404 for an unknown job, got ${notFound.statusCode}`);
+    }
+
+    console.log("\n=== Status Stream Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Status Stream Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+// Run the tests
+testStatusStream();
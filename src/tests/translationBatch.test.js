@@ -0,0 +1,117 @@
+import { TranslationService } from '../services/translationService.js';
+import { TranslationMemory } from '../services/translationMemory.js';
+import { GlossaryService } from '../services/glossaryService.js';
+import { MemoryQueueStore } from '../services/queueStore.js';
+import llmService from '../services/llmService.js';
+import { parseBatchTranslation } from '../utils/translationBatch.js';
+
+const keys = ['q1.questionText', 'q1.options.option_1', 'q1.explanation'];
+
+// Keys and texts of a batch prompt
+const promptTexts = (prompt) => JSON.parse(prompt.slice(prompt.indexOf('Texts to translate:') + 19).split('\n\n')[0]);
+
+async function testParsing() {
+  console.log("\n=== Starting Batch Translation Parsing Test ===\n");
+
+  try {
+    const cases = [
+      ['valid', '{"q1.questionText": "Frage", "q1.options.option_1": "Antwort", "q1.explanation": "Weil"}', [], false],
+      ['fenced with trailing comma', '```json\n{"q1.questionText": "Frage", "q1.options.option_1": "Antwort", "q1.explanation": "Weil",}\n```', [], false],
+      ['nested', 'Here you go: {"q1": {"questionText": "Frage", "options": {"option_1": "Antwort"}, "explanation": "Weil"}}', [], false],
+      ['cut off', '{"q1.questionText": "Frage \\"eins\\"", "q1.options.option_1": "Antwort", "q1.explanation": "We', ['q1.explanation'], true],
+      ['unknown and empty keys', '{"q1.questionText": "Frage", "q1.options.option_2": "Antwort", "q1.explanation": " "}', ['q1.options.option_1', 'q1.explanation'], false]
+    ];
+
+    for (const [name, response, expectedMissing, expectedSalvaged] of cases) {
+      const { translations, missing, salvaged } = parseBatchTranslation(response, keys);
+      console.log(`${name}:`, translations, missing);
+      if (missing.join() !== expectedMissing.join() || salvaged !== expectedSalvaged) {
+        throw new Error(`Unexpected result for the ${name} answer: missing [${missing.join(', ')}]`);
+      }
+      if (!translations['q1.questionText']?.startsWith('Frage')) {
+        throw new Error(`Question text was not recovered from the ${name} answer`);
+      }
+    }
+
+    if (parseBatchTranslation('Frage###SEPARATOR###Antwort', keys).missing.length !== 3) {
+      throw new Error("An answer without keys was accepted");
+    }
+
+    console.log("\n=== Batch Translation Parsing Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Batch Translation Parsing Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  }
+}
+
+async function testSeveralQuestionsPerCall() {
+  console.log("\n=== Starting Multi-Question Batch Test ===\n");
+
+  const originalPrompt = llmService.processPrompt;
+
+  try {
+    const service = new TranslationService();
+    service.memory = new TranslationMemory(new MemoryQueueStore(), { enabled: false });
+    service.glossary = new GlossaryService(new MemoryQueueStore());
+    service.sleep = async () => {};
+    service.writeQuestionsToFile = async () => {};
+    service.client = { post: async () => ({ data: { status: '00', message: 'ok' } }) };
+    await service.glossary.ready;
+
+    const questions = ['Which gas do plants absorb?', 'Which organ pumps blood?', 'What do bees make?'].map((questionText, i) => ({
+      uuid: `q-${i + 1}`,
+      translations: [{
+        languageCode: 'en',
+        questionText,
+        options: { option_1: 'The first answer', option_2: '42' },
+        correctAnswer: 'option_1',
+        explanation: `Explanation number ${i + 1}`
+      }]
+    }));
+
+    // The French answer is cut off before the last explanation
+    const prompts = [];
+    llmService.processPrompt = async (prompt) => {
+      prompts.push(prompt);
+      if (!prompt.includes('JSON schema')) return 'Explication numéro 3';
+      const language = prompt.match(/JSON object to (\w+)/)[1];
+      const translated = Object.fromEntries(Object.entries(promptTexts(prompt)).map(([key, text]) => [key, `${language}: ${text}`]));
+      const response = JSON.stringify(translated);
+      return language === 'fr' ? response.slice(0, response.indexOf('"q3.explanation"')) : response;
+    };
+
+    const result = await service.translateQuestions('quiz-1', ['de', 'fr'], questions);
+    const batchPrompts = prompts.filter(prompt => prompt.includes('JSON schema'));
+    console.log(`${prompts.length} LLM call(s), ${batchPrompts.length} batch call(s)`);
+    if (batchPrompts.length !== 2 || Object.keys(promptTexts(batchPrompts[0])).length !== 9) {
+      throw new Error("Questions were not translated together, one call per language");
+    }
+    if (prompts.length !== 3) {
+      throw new Error("Only the missing explanation should have been translated again");
+    }
+
+    const third = result.questions[2].translations;
+    const [german, french] = ['de', 'fr'].map(code => third.find(t => t.languageCode === code));
+    if (german.questionText !== 'de: What do bees make?' || german.options.option_2 !== '42' ||
+        french.options.option_1 !== 'fr: The first answer' || french.explanation !== 'Explication numéro 3') {
+      throw new Error("Translations were not put back on their questions");
+    }
+
+    console.log("\n=== Multi-Question Batch Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Multi-Question Batch Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  } finally {
+    llmService.processPrompt = originalPrompt;
+  }
+}
+
+// Run the tests
+(async () => {
+  await testParsing();
+  await testSeveralQuestionsPerCall();
+})();
@@ -0,0 +1,174 @@
+import translationService from '../services/translationService.js';
+import { TranslationMemory } from '../services/translationMemory.js';
+import { MemoryQueueStore } from '../services/queueStore.js';
+import llmService from '../services/llmService.js';
+
+const createMemory = () => new TranslationMemory(new MemoryQueueStore(), { enabled: true, fuzzyThreshold: 0.85 });
+
+async function testLookups() {
+  console.log("\n=== Starting Translation Memory Lookup Test ===\n");
+
+  try {
+    const memory = createMemory();
+    await memory.ready;
+    memory.add('What is the capital of France?', 'Quelle est la capitale de la France ?', 'en', 'fr', 'question');
+    memory.add('Photosynthesis', 'Photosynthèse', 'en', 'fr');
+
+    // Whitespace differences still hit the same entry
+    const exact = memory.lookup('  What is the   capital of France?', 'en', 'fr', 'question');
+    if (!exact?.exact || exact.target !== 'Quelle est la capitale de la France ?') {
+      throw new Error("Normalised text did not give an exact match");
+    }
+
+    // Same text in another context is only a fuzzy candidate
+    if (memory.lookup('What is the capital of France?', 'en', 'fr', 'option')) {
+      throw new Error("Entry matched outside its context");
+    }
+
+    // Generic entries match every context
+    if (!memory.lookup('Photosynthesis', 'en', 'fr', 'option')?.exact) {
+      throw new Error("Generic entry did not match");
+    }
+
+    const fuzzy = memory.lookup('What is the capital of Francia?', 'en', 'fr', 'question');
+    console.log("Fuzzy match:", fuzzy);
+    if (!fuzzy || fuzzy.exact || fuzzy.similarity < 0.85) {
+      throw new Error("Similar text did not give a fuzzy match");
+    }
+
+    if (memory.lookup('What is the capital of France?', 'en', 'de', 'question') ||
+        memory.lookup('Name the largest planet', 'en', 'fr', 'question')) {
+      throw new Error("Unrelated lookup returned a match");
+    }
+
+    const stats = memory.getStats();
+    console.log("Stats:", stats);
+    if (stats.entries !== 2 || stats.hits.exact !== 2 || stats.hits.fuzzy !== 1 || stats.hits.miss !== 3) {
+      throw new Error("Statistics do not count the lookups");
+    }
+
+    console.log("\n=== Translation Memory Lookup Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Translation Memory Lookup Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  }
+}
+
+async function testTmxRoundTrip() {
+  console.log("\n=== Starting TMX Round Trip Test ===\n");
+
+  try {
+    const memory = createMemory();
+    await memory.ready;
+    memory.add('Is 3 < 5 & 5 > 4?', 'Est-ce que 3 < 5 & 5 > 4 ?', 'en', 'fr', 'question');
+    memory.add('He said "yes"', 'Er sagte „ja"', 'en', 'de', 'option');
+
+    const tmx = memory.exportTmx();
+    console.log(tmx);
+    if (!tmx.includes('3 &lt; 5 &amp; 5 &gt; 4') || !tmx.includes('<prop type="x-context">question</prop>')) {
+      throw new Error("Export did not escape the segments or keep the context");
+    }
+    if (memory.exportTmx({ targetLanguage: 'de' }).includes('xml:lang="fr"')) {
+      throw new Error("Export was not filtered by language");
+    }
+
+    const imported = createMemory();
+    await imported.ready;
+    const result = imported.importTmx(tmx);
+    if (result.imported !== 2 || imported.lookup('Is 3 < 5 & 5 > 4?', 'en', 'fr', 'question')?.target !== 'Est-ce que 3 < 5 & 5 > 4 ?') {
+      throw new Error("Round trip lost entries or changed the text");
+    }
+
+    // Regional codes, inline tags and a default context from another tool
+    const external = `<?xml version="1.0"?>
+<tmx version="1.4"><header srclang="en-US" datatype="plaintext"/><body>
+  <tu><tuv xml:lang="en-US"><seg>Cell <bpt i="1">&lt;b&gt;</bpt>membrane<ept i="1">&lt;/b&gt;</ept></seg></tuv><tuv xml:lang="es-ES"><seg>Membrana celular</seg></tuv></tu>
+  <tu><tuv xml:lang="en-US"><seg>Orphan</seg></tuv></tu>
+</body></tmx>`;
+    const externalResult = imported.importTmx(external, { context: 'option' });
+    if (externalResult.imported !== 1 || imported.lookup('Cell membrane', 'en', 'es', 'option')?.target !== 'Membrana celular') {
+      throw new Error("External TMX was not imported with normalised language codes");
+    }
+
+    let rejected = false;
+    try {
+      imported.importTmx('<xliff/>');
+    } catch (error) {
+      rejected = error.status === 400;
+    }
+    if (!rejected) throw new Error("A non-TMX document was accepted");
+
+    console.log("\n=== TMX Round Trip Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== TMX Round Trip Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  }
+}
+
+async function testBatchUsesMemory() {
+  console.log("\n=== Starting Translation Memory Batch Test ===\n");
+
+  const originalPrompt = llmService.processPrompt;
+  const originalMemory = translationService.memory;
+
+  try {
+    translationService.memory = createMemory();
+    await translationService.memory.ready;
+
+    const prompts = [];
+    llmService.processPrompt = async (prompt) => {
+      prompts.push(prompt);
+      const texts = JSON.parse(prompt.slice(prompt.indexOf('Texts to translate:') + 19).split('\n\n')[0]);
+      return JSON.stringify(Object.fromEntries(Object.keys(texts).map((key, i) => [key, `traduction ${prompts.length}.${i + 1}`])));
+    };
+
+    const question = {
+      languageCode: 'en',
+      questionText: 'Which gas do plants absorb?',
+      options: { A: 'Oxygen', B: 'Carbon dioxide', C: '42' },
+      correctAnswer: 'B',
+      explanation: 'Plants absorb carbon dioxide for photosynthesis.'
+    };
+
+    const first = await translationService.translateWithCheckpoint(question, 'fr', 'q-1');
+    const second = await translationService.translateWithCheckpoint(question, 'fr', 'q-1');
+    console.log("First:", first);
+    if (prompts.length !== 1 || JSON.stringify(first) !== JSON.stringify(second)) {
+      throw new Error(`Repeated question made ${prompts.length - 1} extra LLM call(s)`);
+    }
+    if (second.options.C !== '42') {
+      throw new Error("Numeric option was translated");
+    }
+
+    // Only the changed explanation is sent, with its earlier translation as a reference
+    await translationService.translateWithCheckpoint({
+      ...question,
+      explanation: 'Plants absorb carbon dioxide during photosynthesis.'
+    }, 'fr', 'q-2');
+    console.log("Second prompt:", prompts[1]);
+    if (prompts.length !== 2 || !prompts[1].includes('"required":["q1.explanation"]') || !prompts[1].includes('keep their terminology consistent')) {
+      throw new Error("Changed text was not sent alone with its fuzzy reference");
+    }
+
+    console.log("\n=== Translation Memory Batch Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Translation Memory Batch Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  } finally {
+    llmService.processPrompt = originalPrompt;
+    translationService.memory = originalMemory;
+  }
+}
+
+// Run the tests
+(async () => {
+  await testLookups();
+  await testTmxRoundTrip();
+  await testBatchUsesMemory();
+})();
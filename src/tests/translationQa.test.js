@@ -0,0 +1,169 @@
+import { TranslationService } from '../services/translationService.js';
+import { TranslationMemory } from '../services/translationMemory.js';
+import { GlossaryService } from '../services/glossaryService.js';
+import { MemoryQueueStore } from '../services/queueStore.js';
+import llmService from '../services/llmService.js';
+import { checkStructure, findUntranslated } from '../utils/translationChecks.js';
+import { wordSimilarity } from '../utils/textSimilarity.js';
+
+const source = {
+  languageCode: 'en',
+  questionText: 'Which planet is closest to the sun?',
+  options: { A: 'Mercury', B: 'Venus', C: 'The Earth' },
+  correctAnswer: 'A',
+  explanation: 'Mercury orbits the sun at the shortest distance of all planets.'
+};
+
+async function testChecks() {
+  console.log("\n=== Starting Translation Checks Test ===\n");
+
+  try {
+    const good = {
+      languageCode: 'de',
+      questionText: 'Welcher Planet ist der Sonne am nächsten?',
+      options: { A: 'Merkur', B: 'Venus', C: 'Die Erde' },
+      correctAnswer: ['A'],
+      explanation: 'Merkur umkreist die Sonne im kürzesten Abstand aller Planeten.'
+    };
+    if (checkStructure(source, good).length !== 0 || findUntranslated(source, good).length !== 0) {
+      throw new Error("A correct translation was flagged");
+    }
+
+    const broken = {
+      ...good,
+      questionText: source.questionText,
+      options: { B: 'Venus', A: 'Merkur', C: ' ' },
+      correctAnswer: ['B']
+    };
+    const checks = [...checkStructure(source, broken), ...findUntranslated(source, broken)].map(issue => issue.check);
+    console.log("Issues:", checks);
+    if (checks.join() !== 'option_order,empty_field,correct_answer,untranslated') {
+      throw new Error(`Unexpected issues: ${checks.join()}`);
+    }
+
+    const missing = checkStructure(source, { ...good, options: { A: 'Merkur', B: 'Venus' } });
+    if (missing[0]?.check !== 'option_count') {
+      throw new Error("A dropped option was not flagged");
+    }
+
+    if (wordSimilarity('Which planet is closest to the sun?', 'Which planet is the closest to the Sun?') < 0.9 ||
+        wordSimilarity('Which planet is closest to the sun?', 'How many moons does Jupiter have?') > 0.2) {
+      throw new Error("Word similarity does not separate close and unrelated texts");
+    }
+
+    console.log("\n=== Translation Checks Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Translation Checks Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  }
+}
+
+async function testReviewHoldsBack() {
+  console.log("\n=== Starting Translation Review Test ===\n");
+
+  const originalPrompt = llmService.processPrompt;
+
+  try {
+    const service = new TranslationService();
+    service.memory = new TranslationMemory(new MemoryQueueStore(), { enabled: true, fuzzyThreshold: 0.85 });
+    service.glossary = new GlossaryService(new MemoryQueueStore());
+    service.sleep = async () => {};
+    service.writeQuestionsToFile = async () => {};
+    await Promise.all([service.glossary.ready, service.memory.ready]);
+
+    const sent = [];
+    service.client = {
+      post: async (url, payload) => {
+        sent.push(payload);
+        return { data: { status: '00', message: 'ok' } };
+      }
+    };
+
+    // One-word options are kept as they are. German is fine, French changes the meaning of the explanation
+    const translations = {
+      de: ['Welcher Planet ist der Sonne am nächsten?', 'Die Erde', 'Merkur umkreist die Sonne im kürzesten Abstand aller Planeten.'],
+      fr: ['Quelle planète est la plus proche du soleil ?', 'La Terre', 'Mercure est la planète la plus chaude.']
+    };
+    const backTranslations = {
+      'Welcher Planet ist der Sonne am nächsten?': 'Which planet is nearest to the sun?',
+      'Merkur umkreist die Sonne im kürzesten Abstand aller Planeten.': 'Mercury orbits the sun at the shortest distance of all planets.',
+      'Quelle planète est la plus proche du soleil ?': 'Which planet is the closest to the sun?',
+      'Mercure est la planète la plus chaude.': 'Mercury is the hottest planet.'
+    };
+    const checkpoints = new Map();
+    let calls = 0;
+    llmService.processPrompt = async (prompt) => {
+      calls++;
+      const text = prompt.match(/Text(?: to translate)?: "([\s\S]*)"/)?.[1];
+      if (prompt.includes('detect its language')) {
+        return text.includes('soleil') ? 'fr' : 'de';
+      }
+      if (prompt.includes('back-translation')) {
+        return backTranslations[text];
+      }
+      const language = prompt.match(/JSON object to (\w+)/)[1];
+      const [questionText, earth, explanation] = translations[language];
+      return JSON.stringify({ 'q1.questionText': questionText, 'q1.options.C': earth, 'q1.explanation': explanation });
+    };
+
+    const options = {
+      qa: true,
+      checkpoint: {
+        get: (questionKey, languageCode) => checkpoints.get(`${questionKey}|${languageCode}`),
+        set: (questionKey, languageCode, translation) => checkpoints.set(`${questionKey}|${languageCode}`, translation)
+      }
+    };
+    const result = await service.translateQuestions('quiz-1', ['de', 'fr'], [{ uuid: 'q-1', translations: [source] }], options);
+    console.log("QA:", JSON.stringify(result.qa, null, 2));
+
+    if (result.qa.checked !== 2 || result.qa.flagged !== 1) {
+      throw new Error("Expected one of two translations to be flagged");
+    }
+    const [flagged] = result.qa.review;
+    if (flagged.languageCode !== 'fr' || flagged.qa.issues[0]?.check !== 'back_translation' || flagged.qa.issues[0]?.field !== 'explanation') {
+      throw new Error("The French explanation was not flagged");
+    }
+
+    const sentLanguages = sent.flatMap(payload => payload.questions.flatMap(question => question.translations.map(t => t.languageCode)));
+    if (sentLanguages.join() !== 'de' || sent[0].questions[0].translations[0].qa) {
+      throw new Error(`Expected only the German translation to be sent, got ${sentLanguages.join()}`);
+    }
+
+    // Only the translation that passed is reused later
+    const remembered = service.memory.list().map(entry => `${entry.targetLanguage}:${entry.context}`);
+    if (remembered.join() !== 'de:question,de:option,de:explanation') {
+      throw new Error(`Flagged translation was added to the memory: ${remembered.join()}`);
+    }
+
+    // A retry reuses the checkpointed reviews without calling the LLM
+    calls = 0;
+    const retried = await service.translateQuestions('quiz-1', ['de', 'fr'], [{ uuid: 'q-1', translations: [source] }], options);
+    if (calls !== 0 || retried.qa.flagged !== 1) {
+      throw new Error("Checkpointed reviews were not reused");
+    }
+
+    // Without qa nothing is checked or held back
+    sent.length = 0;
+    const unchecked = await service.translateQuestions('quiz-1', ['de', 'fr'], [{ uuid: 'q-2', translations: [source] }], { qa: false });
+    if (unchecked.qa || sent[0].questions[0].translations.length !== 2) {
+      throw new Error("Translations were checked with qa off");
+    }
+
+    console.log("\n=== Translation Review Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Translation Review Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  } finally {
+    llmService.processPrompt = originalPrompt;
+  }
+}
+
+// Run the tests
+(async () => {
+  await testChecks();
+  await testReviewHoldsBack();
+})();
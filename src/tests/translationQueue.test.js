@@ -0,0 +1,538 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { TranslationQueue } from '../services/translationQueue.js';
+import { FileQueueStore, MemoryQueueStore } from '../services/queueStore.js';
+import { TranslationService } from '../services/translationService.js';
+import { TranslationMemory } from '../services/translationMemory.js';
+import llmService from '../services/llmService.js';
+import quizFactorApiService from '../services/quizFactorApiService.js';
+import webhookService from '../services/webhookService.js';
+import { LLMCache } from '../services/llmCache.js';
+import { MemoryCacheStore } from '../services/llmCacheStore.js';
+import { UsageLedger } from '../services/usageLedger.js';
+
+// Restore only, the test must not start translating
+class IdleTranslationQueue extends TranslationQueue {
+  startProcessing() {}
+}
+
+const persistedJobs = [
+  {
+    id: 'job-processing',
+    type: 'quiz',
+    status: 'processing',
+    priority: 'normal',
+    data: { quizUuid: 'quiz-1', targetLanguages: ['fr'] },
+    createdAt: '2024-01-01T10:00:00.000Z',
+    startedAt: '2024-01-01T10:01:00.000Z',
+    progress: { current: 1, total: 2, percentage: 50, message: 'Translating quiz...' }
+  },
+  {
+    id: 'job-queued',
+    type: 'course',
+    status: 'queued',
+    priority: 'high',
+    data: { courseUuid: 'course-1', targetLanguages: ['es'] },
+    createdAt: '2024-01-01T10:05:00.000Z',
+    progress: { current: 0, total: 2, percentage: 0, message: 'Waiting in queue...' }
+  },
+  {
+    id: 'job-completed',
+    type: 'category',
+    status: 'completed',
+    result: { ok: true },
+    startedAt: '2024-01-01T09:00:00.000Z',
+    completedAt: '2024-01-01T09:01:00.000Z'
+  }
+];
+
+async function testQueueRestore() {
+  console.log("\n=== Starting Translation Queue Persistence Test ===\n");
+
+  const filePath = path.join(os.tmpdir(), `translation-queue-${Date.now()}.json`);
+
+  try {
+    await fs.writeFile(filePath, JSON.stringify(persistedJobs), 'utf8');
+
+    const queue = new IdleTranslationQueue(new FileQueueStore(filePath));
+    await queue.start();
+
+    console.log("Restored queue:", queue.queue.map(item => `${item.id} (${item.status})`));
+
+    if (queue.queue.length !== 2 || queue.queue[0].id !== 'job-queued') {
+      throw new Error("Queued jobs were not restored in priority order");
+    }
+    const requeued = queue.queue[1];
+    if (requeued.status !== 'queued' || requeued.restarts !== 1 || requeued.startedAt) {
+      throw new Error("Interrupted job was not re-queued");
+    }
+    if (!(requeued.createdAt instanceof Date)) {
+      throw new Error("Dates were not revived");
+    }
+    if (queue.getStatus('job-completed')?.status !== 'completed') {
+      throw new Error("Completed job was not restored");
+    }
+
+    // The re-queued state and cancellations are written back
+    queue.cancelRequest('job-queued');
+    await queue.store.flush();
+    const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    if (saved.some(job => job.id === 'job-queued') || saved.find(job => job.id === 'job-processing').status !== 'queued') {
+      throw new Error("Queue changes were not persisted");
+    }
+
+    console.log("\n=== Translation Queue Persistence Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Translation Queue Persistence Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  } finally {
+    await fs.unlink(filePath).catch(() => {});
+  }
+}
+
+async function testRetryFromCheckpoint() {
+  console.log("\n=== Starting Translation Retry Test ===\n");
+
+  try {
+    const question = {
+      uuid: 'question-1',
+      translations: [{
+        languageCode: 'en',
+        questionText: 'What is 2 + 3?',
+        options: { option_1: '4', option_2: '5' },
+        correctAnswer: ['option_2'],
+        explanation: '2 + 3 = 5'
+      }]
+    };
+
+    const queue = new IdleTranslationQueue(new MemoryQueueStore());
+    await queue.start();
+
+    // A failed job that had finished the French translation before failing
+    queue.failed.set('job-failed', {
+      id: 'job-failed',
+      type: 'questions',
+      status: 'failed',
+      error: 'Rate limit exceeded',
+      priority: 'normal',
+      data: { quizUuid: 'quiz-1', targetLanguages: ['fr', 'es'], questions: [question] },
+      checkpoints: { 'question-1': { fr: { ...question.translations[0], languageCode: 'fr', questionText: 'Combien font 2 + 3 ?' } } },
+      createdAt: new Date(),
+      failedAt: new Date()
+    });
+
+    const retry = queue.retryRequest('job-failed');
+    console.log("Retry:", retry);
+    if (retry.completedPairs !== 1 || retry.missingPairs !== 1 || queue.queue[0]?.id !== 'job-failed') {
+      throw new Error("Failed job was not re-queued with its checkpoints");
+    }
+
+    // Only the missing pair reaches the LLM
+    const item = queue.queue[0];
+    const translatedPairs = [];
+    const service = new TranslationService();
+    service.memory = new TranslationMemory(new MemoryQueueStore(), { enabled: false });
+    service.translateToLanguage = async (source, languageCode) => {
+      translatedPairs.push(languageCode);
+      return { ...source, languageCode };
+    };
+    service.checkpoint = queue.createCheckpoint(item, () => {});
+
+    const result = await service.translateSingleQuestion(question, ['fr', 'es'], 1, 1);
+    if (translatedPairs.join() !== 'es') {
+      throw new Error(`Expected only es to be translated, got ${translatedPairs.join()}`);
+    }
+    if (result.translations.find(t => t.languageCode === 'fr')?.questionText !== 'Combien font 2 + 3 ?') {
+      throw new Error("Checkpointed translation was not reused");
+    }
+    if (queue.countCheckpoints(item) !== 2) {
+      throw new Error("New translation was not checkpointed");
+    }
+
+    console.log("\n=== Translation Retry Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Translation Retry Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  }
+}
+
+async function testExtractionJob() {
+  console.log("\n=== Starting Extraction Job Test ===\n");
+
+  const filePath = path.join(os.tmpdir(), `extraction-${Date.now()}.txt`);
+  const originalPrompt = llmService.processPrompt;
+  const originalAdd = TranslationService.prototype.extractAndAddQuestions;
+
+  try {
+    // Two chunks: the first yields a question, the second fails
+    const text = Array.from({ length: 60 }, (_, i) =>
+      `Question ${i + 1}: Which value is the answer to the sample question number ${i + 1}?\n`
+    ).join('');
+    await fs.writeFile(filePath, text, 'utf8');
+
+    let chunkCalls = 0;
+    llmService.processPrompt = async (prompt) => {
+      if (prompt === 'test') return 'ok';
+      chunkCalls++;
+      if (chunkCalls === 2) throw new Error('Provider timeout');
+      return JSON.stringify([{ questionText: 'What is 2 + 3?', options: { A: '4', B: '5' }, correctAnswer: 'B' }]);
+    };
+    TranslationService.prototype.extractAndAddQuestions = async (questions, quizUuid) => ({
+      quizUuid,
+      questionUuids: questions.map((_, i) => `question-${i + 1}`)
+    });
+
+    const queue = new IdleTranslationQueue(new MemoryQueueStore());
+    await queue.start();
+    const progress = [];
+    queue.subscribe('extraction-job', ({ type, data }) => type === 'progress' && progress.push(data.message));
+
+    queue.queue.push({
+      id: 'extraction-job',
+      type: 'extraction',
+      data: { quizUuid: 'quiz-1', filePath, fileName: 'questions.txt', mode: 'llm' },
+      status: 'queued',
+      createdAt: new Date(),
+      progress: { current: 0, total: 1, percentage: 0, message: 'Waiting in queue...' }
+    });
+    await queue.processItem(queue.queue.shift());
+
+    const status = queue.getStatus('extraction-job');
+    console.log("Progress:", progress);
+    console.log("Result:", status.result);
+    if (status.status !== 'completed') {
+      throw new Error(`Extraction job ended as ${status.status}: ${status.error}`);
+    }
+    if (status.result.addedQuestionUuids.join() !== 'question-1' || status.result.failedChunks[0]?.chunk !== 2) {
+      throw new Error("Result does not list the added questions and the failed chunk");
+    }
+    if (!progress.some(message => message.includes('chunk 1 of 2'))) {
+      throw new Error("Per-chunk progress was not reported");
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+    if (await fs.access(filePath).then(() => true, () => false)) {
+      throw new Error("Uploaded file was not removed after the job completed");
+    }
+
+    console.log("\n=== Extraction Job Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Extraction Job Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  } finally {
+    llmService.processPrompt = originalPrompt;
+    TranslationService.prototype.extractAndAddQuestions = originalAdd;
+    await fs.unlink(filePath).catch(() => {});
+  }
+}
+
+async function testPauseAndCancel() {
+  console.log("\n=== Starting Pause and Cancel Test ===\n");
+
+  const originalTranslate = TranslationService.prototype.translateToLanguage;
+  const originalSleep = TranslationService.prototype.sleep;
+  const originalUsage = llmService.usage;
+
+  try {
+    llmService.usage = null; // keep the stub calls out of the usage ledger
+    const queue = new IdleTranslationQueue(new MemoryQueueStore());
+    await queue.start();
+
+    const questions = ['1', '2', '3', '4'].map(n => ({
+      uuid: `question-${n}`,
+      translations: [{ languageCode: 'en', questionText: `Question ${n}?`, options: { option_1: 'A', option_2: 'B' }, correctAnswer: ['option_1'] }]
+    }));
+    const queueId = queue.addToQueue('questions', { quizUuid: 'quiz-1', targetLanguages: ['fr', 'es'], questions });
+    const item = queue.queue.shift();
+
+    // Pause during the first batch of three questions, then cancel while paused
+    const translatedPairs = [];
+    TranslationService.prototype.sleep = async () => {};
+    TranslationService.prototype.translateToLanguage = async (source, languageCode) => {
+      if (translatedPairs.length === 0) queue.pauseRequest(queueId);
+      translatedPairs.push(languageCode);
+      llmService.recordCall({ provider: 'stub', model: 'stub-model', inputTokens: 100, outputTokens: 20 });
+      return { ...source, languageCode };
+    };
+
+    const states = [];
+    queue.subscribe(queueId, ({ type, data }) => {
+      if (type !== 'state') return;
+      states.push(data.status);
+      if (data.status === 'paused') {
+        setTimeout(() => {
+          if (queue.getStatus(queueId).status !== 'paused') {
+            states.push('not-paused');
+          }
+          queue.cancelRequest(queueId);
+        }, 20);
+      }
+    });
+
+    await queue.processItem(item);
+
+    const status = queue.getStatus(queueId);
+    console.log("States:", states);
+    console.log("Partial result:", status.partialResult);
+    if (status.status !== 'cancelled' || states.join() !== 'processing,paused,cancelling,cancelled') {
+      throw new Error(`Unexpected states: ${states.join()}`);
+    }
+    if (translatedPairs.length !== 6 || status.partialResult.completedPairs !== 6 || status.partialResult.totalPairs !== 8) {
+      throw new Error("The job did not stop after the first batch with its pairs kept");
+    }
+    if (status.usage?.calls !== 6 || status.usage.inputTokens !== 600 || status.llm?.[0]?.calls !== 6) {
+      throw new Error("Cancelled job does not report the LLM calls it made");
+    }
+
+    const retry = queue.retryRequest(queueId);
+    if (retry.completedPairs !== 6 || retry.missingPairs !== 2) {
+      throw new Error("Cancelled job was not re-queued with its checkpoints");
+    }
+
+    console.log("\n=== Pause and Cancel Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Pause and Cancel Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  } finally {
+    TranslationService.prototype.translateToLanguage = originalTranslate;
+    TranslationService.prototype.sleep = originalSleep;
+    llmService.usage = originalUsage;
+  }
+}
+
+async function testCascade() {
+  console.log("\n=== Starting Cascade Test ===\n");
+
+  const prototype = TranslationService.prototype;
+  const originals = {
+    translateCategory: prototype.translateCategory,
+    translateCourse: prototype.translateCourse,
+    translateQuiz: prototype.translateQuiz,
+    translateQuestions: prototype.translateQuestions,
+    getCategoryCourses: quizFactorApiService.getCategoryCourses,
+    getCourseQuizzes: quizFactorApiService.getCourseQuizzes,
+    getQuizQuestions: quizFactorApiService.getQuizQuestions,
+    deliver: webhookService.deliver
+  };
+
+  try {
+    // category-1 → course-1 (quiz-1, quiz-2) and course-2 (no quizzes); questions of quiz-2 fail
+    const courses = { 'category-1': [{ uuid: 'course-1' }, { uuid: 'course-2' }] };
+    const quizzes = { 'course-1': [{ uuid: 'quiz-1' }, { uuid: 'quiz-2' }], 'course-2': [] };
+    const translated = [];
+    prototype.translateCategory = async (uuid) => { translated.push(uuid); return []; };
+    prototype.translateCourse = async (uuid) => { translated.push(uuid); return { courseUuid: uuid }; };
+    prototype.translateQuiz = async (uuid) => { translated.push(uuid); return { quizUuid: uuid }; };
+    prototype.translateQuestions = async (quizUuid) => {
+      if (quizUuid === 'quiz-2') throw new Error('Provider timeout');
+      translated.push(`${quizUuid}/questions`);
+      return { quizUuid };
+    };
+    quizFactorApiService.getCategoryCourses = async (uuid) => courses[uuid];
+    quizFactorApiService.getCourseQuizzes = async (uuid) => quizzes[uuid];
+    quizFactorApiService.getQuizQuestions = async (uuid) => [{ uuid: `${uuid}-question-1`, translations: [] }];
+    const webhooks = [];
+    webhookService.deliver = async (webhook, event, payload) => { webhooks.push({ event, payload }); return true; };
+
+    const queue = new IdleTranslationQueue(new MemoryQueueStore());
+    await queue.start();
+    const rootId = queue.addToQueue('category', { categoryUuid: 'category-1', targetLanguages: ['fr'], cascade: true, tenantId: 'acme' }, 'normal', { url: 'https://example.com/hook' });
+
+    await queue.processItem(queue.queue.shift());
+    const running = queue.getStatus(rootId);
+    if (running.status !== 'completed' || running.cascade.status !== 'running' || running.cascade.queued !== 2) {
+      throw new Error("Root did not queue its courses or report the cascade as running");
+    }
+    if (webhooks.length > 0) {
+      throw new Error("Root webhook was sent before its cascade finished");
+    }
+
+    const tenants = [];
+    while (queue.queue.length > 0) {
+      const child = queue.queue.shift();
+      tenants.push(child.data.tenantId);
+      await queue.processItem(child);
+    }
+
+    const { cascade } = queue.getStatus(rootId);
+    console.log("Translated:", translated);
+    console.log("Cascade:", { ...cascade, jobs: cascade.jobs.map(job => `${job.type}:${job.uuid}:${job.status}`) });
+    if (translated.join() !== 'category-1,course-1,course-2,quiz-1,quiz-2,quiz-1/questions') {
+      throw new Error(`Unexpected translation order: ${translated.join()}`);
+    }
+    if (cascade.total !== 6 || cascade.completed !== 5 || cascade.failed !== 1 || cascade.status !== 'completed_with_errors') {
+      throw new Error("Cascade status does not aggregate the child jobs");
+    }
+    if (tenants.length !== 6 || tenants.some(tenantId => tenantId !== 'acme')) {
+      throw new Error("Child jobs did not inherit the tenant");
+    }
+    console.log("Webhooks:", webhooks.map(({ event, payload }) => `${event}:${payload.cascade.status}`));
+    if (webhooks.length !== 1 || webhooks[0].event !== 'job.completed' || webhooks[0].payload.cascade.status !== 'completed_with_errors') {
+      throw new Error("Root webhook was not sent once with the final cascade status");
+    }
+
+    // Retrying the failed child updates the root again
+    const failedJob = cascade.jobs.find(job => job.status === 'failed');
+    prototype.translateQuestions = async (quizUuid) => ({ quizUuid });
+    queue.retryRequest(failedJob.queueId);
+    if (queue.getStatus(rootId).cascade.status !== 'running') {
+      throw new Error("Retried child was not tracked on the root");
+    }
+    await queue.processItem(queue.queue.shift());
+    if (queue.getStatus(rootId).cascade.status !== 'completed') {
+      throw new Error("Cascade did not complete after the retry");
+    }
+    if (webhooks.length !== 1) {
+      throw new Error("Root webhook was sent again after the retry");
+    }
+
+    console.log("\n=== Cascade Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Cascade Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  } finally {
+    ['translateCategory', 'translateCourse', 'translateQuiz', 'translateQuestions'].forEach(name => {
+      prototype[name] = originals[name];
+    });
+    ['getCategoryCourses', 'getCourseQuizzes', 'getQuizQuestions'].forEach(name => {
+      quizFactorApiService[name] = originals[name];
+    });
+    webhookService.deliver = originals.deliver;
+  }
+}
+
+async function testRetryUsesCache() {
+  console.log("\n=== Starting Retry Cache Test ===\n");
+
+  const originalTranslateQuiz = TranslationService.prototype.translateQuiz;
+  const { chain, cache, usage } = llmService;
+
+  try {
+    const provider = {
+      name: 'stub',
+      model: 'stub-model',
+      calls: 0,
+      isAvailable: () => true,
+      async chat([message]) {
+        this.calls++;
+        return { text: message.content.includes('title') ? 'Quiz de géographie' : 'Les capitales du monde', usage: { inputTokens: 50, outputTokens: 5 } };
+      }
+    };
+    llmService.chain = [llmService.entry(provider)];
+    llmService.cache = new LLMCache(new MemoryCacheStore(), { enabled: true, ttlMs: 0, maxEntries: 0, maxBytes: 0 });
+    llmService.usage = new UsageLedger(new MemoryQueueStore());
+
+    // QuizFactor rejects the first update, after both texts were translated
+    let updates = 0;
+    const client = {
+      get: async () => ({ data: { status: '00', data: { uuid: 'quiz-1', title: 'Geography quiz', description: 'Capitals of the world', translations: [] } } }),
+      post: async () => ({ data: ++updates === 1 ? { status: '99', message: 'Service unavailable' } : { status: '00' } })
+    };
+    TranslationService.prototype.translateQuiz = function (...args) {
+      this.client = client;
+      return originalTranslateQuiz.apply(this, args);
+    };
+
+    const queue = new IdleTranslationQueue(new MemoryQueueStore());
+    await queue.start();
+    const queueId = queue.addToQueue('quiz', { quizUuid: 'quiz-1', targetLanguages: ['fr'] });
+    await queue.processItem(queue.queue.shift());
+    if (queue.getStatus(queueId).status !== 'failed' || provider.calls !== 2) {
+      throw new Error("First run did not fail after translating");
+    }
+
+    // The retry is answered from the cache
+    queue.retryRequest(queueId);
+    await queue.processItem(queue.queue.shift());
+    const status = queue.getStatus(queueId);
+    const rows = llmService.usage.query().rows;
+    console.log("Retry usage:", JSON.stringify(status.result?.usage));
+    if (status.status !== 'completed' || provider.calls !== 2 || status.result.usage.cachedCalls !== 2) {
+      throw new Error("Retried job called the LLM again");
+    }
+    if (rows.reduce((cached, row) => cached + row.cachedCalls, 0) !== 2 || rows.reduce((tokens, row) => tokens + row.inputTokens, 0) !== 100) {
+      throw new Error("Cached calls of the retry were not recorded in the usage ledger");
+    }
+
+    console.log("\n=== Retry Cache Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Retry Cache Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  } finally {
+    TranslationService.prototype.translateQuiz = originalTranslateQuiz;
+    Object.assign(llmService, { chain, cache, usage });
+  }
+}
+
+async function testProviderErrorCode() {
+  console.log("\n=== Starting Provider Error Code Test ===\n");
+
+  const originalTranslateQuiz = TranslationService.prototype.translateQuiz;
+  const { chain, cache, usage } = llmService;
+
+  try {
+    const provider = {
+      name: 'stub-no-credits',
+      model: 'stub-model',
+      isAvailable: () => true,
+      async chat() {
+        throw Object.assign(new Error('Your credit balance is too low to access the API'), { status: 400 });
+      }
+    };
+    llmService.chain = [llmService.entry(provider)];
+    llmService.cache = null;
+    llmService.usage = new UsageLedger(new MemoryQueueStore());
+
+    const client = {
+      get: async () => ({ data: { status: '00', data: { uuid: 'quiz-1', title: 'Geography quiz', description: 'Capitals of the world', translations: [] } } }),
+      post: async () => ({ data: { status: '00' } })
+    };
+    TranslationService.prototype.translateQuiz = function (...args) {
+      this.client = client;
+      return originalTranslateQuiz.apply(this, args);
+    };
+
+    const queue = new IdleTranslationQueue(new MemoryQueueStore());
+    await queue.start();
+    const queueId = queue.addToQueue('quiz', { quizUuid: 'quiz-1', targetLanguages: ['fr'] });
+    await queue.processItem(queue.queue.shift());
+    const status = queue.getStatus(queueId);
+    console.log("Failed job:", status.status, status.errorCode, status.error);
+    if (status.status !== 'failed' || status.errorCode !== 'INSUFFICIENT_CREDITS') {
+      throw new Error("Provider error code was lost on the failed job");
+    }
+
+    console.log("\n=== Provider Error Code Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Provider Error Code Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  } finally {
+    TranslationService.prototype.translateQuiz = originalTranslateQuiz;
+    Object.assign(llmService, { chain, cache, usage });
+  }
+}
+
+// Run the tests
+(async () => {
+  await testQueueRestore();
+  await testRetryFromCheckpoint();
+  await testExtractionJob();
+  await testPauseAndCancel();
+  await testCascade();
+  await testRetryUsesCache();
+  await testProviderErrorCode();
+})();
@@ -0,0 +1,124 @@
+import { LLMService } from '../services/llmService.js';
+import { ProviderRegistry } from '../services/llmProviders.js';
+import { UsageLedger, priceLlmCall, summarizeUsage } from '../services/usageLedger.js';
+import { MemoryQueueStore } from '../services/queueStore.js';
+import { validateUsageQuery, validateTenant } from '../utils/usageValidator.js';
+
+const pricing = { 'claude-test': { input: 3, output: 15 } };
+
+async function testPricing() {
+  console.log("\n=== Starting LLM Pricing Test ===\n");
+
+  try {
+    const priced = priceLlmCall({ provider: 'anthropic', model: 'claude-test', inputTokens: 1000000, outputTokens: 200000 }, pricing);
+    const local = priceLlmCall({ provider: 'ollama', model: 'llama3.1', inputTokens: 5000, outputTokens: 500 }, pricing);
+    const unknown = priceLlmCall({ provider: 'openai', model: 'gpt-unknown', inputTokens: 5000, outputTokens: 500 }, pricing);
+    console.log({ priced, local, unknown });
+    if (priced !== 6 || local !== 0 || unknown !== null) {
+      throw new Error("Calls were not priced from the price table");
+    }
+
+    if (validateUsageQuery({ from: '2026-13-01' }).isValid || validateUsageQuery({ operation: 'billing' }).isValid ||
+        !validateUsageQuery({ from: '2026-10-01', to: '2026-10-31', operation: 'qa' }).isValid) {
+      throw new Error("Usage filters were not validated");
+    }
+    // Tenant IDs go into the ledger row IDs, which are joined with "|"
+    if (validateTenant('acme|2026').isValid || validateUsageQuery({ tenantId: '' }).isValid ||
+        validateTenant(undefined).tenantId !== undefined || validateUsageQuery({ tenantId: 'acme-eu' }).filters.tenantId !== 'acme-eu') {
+      throw new Error("Tenant IDs were not validated");
+    }
+
+    console.log("\n=== LLM Pricing Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== LLM Pricing Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  }
+}
+
+async function testUsageAccounting() {
+  console.log("\n=== Starting Usage Accounting Test ===\n");
+
+  try {
+    const ledger = new UsageLedger(new MemoryQueueStore());
+    await ledger.ready;
+
+    // The provider reports usage for translations only; the rest is estimated
+    const registry = new ProviderRegistry('anthropic');
+    registry.register({
+      name: 'anthropic',
+      model: 'claude-test',
+      isAvailable: () => true,
+      chat: async ([message]) => message.content.startsWith('Translate')
+        ? { text: 'Bonjour', usage: { inputTokens: 1000, outputTokens: 200 } }
+        : { text: '[]', usage: null }
+    });
+    const service = new LLMService(registry, {
+      chain: [],
+      circuitBreaker: { failureThreshold: 3, cooldownMs: 1000, probeIntervalMs: 0 },
+      pricing,
+      usage: ledger,
+      cache: null
+    });
+
+    const calls = [];
+    await service.track(calls, async () => {
+      await service.processPrompt('Translate "Hello"', { operation: 'translate' });
+      await service.processPrompt('Extract the questions of this page', { operation: 'extract' });
+      // Translations made for a quality check count as QA
+      await service.track(null, () => service.processPrompt('Translate "Bonjour"', { operation: 'translate' }), { operation: 'qa' });
+    }, { jobId: 'job-1', quizUuid: 'quiz-1', tenantId: 'acme' });
+    await service.processPrompt('Translate "Goodbye"', { operation: 'translate' });
+
+    const usage = summarizeUsage(calls);
+    console.log("Job usage:", JSON.stringify(usage));
+    if (usage.calls !== 3 || usage.byOperation.translate.inputTokens !== 1000 || usage.byOperation.qa.calls !== 1 ||
+        usage.byOperation.extract.estimatedCalls !== 1 || usage.cost !== 0.012042) {
+      throw new Error("Job usage was not rolled up per operation");
+    }
+    if (calls.some(call => call.quizUuid !== 'quiz-1' || call.jobId !== 'job-1' || call.tenantId !== 'acme')) {
+      throw new Error("Calls were not tagged with the job, quiz and tenant");
+    }
+
+    const quiz = ledger.query({ quizUuid: 'quiz-1' });
+    const all = ledger.query();
+    const qa = ledger.query({ operation: 'qa' });
+    const future = ledger.query({ from: '2999-01-01' });
+    console.log("Quiz usage:", JSON.stringify(quiz.totals));
+    if (quiz.totals.calls !== 3 || all.totals.calls !== 4 || all.rows.length !== 4 || qa.totals.cost !== 0.006 || future.totals.calls !== 0) {
+      throw new Error("Usage was not filtered by quiz, operation or date");
+    }
+    if (all.byModel['anthropic:claude-test'].calls !== 4 || Object.keys(all.byQuiz).join() !== 'quiz-1') {
+      throw new Error("Usage was not broken down per model and quiz");
+    }
+
+    // Calls on the same day, operation, tenant, quiz and model add up in one row
+    await service.track(null, () => service.processPrompt('Translate "Hi"', { operation: 'translate' }), { quizUuid: 'quiz-1', tenantId: 'acme' });
+    if (ledger.query().rows.length !== 4 || ledger.query({ quizUuid: 'quiz-1', operation: 'translate' }).totals.calls !== 2) {
+      throw new Error("Calls were not added to their row");
+    }
+
+    // Another tenant's calls on the same quiz are kept apart
+    await service.track(null, () => service.processPrompt('Translate "Hi"', { operation: 'translate' }), { quizUuid: 'quiz-1', tenantId: 'globex' });
+    const tenants = ledger.query();
+    console.log("Tenants:", JSON.stringify(Object.keys(tenants.byTenant)));
+    if (tenants.rows.length !== 5 || tenants.byTenant.acme.calls !== 4 || tenants.byTenant.globex.calls !== 1 ||
+        ledger.query({ tenantId: 'globex', quizUuid: 'quiz-1' }).totals.calls !== 1) {
+      throw new Error("Usage was not recorded and filtered per tenant");
+    }
+
+    console.log("\n=== Usage Accounting Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Usage Accounting Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+(async () => {
+  await testPricing();
+  await testUsageAccounting();
+})();
@@ -0,0 +1,181 @@
+import http from 'http';
+import { TranslationQueue } from '../services/translationQueue.js';
+import { MemoryQueueStore } from '../services/queueStore.js';
+import webhookService, { WebhookService, signPayload } from '../services/webhookService.js';
+import { validateCallback, deriveSigningKey } from '../utils/callbackValidator.js';
+
+// Restore only, the test must not start translating
+class IdleTranslationQueue extends TranslationQueue {
+  startProcessing() {}
+}
+
+// Receiver that fails the first `failures` requests with a 503
+const startReceiver = (failures) => new Promise(resolve => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = requests.length <= failures ? 503 : 204;
+      res.end();
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve({
+    server,
+    requests,
+    url: `http://127.0.0.1:${server.address().port}/hook`
+  }));
+});
+
+async function testWebhookDelivery() {
+  console.log("\n=== Starting Webhook Delivery Test ===\n");
+
+  const receiver = await startReceiver(1);
+
+  try {
+    if (validateCallback('ftp://example.com').isValid || validateCallback(undefined, 'secret').isValid) {
+      throw new Error("Invalid callbacks were accepted");
+    }
+    if (validateCallback(receiver.url).isValid || validateCallback('http://localhost:3000/hook').isValid) {
+      throw new Error("Loopback callbacks were accepted");
+    }
+    const { callback } = validateCallback(receiver.url, 'top-secret', { allowPrivateHosts: true });
+    if (callback.secret || callback.signingKey !== deriveSigningKey('top-secret')) {
+      throw new Error("Callback keeps the secret instead of its signing key");
+    }
+
+    const service = new WebhookService({ maxAttempts: 3, timeoutMs: 2000, retryDelayMs: 1, allowPrivateHosts: true, wait: async () => {} });
+    const attempts = [];
+    const delivered = await service.deliver(callback, 'job.completed', { queueId: 'job-1', result: { ok: true } }, attempt => attempts.push(attempt));
+
+    console.log("Attempts:", attempts.map(attempt => `${attempt.attempt}: ${attempt.statusCode}`));
+    if (!delivered || attempts.length !== 2 || attempts[0].statusCode !== 503 || attempts[1].status !== 'delivered') {
+      throw new Error("Webhook was not retried after a 503");
+    }
+
+    const { headers, body } = receiver.requests[1];
+    if (headers['x-webhook-signature'] !== signPayload(deriveSigningKey('top-secret'), headers['x-webhook-timestamp'], body)) {
+      throw new Error("Webhook signature does not match the body");
+    }
+    if (JSON.parse(body).event !== 'job.completed' || headers['x-webhook-id'] !== 'job-1') {
+      throw new Error("Webhook payload is missing the event or queue ID");
+    }
+
+    console.log("\n=== Webhook Delivery Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Webhook Delivery Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  } finally {
+    receiver.server.close();
+  }
+}
+
+async function testPrivateHostsBlocked() {
+  console.log("\n=== Starting Webhook Private Host Test ===\n");
+
+  const receiver = await startReceiver(0);
+
+  try {
+    const options = { maxAttempts: 3, timeoutMs: 2000, retryDelayMs: 1, wait: async () => {} };
+
+    // The address in the URL is checked when the webhook is sent, not only when it was registered
+    const attempts = [];
+    const delivered = await new WebhookService(options)
+      .deliver({ url: receiver.url }, 'job.completed', { queueId: 'job-1' }, attempt => attempts.push(attempt));
+    if (delivered || attempts.length !== 1 || receiver.requests.length !== 0) {
+      throw new Error("Webhook was sent to a loopback address");
+    }
+
+    // A public name that now resolves to a private address
+    const rebound = [];
+    const lookup = async () => [{ address: '10.0.0.5', family: 4 }];
+    await new WebhookService({ ...options, lookup })
+      .deliver({ url: 'https://hooks.example.com/done' }, 'job.failed', { queueId: 'job-2' }, attempt => rebound.push(attempt));
+    console.log("Blocked attempt:", rebound[0]?.error);
+    if (rebound.length !== 1 || rebound[0].status !== 'failed' || !rebound[0].error.includes('10.0.0.5')) {
+      throw new Error("Webhook was sent to a host resolving to a private address");
+    }
+
+    // The request goes to the checked address, not to a second lookup of the name
+    const pinned = new WebhookService({ ...options, allowPrivateHosts: true, lookup: async () => [{ address: '127.0.0.1', family: 4 }] });
+    const port = new URL(receiver.url).port;
+    if (!await pinned.deliver({ url: `http://hooks.example.com:${port}/hook` }, 'job.completed', { queueId: 'job-3' }) || receiver.requests.length !== 1) {
+      throw new Error("Webhook was not sent to the resolved address");
+    }
+
+    console.log("\n=== Webhook Private Host Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Webhook Private Host Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  } finally {
+    receiver.server.close();
+  }
+}
+
+async function testQueueDeliveryLog() {
+  console.log("\n=== Starting Queue Webhook Log Test ===\n");
+
+  const receiver = await startReceiver(0);
+
+  try {
+    const store = new MemoryQueueStore();
+    const saved = [];
+    store.save = async job => { saved.push(JSON.stringify(job)); };
+    const queue = new IdleTranslationQueue(store);
+    await queue.start();
+
+    const { callback } = validateCallback(receiver.url, 'top-secret', { allowPrivateHosts: true });
+    const queueId = queue.addToQueue('quiz', { quizUuid: 'quiz-1', targetLanguages: ['fr'] }, 'normal', callback);
+    const item = queue.queue.shift();
+
+    const originalDeliver = webhookService.deliver;
+    const { allowPrivateHosts } = webhookService;
+    webhookService.allowPrivateHosts = true;
+    let finished;
+    const delivery = new Promise(resolve => { finished = resolve; });
+    webhookService.deliver = async (...args) => {
+      const delivered = await originalDeliver.apply(webhookService, args);
+      setImmediate(finished);
+      return delivered;
+    };
+
+    item.type = 'unknown'; // processItem fails fast on unknown types
+    await queue.processItem(item);
+    await delivery;
+    webhookService.deliver = originalDeliver;
+    webhookService.allowPrivateHosts = allowPrivateHosts;
+
+    const status = queue.getStatus(queueId);
+    console.log("Webhook status:", status.webhook);
+    if (status.webhook.status !== 'delivered' || status.webhook.deliveries.length !== 1 || status.webhook.event !== 'job.failed') {
+      throw new Error("Delivery was not logged on the job");
+    }
+    if (status.webhook.signingKey || !status.webhook.signed) {
+      throw new Error("Webhook signing key leaked into the status");
+    }
+    if (saved.some(job => job.includes('top-secret'))) {
+      throw new Error("Webhook secret was persisted with the job");
+    }
+
+    console.log("\n=== Queue Webhook Log Test Completed Successfully ===\n");
+  } catch (error) {
+    console.error("\n=== Queue Webhook Log Test Failed ===");
+    console.error("Error:", error.message);
+    console.error("Stack:", error.stack);
+    process.exitCode = 1;
+  } finally {
+    receiver.server.close();
+  }
+}
+
+// Run the tests
+(async () => {
+  await testWebhookDelivery();
+  await testPrivateHostsBlocked();
+  await testQueueDeliveryLog();
+})();
@@ -0,0 +1,101 @@
+import crypto from "crypto";
+import net from "net";
+import { config } from "../config/config.js";
+
+// Loopback, private, link-local, multicast and reserved ranges a callback must not reach
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 127], // unspecified and loopback; IPv4-mapped addresses are checked as IPv4
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, "ipv6"));
+
+// IPv6 hosts keep their brackets in URL.hostname
+const unbracket = (hostname) => hostname.replace(/^\[|\]$/g, "");
+
+export const isPrivateAddress = (address) => {
+  const family = net.isIP(unbracket(address));
+  return family !== 0 && PRIVATE_RANGES.check(unbracket(address), family === 4 ? "ipv4" : "ipv6");
+};
+
+// Only catches hosts that are addresses or localhost; webhookService checks what a name
+// resolves to before every delivery
+const isPrivateHost = (hostname) => {
+  const host = unbracket(hostname).toLowerCase();
+  return host === "localhost" || host.endsWith(".localhost") || isPrivateAddress(host);
+};
+
+// Jobs and schedules store this key instead of the callback secret. Webhooks are signed with
+// it, so receivers derive it from their secret the same way.
+export const deriveSigningKey = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+// Validates the optional webhook fields accepted by the translate endpoints.
+// Returns { isValid: true, callback } where callback ({ url, signingKey? }) is undefined when
+// no URL was given.
+export const validateCallback = (
+  callbackUrl,
+  callbackSecret,
+  { allowPrivateHosts = config.webhooks.allowPrivateHosts } = {}
+) => {
+  if (callbackUrl === undefined || callbackUrl === null || callbackUrl === "") {
+    if (callbackSecret) {
+      return {
+        isValid: false,
+        error: "Invalid callback",
+        message: "callbackSecret requires a callbackUrl",
+      };
+    }
+    return { isValid: true };
+  }
+
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch {
+    url = null;
+  }
+
+  if (typeof callbackUrl !== "string" || !url || !["http:", "https:"].includes(url.protocol)) {
+    return {
+      isValid: false,
+      error: "Invalid callback",
+      message: "callbackUrl must be an absolute http(s) URL",
+    };
+  }
+
+  if (!allowPrivateHosts && isPrivateHost(url.hostname)) {
+    return {
+      isValid: false,
+      error: "Invalid callback",
+      message: "callbackUrl must not point at a loopback or private address",
+    };
+  }
+
+  if (callbackSecret !== undefined && (typeof callbackSecret !== "string" || !callbackSecret)) {
+    return {
+      isValid: false,
+      error: "Invalid callback",
+      message: "callbackSecret must be a non-empty string",
+    };
+  }
+
+  return {
+    isValid: true,
+    callback: { url: url.toString(), ...(callbackSecret && { signingKey: deriveSigningKey(callbackSecret) }) },
+  };
+};
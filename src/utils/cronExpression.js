@@ -0,0 +1,132 @@
+// Five-field cron expressions ("minute hour day-of-month month day-of-week"), evaluated
+// in the server's local time. Supports *, lists, ranges, steps, month/day names and
+// the @hourly, @daily, @weekly, @monthly and @yearly shortcuts.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+// Never look further ahead than this for the next match (covers Feb 29 schedules)
+const MAX_LOOKAHEAD_DAYS = 366 * 8;
+
+const invalid = (expression, reason) => {
+  const error = new Error(`Invalid cron expression "${expression}": ${reason}`);
+  error.status = 400;
+  return error;
+};
+
+const parseValue = (value, field, expression) => {
+  const index = field.names?.indexOf(value.toLowerCase());
+  const number = index >= 0 ? index + field.min : Number(value);
+  if (!Number.isInteger(number) || number < field.min || number > field.max) {
+    throw invalid(expression, `${value} is out of range for ${field.name} (${field.min}-${field.max})`);
+  }
+  return number;
+};
+
+const parseField = (part, field, expression) => {
+  const values = new Set();
+
+  for (const item of part.split(',')) {
+    const [range, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw invalid(expression, `bad step "${stepText}" in ${field.name}`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field, expression);
+      end = to === undefined ? (stepText === undefined ? start : field.max) : parseValue(to, field, expression);
+      if (end < start) {
+        throw invalid(expression, `range ${range} is reversed in ${field.name}`);
+      }
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+export const parseCron = (expression) => {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw invalid(expression, 'expected a string');
+  }
+
+  const source = SHORTCUTS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw invalid(expression, `expected ${FIELDS.length} fields, got ${parts.length}`);
+  }
+
+  const schedule = { expression };
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field, expression);
+  });
+
+  // 7 is Sunday as well
+  if (schedule.dayOfWeek.delete(7)) schedule.dayOfWeek.add(0);
+
+  // Like classic cron: when both day fields are restricted, either one may match
+  schedule.anyDay = parts[2] !== '*' && parts[4] !== '*';
+
+  return schedule;
+};
+
+const dayMatches = (schedule, date) => {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getDay());
+  return schedule.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+};
+
+// First matching minute strictly after `after`, or null when the expression never matches
+export const nextRun = (schedule, after = new Date()) => {
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = after.getTime() + MAX_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!schedule.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+      continue;
+    }
+    if (!dayMatches(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+      continue;
+    }
+    if (!schedule.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+      continue;
+    }
+    if (!schedule.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+};
@@ -1,3 +1,22 @@
+// LLM provider errors keep their status (see services/providerHealth.js and llmService.js)
+const LLM_ERRORS = {
+  INSUFFICIENT_CREDITS: 'Payment Required',
+  LLM_INVALID_KEY: 'LLM Authentication Failed',
+  LLM_MODEL_NOT_FOUND: 'LLM Model Not Found',
+  LLM_UNAVAILABLE: 'Service Unavailable'
+};
+
+// Status, title and code of an LLM provider error, null for any other error
+export const formatLlmError = (error) => {
+  if (!LLM_ERRORS[error?.code]) return null;
+  return {
+    status: error.status,
+    error: LLM_ERRORS[error.code],
+    code: error.code,
+    message: error.message
+  };
+};
+
 export const formatControllerError = (error, context) => {
   console.error(`Error in ${context}:`, error);
 
@@ -9,7 +28,9 @@ export const formatControllerError = (error, context) => {
   };
 
   // Handle specific error types
-  if (error.response) {
+  if (LLM_ERRORS[error.code]) {
+    return formatLlmError(error);
+  } else if (error.response) {
     // Error from external API
     return {
       status: error.response.status,
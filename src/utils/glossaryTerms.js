@@ -0,0 +1,49 @@
+// Matching of glossary terms in source texts and translations. A term matches at a word
+// start; in the source it may carry an English plural ending, in the translation any
+// ending, so inflected target terms ("Elektronen" for "Elektron") are accepted.
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const termPattern = (term, caseSensitive, suffix) => new RegExp(
+  `(?<![\\p{L}\\p{N}])${escapeRegExp(term)}${suffix}`,
+  caseSensitive ? 'u' : 'iu'
+);
+
+const containsSourceTerm = (text, entry) =>
+  termPattern(entry.term, entry.caseSensitive, '(?:s|es)?(?![\\p{L}\\p{N}])').test(text);
+
+const containsTargetTerm = (text, expected, caseSensitive) =>
+  termPattern(expected, caseSensitive, '').test(text);
+
+// What a term has to look like in targetLanguage, or null when the glossary does not cover it
+export const expectedTerm = (entry, targetLanguage) => {
+  if (entry.doNotTranslate) return entry.term;
+  return entry.translations?.[targetLanguage] || null;
+};
+
+// Glossary terms that occur in any of `texts` and have a rule for targetLanguage,
+// as { term, target, doNotTranslate, caseSensitive } for the prompts and checks
+export const findGlossaryTerms = (texts, terms, targetLanguage) => {
+  const sources = texts.filter(text => typeof text === 'string' && text.trim());
+  return terms
+    .filter(entry => expectedTerm(entry, targetLanguage) && sources.some(text => containsSourceTerm(text, entry)))
+    .map(entry => ({
+      term: entry.term,
+      target: expectedTerm(entry, targetLanguage),
+      doNotTranslate: entry.doNotTranslate,
+      caseSensitive: entry.caseSensitive
+    }));
+};
+
+// Glossary terms of `source` that are missing from `translation`
+export const checkGlossary = (source, translation, terms, targetLanguage) => {
+  if (typeof source !== 'string' || typeof translation !== 'string') return [];
+
+  return findGlossaryTerms([source], terms, targetLanguage)
+    .filter(entry => !containsTargetTerm(translation, entry.target, entry.caseSensitive))
+    .map(entry => ({
+      term: entry.term,
+      expected: entry.target,
+      doNotTranslate: entry.doNotTranslate
+    }));
+};
@@ -0,0 +1,105 @@
+import { VALID_LANGUAGE_CODES } from "./languageValidator.js";
+
+// Glossary applied to every subject, on top of the subject's own glossary
+export const GLOBAL_SUBJECT = "all";
+
+const invalid = (message) => ({
+  isValid: false,
+  error: "Invalid glossary",
+  message,
+});
+
+// Subjects are category tags as returned by determineCategory ("math", "chemistry", ...)
+export const validateSubject = (subject) => {
+  if (typeof subject !== "string" || !/^[a-z0-9][a-z0-9_-]{0,49}$/.test(subject.trim().toLowerCase())) {
+    return invalid("subject must be a category tag (letters, digits, - and _, up to 50 characters)");
+  }
+  return { isValid: true, subject: subject.trim().toLowerCase() };
+};
+
+// Validates one glossary term:
+//   { term, translations?: { fr: "...", ... }, doNotTranslate?, caseSensitive?, note? }
+// A term needs at least one translation unless it must stay untranslated.
+export const validateGlossaryTerm = (spec = {}) => {
+  const { term, translations = {}, doNotTranslate = false, caseSensitive = false, note } = spec;
+
+  if (typeof term !== "string" || !term.trim()) {
+    return invalid("term must be a non-empty string");
+  }
+
+  if (typeof doNotTranslate !== "boolean" || typeof caseSensitive !== "boolean") {
+    return invalid(`doNotTranslate and caseSensitive of "${term}" must be booleans`);
+  }
+
+  if (!translations || typeof translations !== "object" || Array.isArray(translations)) {
+    return invalid(`translations of "${term}" must be an object of language code to term`);
+  }
+
+  const invalidLanguages = Object.keys(translations).filter(lang => !VALID_LANGUAGE_CODES.has(lang));
+  if (invalidLanguages.length > 0) {
+    return invalid(`Invalid language codes for "${term}": ${invalidLanguages.join(", ")}`);
+  }
+
+  if (Object.values(translations).some(value => typeof value !== "string" || !value.trim())) {
+    return invalid(`translations of "${term}" must be non-empty strings`);
+  }
+
+  if (!doNotTranslate && Object.keys(translations).length === 0) {
+    return invalid(`"${term}" needs translations or doNotTranslate`);
+  }
+
+  if (note !== undefined && typeof note !== "string") {
+    return invalid(`note of "${term}" must be a string`);
+  }
+
+  return {
+    isValid: true,
+    term: {
+      term: term.trim(),
+      translations: Object.fromEntries(
+        Object.entries(translations).map(([lang, value]) => [lang, value.trim()])
+      ),
+      doNotTranslate,
+      caseSensitive,
+      ...(note && { note }),
+    },
+  };
+};
+
+// Validates a whole glossary as accepted by PUT /api/translate/glossaries/:subject:
+//   { name?, terms: [term, ...] }
+export const validateGlossary = (spec = {}) => {
+  const { name, terms } = spec;
+
+  if (name !== undefined && (typeof name !== "string" || !name.trim())) {
+    return invalid("name must be a non-empty string");
+  }
+
+  if (!Array.isArray(terms)) {
+    return invalid("terms must be an array");
+  }
+
+  const validTerms = [];
+  const seen = new Set();
+  for (const termSpec of terms) {
+    const validation = validateGlossaryTerm(termSpec);
+    if (!validation.isValid) {
+      return validation;
+    }
+
+    const key = validation.term.term.toLowerCase();
+    if (seen.has(key)) {
+      return invalid(`"${validation.term.term}" appears more than once`);
+    }
+    seen.add(key);
+    validTerms.push(validation.term);
+  }
+
+  return {
+    isValid: true,
+    glossary: {
+      ...(name && { name: name.trim() }),
+      terms: validTerms,
+    },
+  };
+};
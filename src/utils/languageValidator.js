@@ -0,0 +1,40 @@
+export const VALID_LANGUAGE_CODES = new Set([
+  "en",
+  "es",
+  "fr",
+  "de",
+  "it",
+  "pt",
+  "ru",
+  "zh",
+  "ja",
+  "ko",
+]);
+
+export const validateLanguages = (targetLanguages) => {
+  if (
+    !targetLanguages ||
+    !Array.isArray(targetLanguages) ||
+    targetLanguages.length === 0
+  ) {
+    return {
+      isValid: false,
+      error: "Invalid request",
+      message: "Please provide an array of target languages",
+    };
+  }
+
+  const invalidLanguages = targetLanguages.filter(
+    (lang) => !VALID_LANGUAGE_CODES.has(lang)
+  );
+  if (invalidLanguages.length > 0) {
+    return {
+      isValid: false,
+      error: "Invalid language codes",
+      message: `Invalid language codes: ${invalidLanguages.join(", ")}`,
+      validCodes: Array.from(VALID_LANGUAGE_CODES),
+    };
+  }
+
+  return { isValid: true };
+};
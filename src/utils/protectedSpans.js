@@ -0,0 +1,95 @@
+// Masks the parts of a text that must not be translated (code, LaTeX, URLs, {{placeholders}},
+// chemical formulas) with [[n]] tokens before it goes to the LLM, and puts them back after.
+
+const ELEMENTS = new Set(`H He Li Be B C N O F Ne Na Mg Al Si P S Cl Ar K Ca Sc Ti V Cr Mn Fe Co Ni Cu Zn
+  Ga Ge As Se Br Kr Rb Sr Y Zr Nb Mo Tc Ru Rh Pd Ag Cd In Sn Sb Te I Xe Cs Ba La Ce Pr Nd Pm Sm Eu Gd
+  Tb Dy Ho Er Tm Yb Lu Hf Ta W Re Os Ir Pt Au Hg Tl Pb Bi Po At Rn Fr Ra Ac Th Pa U Np Pu Am Cm Bk Cf
+  Es Fm Md No Lr Rf Db Sg Bh Hs Mt Ds Rg Cn Nh Fl Mc Lv Ts Og`.split(/\s+/));
+
+// "H2O", "NaCl", "Ca(OH)2", "SO4^2-" but not words or acronyms such as "OK" or "CPU":
+// every symbol must be an element, and there has to be a count, a charge or a
+// two-letter symbol next to another symbol
+const isChemicalFormula = (candidate) => {
+  const symbols = candidate.match(/[A-Z][a-z]?/g) || [];
+  if (!symbols.every(symbol => ELEMENTS.has(symbol))) return false;
+  return /\d|[+-]$/.test(candidate) || (symbols.length > 1 && symbols.some(symbol => symbol.length === 2));
+};
+
+// In order of precedence; a span overlapping an earlier one is left to the earlier one
+const PATTERNS = [
+  { pattern: /```[\s\S]*?```/g },
+  { pattern: /`[^`\n]+`/g },
+  { pattern: /\$\$[\s\S]+?\$\$/g },
+  { pattern: /\\\[[\s\S]+?\\\]|\\\([\s\S]+?\\\)/g },
+  { pattern: /\\begin\{([a-z]+\*?)\}[\s\S]*?\\end\{\1\}/g },
+  // $x^2$, but not amounts such as "$5 and $10"
+  { pattern: /\$[^\s$](?:[^$\n]*[^\s$])?\$(?!\d)/g },
+  { pattern: /\{\{[^{}]*\}\}/g },
+  { pattern: /\b(?:https?:\/\/|www\.)[^\s<>"']*[^\s<>"'.,;:!?)\]]/g },
+  {
+    pattern: /(?<![\p{L}\p{N}])(?:[A-Z][a-z]?\d*|\((?:[A-Z][a-z]?\d*)+\)\d*)+(?:\^?\d*[+-])?(?![\p{L}\p{N}])/gu,
+    accept: isChemicalFormula
+  }
+];
+
+const TOKEN_PATTERN = /\[\[\s*(\d+)\s*\]\]/g;
+
+export const hasProtectedTokens = (text) => typeof text === 'string' && /\[\[\d+\]\]/.test(text);
+
+// { text, spans }: text with every protected span replaced by [[index]]
+export const maskProtectedSpans = (text) => {
+  if (typeof text !== 'string') return { text, spans: [] };
+
+  const found = [];
+  for (const { pattern, accept } of PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (accept && !accept(match[0])) continue;
+      if (found.some(span => start < span.end && end > span.start)) continue;
+      found.push({ start, end });
+    }
+  }
+
+  found.sort((a, b) => a.start - b.start);
+  let masked = '';
+  let position = 0;
+  const spans = found.map(({ start, end }, index) => {
+    masked += `${text.slice(position, start)}[[${index}]]`;
+    position = end;
+    return text.slice(start, end);
+  });
+  masked += text.slice(position);
+
+  return { text: masked, spans };
+};
+
+// Whether anything but protected spans, spaces and punctuation is left to translate
+export const hasTranslatableText = (masked) => /\p{L}/u.test(masked.replace(TOKEN_PATTERN, ''));
+
+// Whether every [[n]] token of `masked` is still in `translated`, i.e. restoring would not throw
+export const keepsProtectedTokens = (masked, translated) => {
+  const indexes = (text) => new Set(Array.from(String(text).matchAll(TOKEN_PATTERN), match => Number(match[1])));
+  const kept = indexes(translated);
+  return Array.from(indexes(masked)).every(index => kept.has(index));
+};
+
+// Put the spans back. Throws (error.missingSpans) when a token was dropped or altered.
+export const restoreProtectedSpans = (translated, spans) => {
+  if (spans.length === 0) return translated;
+
+  const seen = new Set();
+  const restored = translated.replace(TOKEN_PATTERN, (token, index) => {
+    if (!spans[index]) return token;
+    seen.add(Number(index));
+    return spans[index];
+  });
+
+  const missing = spans.filter((span, index) => !seen.has(index));
+  if (missing.length > 0) {
+    const error = new Error(`Protected text was lost in translation: ${missing.join(', ')}`);
+    error.missingSpans = missing;
+    throw error;
+  }
+  return restored;
+};
@@ -0,0 +1,292 @@
+import { v4 as uuidv4 } from "uuid";
+
+// Canonical extracted question, produced by every extraction path (LLM, regex
+// fallback, document parser, spreadsheets) and validated before it is sent to
+// QuizFactor:
+// {
+//   uuid?: string,
+//   questionText: string,
+//   options: { option_1: string, option_2: string, ... },   // at least two
+//   correctAnswer: ["option_N", ...],                        // keys of options
+//   explanation: string,
+//   questionType: "single-choice" | "multi-choice",
+//   difficulty: "easy" | "medium" | "hard",
+//   points: number,
+//   languageCode: string,
+//   tags?: string[],
+//   metadata?: object
+// }
+
+export const QUESTION_TYPES = ["single-choice", "multi-choice"];
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+
+const DEFAULT_EXPLANATION = "No explanation provided";
+const OPTION_KEY_PATTERN = /^option_(\d+)$/;
+
+const optionKey = (index) => `option_${index + 1}`;
+
+// Resolve an answer reference to an option key. Accepts option keys ("option_2"),
+// letters ("B"), 1-based numbers ("2") or the option text itself.
+const resolveAnswerKey = (answer, options, keyMap = {}) => {
+  const value = String(answer ?? "").trim();
+  if (!value) return null;
+
+  if (keyMap[value]) return keyMap[value];
+  if (options[value]) return value;
+
+  const lowerValue = value.toLowerCase();
+  const textMatch = Object.keys(options).find(
+    (key) => options[key].toLowerCase() === lowerValue
+  );
+  if (textMatch) return textMatch;
+
+  const label = value.replace(/^option[\s_]*/i, "").replace(/[.)]$/, "").toUpperCase();
+  const index = /^\d+$/.test(label)
+    ? Number(label) - 1
+    : /^[A-Z]$/.test(label) ? label.charCodeAt(0) - 65 : -1;
+  const key = optionKey(index);
+  return index >= 0 && options[key] ? key : null;
+};
+
+const resolveAnswerKeys = (rawAnswer, options, keyMap) => {
+  const answers = Array.isArray(rawAnswer) ? rawAnswer : [rawAnswer];
+  const keys = [];
+
+  for (const answer of answers) {
+    if (answer === undefined || answer === null || answer === "") continue;
+
+    const key = resolveAnswerKey(answer, options, keyMap);
+    // "A, C" or "option_1,option_3" in a single string
+    if (!key && typeof answer === "string" && /[,;|/]/.test(answer)) {
+      const parts = answer.split(/[,;|/]/).map((part) => resolveAnswerKey(part, options, keyMap));
+      if (parts.every(Boolean)) {
+        keys.push(...parts);
+        continue;
+      }
+    }
+    if (!key) {
+      throw new Error(`Correct answer "${answer}" does not match any option`);
+    }
+    keys.push(key);
+  }
+
+  return [...new Set(keys)];
+};
+
+// { questionText, options: { option_1 | A | ... } or [...], correctAnswer }
+// (TranslationService LLM extraction, regex fallback, MCP add_questions)
+export const fromLlmQuestion = (question) => {
+  const options = {};
+  const keyMap = {};
+
+  if (Array.isArray(question.options)) {
+    question.options.forEach((option) => {
+      const text = typeof option === "string" ? option : option?.text;
+      if (text) options[optionKey(Object.keys(options).length)] = String(text).trim();
+    });
+  } else {
+    Object.entries(question.options || {}).forEach(([key, text]) => {
+      if (!text) return;
+      const newKey = optionKey(Object.keys(options).length);
+      options[newKey] = String(text).trim();
+      keyMap[key] = newKey;
+    });
+  }
+
+  return {
+    questionText: question.questionText,
+    options,
+    correctAnswer: resolveAnswerKeys(question.correctAnswer, options, keyMap),
+    explanation: question.explanation
+  };
+};
+
+// { content | question, options: [{ text, isCorrect }], answer }
+// (legacy RAG extraction and the document parser)
+export const fromOptionListQuestion = (question) => {
+  const options = {};
+  const correctAnswer = [];
+
+  (question.options || []).forEach((option) => {
+    const text = typeof option === "string" ? option : option?.text;
+    if (!text) return;
+    const key = optionKey(Object.keys(options).length);
+    options[key] = String(text).trim();
+    if (option.isCorrect) correctAnswer.push(key);
+  });
+
+  return {
+    questionText: question.content ?? question.question,
+    options,
+    correctAnswer: correctAnswer.length > 0
+      ? correctAnswer
+      : resolveAnswerKeys(question.answer, options),
+    explanation: question.explanation
+  };
+};
+
+// QuizFactor payload shape ({ uuid, questionType, translations: [...] }).
+// Only the source-language translation is kept.
+export const fromQuizFactorQuestion = (question, languageCode) => {
+  const translation =
+    question.translations.find((t) => t.languageCode === languageCode) ||
+    question.translations[0] ||
+    {};
+
+  return {
+    ...fromLlmQuestion(translation),
+    uuid: question.uuid,
+    languageCode: translation.languageCode
+  };
+};
+
+// Convert any known question shape to the canonical schema
+export const toCanonicalQuestion = (question, defaults = {}) => {
+  if (!question || typeof question !== "object") {
+    throw new Error("Question must be an object");
+  }
+
+  let converted;
+  if (Array.isArray(question.translations)) {
+    converted = fromQuizFactorQuestion(question, defaults.languageCode);
+  } else if (question.content !== undefined || question.question !== undefined ||
+             (Array.isArray(question.options) && typeof question.options[0] === "object")) {
+    converted = fromOptionListQuestion(question);
+  } else {
+    converted = fromLlmQuestion(question);
+  }
+
+  const correctAnswer = converted.correctAnswer;
+  const tags = question.tags || question.metadata?.tags;
+
+  return {
+    ...(question.uuid || converted.uuid ? { uuid: question.uuid || converted.uuid } : {}),
+    questionText: String(converted.questionText ?? "").trim(),
+    options: converted.options,
+    correctAnswer,
+    explanation: String(converted.explanation || "").trim() || DEFAULT_EXPLANATION,
+    questionType: question.questionType ||
+      (correctAnswer.length > 1 ? "multi-choice" : "single-choice"),
+    difficulty: String(
+      question.difficulty || question.metadata?.difficulty || defaults.difficulty || "medium"
+    ).toLowerCase(),
+    points: question.points ?? question.metadata?.points ?? defaults.points ?? 1,
+    languageCode: converted.languageCode || question.languageCode || defaults.languageCode || "en",
+    ...(Array.isArray(tags) && tags.length > 0 && { tags }),
+    ...(question.metadata && { metadata: question.metadata })
+  };
+};
+
+// Returns a list of problems, empty when the question matches the canonical schema
+export const validateQuestion = (question) => {
+  const errors = [];
+
+  if (typeof question.questionText !== "string" || !question.questionText.trim()) {
+    errors.push("questionText is required");
+  }
+
+  const optionKeys = Object.keys(question.options || {});
+  if (optionKeys.length < 2) {
+    errors.push("At least two options are required");
+  }
+  optionKeys.forEach((key, index) => {
+    const match = key.match(OPTION_KEY_PATTERN);
+    if (!match || Number(match[1]) !== index + 1) {
+      errors.push(`Option key "${key}" is out of sequence (expected ${optionKey(index)})`);
+    }
+    if (typeof question.options[key] !== "string" || !question.options[key].trim()) {
+      errors.push(`Option ${key} is empty`);
+    }
+  });
+
+  if (!Array.isArray(question.correctAnswer) || question.correctAnswer.length === 0) {
+    errors.push("correctAnswer must list at least one option");
+  } else {
+    question.correctAnswer
+      .filter((key) => !optionKeys.includes(key))
+      .forEach((key) => errors.push(`correctAnswer "${key}" is not an option`));
+  }
+
+  if (!QUESTION_TYPES.includes(question.questionType)) {
+    errors.push(`questionType must be one of: ${QUESTION_TYPES.join(", ")}`);
+  } else if (question.questionType === "single-choice" && question.correctAnswer?.length > 1) {
+    errors.push("single-choice questions must have exactly one correct answer");
+  }
+
+  if (!DIFFICULTIES.includes(question.difficulty)) {
+    errors.push(`difficulty must be one of: ${DIFFICULTIES.join(", ")}`);
+  }
+  if (typeof question.points !== "number" || question.points <= 0) {
+    errors.push("points must be a positive number");
+  }
+  if (!question.languageCode) {
+    errors.push("languageCode is required");
+  }
+
+  return errors;
+};
+
+// Convert and validate a list of questions in any known shape
+export const normalizeQuestions = (rawQuestions, defaults = {}) => {
+  const questions = [];
+  const rejected = [];
+
+  (rawQuestions || []).forEach((rawQuestion, index) => {
+    let errors;
+    let question;
+    try {
+      question = toCanonicalQuestion(rawQuestion, defaults);
+      errors = validateQuestion(question);
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    if (errors.length === 0) {
+      questions.push(question);
+    } else {
+      rejected.push({
+        index,
+        questionText: question?.questionText || rawQuestion?.questionText || rawQuestion?.content || null,
+        errors
+      });
+    }
+  });
+
+  return { questions, rejected };
+};
+
+// Like normalizeQuestions, but throws a 422 error when nothing is usable
+export const assertValidQuestions = (rawQuestions, defaults = {}) => {
+  const result = normalizeQuestions(rawQuestions, defaults);
+
+  if (result.rejected.length > 0) {
+    console.warn(`⚠️ Rejected ${result.rejected.length} invalid questions:`, result.rejected);
+  }
+
+  if (result.questions.length === 0) {
+    const error = new Error("No valid questions to send to QuizFactor");
+    error.status = 422;
+    error.details = result.rejected;
+    throw error;
+  }
+
+  return result;
+};
+
+// Canonical question -> QuizFactor add-quiz-questions payload entry
+export const toQuizFactorQuestion = (question) => ({
+  uuid: question.uuid || uuidv4(),
+  questionType: question.questionType,
+  difficulty: question.difficulty,
+  points: question.points,
+  ...(question.tags && { tags: question.tags }),
+  translations: [
+    {
+      languageCode: question.languageCode,
+      questionText: question.questionText,
+      options: question.options,
+      correctAnswer: question.correctAnswer,
+      explanation: question.explanation
+    }
+  ]
+});
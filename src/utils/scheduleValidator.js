@@ -0,0 +1,93 @@
+import { parseCron } from "./cronExpression.js";
+import { validateLanguages } from "./languageValidator.js";
+import { validateCallback } from "./callbackValidator.js";
+import { validateTenant } from "./usageValidator.js";
+
+export const SCHEDULE_TYPES = ["category", "course", "quiz"];
+const PRIORITIES = ["normal", "high"];
+
+const invalid = (message) => ({
+  isValid: false,
+  error: "Invalid schedule",
+  message,
+});
+
+// Validates a schedule spec as accepted by POST /api/translate/schedules and TRANSLATION_SCHEDULES:
+//   { name?, cron, type, uuid, targetLanguages?, cascade?, priority?, enabled?, skipIfActive?, callbackUrl?, callbackSecret?, tenantId? }
+// Without targetLanguages every run translates into the languages enabled in QuizFactor at that time.
+export const validateSchedule = (spec = {}) => {
+  const {
+    name,
+    cron,
+    type,
+    uuid,
+    targetLanguages,
+    cascade = false,
+    priority = "normal",
+    enabled = true,
+    skipIfActive = true,
+    callbackUrl,
+    callbackSecret,
+    tenantId,
+  } = spec;
+
+  try {
+    parseCron(cron);
+  } catch (error) {
+    return invalid(error.message);
+  }
+
+  if (!SCHEDULE_TYPES.includes(type)) {
+    return invalid(`type must be one of: ${SCHEDULE_TYPES.join(", ")}`);
+  }
+
+  if (typeof uuid !== "string" || !uuid.trim()) {
+    return invalid(`uuid of the ${type} is required`);
+  }
+
+  if (targetLanguages !== undefined && targetLanguages !== null) {
+    const languageValidation = validateLanguages(targetLanguages);
+    if (!languageValidation.isValid) {
+      return languageValidation;
+    }
+  }
+
+  if (!PRIORITIES.includes(priority)) {
+    return invalid(`priority must be one of: ${PRIORITIES.join(", ")}`);
+  }
+
+  if (typeof enabled !== "boolean" || typeof skipIfActive !== "boolean" || typeof cascade !== "boolean") {
+    return invalid("enabled, skipIfActive and cascade must be booleans");
+  }
+
+  if (name !== undefined && (typeof name !== "string" || !name.trim())) {
+    return invalid("name must be a non-empty string");
+  }
+
+  const callbackValidation = validateCallback(callbackUrl, callbackSecret);
+  if (!callbackValidation.isValid) {
+    return callbackValidation;
+  }
+
+  const tenantValidation = validateTenant(tenantId);
+  if (!tenantValidation.isValid) {
+    return invalid(tenantValidation.message);
+  }
+
+  return {
+    isValid: true,
+    schedule: {
+      name: name?.trim() || `${type} ${uuid.trim()}`,
+      cron: cron.trim(),
+      type,
+      uuid: uuid.trim(),
+      targetLanguages: targetLanguages || null,
+      cascade,
+      priority,
+      enabled,
+      skipIfActive,
+      ...(callbackValidation.callback && { callback: callbackValidation.callback }),
+      ...(tenantValidation.tenantId && { tenantId: tenantValidation.tenantId }),
+    },
+  };
+};
@@ -0,0 +1,54 @@
+// Normalised source text for translation memory keys: Unicode NFC, trimmed, single spaces
+export const normalizeText = (text) => String(text).normalize('NFC').replace(/\s+/g, ' ').trim();
+
+// Levenshtein distance with a single row buffer
+export const editDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 1 for identical strings, 0 for nothing in common. Case-insensitive.
+export const similarity = (a, b) => {
+  const left = a.toLowerCase();
+  const right = b.toLowerCase();
+  const longest = Math.max(left.length, right.length);
+  return longest === 0 ? 1 : 1 - editDistance(left, right) / longest;
+};
+
+const words = (text) => (normalizeText(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .map(word => word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word);
+
+// Share of words two texts have in common (Dice coefficient over the word multisets).
+// Ignores word order and plural "s", so a faithful back-translation scores high even
+// when it is phrased differently.
+export const wordSimilarity = (a, b) => {
+  const left = words(a);
+  const right = words(b);
+  if (left.length === 0 && right.length === 0) return 1;
+
+  const counts = new Map();
+  left.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  let shared = 0;
+  right.forEach(word => {
+    if (counts.get(word) > 0) {
+      shared++;
+      counts.set(word, counts.get(word) - 1);
+    }
+  });
+  return (2 * shared) / (left.length + right.length);
+};
@@ -0,0 +1,101 @@
+// TMX 1.4 export and import for the translation memory. Import reads plain segments:
+// inline native codes (<bpt>, <ept>, <ph>, ...) are dropped, other inline tags are unwrapped.
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const unescapeXml = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// "en-US" -> "en", matching the language codes used everywhere else
+const languageCode = (lang) => lang.toLowerCase().split(/[-_]/)[0];
+
+const segmentText = (seg) => unescapeXml(seg
+  .replace(/<(bpt|ept|ph|it|ut)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+  .replace(/<[^>]+>/g, ''));
+
+const attribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+  return match ? unescapeXml(match[2] ?? match[3]) : null;
+};
+
+// 20260115T020000Z
+const tmxDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+
+// entries: [{ id, sourceLanguage, targetLanguage, source, target, context, createdAt }]
+export const buildTmx = (entries, { creationTool = 'quizefactor-mcp', creationToolVersion = '1.0.0' } = {}) => {
+  const sourceLanguages = new Set(entries.map(entry => entry.sourceLanguage));
+  const srclang = sourceLanguages.size === 1 ? [...sourceLanguages][0] : '*all*';
+
+  const units = entries.map(entry => [
+    `    <tu tuid="${escapeXml(entry.id)}"${entry.createdAt ? ` creationdate="${tmxDate(entry.createdAt)}"` : ''}>`,
+    ...(entry.context ? [`      <prop type="x-context">${escapeXml(entry.context)}</prop>`] : []),
+    `      <tuv xml:lang="${escapeXml(entry.sourceLanguage)}"><seg>${escapeXml(entry.source)}</seg></tuv>`,
+    `      <tuv xml:lang="${escapeXml(entry.targetLanguage)}"><seg>${escapeXml(entry.target)}</seg></tuv>`,
+    '    </tu>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<tmx version="1.4">',
+    `  <header creationtool="${escapeXml(creationTool)}" creationtoolversion="${escapeXml(creationToolVersion)}" segtype="sentence" o-tmf="${escapeXml(creationTool)}" adminlang="en" srclang="${escapeXml(srclang)}" datatype="plaintext"/>`,
+    '  <body>',
+    ...units,
+    '  </body>',
+    '</tmx>',
+    ''
+  ].join('\n');
+};
+
+// Returns [{ sourceLanguage, targetLanguage, source, target, context }]. A unit with more
+// than two variants yields one pair per target language.
+export const parseTmx = (xml) => {
+  if (typeof xml !== 'string' || !/<tmx[\s>]/i.test(xml)) {
+    const error = new Error('Invalid TMX: missing <tmx> root element');
+    error.status = 400;
+    throw error;
+  }
+
+  const header = xml.match(/<header\b[^>]*>/i)?.[0] || '';
+  const headerSource = attribute(header, 'srclang');
+  const pairs = [];
+
+  for (const [, tuTag, tuBody] of xml.matchAll(/<tu\b([^>]*)>([\s\S]*?)<\/tu>/gi)) {
+    const unitSource = attribute(tuTag, 'srclang') || headerSource;
+    const context = tuBody.match(/<prop\b[^>]*type\s*=\s*["']x-context["'][^>]*>([\s\S]*?)<\/prop>/i)?.[1];
+
+    const variants = [];
+    for (const [, tuvTag, tuvBody] of tuBody.matchAll(/<tuv\b([^>]*)>([\s\S]*?)<\/tuv>/gi)) {
+      const lang = attribute(tuvTag, 'xml:lang') || attribute(tuvTag, 'lang');
+      const seg = tuvBody.match(/<seg\b[^>]*>([\s\S]*?)<\/seg>/i)?.[1];
+      if (lang && seg !== undefined) {
+        variants.push({ lang: languageCode(lang), text: segmentText(seg) });
+      }
+    }
+
+    const sourceLang = unitSource && unitSource !== '*all*' ? languageCode(unitSource) : variants[0]?.lang;
+    const source = variants.find(variant => variant.lang === sourceLang);
+    if (!source) continue;
+
+    variants
+      .filter(variant => variant.lang !== sourceLang)
+      .forEach(variant => pairs.push({
+        sourceLanguage: sourceLang,
+        targetLanguage: variant.lang,
+        source: source.text,
+        target: variant.text,
+        context: context ? unescapeXml(context) : ''
+      }));
+  }
+
+  return pairs;
+};
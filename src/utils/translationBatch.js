@@ -0,0 +1,68 @@
+// Parses the JSON answer to buildBatchTranslatePrompt and checks it against the keys that
+// were sent. Malformed answers (code fences, trailing commas, text around the object, an
+// answer cut off at the token limit) are salvaged key by key.
+
+// "q1": { "options": { "option_1": "..." } } -> "q1.options.option_1": "..."
+const flatten = (value, prefix = '', into = {}) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.entries(value).forEach(([key, child]) => flatten(child, prefix ? `${prefix}.${key}` : key, into));
+  } else if (prefix) {
+    into[prefix] = value;
+  }
+  return into;
+};
+
+const parseObject = (text) => {
+  for (const candidate of [text, text.replace(/,(\s*[}\]])/g, '$1')]) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    } catch (error) {
+      // try the next candidate
+    }
+  }
+  return null;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Complete "key": "value" pairs, wherever they are in the answer
+const salvagePairs = (text, keys) => {
+  const pairs = {};
+  keys.forEach(key => {
+    const match = text.match(new RegExp(`"${escapeRegExp(key)}"\\s*:\\s*("(?:[^"\\\\]|\\\\.)*")`));
+    if (!match) return;
+    try {
+      pairs[key] = JSON.parse(match[1]);
+    } catch (error) {
+      // invalid escape sequence, leave the key missing
+    }
+  });
+  return pairs;
+};
+
+// { translations: { key: text }, missing: [key], salvaged }: translations holds only the
+// expected keys with a non-empty string value; salvaged is true when the answer was not a
+// valid JSON object
+export const parseBatchTranslation = (response, keys) => {
+  const text = String(response ?? '').trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+
+  const parsed = start >= 0 && end > start ? parseObject(text.slice(start, end + 1)) : null;
+  const values = parsed ? flatten(parsed) : salvagePairs(text, keys);
+
+  const translations = {};
+  const missing = [];
+  keys.forEach(key => {
+    if (typeof values[key] === 'string' && values[key].trim()) {
+      translations[key] = values[key].trim();
+    } else {
+      missing.push(key);
+    }
+  });
+
+  return { translations, missing, salvaged: !parsed };
+};
@@ -0,0 +1,52 @@
+import { normalizeText } from './textSimilarity.js';
+import { maskProtectedSpans, hasTranslatableText } from './protectedSpans.js';
+
+// Checks on a translated question that need no LLM call, used by the QA pass in
+// TranslationService. Each issue is { check, field, message }.
+
+const issue = (check, field, message) => ({ check, field, message });
+
+const toArray = (value) => Array.isArray(value) ? value : [value];
+
+// Options keep their count, keys and order; nothing that was filled in comes back empty
+export const checkStructure = (source, translation) => {
+  const issues = [];
+  const sourceKeys = Object.keys(source.options || {});
+  const translatedKeys = Object.keys(translation.options || {});
+
+  if (sourceKeys.length !== translatedKeys.length) {
+    issues.push(issue('option_count', 'options', `Expected ${sourceKeys.length} options, got ${translatedKeys.length}`));
+  } else if (sourceKeys.join('\0') !== translatedKeys.join('\0')) {
+    issues.push(issue('option_order', 'options', `Options are in a different order: ${translatedKeys.join(', ')}`));
+  }
+
+  sourceKeys.forEach(key => {
+    const value = translation.options?.[key];
+    if (String(source.options[key] ?? '').trim() && (typeof value !== 'string' || !value.trim())) {
+      issues.push(issue('empty_field', `options.${key}`, `Option ${key} is empty`));
+    }
+  });
+
+  ['questionText', 'explanation'].forEach(field => {
+    if (typeof source[field] === 'string' && source[field].trim() && !String(translation[field] ?? '').trim()) {
+      issues.push(issue('empty_field', field, `${field} is empty`));
+    }
+  });
+
+  if (toArray(source.correctAnswer).join('\0') !== toArray(translation.correctAnswer).join('\0')) {
+    issues.push(issue('correct_answer', 'correctAnswer', 'The correct answer changed'));
+  }
+
+  return issues;
+};
+
+// Question text or explanation returned in the source language. Options are not checked,
+// short answers are often the same in both languages.
+export const findUntranslated = (source, translation) => ['questionText', 'explanation']
+  .filter(field => {
+    if (typeof source[field] !== 'string' || typeof translation[field] !== 'string') return false;
+    if (!hasTranslatableText(maskProtectedSpans(source[field]).text)) return false;
+    if (normalizeText(source[field]).split(' ').length < 3) return false;
+    return normalizeText(source[field]).toLowerCase() === normalizeText(translation[field]).toLowerCase();
+  })
+  .map(field => issue('untranslated', field, `${field} was not translated`));
@@ -0,0 +1,63 @@
+import { USAGE_OPERATIONS } from "../services/usageLedger.js";
+
+const invalid = (message) => ({
+  isValid: false,
+  error: "Invalid usage query",
+  message,
+});
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+// Tenant IDs end up in the usage ledger row IDs, which are joined with "|"
+const TENANT_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:-]{0,63}$/;
+
+// Validates an optional tenant ID (config.usage.tenantHeader, schedules). Returns { isValid,
+// tenantId } with tenantId undefined when none was given.
+export const validateTenant = (tenantId) => {
+  if (tenantId === undefined || tenantId === null || tenantId === "") {
+    return { isValid: true, tenantId: undefined };
+  }
+  if (typeof tenantId !== "string" || !TENANT_PATTERN.test(tenantId)) {
+    return {
+      isValid: false,
+      error: "Invalid tenant",
+      message: "tenant ID must be 1-64 letters, digits, '.', '_', ':' or '-'",
+    };
+  }
+  return { isValid: true, tenantId };
+};
+
+// Validates the filters of GET /api/usage:
+//   { from?, to? (YYYY-MM-DD, inclusive), tenantId?, quizUuid?, operation?, provider?, model? }
+export const validateUsageQuery = (query = {}) => {
+  const { from, to, tenantId, quizUuid, operation, provider, model } = query;
+
+  for (const [name, value] of [["from", from], ["to", to]]) {
+    if (value !== undefined && !isDate(value)) {
+      return invalid(`${name} must be a date (YYYY-MM-DD)`);
+    }
+  }
+
+  if (from && to && from > to) {
+    return invalid("from must not be after to");
+  }
+
+  if (operation !== undefined && !USAGE_OPERATIONS.includes(operation)) {
+    return invalid(`operation must be one of: ${USAGE_OPERATIONS.join(", ")}`);
+  }
+
+  if (tenantId !== undefined && (tenantId === "" || !validateTenant(tenantId).isValid)) {
+    return invalid("tenantId must be 1-64 letters, digits, '.', '_', ':' or '-'");
+  }
+
+  for (const [name, value] of [["quizUuid", quizUuid], ["provider", provider], ["model", model]]) {
+    if (value !== undefined && (typeof value !== "string" || !value.trim())) {
+      return invalid(`${name} must be a non-empty string`);
+    }
+  }
+
+  return {
+    isValid: true,
+    filters: { from, to, tenantId, quizUuid, operation, provider, model },
+  };
+};